@@ -41,7 +41,26 @@ module.exports = {
   
   // Authentication configuration
   JWT_SECRET: process.env.JWT_SECRET,
-  JWT_EXPIRE: process.env.JWT_EXPIRE || '30d',
+  // Lifetime of access tokens; clients renew them with a refresh token
+  JWT_EXPIRE: process.env.JWT_EXPIRE || '15m',
+  // Days a login (refresh token session) lasts
+  REFRESH_TOKEN_EXPIRE_DAYS: parseFloat(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30,
+  // Send refresh tokens only in an httpOnly cookie instead of the response body
+  REFRESH_TOKEN_COOKIE: process.env.REFRESH_TOKEN_COOKIE === 'true',
+  // Admins must set up two-factor authentication before they can use their permissions
+  REQUIRE_ADMIN_2FA: process.env.REQUIRE_ADMIN_2FA === 'true',
+  // Lifetime of scan-only tokens issued to student devices from a class code
+  DEVICE_TOKEN_EXPIRE: process.env.DEVICE_TOKEN_EXPIRE || '12h',
+
+  // QR code signing (falls back to JWT_SECRET; changing it invalidates every printed code)
+  QR_SIGNING_SECRET: process.env.QR_SIGNING_SECRET || process.env.JWT_SECRET,
+  // Transition mode: also accept QR codes that encode a bare station ObjectId
+  QR_ACCEPT_LEGACY_IDS: process.env.QR_ACCEPT_LEGACY_IDS === 'true',
+  // Optional PNG logo centered in QR codes rendered with `logo=true`
+  QR_LOGO_PATH: process.env.QR_LOGO_PATH,
+
+  // Hours a stored response is replayed for a repeated Idempotency-Key
+  IDEMPOTENCY_TTL_HOURS: parseFloat(process.env.IDEMPOTENCY_TTL_HOURS) || 24,
   
   // Frontend configuration (for CORS and QR code generation)
   FRONTEND_URL: process.env.FRONTEND_URL || 'http://localhost:3000',
@@ -0,0 +1,118 @@
+/**
+ * Permission Model
+ *
+ * Routes check permissions instead of role names. Each role maps to a set
+ * of permissions; scoped API tokens carry a subset of their creator's
+ * permissions, and student device tokens can only record scans.
+ */
+
+// Every permission, with what it grants
+const PERMISSIONS = {
+  'events:manage': 'Create, update and delete hunt events',
+  'stations:manage': 'Create, update and delete stations, print and rotate their QR codes, see quiz answers',
+  'classes:write': 'Register classes and manage your own classes',
+  'classes:school': 'View and manage every class of your school',
+  'classes:manage': 'View and manage every class',
+  'scans:write': 'Record scans',
+  'scans:read': 'View scans of every class',
+  'drawings:run': 'Create and run prize drawings',
+  'analytics:read': 'View event analytics',
+  'dashboard:read': 'View the admin dashboard and live updates',
+  'tokens:manage': 'Create and revoke scoped API tokens',
+  'users:manage': 'Manage user accounts, e.g. verify email addresses',
+  'audit:read': 'View the audit log of administrative and sensitive actions',
+  'trash:purge': 'Permanently delete stations, classes and drawings from the trash'
+};
+
+const ROLE_PERMISSIONS = {
+  admin: Object.keys(PERMISSIONS),
+  teacher: ['classes:write', 'scans:write'],
+  'school-coordinator': ['classes:write', 'classes:school', 'scans:write'],
+  volunteer: ['scans:write']
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Roles that belong to a school and must register with one
+const SCHOOL_ROLES = ['teacher', 'school-coordinator'];
+
+// Granted to student devices that joined with a class code
+const DEVICE_PERMISSIONS = ['scans:write'];
+
+// Withheld until the user verifies their email address
+const VERIFIED_EMAIL_PERMISSIONS = ['classes:write', 'classes:school', 'tokens:manage', 'users:manage'];
+
+// Roles that must use two-factor authentication when REQUIRE_ADMIN_2FA=true
+const TWO_FACTOR_ROLES = ['admin'];
+
+/**
+ * Whether policy requires the user to have two-factor authentication.
+ * @param {object} user - User document.
+ * @returns {boolean}
+ */
+const requiresTwoFactor = (user) =>
+  process.env.REQUIRE_ADMIN_2FA === 'true' && TWO_FACTOR_ROLES.includes(user.role);
+
+/**
+ * Permissions granted to a role.
+ * @param {string} role
+ * @returns {Array<string>} Empty for unknown roles.
+ */
+const getRolePermissions = (role) => ROLE_PERMISSIONS[role] || [];
+
+/**
+ * Permissions a user currently holds: their role's, without the ones that
+ * need a verified email address until they verify it. Users who must use
+ * two-factor authentication hold none until they set it up.
+ * @param {object} user - User document.
+ * @returns {Array<string>}
+ */
+const getUserPermissions = (user) => {
+  if (requiresTwoFactor(user) && !user.twoFactorEnabled) return [];
+
+  const permissions = getRolePermissions(user.role);
+  if (user.isEmailVerified !== false) return permissions;
+  return permissions.filter(permission => !VERIFIED_EMAIL_PERMISSIONS.includes(permission));
+};
+
+/**
+ * Whether the authenticated request holds a permission.
+ * `req.permissions` is set by protect and protectDevice; without it the
+ * user's permissions apply.
+ * @param {object} req - Express request.
+ * @param {string} permission
+ * @returns {boolean}
+ */
+const hasPermission = (req, permission) => {
+  const permissions = req.permissions || (req.user ? getUserPermissions(req.user) : []);
+  return permissions.includes(permission);
+};
+
+/**
+ * Whether the authenticated user may view and manage a class: its teacher,
+ * a coordinator of its school, or anyone who manages every class.
+ * @param {object} req - Express request.
+ * @param {object} classObj - Class document.
+ * @returns {boolean}
+ */
+const canAccessClass = (req, classObj) => {
+  if (hasPermission(req, 'classes:manage')) return true;
+  if (!req.user) return false;
+  if (classObj.teacher && classObj.teacher._id && classObj.teacher._id.toString() === req.user.id) return true;
+  return hasPermission(req, 'classes:school') && Boolean(req.user.school) && classObj.school === req.user.school;
+};
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  ROLES,
+  SCHOOL_ROLES,
+  DEVICE_PERMISSIONS,
+  VERIFIED_EMAIL_PERMISSIONS,
+  TWO_FACTOR_ROLES,
+  requiresTwoFactor,
+  getRolePermissions,
+  getUserPermissions,
+  hasPermission,
+  canAccessClass
+};
@@ -1,17 +1,26 @@
+const jwt = require('jsonwebtoken');
 const asyncHandler = require('express-async-handler');
 const User = require('../models/User');
 const Class = require('../models/Class');
 const Station = require('../models/Station');
+const Session = require('../models/Session');
+const ApiToken = require('../models/ApiToken');
 const ErrorResponse = require('../utils/errorResponse'); // Assuming you have this
+const liveEventService = require('../services/liveEventService');
+const loginProtection = require('../services/loginProtectionService');
+const auditService = require('../services/auditService');
+const huntService = require('../services/huntService');
+const logger = require('../utils/logger');
 
-// @desc    Get admin dashboard statistics
+// @desc    Get admin dashboard statistics for the selected event
 // @route   GET /api/admin/stats
 // @access  Private/Admin
 const getAdminStats = asyncHandler(async (req, res) => {
+    const eventId = req.event._id;
     const totalTeachers = await User.countDocuments({ role: 'teacher' });
-    const totalClasses = await Class.countDocuments({ isActive: true });
-    const activeStations = await Station.countDocuments({ isActive: true });
-    const completedHunts = await Class.countDocuments({ isCompleted: true, isActive: true });
+    const totalClasses = await Class.countDocuments({ event: eventId, isActive: true });
+    const activeStations = await Station.countDocuments({ event: eventId, isActive: true });
+    const completedHunts = await Class.countDocuments({ event: eventId, isCompleted: true, isActive: true });
 
     res.status(200).json({
         success: true,
@@ -24,21 +33,22 @@ const getAdminStats = asyncHandler(async (req, res) => {
     });
 });
 
-// @desc    Get recent class activity for admin dashboard
+// @desc    Get recent class activity in the selected event for admin dashboard
 // @route   GET /api/admin/recent-activity
 // @access  Private/Admin
 const getRecentAdminActivity = asyncHandler(async (req, res) => {
     const limit = parseInt(req.query.limit) || 10; // Default to 10 items
-    const totalActiveStations = await Station.countDocuments({ isActive: true });
+    const huntStationIds = await huntService.getHuntStationIds(req.event._id);
+    const totalActiveStations = huntStationIds.length;
 
-    const recentClasses = await Class.find({ isActive: true })
+    const recentClasses = await Class.find({ event: req.event._id, isActive: true })
         .populate('teacher._id', 'name email')
         .sort({ lastScanAt: -1, registeredAt: -1 })
         .limit(limit);
 
     const activityData = recentClasses.map(cls => {
-        const scannedCount = cls.stationsScanned ? cls.stationsScanned.length : 0;
-        const progressPercentage = totalActiveStations > 0 ? Math.round((scannedCount / totalActiveStations) * 100) : 0;
+        const scannedCount = huntService.countStationsFound(cls.stationsScanned, huntStationIds);
+        const progressPercentage = huntService.getProgressPercentage(cls.stationsScanned, huntStationIds);
         
         return {
             _id: cls._id,
@@ -64,10 +74,14 @@ const getRecentAdminActivity = asyncHandler(async (req, res) => {
 });
 
 // @desc    Get all teachers
-// @route   GET /api/admin/teachers-list
+// @route   GET /api/admin/teachers-list?verified=
 // @access  Private/Admin
 const getAllTeachers = asyncHandler(async (req, res, next) => {
-    const teachers = await User.find({ role: 'teacher' }).select('-password').sort({ createdAt: -1 });
+    const filter = { role: 'teacher' };
+    // ?verified=false lists teachers still waiting to verify their email
+    if (req.query.verified !== undefined) filter.isEmailVerified = req.query.verified === 'true';
+
+    const teachers = await User.find(filter).select('-password').sort({ createdAt: -1 });
     res.status(200).json({
         success: true,
         count: teachers.length,
@@ -75,19 +89,20 @@ const getAllTeachers = asyncHandler(async (req, res, next) => {
     });
 });
 
-// @desc    Get all classes for admin
+// @desc    Get all classes in the selected event for admin
 // @route   GET /api/admin/all-classes
 // @access  Private/Admin
 const getAllClassesForAdmin = asyncHandler(async (req, res, next) => {
-    const totalActiveStations = await Station.countDocuments({ isActive: true });
+    const huntStationIds = await huntService.getHuntStationIds(req.event._id);
+    const totalActiveStations = huntStationIds.length;
     
-    const classes = await Class.find()
+    const classes = await Class.find({ event: req.event._id })
         .populate('teacher._id', 'name email')
         .sort({ registeredAt: -1 });
 
     const classesWithProgress = classes.map(cls => {
-        const scannedCount = cls.stationsScanned ? cls.stationsScanned.length : 0;
-        const progressPercentage = totalActiveStations > 0 ? Math.round((scannedCount / totalActiveStations) * 100) : 0;
+        const scannedCount = huntService.countStationsFound(cls.stationsScanned, huntStationIds);
+        const progressPercentage = huntService.getProgressPercentage(cls.stationsScanned, huntStationIds);
         
         return {
             _id: cls._id,
@@ -116,18 +131,19 @@ const getAllClassesForAdmin = asyncHandler(async (req, res, next) => {
     });
 });
 
-// @desc    Get all completed hunts (classes)
+// @desc    Get all completed hunts (classes) in the selected event
 // @route   GET /api/admin/completed-hunts
 // @access  Private/Admin
 const getCompletedHuntsList = asyncHandler(async (req, res, next) => {
-    const totalActiveStations = await Station.countDocuments({ isActive: true });
+    const huntStationIds = await huntService.getHuntStationIds(req.event._id);
+    const totalActiveStations = huntStationIds.length;
     
-    const completedHunts = await Class.find({ isCompleted: true, isActive: true })
+    const completedHunts = await Class.find({ event: req.event._id, isCompleted: true, isActive: true })
         .populate('teacher._id', 'name email')
         .sort({ completedAt: -1 }); // Sort by completion time
 
     const huntsWithDetails = completedHunts.map(cls => {
-        const scannedCount = cls.stationsScanned ? cls.stationsScanned.length : 0;
+        const scannedCount = huntService.countStationsFound(cls.stationsScanned, huntStationIds);
         
         return {
             _id: cls._id,
@@ -153,10 +169,184 @@ const getCompletedHuntsList = asyncHandler(async (req, res, next) => {
     });
 });
 
+// @desc    Issue a ticket for opening the live stream, valid for 60 seconds.
+//          EventSource sends it as ?ticket=, so the access token stays out of URLs.
+// @route   POST /api/admin/live/ticket
+// @access  Private/Admin
+const getLiveTicket = asyncHandler(async (req, res, next) => {
+    if (!req.authSession) {
+        return next(new ErrorResponse('Stream tickets are issued to signed-in users only', 403));
+    }
+
+    const ticket = req.user.getSignedStreamTicket(req.authSession._id);
+    const { exp } = jwt.decode(ticket);
+
+    res.status(200).json({
+        success: true,
+        data: {
+            ticket,
+            expiresAt: new Date(exp * 1000)
+        }
+    });
+});
+
+// The stream ticket is only checked when the stream opens; whatever it
+// stood for (session or API token, and the account) can be revoked later
+const isStreamStillAuthorized = async (req) => {
+    const user = await User.findById(req.user._id).select('isActive');
+    if (!user || user.isActive === false) return false;
+
+    if (req.authSession) {
+        const session = await Session.findById(req.authSession._id);
+        return Boolean(session && session.isActive());
+    }
+    if (req.apiToken) {
+        const apiToken = await ApiToken.findById(req.apiToken._id);
+        return Boolean(apiToken && !apiToken.revokedAt && apiToken.expiresAt > new Date());
+    }
+    return false;
+};
+
+// @desc    Stream scans, hunt completions and drawings in the selected event as Server-Sent Events
+// @route   GET /api/admin/live?event=&school=&ticket=
+// @access  Private/Admin
+const getLiveUpdates = (req, res) => {
+    const filter = { event: req.event._id, school: req.query.school };
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no' // Stop nginx from buffering the stream
+    });
+    res.flushHeaders();
+    res.write(`retry: ${liveEventService.RETRY_MS}\n\n`);
+
+    const send = (message) => {
+        if (liveEventService.matchesFilter(message, filter)) {
+            res.write(liveEventService.formatMessage(message));
+        }
+    };
+
+    // Replay what a reconnecting client missed
+    const lastEventId = liveEventService.parseLastEventId(req.headers['last-event-id']);
+    if (lastEventId !== null) {
+        liveEventService.getMessagesSince(lastEventId).forEach(send);
+    }
+
+    const unsubscribe = liveEventService.subscribe(send);
+    const stop = () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    };
+
+    // Each heartbeat also makes sure the stream may stay open
+    const heartbeat = setInterval(async () => {
+        let authorized = false;
+        try {
+            authorized = await isStreamStillAuthorized(req);
+        } catch (err) {
+            logger.error(`Could not recheck live stream access for user ${req.user._id}: ${err.message}`);
+        }
+        if (!authorized) {
+            stop();
+            res.end();
+            return;
+        }
+        res.write(': heartbeat\n\n');
+    }, liveEventService.HEARTBEAT_INTERVAL_MS);
+
+    req.on('close', stop);
+};
+
+// @desc    Manually verify a user's email address
+// @route   PUT /api/admin/users/:id/verify
+// @access  Private/Admin (users:manage)
+const verifyUser = asyncHandler(async (req, res, next) => {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+        return next(new ErrorResponse(`User not found with id of ${req.params.id}`, 404));
+    }
+
+    if (!user.isEmailVerified) {
+        user.markEmailVerified();
+        await user.save({ validateBeforeSave: false });
+        await auditService.record(req, 'user.verify-email', { targetModel: 'User', targetId: user._id });
+    }
+
+    res.status(200).json({
+        success: true,
+        data: user
+    });
+});
+
+// @desc    Get accounts currently locked after failed logins
+// @route   GET /api/admin/locked-accounts
+// @access  Private/Admin (users:manage)
+const getLockedAccounts = asyncHandler(async (req, res) => {
+    const users = await User.find({ lockUntil: { $gt: new Date() } })
+        .select('name email role school lockUntil lastFailedLoginAt')
+        .sort({ lockUntil: -1 });
+
+    res.status(200).json({
+        success: true,
+        count: users.length,
+        data: users
+    });
+});
+
+// @desc    Unlock an account and clear its failed logins
+// @route   PUT /api/admin/users/:id/unlock
+// @access  Private/Admin (users:manage)
+const unlockUser = asyncHandler(async (req, res, next) => {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+        return next(new ErrorResponse(`User not found with id of ${req.params.id}`, 404));
+    }
+
+    loginProtection.resetFailedLogins(user);
+    await user.save({ validateBeforeSave: false });
+    await auditService.record(req, 'user.unlock', { targetModel: 'User', targetId: user._id });
+
+    res.status(200).json({
+        success: true,
+        data: user
+    });
+});
+
+// @desc    Turn off a user's two-factor authentication, e.g. after a lost phone
+//          without recovery codes; users the policy applies to set it up again
+// @route   PUT /api/admin/users/:id/reset-2fa
+// @access  Private/Admin (users:manage)
+const resetUserTwoFactor = asyncHandler(async (req, res, next) => {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+        return next(new ErrorResponse(`User not found with id of ${req.params.id}`, 404));
+    }
+
+    user.disableTwoFactor();
+    await user.save({ validateBeforeSave: false });
+    await auditService.record(req, 'user.reset-two-factor', { targetModel: 'User', targetId: user._id });
+
+    res.status(200).json({
+        success: true,
+        data: user
+    });
+});
+
 module.exports = {
     getAdminStats,
     getRecentAdminActivity,
     getAllTeachers,
     getAllClassesForAdmin,
-    getCompletedHuntsList
+    getCompletedHuntsList,
+    getLiveUpdates,
+    getLiveTicket,
+    verifyUser,
+    getLockedAccounts,
+    unlockUser,
+    resetUserTwoFactor
 };
\ No newline at end of file
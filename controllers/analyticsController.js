@@ -4,14 +4,14 @@ const Station = require('../models/Station');
 const asyncHandler = require('../middlewares/async');
 const ErrorResponse = require('../utils/errorResponse');
 
-// @desc    Get comprehensive analytics data
+// @desc    Get comprehensive analytics data for the selected event
 // @route   GET /api/analytics/overview
 // @access  Private/Admin
 const getAnalyticsOverview = asyncHandler(async (req, res, next) => {
   const { startDate, endDate } = req.query;
   
-  // Build date filter
-  let dateFilter = {};
+  // Build event and date filter
+  let dateFilter = { event: req.event._id };
   if (startDate || endDate) {
     dateFilter.registeredAt = {};
     if (startDate) dateFilter.registeredAt.$gte = new Date(startDate);
@@ -21,8 +21,8 @@ const getAnalyticsOverview = asyncHandler(async (req, res, next) => {
   // Get basic metrics
   const totalClasses = await Class.countDocuments(dateFilter);
   const completedClasses = await Class.countDocuments({ ...dateFilter, isCompleted: true });
-  const totalStations = await Station.countDocuments({ isActive: true });
-  const totalScans = await Scan.countDocuments();
+  const totalStations = await Station.countDocuments({ event: req.event._id, isActive: true });
+  const totalScans = await Scan.countDocuments({ event: req.event._id });
   
   // Get completion rate
   const completionRate = totalClasses > 0 ? Math.round((completedClasses / totalClasses) * 100) : 0;
@@ -65,14 +65,14 @@ const getAnalyticsOverview = asyncHandler(async (req, res, next) => {
   });
 });
 
-// @desc    Get station popularity heatmap data
+// @desc    Get station popularity heatmap data for the selected event
 // @route   GET /api/analytics/station-heatmap
 // @access  Private/Admin
 const getStationHeatmap = asyncHandler(async (req, res, next) => {
   const { startDate, endDate } = req.query;
   
-  // Build date filter for scans
-  let scanDateFilter = {};
+  // Build event and date filter for scans
+  let scanDateFilter = { event: req.event._id };
   if (startDate || endDate) {
     scanDateFilter.scannedAt = {};
     if (startDate) scanDateFilter.scannedAt.$gte = new Date(startDate);
@@ -107,6 +107,7 @@ const getStationHeatmap = asyncHandler(async (req, res, next) => {
   const scannedStationIds = stationScans.map(s => s.stationId);
   const unscannedStations = await Station.find({
     _id: { $nin: scannedStationIds },
+    event: req.event._id,
     isActive: true
   }).select('name location coordinates');
 
@@ -127,13 +128,13 @@ const getStationHeatmap = asyncHandler(async (req, res, next) => {
   });
 });
 
-// @desc    Get time-based analytics
+// @desc    Get time-based analytics for the selected event
 // @route   GET /api/analytics/time-patterns
 // @access  Private/Admin
 const getTimePatterns = asyncHandler(async (req, res, next) => {
   const { startDate, endDate, groupBy = 'hour' } = req.query;
   
-  let dateFilter = {};
+  let dateFilter = { event: req.event._id };
   if (startDate || endDate) {
     dateFilter.scannedAt = {};
     if (startDate) dateFilter.scannedAt.$gte = new Date(startDate);
@@ -201,6 +202,7 @@ const getTimePatterns = asyncHandler(async (req, res, next) => {
   const completionTimes = await Class.aggregate([
     { 
       $match: { 
+        event: req.event._id,
         isCompleted: true, 
         completedAt: { $exists: true },
         registeredAt: { $exists: true }
@@ -235,14 +237,14 @@ const getTimePatterns = asyncHandler(async (req, res, next) => {
   });
 });
 
-// @desc    Get engagement metrics
+// @desc    Get engagement metrics for the selected event
 // @route   GET /api/analytics/engagement
 // @access  Private/Admin
 const getEngagementMetrics = asyncHandler(async (req, res, next) => {
   const { startDate, endDate } = req.query;
   
-  let classDateFilter = {};
-  let scanDateFilter = {};
+  let classDateFilter = { event: req.event._id };
+  let scanDateFilter = { event: req.event._id };
   
   if (startDate || endDate) {
     classDateFilter.registeredAt = {};
@@ -365,7 +367,7 @@ const getEngagementMetrics = asyncHandler(async (req, res, next) => {
   });
 });
 
-// @desc    Get historical comparison data
+// @desc    Get historical comparison data (across all events)
 // @route   GET /api/analytics/historical
 // @access  Private/Admin
 const getHistoricalData = asyncHandler(async (req, res, next) => {
@@ -0,0 +1,104 @@
+const ApiToken = require('../models/ApiToken');
+const asyncHandler = require('../middlewares/async');
+const ErrorResponse = require('../utils/errorResponse');
+const auditService = require('../services/auditService');
+const { PERMISSIONS, hasPermission } = require('../config/permissions');
+
+const DEFAULT_EXPIRY_DAYS = 30;
+const MAX_EXPIRY_DAYS = 365;
+
+// @desc    Create a scoped, expiring API token for a kiosk or integration
+// @route   POST /api/tokens
+// @access  Private (tokens:manage)
+const createApiToken = asyncHandler(async (req, res, next) => {
+  const { name, permissions, expiresInDays = DEFAULT_EXPIRY_DAYS } = req.body;
+
+  // Tokens are minted by people, so a leaked token cannot mint more
+  if (req.apiToken) {
+    return next(new ErrorResponse('API tokens cannot create other API tokens', 403));
+  }
+
+  if (!name || !Array.isArray(permissions) || permissions.length === 0) {
+    return next(new ErrorResponse('Please provide a name and a non-empty permissions array', 400));
+  }
+
+  const unknown = permissions.filter(permission => !PERMISSIONS[permission]);
+  if (unknown.length > 0) {
+    return next(new ErrorResponse(`Unknown permissions: ${unknown.join(', ')}`, 400, { permissions: Object.keys(PERMISSIONS) }));
+  }
+
+  // A token can only carry permissions its creator holds
+  const notHeld = permissions.filter(permission => !hasPermission(req, permission));
+  if (notHeld.length > 0) {
+    return next(new ErrorResponse(`You cannot grant permissions you do not hold: ${notHeld.join(', ')}`, 403));
+  }
+
+  const days = Number(expiresInDays);
+  if (!Number.isFinite(days) || days <= 0 || days > MAX_EXPIRY_DAYS) {
+    return next(new ErrorResponse(`expiresInDays must be between 1 and ${MAX_EXPIRY_DAYS}`, 400));
+  }
+
+  const token = ApiToken.generateToken();
+  const apiToken = await ApiToken.create({
+    name,
+    tokenHash: ApiToken.hashToken(token),
+    preview: token.slice(0, ApiToken.TOKEN_PREFIX.length + 6),
+    permissions: [...new Set(permissions)],
+    createdBy: req.user.id,
+    expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000)
+  });
+  await auditService.record(req, 'api-token.create', { targetModel: 'ApiToken', targetId: apiToken._id, after: apiToken });
+
+  // The token itself is only ever returned here
+  res.status(201).json({
+    success: true,
+    token,
+    data: apiToken
+  });
+});
+
+// @desc    Get API tokens, newest first
+// @route   GET /api/tokens?includeRevoked=true
+// @access  Private (tokens:manage)
+const getApiTokens = asyncHandler(async (req, res, next) => {
+  const filter = {};
+  if (req.query.includeRevoked !== 'true') filter.revokedAt = null;
+
+  const apiTokens = await ApiToken.find(filter)
+    .populate('createdBy', 'name email')
+    .sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: apiTokens.length,
+    data: apiTokens
+  });
+});
+
+// @desc    Revoke an API token
+// @route   DELETE /api/tokens/:id
+// @access  Private (tokens:manage)
+const revokeApiToken = asyncHandler(async (req, res, next) => {
+  const apiToken = await ApiToken.findById(req.params.id);
+
+  if (!apiToken) {
+    return next(new ErrorResponse(`API token not found with id of ${req.params.id}`, 404));
+  }
+
+  if (!apiToken.revokedAt) {
+    apiToken.revokedAt = new Date();
+    await apiToken.save();
+    await auditService.record(req, 'api-token.revoke', { targetModel: 'ApiToken', targetId: apiToken._id });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: apiToken
+  });
+});
+
+module.exports = {
+  createApiToken,
+  getApiTokens,
+  revokeApiToken
+};
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const asyncHandler = require('../middlewares/async');
+const ErrorResponse = require('../utils/errorResponse');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// `station.update,drawing.*` matches that action and every drawing action
+const parseActions = (value) => String(value)
+  .split(',')
+  .map(action => action.trim())
+  .filter(Boolean)
+  .map(action => (action.endsWith('.*')
+    ? new RegExp(`^${action.slice(0, -1).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`)
+    : action));
+
+const parseDate = (value) => {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// @desc    Get audit log entries, newest first
+// @route   GET /api/admin/audit-log?action=&actor=&actorType=&targetModel=&targetId=&from=&to=&page=&limit=
+// @access  Private/Admin (audit:read)
+const getAuditLog = asyncHandler(async (req, res, next) => {
+  const { action, actor, actorType, targetModel, targetId, from, to } = req.query;
+  const filter = {};
+
+  if (action) filter.action = { $in: parseActions(action) };
+  if (actorType) filter.actorType = actorType;
+  if (targetModel) filter.targetModel = targetModel;
+
+  for (const [field, value] of [['actor', actor], ['targetId', targetId]]) {
+    if (value === undefined) continue;
+    if (!mongoose.Types.ObjectId.isValid(value)) {
+      return next(new ErrorResponse(`${field} must be a valid id`, 400));
+    }
+    filter[field] = value;
+  }
+
+  if (from || to) {
+    filter.createdAt = {};
+    for (const [operator, value] of [['$gte', from], ['$lte', to]]) {
+      if (!value) continue;
+      const date = parseDate(value);
+      if (!date) {
+        return next(new ErrorResponse('from and to must be dates, e.g. 2025-05-01 or an ISO timestamp', 400));
+      }
+      filter.createdAt[operator] = date;
+    }
+  }
+
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+  const [total, entries] = await Promise.all([
+    AuditLog.countDocuments(filter),
+    AuditLog.find(filter)
+      .populate('actor', 'name email role')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+  ]);
+
+  res.status(200).json({
+    success: true,
+    count: entries.length,
+    total,
+    pagination: {
+      page,
+      limit,
+      pages: Math.ceil(total / limit)
+    },
+    data: entries
+  });
+});
+
+module.exports = {
+  getAuditLog
+};
@@ -1,6 +1,109 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const Invitation = require('../models/Invitation');
 const asyncHandler = require('../middlewares/async');
 const ErrorResponse = require('../utils/errorResponse');
+const { getUserPermissions, requiresTwoFactor, SCHOOL_ROLES } = require('../config/permissions');
+const { sendEmail } = require('../services/emailService');
+const loginProtection = require('../services/loginProtectionService');
+const auditService = require('../services/auditService');
+const logger = require('../utils/logger');
+
+// Emails a link to verify the user's address. Failures are logged rather
+// than thrown; the user can ask for the email again.
+const sendVerificationEmail = async (user) => {
+  try {
+    const verificationToken = user.getEmailVerificationToken();
+    await user.save({ validateBeforeSave: false });
+
+    const verifyUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/verify-email/${verificationToken}`;
+    const expiry = `${User.EMAIL_VERIFICATION_EXPIRE_HOURS} hours`;
+    await sendEmail({
+      to: user.email,
+      subject: 'Verify your QR Scavenger Hunt email address',
+      text: `Hi ${user.name},\n\nPlease confirm your email address to start registering classes:\n\n${verifyUrl}\n\nThe link expires in ${expiry}.`,
+      html: `<p>Hi ${user.name},</p><p>Please <a href="${verifyUrl}">confirm your email address</a> to start registering classes.</p><p>The link expires in ${expiry}.</p>`
+    });
+    return true;
+  } catch (err) {
+    logger.error(`Verification email to ${user.email} failed: ${err.message}`);
+    return false;
+  }
+};
+
+// Emails a link that lifts a lockout early. Failures are logged; the lock
+// still ends on its own.
+const sendUnlockEmail = async (user) => {
+  try {
+    const unlockToken = user.getUnlockToken();
+    await user.save({ validateBeforeSave: false });
+
+    const unlockUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/unlock-account/${unlockToken}`;
+    const lockedUntil = new Date(user.lockUntil).toUTCString();
+    await sendEmail({
+      to: user.email,
+      subject: 'Your QR Scavenger Hunt account has been locked',
+      text: `Hi ${user.name},\n\nYour account was locked after too many failed login attempts. It unlocks on its own at ${lockedUntil}, or you can unlock it now:\n\n${unlockUrl}\n\nIf these attempts were not yours, consider resetting your password.`,
+      html: `<p>Hi ${user.name},</p><p>Your account was locked after too many failed login attempts. It unlocks on its own at ${lockedUntil}, or you can <a href="${unlockUrl}">unlock it now</a>.</p><p>If these attempts were not yours, consider resetting your password.</p>`
+    });
+  } catch (err) {
+    logger.error(`Unlock email to ${user.email} failed: ${err.message}`);
+  }
+};
+
+// The error for an account that may not try to log in yet (locked or
+// throttled), or null if it may
+const getLoginRefusal = (user, res) => {
+  const retryAt = loginProtection.getRetryAt(user);
+  if (!retryAt) return null;
+
+  const retryAfterSeconds = Math.ceil((retryAt.getTime() - Date.now()) / 1000);
+  res.set('Retry-After', String(retryAfterSeconds));
+  if (loginProtection.isLocked(user)) {
+    return new ErrorResponse('Account locked after too many failed login attempts', 423, {
+      lockedUntil: retryAt
+    });
+  }
+  return new ErrorResponse('Too many failed login attempts, please wait before trying again', 429, {
+    retryAfterSeconds
+  });
+};
+
+// Count a wrong password or authentication code, emailing an unlock link
+// when it locks the account
+const recordLoginFailure = async (req, user, reason) => {
+  await auditService.record(req, 'auth.login-failed', { actor: user, targetModel: 'User', targetId: user._id, metadata: { reason } });
+
+  const failure = await loginProtection.recordFailedLogin(user._id);
+  if (failure && failure.locked) {
+    logger.warn(`Account ${user.email} locked after ${failure.failedLoginAttempts} failed login attempts`);
+    await auditService.record(req, 'auth.account-locked', {
+      actor: user,
+      targetModel: 'User',
+      targetId: user._id,
+      metadata: { lockUntil: failure.lockUntil }
+    });
+    user.lockUntil = failure.lockUntil;
+    await sendUnlockEmail(user);
+  }
+};
+
+// Finish a login: clear earlier failures and start a session
+const completeLogin = async (user, req, res) => {
+  loginProtection.resetFailedLogins(user);
+  user.lastLogin = Date.now();
+  await user.save({ validateBeforeSave: false });
+  await auditService.record(req, 'auth.login', {
+    actor: user,
+    targetModel: 'User',
+    targetId: user._id,
+    metadata: { twoFactor: Boolean(user.twoFactorEnabled) }
+  });
+
+  await sendTokenResponse(user, 200, req, res);
+};
 
 /**
  * @swagger
@@ -8,7 +111,7 @@ const ErrorResponse = require('../utils/errorResponse');
  *   post:
  *     summary: Register a new user
  *     tags: [Auth]
- *     description: Creates a new user account and returns a JWT token.
+ *     description: Creates a new user account and returns a JWT token. The account starts unverified and a verification link is emailed; until it is verified the user cannot register classes.
  *     requestBody:
  *       required: true
  *       content:
@@ -37,13 +140,13 @@ const ErrorResponse = require('../utils/errorResponse');
  *                 example: password123
  *               school:
  *                 type: string
- *                 description: School name (required for teachers).
+ *                 description: School name.
  *                 example: Eureka Elementary
  *               role:
  *                 type: string
- *                 enum: [teacher, admin]
+ *                 enum: [teacher]
  *                 default: teacher
- *                 description: User role.
+ *                 description: Only teachers can register themselves; other roles need an invitation (/auth/invitations/{token}).
  *                 example: teacher
  *     responses:
  *       201:
@@ -72,6 +175,8 @@ const ErrorResponse = require('../utils/errorResponse');
  *                       type: string
  *       400:
  *         description: Invalid input or validation errors.
+ *       403:
+ *         description: A role other than teacher was requested.
  *       409:
  *         description: User already exists with this email.
  *     security: [] # Override global security for this public endpoint
@@ -84,13 +189,19 @@ exports.register = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Please provide name, email, and password', 400));
   }
 
-  // For teachers, school is required
-  if (role === 'teacher' && !school) {
+  // Other roles are only given out through admin invitations
+  if (role && role !== 'teacher') {
+    return next(new ErrorResponse('Only teachers can register. Other roles need an invitation from an admin.', 403));
+  }
+
+  // Registered accounts are always teachers, who need a school
+  if (!school) {
     return next(new ErrorResponse('School is required for teacher registration', 400));
   }
 
   // Check if user already exists
-  const existingUser = await User.findOne({ email });
+  const normalizedEmail = normalizeEmail(email);
+  const existingUser = await User.findOne({ email: normalizedEmail });
   if (existingUser) {
     return next(new ErrorResponse('User already exists with this email', 409));
   }
@@ -98,13 +209,136 @@ exports.register = asyncHandler(async (req, res, next) => {
   // Create user
   const user = await User.create({
     name,
-    email,
+    email: normalizedEmail,
     password,
-    school: role === 'teacher' ? school : undefined, // Only include school for teachers
-    role: role || 'teacher' // Default to teacher if role not specified
+    school,
+    role: 'teacher'
   });
 
-  sendTokenResponse(user, 201, res);
+  await auditService.record(req, 'auth.register', { actor: user, targetModel: 'User', targetId: user._id });
+
+  // The account works right away, but is limited until the email is verified
+  await sendVerificationEmail(user);
+
+  await sendTokenResponse(user, 201, req, res);
+});
+
+/**
+ * @swagger
+ * /auth/invitations/{token}:
+ *   get:
+ *     summary: Look up an invitation
+ *     tags: [Auth]
+ *     description: Returns the email, role and school of a pending invitation so the sign-up form can show them.
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The invitation.
+ *       404:
+ *         description: The invitation is invalid, expired, revoked or already accepted.
+ *     security: [] # Override global security for this public endpoint
+ */
+exports.getInvitation = asyncHandler(async (req, res, next) => {
+  const invitation = await Invitation.findPending(req.params.token);
+  if (!invitation) {
+    return next(new ErrorResponse('Invitation is invalid or has expired', 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      email: invitation.email,
+      role: invitation.role,
+      school: invitation.school,
+      expiresAt: invitation.expiresAt
+    }
+  });
+});
+
+/**
+ * @swagger
+ * /auth/invitations/{token}/accept:
+ *   post:
+ *     summary: Create an account from an invitation
+ *     tags: [Auth]
+ *     description: Creates the account with the invited email, role and school, and returns a JWT token. The email address counts as verified.
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - password
+ *             properties:
+ *               name:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 format: password
+ *                 minLength: 6
+ *     responses:
+ *       201:
+ *         description: Account created, returns JWT token and user info.
+ *       400:
+ *         description: Missing name or password.
+ *       404:
+ *         description: The invitation is invalid, expired, revoked or already accepted.
+ *       409:
+ *         description: A user already exists with the invited email.
+ *     security: [] # Override global security for this public endpoint
+ */
+exports.acceptInvitation = asyncHandler(async (req, res, next) => {
+  const { name, password } = req.body;
+
+  if (!name || !password) {
+    return next(new ErrorResponse('Please provide name and password', 400));
+  }
+
+  const invitation = await Invitation.findPending(req.params.token);
+  if (!invitation) {
+    return next(new ErrorResponse('Invitation is invalid or has expired', 404));
+  }
+
+  const existingUser = await User.findOne({ email: invitation.email });
+  if (existingUser) {
+    return next(new ErrorResponse('User already exists with this email', 409));
+  }
+
+  // The invitation reached this address, so it needs no further verification
+  const user = await User.create({
+    name,
+    email: invitation.email,
+    password,
+    school: invitation.school,
+    role: invitation.role,
+    isEmailVerified: true,
+    emailVerifiedAt: Date.now()
+  });
+
+  invitation.acceptedAt = new Date();
+  invitation.acceptedBy = user._id;
+  await invitation.save();
+  await auditService.record(req, 'auth.accept-invitation', {
+    actor: user,
+    targetModel: 'Invitation',
+    targetId: invitation._id,
+    metadata: { role: user.role }
+  });
+
+  await sendTokenResponse(user, 201, req, res);
 });
 
 /**
@@ -113,7 +347,7 @@ exports.register = asyncHandler(async (req, res, next) => {
  *   post:
  *     summary: Login a user
  *     tags: [Auth]
- *     description: Authenticates a user and returns a JWT token.
+ *     description: Authenticates a user and returns a JWT token. Accounts with two-factor authentication instead get twoFactorRequired and a challengeToken to finish at /auth/2fa/verify.
  *     requestBody:
  *       required: true
  *       content:
@@ -163,6 +397,12 @@ exports.register = asyncHandler(async (req, res, next) => {
  *         description: Invalid input, missing email or password.
  *       401:
  *         description: Invalid credentials.
+ *       403:
+ *         description: The account has been deactivated.
+ *       423:
+ *         description: The account is locked after too many failed attempts; details.lockedUntil says until when.
+ *       429:
+ *         description: Too soon after a failed attempt; wait for the Retry-After header (seconds).
  *     security: [] # Override global security for this public endpoint
  */
 exports.login = asyncHandler(async (req, res, next) => {
@@ -174,24 +414,122 @@ exports.login = asyncHandler(async (req, res, next) => {
   }
 
   // Check for user
-  const user = await User.findOne({ email }).select('+password');
+  const user = await User.findOne({ email: normalizeEmail(email) }).select('+password');
 
   if (!user) {
+    await auditService.record(req, 'auth.login-failed', { metadata: { reason: 'unknown-email', email } });
     return next(new ErrorResponse('Invalid credentials', 401));
   }
 
+  // Locked or throttled accounts are refused before the password is checked
+  const refusal = getLoginRefusal(user, res);
+  if (refusal) {
+    return next(refusal);
+  }
+
   // Check if password matches
   const isMatch = await user.matchPassword(password);
 
   if (!isMatch) {
+    await recordLoginFailure(req, user, 'password');
     return next(new ErrorResponse('Invalid credentials', 401));
   }
 
-  // Update last login time
-  user.lastLogin = Date.now();
-  await user.save({ validateBeforeSave: false });
+  // Only revealed to someone who knows the password
+  if (user.isActive === false) {
+    await auditService.record(req, 'auth.login-failed', { actor: user, targetModel: 'User', targetId: user._id, metadata: { reason: 'deactivated' } });
+    return next(new ErrorResponse('This account has been deactivated. Please contact an administrator.', 403));
+  }
+
+  // With two-factor authentication the login finishes at POST /api/auth/2fa/verify.
+  // Failures are only cleared then, so a known password cannot reset the count.
+  if (user.twoFactorEnabled) {
+    return res.status(200).json({
+      success: true,
+      twoFactorRequired: true,
+      challengeToken: user.getTwoFactorChallengeToken()
+    });
+  }
+
+  await completeLogin(user, req, res);
+});
 
-  sendTokenResponse(user, 200, res);
+/**
+ * @swagger
+ * /auth/2fa/verify:
+ *   post:
+ *     summary: Finish a login with a second factor
+ *     tags: [Auth]
+ *     description: Completes a login that answered twoFactorRequired, using a code from the authenticator app or one of the recovery codes. Wrong codes count as failed logins.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *                 description: The challengeToken returned by /auth/login.
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *               recoveryCode:
+ *                 type: string
+ *                 example: 3f9a-c21e
+ *     responses:
+ *       200:
+ *         description: Login successful, returns JWT token and user info.
+ *       400:
+ *         description: Missing challenge token or code.
+ *       401:
+ *         description: Invalid code, or the challenge expired.
+ *       423:
+ *         description: The account is locked after too many failed attempts.
+ *       429:
+ *         description: Too soon after a failed attempt.
+ *     security: [] # Override global security for this public endpoint
+ */
+exports.verifyTwoFactorLogin = asyncHandler(async (req, res, next) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+
+  if (!challengeToken || (!code && !recoveryCode)) {
+    return next(new ErrorResponse('Please provide the challenge token and an authentication or recovery code', 400));
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+  } catch (err) {
+    decoded = null;
+  }
+  if (!decoded || decoded.scope !== User.TWO_FACTOR_CHALLENGE_SCOPE) {
+    return next(new ErrorResponse('Login challenge is invalid or has expired. Please log in again.', 401));
+  }
+
+  const user = await User.findById(decoded.id)
+    .select('+twoFactorSecret +twoFactorLastUsedStep +twoFactorRecoveryCodes');
+  if (!user || !user.twoFactorEnabled || user.isActive === false) {
+    return next(new ErrorResponse('Login challenge is invalid or has expired. Please log in again.', 401));
+  }
+
+  const refusal = getLoginRefusal(user, res);
+  if (refusal) {
+    return next(refusal);
+  }
+
+  const verified = code ? user.verifyTwoFactorCode(code) : user.useRecoveryCode(recoveryCode);
+  if (!verified) {
+    await recordLoginFailure(req, user, code ? 'two-factor-code' : 'recovery-code');
+    return next(new ErrorResponse('Invalid authentication code', 401));
+  }
+  if (!code) {
+    logger.warn(`User ${user.email} logged in with a recovery code; ${user.twoFactorRecoveryCodes.length} left`);
+  }
+
+  await completeLogin(user, req, res);
 });
 
 // @desc    Get current logged in user
@@ -202,20 +540,117 @@ exports.getMe = asyncHandler(async (req, res, next) => {
 
   res.status(200).json({
     success: true,
-    data: user
+    data: user,
+    // What this login (or API token) may do, so clients can adapt their UI
+    permissions: req.permissions || getUserPermissions(req.user),
+    // Policy requires two-factor authentication and it is not set up yet
+    twoFactorSetupRequired: requiresTwoFactor(req.user) && !req.user.twoFactorEnabled
   });
 });
 
-// @desc    Log user out / clear cookie
-// @route   GET /api/auth/logout
-// @access  Private
+/**
+ * @swagger
+ * /auth/refresh:
+ *   post:
+ *     summary: Get a new access token
+ *     tags: [Auth]
+ *     description: Exchanges a refresh token for a new access token and a new refresh token; the old refresh token stops working. Presenting a refresh token that was replaced within the last 30 seconds returns 409, since another request refreshed concurrently; presenting an older one signs the session out. The refresh token is read from the body, or from the httpOnly cookie when REFRESH_TOKEN_COOKIE is enabled.
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New access and refresh tokens, and user info.
+ *       401:
+ *         description: Missing, invalid, reused, expired or revoked refresh token.
+ *       409:
+ *         description: Another request refreshed with the same token moments ago; retry with the latest refresh token.
+ *     security: [] # Override global security for this public endpoint
+ */
+exports.refresh = asyncHandler(async (req, res, next) => {
+  const parsed = Session.parseRefreshToken(getRefreshToken(req));
+  if (!parsed) {
+    return next(new ErrorResponse('Please provide a valid refresh token', 401));
+  }
+
+  const session = await Session.findById(parsed.sessionId).select('+refreshTokenHash +previousRefreshTokenHash');
+  if (!session || !session.isActive()) {
+    return next(new ErrorResponse('Session has expired or was signed out. Please log in again.', 401));
+  }
+
+  const alreadyRotated = () => next(new ErrorResponse('This refresh token was just used by another request; retry with the latest refresh token', 409));
+
+  if (!session.matchesRefreshSecret(parsed.secret)) {
+    // Another tab or a retried request refreshed moments ago: not a reuse
+    if (session.matchesPreviousRefreshSecret(parsed.secret)) {
+      return alreadyRotated();
+    }
+    // An old refresh token came back: it may have been stolen, so end the session
+    logger.warn(`Refresh token reuse detected for session ${session._id} of user ${session.user}; revoking it`);
+    session.revoke('reuse-detected');
+    await session.save();
+    await auditService.record(req, 'auth.refresh-token-reuse', {
+      targetModel: 'Session',
+      targetId: session._id,
+      metadata: { user: session.user }
+    });
+    return next(new ErrorResponse('Session has expired or was signed out. Please log in again.', 401));
+  }
+
+  const user = await User.findById(session.user);
+  if (!user || user.isActive === false) {
+    return next(new ErrorResponse('Session has expired or was signed out. Please log in again.', 401));
+  }
+
+  // Rotates only if no concurrent request rotated the same token first
+  const refreshToken = await session.rotateRefreshTokenFrom(parsed.secret);
+  if (!refreshToken) {
+    return alreadyRotated();
+  }
+
+  sendSessionTokens(user, session, refreshToken, 200, res);
+});
+
+// @desc    Log user out: revokes the current session and clears the refresh cookie.
+//          Clients whose access token expired present the refresh token instead.
+// @route   POST /api/auth/logout (GET kept for older clients)
+// @access  Public (access token or refresh token)
 exports.logout = asyncHandler(async (req, res, next) => {
+  const session = req.authSession || await findSessionByRefreshToken(req);
+  if (session && session.isActive()) {
+    session.revoke('logout');
+    await session.save();
+  }
+  if (req.user || session) {
+    await auditService.record(req, 'auth.logout', req.user ? {} : { actor: { _id: session.user } });
+  }
+
+  res.clearCookie(REFRESH_COOKIE_NAME, refreshCookieOptions());
   res.status(200).json({
     success: true,
     message: 'Logged out successfully'
   });
 });
 
+// @desc    Log user out of all devices
+// @route   POST /api/auth/logout-all
+// @access  Private
+exports.logoutAll = asyncHandler(async (req, res, next) => {
+  const result = await Session.revokeAllForUser(req.user._id, 'logout-all');
+  await auditService.record(req, 'auth.logout-all', { metadata: { sessions: result.modifiedCount } });
+
+  res.clearCookie(REFRESH_COOKIE_NAME, refreshCookieOptions());
+  res.status(200).json({
+    success: true,
+    message: `Logged out of ${result.modifiedCount} sessions`
+  });
+});
+
 /**
  * @swagger
  * /auth/profile:
@@ -236,7 +671,7 @@ exports.logout = asyncHandler(async (req, res, next) => {
  *                 example: Jane Doe
  *               school:
  *                 type: string
- *                 description: School name (for teachers)
+ *                 description: School name; teachers and school coordinators must ask an admin to change it
  *                 example: Lincoln Elementary
  *               profilePicture:
  *                 type: string
@@ -284,12 +719,20 @@ exports.logout = asyncHandler(async (req, res, next) => {
  *         description: Invalid input data
  *       401:
  *         description: Not authenticated
+ *       403:
+ *         description: Teachers and school coordinators cannot change their school
  *     security:
  *       - bearerAuth: []
  */
 exports.updateProfile = asyncHandler(async (req, res, next) => {
   const { name, school, profilePicture, bio, phone } = req.body;
 
+  // The school decides which classes a school coordinator can manage, so only
+  // admins change it (PUT /api/admin/users/:id)
+  if (school !== undefined && school !== req.user.school && SCHOOL_ROLES.includes(req.user.role)) {
+    return next(new ErrorResponse('Your school can only be changed by an admin', 403));
+  }
+
   // Fields that can be updated
   const fieldsToUpdate = {};
   if (name) fieldsToUpdate.name = name;
@@ -326,14 +769,388 @@ exports.updateProfile = asyncHandler(async (req, res, next) => {
   });
 });
 
-// Get token from model, create cookie and send response
-const sendTokenResponse = (user, statusCode, res) => {
+/**
+ * @swagger
+ * /auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset email
+ *     tags: [Auth]
+ *     description: Emails a link to reset the password. The response is the same whether or not an account exists for the email.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: teacher@example.com
+ *     responses:
+ *       200:
+ *         description: Reset email sent if the account exists.
+ *       400:
+ *         description: Missing email.
+ *       500:
+ *         description: The email could not be sent.
+ *     security: [] # Override global security for this public endpoint
+ */
+exports.forgotPassword = asyncHandler(async (req, res, next) => {
+  const { email } = req.body;
+
+  if (!email) {
+    return next(new ErrorResponse('Please provide an email', 400));
+  }
+
+  const message = 'If an account exists for this email, a password reset link has been sent';
+  const user = await User.findOne({ email: normalizeEmail(email) });
+
+  // Don't reveal whether the email is registered
+  if (!user) {
+    logger.info(`Password reset requested for unknown email ${email}`);
+    return res.status(200).json({ success: true, message });
+  }
+
+  const resetToken = user.getResetPasswordToken();
+  await user.save({ validateBeforeSave: false });
+
+  const resetUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/reset-password/${resetToken}`;
+  const expiry = `${User.RESET_PASSWORD_EXPIRE_MINUTES} minutes`;
+
+  try {
+    await sendEmail({
+      to: user.email,
+      subject: 'Reset your QR Scavenger Hunt password',
+      text: `Hi ${user.name},\n\nWe received a request to reset your password. Open this link to choose a new one:\n\n${resetUrl}\n\nThe link expires in ${expiry}. If you didn't ask for this, you can ignore this email.`,
+      html: `<p>Hi ${user.name},</p><p>We received a request to reset your password. <a href="${resetUrl}">Choose a new password</a>.</p><p>The link expires in ${expiry}. If you didn't ask for this, you can ignore this email.</p>`
+    });
+  } catch (err) {
+    logger.error(`Password reset email to ${user.email} failed: ${err.message}`);
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpire = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    return next(new ErrorResponse('Email could not be sent', 500));
+  }
+
+  res.status(200).json({ success: true, message });
+});
+
+/**
+ * @swagger
+ * /auth/reset-password/{token}:
+ *   put:
+ *     summary: Reset the password with an emailed token
+ *     tags: [Auth]
+ *     description: Sets a new password using the token from the reset email and returns a new JWT token. Every existing session is signed out. Users with two-factor authentication get a challenge token instead, to finish at /auth/2fa/verify.
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 format: password
+ *                 example: newpassword123
+ *     responses:
+ *       200:
+ *         description: Password reset, returns JWT token and user info, or `twoFactorRequired` with a challenge token.
+ *       400:
+ *         description: Missing password, or the token is invalid or expired.
+ *     security: [] # Override global security for this public endpoint
+ */
+exports.resetPassword = asyncHandler(async (req, res, next) => {
+  const { password } = req.body;
+
+  if (!password) {
+    return next(new ErrorResponse('Please provide a new password', 400));
+  }
+
+  const resetPasswordToken = crypto.createHash('sha256').update(req.params.token).digest('hex');
+  const user = await User.findOne({
+    resetPasswordToken,
+    resetPasswordExpire: { $gt: Date.now() }
+  });
+
+  if (!user) {
+    return next(new ErrorResponse('Invalid or expired password reset token', 400));
+  }
+
+  user.password = password;
+  user.resetPasswordToken = undefined;
+  user.resetPasswordExpire = undefined;
+  // The reset proves ownership of the email address, so a lockout no longer applies
+  loginProtection.resetFailedLogins(user);
+  await user.save();
+
+  // Whoever knew the old password is signed out everywhere
+  await Session.revokeAllForUser(user._id, 'password-change');
+  await auditService.record(req, 'auth.password-reset', { actor: user, targetModel: 'User', targetId: user._id });
+
+  // The mailbox alone is not a second factor: finish like a login, at POST /api/auth/2fa/verify
+  if (user.twoFactorEnabled) {
+    return res.status(200).json({
+      success: true,
+      twoFactorRequired: true,
+      challengeToken: user.getTwoFactorChallengeToken()
+    });
+  }
+
+  await sendTokenResponse(user, 200, req, res);
+});
+
+/**
+ * @swagger
+ * /auth/change-password:
+ *   put:
+ *     summary: Change the password of the logged in user
+ *     tags: [Auth]
+ *     description: Requires the current password. Returns a new JWT token; every other session is signed out.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *                 format: password
+ *               newPassword:
+ *                 type: string
+ *                 format: password
+ *     responses:
+ *       200:
+ *         description: Password changed, returns JWT token and user info.
+ *       400:
+ *         description: Missing current or new password.
+ *       401:
+ *         description: Current password is incorrect, or not authenticated.
+ *     security:
+ *       - bearerAuth: []
+ */
+exports.changePassword = asyncHandler(async (req, res, next) => {
+  const { currentPassword, newPassword } = req.body;
+
+  if (!currentPassword || !newPassword) {
+    return next(new ErrorResponse('Please provide your current and new password', 400));
+  }
+
+  const user = await User.findById(req.user.id).select('+password');
+  if (!user) {
+    return next(new ErrorResponse('User not found', 404));
+  }
+
+  const isMatch = await user.matchPassword(currentPassword);
+  if (!isMatch) {
+    return next(new ErrorResponse('Current password is incorrect', 401));
+  }
+
+  user.password = newPassword;
+  await user.save();
+
+  // Sign out every device, including this one; the response starts a new session
+  await Session.revokeAllForUser(user._id, 'password-change');
+  await auditService.record(req, 'auth.password-change', { targetModel: 'User', targetId: user._id });
+
+  await sendTokenResponse(user, 200, req, res);
+});
+
+/**
+ * @swagger
+ * /auth/verify-email/{token}:
+ *   put:
+ *     summary: Verify an email address
+ *     tags: [Auth]
+ *     description: Verifies the account's email address using the token from the verification email.
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Email address verified.
+ *       400:
+ *         description: The token is invalid or expired.
+ *     security: [] # Override global security for this public endpoint
+ */
+exports.verifyEmail = asyncHandler(async (req, res, next) => {
+  const emailVerificationToken = crypto.createHash('sha256').update(req.params.token).digest('hex');
+  const user = await User.findOne({
+    emailVerificationToken,
+    emailVerificationExpire: { $gt: Date.now() }
+  });
+
+  if (!user) {
+    return next(new ErrorResponse('Invalid or expired email verification token', 400));
+  }
+
+  user.markEmailVerified();
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    message: 'Email address verified'
+  });
+});
+
+/**
+ * @swagger
+ * /auth/unlock/{token}:
+ *   put:
+ *     summary: Unlock a locked account
+ *     tags: [Auth]
+ *     description: Lifts a login lockout using the token from the lockout email and clears the failed attempts.
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Account unlocked.
+ *       400:
+ *         description: The token is invalid or expired.
+ *     security: [] # Override global security for this public endpoint
+ */
+exports.unlockAccount = asyncHandler(async (req, res, next) => {
+  const unlockToken = crypto.createHash('sha256').update(req.params.token).digest('hex');
+  const user = await User.findOne({
+    unlockToken,
+    unlockTokenExpire: { $gt: Date.now() }
+  });
+
+  if (!user) {
+    return next(new ErrorResponse('Invalid or expired unlock token', 400));
+  }
+
+  loginProtection.resetFailedLogins(user);
+  await user.save({ validateBeforeSave: false });
+  await auditService.record(req, 'auth.unlock', { actor: user, targetModel: 'User', targetId: user._id });
+
+  res.status(200).json({
+    success: true,
+    message: 'Account unlocked, you can log in again'
+  });
+});
+
+/**
+ * @swagger
+ * /auth/resend-verification:
+ *   post:
+ *     summary: Send the email verification link again
+ *     tags: [Auth]
+ *     description: Emails a new verification link to the logged in user. Earlier links stop working.
+ *     responses:
+ *       200:
+ *         description: Verification email sent.
+ *       400:
+ *         description: The email address is already verified.
+ *       500:
+ *         description: The email could not be sent.
+ *     security:
+ *       - bearerAuth: []
+ */
+exports.resendVerification = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id);
+  if (!user) {
+    return next(new ErrorResponse('User not found', 404));
+  }
+
+  if (user.isEmailVerified) {
+    return next(new ErrorResponse('Email address is already verified', 400));
+  }
+
+  const sent = await sendVerificationEmail(user);
+  if (!sent) {
+    return next(new ErrorResponse('Email could not be sent', 500));
+  }
+
+  res.status(200).json({
+    success: true,
+    message: `Verification email sent to ${user.email}`
+  });
+});
+
+const REFRESH_COOKIE_NAME = 'refreshToken';
+
+// With REFRESH_TOKEN_COOKIE=true the refresh token travels only in an
+// httpOnly cookie, out of reach of page scripts
+const useRefreshCookie = () => process.env.REFRESH_TOKEN_COOKIE === 'true';
+
+const refreshCookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  // The frontend is served from another site in production
+  sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax',
+  path: '/api/auth'
+});
+
+// Read the refresh token from the body, or from the cookie
+const getRefreshToken = (req) => {
+  if (req.body && req.body.refreshToken) return req.body.refreshToken;
+  const cookies = (req.headers && req.headers.cookie) || '';
+  const match = cookies.split(';').map(part => part.trim()).find(part => part.startsWith(`${REFRESH_COOKIE_NAME}=`));
+  return match ? decodeURIComponent(match.slice(REFRESH_COOKIE_NAME.length + 1)) : null;
+};
+
+// The session of the refresh token sent with the request, if that token is
+// the session's current one (or was rotated moments ago); null otherwise
+const findSessionByRefreshToken = async (req) => {
+  const parsed = Session.parseRefreshToken(getRefreshToken(req));
+  if (!parsed) return null;
+
+  const session = await Session.findById(parsed.sessionId).select('+refreshTokenHash +previousRefreshTokenHash');
+  if (!session) return null;
+  return session.matchesRefreshSecret(parsed.secret) || session.matchesPreviousRefreshSecret(parsed.secret)
+    ? session
+    : null;
+};
+
+// Emails are stored and looked up trimmed and lowercased
+const normalizeEmail = (email) => String(email).trim().toLowerCase();
+
+// Start a session, create the tokens and send the response
+const sendTokenResponse = async (user, statusCode, req, res) => {
+  const { session, refreshToken } = await Session.start(user, {
+    userAgent: req.headers && req.headers['user-agent'],
+    ip: req.ip
+  });
+  sendSessionTokens(user, session, refreshToken, statusCode, res);
+};
+
+// Send a short-lived access token and the session's refresh token
+const sendSessionTokens = (user, session, refreshToken, statusCode, res) => {
   // Create token
-  const token = user.getSignedJwtToken();
+  const token = user.getSignedJwtToken(session._id);
+
+  if (useRefreshCookie()) {
+    res.cookie(REFRESH_COOKIE_NAME, refreshToken, { ...refreshCookieOptions(), expires: session.expiresAt });
+  }
 
   res.status(statusCode).json({
     success: true,
     token,
+    ...(!useRefreshCookie() && { refreshToken }),
     user: {
       id: user._id,
       name: user.name,
@@ -1,14 +1,51 @@
+const mongoose = require('mongoose');
 const Class = require('../models/Class');
 const Scan = require('../models/Scan');
 const Station = require('../models/Station');
+const Event = require('../models/Event');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
 const asyncHandler = require('../middlewares/async');
 const ErrorResponse = require('../utils/errorResponse');
+const huntService = require('../services/huntService');
+const scoringService = require('../services/scoringService');
+const auditService = require('../services/auditService');
+const { canAccessClass } = require('../config/permissions');
+
+// Roster entries with the number of scans each student submitted; a student
+// counts as present when marked so or when they submitted a scan
+const describeParticipation = (students = [], scans = []) => students.map(student => {
+  const scanCount = scans.filter(scan => scan.student && scan.student.toString() === student._id.toString()).length;
+  return {
+    _id: student._id,
+    displayName: student.displayName,
+    team: student.team || null,
+    present: Boolean(student.present) || scanCount > 0,
+    scanCount
+  };
+});
+
+// Each team's progress toward the class's event stations
+const describeTeams = (teams = [], huntStationIds = []) => teams.map(team => {
+  const stationsFound = huntService.countStationsFound(team.stationsScanned, huntStationIds);
+  return {
+    _id: team._id,
+    name: team.name,
+    joinCode: team.joinCode,
+    stationsFound,
+    totalStations: huntStationIds.length,
+    progressPercentage: huntService.getProgressPercentage(team.stationsScanned, huntStationIds),
+    isCompleted: team.isCompleted,
+    completedAt: team.completedAt,
+    lastScanAt: team.lastScanAt
+  };
+});
 
-// @desc    Get all classes for the authenticated teacher
+// @desc    Get all classes for the authenticated teacher in the selected event
 // @route   GET /api/classes
 // @access  Private/Teacher
 const getClasses = asyncHandler(async (req, res, next) => {
-  const classes = await Class.find({ 'teacher._id': req.user.id }).sort({ registeredAt: -1 });
+  const classes = await Class.find({ 'teacher._id': req.user.id, event: req.event._id }).sort({ registeredAt: -1 });
 
   res.status(200).json({
     success: true,
@@ -17,14 +54,19 @@ const getClasses = asyncHandler(async (req, res, next) => {
   });
 });
 
-// @desc    Create a new class
+// @desc    Register a new class for the selected event
 // @route   POST /api/classes
 // @access  Private/Teacher
 const createClass = asyncHandler(async (req, res, next) => {
   const { name, grade, school, studentCount, classPicture, description } = req.body;
 
-  // Add teacher info to the class
+  if (['completed', 'archived'].includes(req.event.status)) {
+    return next(new ErrorResponse(`Event ${req.event.name} is ${req.event.status} and no longer accepts class registrations`, 400));
+  }
+
+  // Add teacher and event info to the class
   const classData = {
+    event: req.event._id,
     name,
     grade,
     school,
@@ -48,7 +90,7 @@ const createClass = asyncHandler(async (req, res, next) => {
 
 // @desc    Update a class
 // @route   PUT /api/classes/:id
-// @access  Private/Teacher (own classes only)
+// @access  Private/Teacher (own classes only), School coordinator or Admin
 const updateClass = asyncHandler(async (req, res, next) => {
   const { name, grade, school, studentCount, classPicture, description } = req.body;
 
@@ -58,8 +100,8 @@ const updateClass = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse(`Class not found with id of ${req.params.id}`, 404));
   }
 
-  // Make sure teacher owns class
-  if (classObj.teacher._id.toString() !== req.user.id && req.user.role !== 'admin') {
+  // Make sure teacher owns class, coordinates its school, or is admin
+  if (!canAccessClass(req, classObj)) {
     return next(new ErrorResponse(`User not authorized to update this class`, 403));
   }
 
@@ -71,10 +113,12 @@ const updateClass = asyncHandler(async (req, res, next) => {
   if (classPicture !== undefined) fieldsToUpdate.classPicture = classPicture;
   if (description !== undefined) fieldsToUpdate.description = description;
 
+  const before = classObj;
   classObj = await Class.findByIdAndUpdate(req.params.id, fieldsToUpdate, {
     new: true,
     runValidators: true
   });
+  await auditService.record(req, 'class.update', { targetModel: 'Class', targetId: classObj._id, before, after: classObj });
 
   res.status(200).json({
     success: true,
@@ -82,9 +126,35 @@ const updateClass = asyncHandler(async (req, res, next) => {
   });
 });
 
+// @desc    Delete a class: moves it to the trash, where an admin can restore
+//          it, and signs out its devices; scans of the class are kept
+// @route   DELETE /api/classes/:id
+// @access  Private/Teacher (own classes only), School coordinator or Admin
+const deleteClass = asyncHandler(async (req, res, next) => {
+  const classObj = await Class.findById(req.params.id);
+
+  if (!classObj) {
+    return next(new ErrorResponse(`Class not found with id of ${req.params.id}`, 404));
+  }
+
+  // Make sure teacher owns class, coordinates its school, or is admin
+  if (!canAccessClass(req, classObj)) {
+    return next(new ErrorResponse(`User not authorized to delete this class`, 403));
+  }
+
+  await classObj.softDelete(req.user.id);
+  await auditService.record(req, 'class.delete', { targetModel: 'Class', targetId: classObj._id });
+
+  res.status(200).json({
+    success: true,
+    message: `Class ${classObj.name} moved to the trash`,
+    data: {}
+  });
+});
+
 // @desc    Get single class details with scanned stations
 // @route   GET /api/classes/:id/details
-// @access  Private/Teacher (own classes only) or Admin
+// @access  Private/Teacher (own classes only), School coordinator or Admin
 const getClassDetails = asyncHandler(async (req, res, next) => {
   const classObj = await Class.findById(req.params.id);
 
@@ -92,8 +162,8 @@ const getClassDetails = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse(`Class not found with id of ${req.params.id}`, 404));
   }
 
-  // Make sure teacher owns class or is admin
-  if (classObj.teacher._id.toString() !== req.user.id && req.user.role !== 'admin') {
+  // Make sure teacher owns class, coordinates its school, or is admin
+  if (!canAccessClass(req, classObj)) {
     return next(new ErrorResponse(`User not authorized to view this class`, 403));
   }
 
@@ -102,18 +172,19 @@ const getClassDetails = asyncHandler(async (req, res, next) => {
   try {
     console.log(`Looking for scans for class ${req.params.id}`);
     
+    // Scans still waiting on a required quiz don't list their station yet.
     // First, let's try to find scans without populate to see what fields exist
-    let scans = await Scan.find({ classId: req.params.id });
+    let scans = await Scan.find({ classId: req.params.id, counted: { $ne: false } });
     console.log('Scans found with classId:', scans.length);
     
     if (!scans || scans.length === 0) {
       // Try alternative field names
-      scans = await Scan.find({ class: req.params.id });
+      scans = await Scan.find({ class: req.params.id, counted: { $ne: false } });
       console.log('Scans found with class field:', scans.length);
     }
     
     if (!scans || scans.length === 0) {
-      scans = await Scan.find({ 'class._id': req.params.id });
+      scans = await Scan.find({ 'class._id': req.params.id, counted: { $ne: false } });
       console.log('Scans found with class._id:', scans.length);
     }
 
@@ -135,18 +206,18 @@ const getClassDetails = asyncHandler(async (req, res, next) => {
       console.log('Using populate field:', populateField);
       
       // Re-fetch with populate
-      scans = await Scan.find({ classId: req.params.id })
+      scans = await Scan.find({ classId: req.params.id, counted: { $ne: false } })
         .populate(populateField, 'name description educationalInfo imageUrl funFacts safetyTips learningObjectives ageGroup difficulty estimatedTime activityType maxParticipants location')
         .sort({ createdAt: 1 });
         
       if (!scans || scans.length === 0) {
-        scans = await Scan.find({ class: req.params.id })
+        scans = await Scan.find({ class: req.params.id, counted: { $ne: false } })
           .populate(populateField, 'name description educationalInfo imageUrl funFacts safetyTips learningObjectives ageGroup difficulty estimatedTime activityType maxParticipants location')
           .sort({ createdAt: 1 });
       }
       
       if (!scans || scans.length === 0) {
-        scans = await Scan.find({ 'class._id': req.params.id })
+        scans = await Scan.find({ 'class._id': req.params.id, counted: { $ne: false } })
           .populate(populateField, 'name description educationalInfo imageUrl funFacts safetyTips learningObjectives ageGroup difficulty estimatedTime activityType maxParticipants location')
           .sort({ createdAt: 1 });
       }
@@ -155,7 +226,8 @@ const getClassDetails = asyncHandler(async (req, res, next) => {
         scannedStationsDetails = scans.map(scan => ({
           scanId: scan._id,
           scannedAt: scan.scannedAt || scan.createdAt,
-          station: scan[populateField] || scan.station || scan.stationId
+          station: scan[populateField] || scan.station || scan.stationId,
+          student: scan.student || null
         })).filter(item => item.station); // Filter out items where station is null
       }
     }
@@ -198,10 +270,11 @@ const getClassDetails = asyncHandler(async (req, res, next) => {
     }
   }
 
-  // Get total active stations for progress calculation
-  const totalActiveStations = await Station.countDocuments({ isActive: true });
-  const completedCount = scannedStationsDetails.length;
-  const progressPercentage = totalActiveStations > 0 ? Math.round((completedCount / totalActiveStations) * 100) : 0;
+  // Progress counts the found stations that are still part of the class's event hunt
+  const huntStationIds = await huntService.getHuntStationIds(classObj.event);
+  const totalActiveStations = huntStationIds.length;
+  const completedCount = huntService.countStationsFound(classObj.stationsScanned, huntStationIds);
+  const progressPercentage = huntService.getProgressPercentage(classObj.stationsScanned, huntStationIds);
 
   let completionTime = null;
   if (classObj.isCompleted && classObj.completedAt && classObj.registeredAt) {
@@ -213,6 +286,8 @@ const getClassDetails = asyncHandler(async (req, res, next) => {
     data: {
       class: classObj,
       scannedStations: scannedStationsDetails,
+      students: describeParticipation(classObj.students, scannedStationsDetails),
+      teams: describeTeams(classObj.teams, huntStationIds),
       progress: {
         completedCount,
         totalStations: totalActiveStations,
@@ -228,7 +303,7 @@ const getClassDetails = asyncHandler(async (req, res, next) => {
 
 // @desc    Get single class progress
 // @route   GET /api/classes/:id/progress
-// @access  Private/Teacher (own classes only) or Admin
+// @access  Private/Teacher (own classes only), School coordinator, Admin or a device joined to the class
 const getClassProgress = asyncHandler(async (req, res, next) => {
   const classObj = await Class.findById(req.params.id);
 
@@ -236,43 +311,37 @@ const getClassProgress = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse(`Class not found with id of ${req.params.id}`, 404));
   }
 
-  // Make sure teacher owns class or is admin
-  if (classObj.teacher._id.toString() !== req.user.id && req.user.role !== 'admin') {
-    return next(new ErrorResponse(`User not authorized to view this class`, 403));
-  }
-
-  const totalActiveStations = await Station.countDocuments({ isActive: true });
-  
-  // Try to get actual scan count first
-  let completedCount = 0;
-  try {
-    // Try different possible field names for class reference in scans
-    let scanCount = await Scan.countDocuments({ classId: req.params.id });
-    if (scanCount === 0) {
-      scanCount = await Scan.countDocuments({ class: req.params.id });
-    }
-    if (scanCount === 0) {
-      scanCount = await Scan.countDocuments({ 'class._id': req.params.id });
+  // Make sure the device joined this class, or the teacher owns it, or is admin
+  if (req.device) {
+    if (req.device.classId.toString() !== classObj._id.toString()) {
+      return next(new ErrorResponse(`Device not authorized to view this class`, 403));
     }
-    
-    if (scanCount > 0) {
-      completedCount = scanCount;
-    } else {
-      // Fallback to stationsScanned array
-      completedCount = classObj.stationsScanned ? classObj.stationsScanned.length : 0;
-    }
-  } catch (error) {
-    console.error('Error counting scans:', error);
-    completedCount = classObj.stationsScanned ? classObj.stationsScanned.length : 0;
+  } else if (!canAccessClass(req, classObj)) {
+    return next(new ErrorResponse(`User not authorized to view this class`, 403));
   }
 
-  const progressPercentage = totalActiveStations > 0 ? Math.round((completedCount / totalActiveStations) * 100) : 0;
+  // Found stations that were since deactivated or deleted don't count toward progress
+  const huntStationIds = await huntService.getHuntStationIds(classObj.event);
+  const totalActiveStations = huntStationIds.length;
+  const completedCount = huntService.countStationsFound(classObj.stationsScanned, huntStationIds);
+  const progressPercentage = huntService.getProgressPercentage(classObj.stationsScanned, huntStationIds);
 
   let completionTime = null;
   if (classObj.isCompleted && classObj.completedAt && classObj.registeredAt) {
     completionTime = (new Date(classObj.completedAt) - new Date(classObj.registeredAt)) / (1000 * 60); // minutes
   }
 
+  // Sequential hunts also report which station the class should find next
+  let nextStation = null;
+  const event = await Event.findById(classObj.event);
+  if (huntService.isSequential(event)) {
+    const orderedStations = await huntService.getOrderedStations(event._id);
+    nextStation = huntService.describeNextStation(
+      huntService.getNextStation(orderedStations, classObj.stationsScanned),
+      orderedStations
+    );
+  }
+
   res.status(200).json({
     success: true,
     data: {
@@ -282,23 +351,518 @@ const getClassProgress = asyncHandler(async (req, res, next) => {
       isCompleted: classObj.isCompleted,
       completedAt: classObj.completedAt,
       lastScanAt: classObj.lastScanAt,
-      completionTime
+      completionTime,
+      huntMode: event && event.settings ? event.settings.huntMode : 'free',
+      nextStation
+    }
+  });
+});
+
+// @desc    Get the clues a class has revealed and the state of their hints
+// @route   GET /api/classes/:id/hints
+// @access  Private/Teacher (own classes only), School coordinator or Admin
+const getClassHints = asyncHandler(async (req, res, next) => {
+  const classObj = await Class.findById(req.params.id);
+
+  if (!classObj) {
+    return next(new ErrorResponse(`Class not found with id of ${req.params.id}`, 404));
+  }
+
+  // Make sure teacher owns class, coordinates its school, or is admin
+  if (!canAccessClass(req, classObj)) {
+    return next(new ErrorResponse(`User not authorized to view this class`, 403));
+  }
+
+  const [scans, event] = await Promise.all([
+    Scan.find({ classId: classObj._id }).sort({ scannedAt: 1 }),
+    Event.findById(classObj.event)
+  ]);
+  const stations = await Station.find({ _id: { $in: scans.map(scan => scan.stationId) } });
+  const stationsById = new Map(stations.map(station => [station._id.toString(), station]));
+  const delayMinutes = event && event.settings ? event.settings.hintDelayMinutes : undefined;
+
+  // A station's clues are revealed when the class scans it
+  const clues = [];
+  scans.forEach(scan => {
+    const station = stationsById.get(scan.stationId.toString());
+    if (!station) return;
+
+    (station.clues || []).forEach(clue => {
+      clues.push({
+        station: { _id: station._id, name: station.name },
+        revealedAt: scan.scannedAt,
+        clue: huntService.presentClue(clue),
+        hints: huntService.describeHints(clue, {
+          revealedAt: scan.scannedAt,
+          hintsUsed: classObj.hintsUsed,
+          delayMinutes
+        })
+      });
+    });
+  });
+
+  res.status(200).json({
+    success: true,
+    count: clues.length,
+    hintsUsed: (classObj.hintsUsed || []).length,
+    data: clues
+  });
+});
+
+// @desc    Unlock the next hint tier of a revealed clue
+// @route   POST /api/classes/:id/hints
+// @access  Private/Teacher (own classes only), School coordinator or Admin
+const useClassHint = asyncHandler(async (req, res, next) => {
+  const { stationId, clueId } = req.body;
+
+  if (!stationId || !clueId) {
+    return next(new ErrorResponse('Please provide stationId and clueId', 400));
+  }
+  if (!mongoose.Types.ObjectId.isValid(stationId) || !mongoose.Types.ObjectId.isValid(clueId)) {
+    return next(new ErrorResponse('stationId and clueId must be valid ids', 400));
+  }
+
+  const classObj = await Class.findById(req.params.id);
+
+  if (!classObj) {
+    return next(new ErrorResponse(`Class not found with id of ${req.params.id}`, 404));
+  }
+
+  // Make sure teacher owns class, coordinates its school, or is admin
+  if (!canAccessClass(req, classObj)) {
+    return next(new ErrorResponse(`User not authorized to update this class`, 403));
+  }
+
+  const station = await Station.findById(stationId);
+  const clue = station && station.clues ? station.clues.id(clueId) : null;
+
+  if (!clue) {
+    return next(new ErrorResponse(`Clue not found with id of ${clueId}`, 404));
+  }
+
+  const scan = await Scan.findOne({ classId: classObj._id, stationId: station._id });
+
+  if (!scan) {
+    return next(new ErrorResponse('This clue has not been revealed to the class yet', 400));
+  }
+
+  const event = await Event.findById(classObj.event);
+  const hints = huntService.describeHints(clue, {
+    revealedAt: scan.scannedAt,
+    hintsUsed: classObj.hintsUsed,
+    delayMinutes: event && event.settings ? event.settings.hintDelayMinutes : undefined
+  });
+
+  // Hints unlock one tier at a time
+  const nextHint = hints.find(hint => !hint.used);
+
+  if (!nextHint) {
+    return next(new ErrorResponse('All hints for this clue have already been used', 400));
+  }
+
+  if (!nextHint.available) {
+    return next(new ErrorResponse(
+      `Hint ${nextHint.tier} unlocks at ${nextHint.unlockAt.toISOString()}`,
+      400,
+      { tier: nextHint.tier, unlockAt: nextHint.unlockAt }
+    ));
+  }
+
+  classObj.hintsUsed.push({ station: station._id, clue: clue._id, tier: nextHint.tier, usedAt: new Date() });
+  await scoringService.refreshClassScore(classObj, event);
+  await classObj.save();
+
+  res.status(201).json({
+    success: true,
+    data: {
+      stationId: station._id,
+      clueId: clue._id,
+      tier: nextHint.tier,
+      text: clue.hints[nextHint.tier - 1].text,
+      remainingHints: hints.length - nextHint.tier
+    }
+  });
+});
+
+// @desc    Get the class roster with each student's participation
+// @route   GET /api/classes/:id/students
+// @access  Private/Teacher (own classes only), School coordinator or Admin
+const getClassStudents = asyncHandler(async (req, res, next) => {
+  const classObj = await Class.findById(req.params.id);
+
+  if (!classObj) {
+    return next(new ErrorResponse(`Class not found with id of ${req.params.id}`, 404));
+  }
+
+  // Make sure teacher owns class, coordinates its school, or is admin
+  if (!canAccessClass(req, classObj)) {
+    return next(new ErrorResponse(`User not authorized to view this class`, 403));
+  }
+
+  const scans = await Scan.find({ classId: classObj._id, student: { $exists: true } }).select('student');
+  const students = describeParticipation(classObj.students, scans);
+
+  res.status(200).json({
+    success: true,
+    count: students.length,
+    data: students
+  });
+});
+
+// @desc    Add students to the class roster
+// @route   POST /api/classes/:id/students
+// @access  Private/Teacher (own classes only), School coordinator or Admin
+const addClassStudents = asyncHandler(async (req, res, next) => {
+  const { students } = req.body;
+
+  if (!Array.isArray(students) || students.length === 0) {
+    return next(new ErrorResponse('Please provide students as a non-empty array', 400));
+  }
+  const invalidIndex = students.findIndex(student => !student || typeof student !== 'object' || Array.isArray(student));
+  if (invalidIndex !== -1) {
+    return next(new ErrorResponse(`Student at index ${invalidIndex} must be an object`, 400));
+  }
+
+  const classObj = await Class.findById(req.params.id);
+
+  if (!classObj) {
+    return next(new ErrorResponse(`Class not found with id of ${req.params.id}`, 404));
+  }
+
+  // Make sure teacher owns class, coordinates its school, or is admin
+  if (!canAccessClass(req, classObj)) {
+    return next(new ErrorResponse(`User not authorized to update this class`, 403));
+  }
+
+  // Only the fields the roster keeps are accepted
+  students.forEach(({ displayName, team }) => {
+    classObj.students.push({ displayName, team });
+  });
+  await classObj.save();
+
+  res.status(201).json({
+    success: true,
+    count: classObj.students.length,
+    data: classObj.students
+  });
+});
+
+// @desc    Update a student's name, team or attendance
+// @route   PUT /api/classes/:id/students/:studentId
+// @access  Private/Teacher (own classes only), School coordinator or Admin
+const updateClassStudent = asyncHandler(async (req, res, next) => {
+  const classObj = await Class.findById(req.params.id);
+
+  if (!classObj) {
+    return next(new ErrorResponse(`Class not found with id of ${req.params.id}`, 404));
+  }
+
+  // Make sure teacher owns class, coordinates its school, or is admin
+  if (!canAccessClass(req, classObj)) {
+    return next(new ErrorResponse(`User not authorized to update this class`, 403));
+  }
+
+  const student = classObj.students.id(req.params.studentId);
+  if (!student) {
+    return next(new ErrorResponse(`Student not found with id of ${req.params.studentId}`, 404));
+  }
+
+  const { displayName, team, present } = req.body;
+  if (displayName !== undefined) student.displayName = displayName;
+  if (team !== undefined) student.team = team;
+  if (present !== undefined) student.present = present;
+  await classObj.save();
+
+  res.status(200).json({
+    success: true,
+    data: student
+  });
+});
+
+// @desc    Delete a student, or the whole roster, and unlink their scans
+// @route   DELETE /api/classes/:id/students/:studentId
+// @route   DELETE /api/classes/:id/students
+// @access  Private/Teacher (own classes only), School coordinator or Admin
+const deleteClassStudents = asyncHandler(async (req, res, next) => {
+  const classObj = await Class.findById(req.params.id);
+
+  if (!classObj) {
+    return next(new ErrorResponse(`Class not found with id of ${req.params.id}`, 404));
+  }
+
+  // Make sure teacher owns class, coordinates its school, or is admin
+  if (!canAccessClass(req, classObj)) {
+    return next(new ErrorResponse(`User not authorized to update this class`, 403));
+  }
+
+  const scanFilter = { classId: classObj._id };
+  if (req.params.studentId) {
+    if (!classObj.students.id(req.params.studentId)) {
+      return next(new ErrorResponse(`Student not found with id of ${req.params.studentId}`, 404));
+    }
+    classObj.students.pull(req.params.studentId);
+    scanFilter.student = req.params.studentId;
+  } else {
+    classObj.students = [];
+    scanFilter.student = { $exists: true };
+  }
+
+  await classObj.save();
+  // Scans stay for the class; only the link to the student is removed
+  await Scan.updateMany(scanFilter, { $unset: { student: 1 } });
+
+  res.status(200).json({
+    success: true,
+    count: classObj.students.length,
+    data: classObj.students
+  });
+});
+
+// @desc    Get the teams of a class with their progress
+// @route   GET /api/classes/:id/teams
+// @access  Private/Teacher (own classes only), School coordinator or Admin
+const getClassTeams = asyncHandler(async (req, res, next) => {
+  const classObj = await Class.findById(req.params.id);
+
+  if (!classObj) {
+    return next(new ErrorResponse(`Class not found with id of ${req.params.id}`, 404));
+  }
+
+  // Make sure the device joined this class, or the teacher owns it, or is admin
+  if (req.device) {
+    if (req.device.classId.toString() !== classObj._id.toString()) {
+      return next(new ErrorResponse(`Device not authorized to view this class`, 403));
+    }
+  } else if (!canAccessClass(req, classObj)) {
+    return next(new ErrorResponse(`User not authorized to view this class`, 403));
+  }
+
+  const huntStationIds = await huntService.getHuntStationIds(classObj.event);
+  const teams = describeTeams(classObj.teams, huntStationIds);
+
+  res.status(200).json({
+    success: true,
+    count: teams.length,
+    data: teams
+  });
+});
+
+// @desc    Split a class into teams that hunt independently
+// @route   POST /api/classes/:id/teams
+// @access  Private/Teacher (own classes only), School coordinator or Admin
+const createClassTeams = asyncHandler(async (req, res, next) => {
+  const { teams } = req.body;
+
+  if (!Array.isArray(teams) || teams.length === 0) {
+    return next(new ErrorResponse('Please provide teams as a non-empty array', 400));
+  }
+  const invalidIndex = teams.findIndex(team =>
+    !team || typeof team !== 'object' || typeof team.name !== 'string' || !team.name.trim());
+  if (invalidIndex !== -1) {
+    return next(new ErrorResponse(`Team at index ${invalidIndex} must be an object with a name`, 400));
+  }
+
+  const classObj = await Class.findById(req.params.id);
+
+  if (!classObj) {
+    return next(new ErrorResponse(`Class not found with id of ${req.params.id}`, 404));
+  }
+
+  // Make sure teacher owns class, coordinates its school, or is admin
+  if (!canAccessClass(req, classObj)) {
+    return next(new ErrorResponse(`User not authorized to update this class`, 403));
+  }
+
+  // Join codes and progress are generated, never taken from the request
+  teams.forEach(({ name }) => {
+    classObj.teams.push({ name });
+  });
+  await classObj.save();
+
+  res.status(201).json({
+    success: true,
+    count: classObj.teams.length,
+    data: classObj.teams
+  });
+});
+
+// @desc    Rename a team
+// @route   PUT /api/classes/:id/teams/:teamId
+// @access  Private/Teacher (own classes only), School coordinator or Admin
+const updateClassTeam = asyncHandler(async (req, res, next) => {
+  const classObj = await Class.findById(req.params.id);
+
+  if (!classObj) {
+    return next(new ErrorResponse(`Class not found with id of ${req.params.id}`, 404));
+  }
+
+  // Make sure teacher owns class, coordinates its school, or is admin
+  if (!canAccessClass(req, classObj)) {
+    return next(new ErrorResponse(`User not authorized to update this class`, 403));
+  }
+
+  const team = classObj.teams.id(req.params.teamId);
+  if (!team) {
+    return next(new ErrorResponse(`Team not found with id of ${req.params.teamId}`, 404));
+  }
+
+  if (req.body.name !== undefined) team.name = req.body.name;
+  await classObj.save();
+
+  res.status(200).json({
+    success: true,
+    data: team
+  });
+});
+
+// @desc    Delete a team that has not scanned any station
+// @route   DELETE /api/classes/:id/teams/:teamId
+// @access  Private/Teacher (own classes only), School coordinator or Admin
+const deleteClassTeam = asyncHandler(async (req, res, next) => {
+  const classObj = await Class.findById(req.params.id);
+
+  if (!classObj) {
+    return next(new ErrorResponse(`Class not found with id of ${req.params.id}`, 404));
+  }
+
+  // Make sure teacher owns class, coordinates its school, or is admin
+  if (!canAccessClass(req, classObj)) {
+    return next(new ErrorResponse(`User not authorized to update this class`, 403));
+  }
+
+  const team = classObj.teams.id(req.params.teamId);
+  if (!team) {
+    return next(new ErrorResponse(`Team not found with id of ${req.params.teamId}`, 404));
+  }
+
+  const scanCount = await Scan.countDocuments({ classId: classObj._id, team: team._id });
+  if (scanCount > 0) {
+    return next(new ErrorResponse(`Team ${team.name} has already scanned stations and cannot be deleted`, 400));
+  }
+
+  classObj.teams.pull(team._id);
+  await classObj.save();
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
+
+// @desc    Look up a team by its join code so a device can scan for it
+// @route   POST /api/classes/teams/join
+// @access  Private
+const joinTeam = asyncHandler(async (req, res, next) => {
+  const { joinCode } = req.body;
+
+  if (!joinCode) {
+    return next(new ErrorResponse('Please provide a joinCode', 400));
+  }
+
+  const code = String(joinCode).trim().toUpperCase();
+  const classObj = await Class.findOne({ 'teams.joinCode': code, isActive: true });
+  const team = classObj ? classObj.teams.find(entry => entry.joinCode === code) : null;
+
+  if (!team) {
+    return next(new ErrorResponse('No team found for this join code', 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      classId: classObj._id,
+      className: classObj.name,
+      teamId: team._id,
+      teamName: team.name
+    }
+  });
+});
+
+// @desc    Exchange a class code (and optional team) for a scan-only device token
+// @route   POST /api/classes/join
+// @access  Public
+const joinClass = asyncHandler(async (req, res, next) => {
+  const { classCode, teamId, teamCode } = req.body;
+
+  if (!classCode) {
+    return next(new ErrorResponse('Please provide a classCode', 400));
+  }
+
+  const classObj = await Class.findOne({ classCode: String(classCode).trim().toUpperCase(), isActive: true });
+  if (!classObj) {
+    return next(new ErrorResponse('No active class found for this class code', 404));
+  }
+
+  let team = null;
+  if (teamId || teamCode) {
+    const teams = classObj.teams || [];
+    team = teamId
+      ? teams.find(entry => entry._id.toString() === teamId.toString())
+      : teams.find(entry => entry.joinCode === String(teamCode).trim().toUpperCase());
+    if (!team) {
+      return next(new ErrorResponse(`Team ${teamId || teamCode} not found in class ${classObj.name}`, 404));
+    }
+  }
+
+  const token = classObj.getSignedDeviceToken(team);
+  const { exp } = jwt.decode(token);
+
+  res.status(200).json({
+    success: true,
+    token,
+    expiresAt: new Date(exp * 1000),
+    data: {
+      classId: classObj._id,
+      className: classObj.name,
+      teamId: team ? team._id : null,
+      teamName: team ? team.name : null
+    }
+  });
+});
+
+// @desc    Revoke every device token issued for a class
+// @route   DELETE /api/classes/:id/devices
+// @access  Private/Teacher (own classes only), School coordinator or Admin
+const revokeClassDevices = asyncHandler(async (req, res, next) => {
+  const classObj = await Class.findById(req.params.id);
+
+  if (!classObj) {
+    return next(new ErrorResponse(`Class not found with id of ${req.params.id}`, 404));
+  }
+
+  // Make sure teacher owns class, coordinates its school, or is admin
+  if (!canAccessClass(req, classObj)) {
+    return next(new ErrorResponse(`User not authorized to update this class`, 403));
+  }
+
+  classObj.deviceTokenVersion = (classObj.deviceTokenVersion || 0) + 1;
+  // Optionally issue a new class code so revoked devices cannot simply join again
+  if (req.query.regenerateCode === 'true') {
+    classObj.classCode = crypto.randomBytes(3).toString('hex').toUpperCase();
+  }
+  await classObj.save();
+
+  res.status(200).json({
+    success: true,
+    data: {
+      classCode: classObj.classCode
     }
   });
 });
 
 // @desc    Get single class details
 // @route   GET /api/classes/:id
-// @access  Private/Teacher (own classes only) or Admin
+// @access  Private/Teacher (own classes only), School coordinator or Admin
 const getClass = asyncHandler(async (req, res, next) => {
-  const classObj = await Class.findById(req.params.id).populate('stationsScanned', 'name');
+  const classObj = await Class.findById(req.params.id)
+    .populate({ path: 'stationsScanned', select: 'name', options: { withDeleted: true } }); // Found stations stay listed after deletion
 
   if (!classObj) {
     return next(new ErrorResponse(`Class not found with id of ${req.params.id}`, 404));
   }
 
-  // Make sure teacher owns class or is admin
-  if (classObj.teacher._id.toString() !== req.user.id && req.user.role !== 'admin') {
+  // Make sure teacher owns class, coordinates its school, or is admin
+  if (!canAccessClass(req, classObj)) {
     return next(new ErrorResponse(`User not authorized to view this class`, 403));
   }
 
@@ -312,7 +876,21 @@ module.exports = {
   getClasses,
   createClass,
   updateClass,
+  deleteClass,
   getClassDetails,
   getClassProgress,
+  getClassHints,
+  useClassHint,
+  getClassStudents,
+  addClassStudents,
+  updateClassStudent,
+  deleteClassStudents,
+  getClassTeams,
+  createClassTeams,
+  updateClassTeam,
+  deleteClassTeam,
+  joinTeam,
+  joinClass,
+  revokeClassDevices,
   getClass
 };
\ No newline at end of file
@@ -1,9 +1,13 @@
 const Drawing = require('../models/Drawing');
 const Class = require('../models/Class');
-const Station = require('../models/Station');
 const Scan = require('../models/Scan');
 const asyncHandler = require('../middlewares/async');
 const ErrorResponse = require('../utils/errorResponse');
+const liveEventService = require('../services/liveEventService');
+const auditService = require('../services/auditService');
+const huntService = require('../services/huntService');
+// Winners stay listed when their class is later moved to the trash
+const WINNER_CLASS_POPULATE = { path: 'winners.class', select: 'name school teacher.name', options: { withDeleted: true } };
 // const { sendEmail } = require('../services/emailService'); // We'll create this later
 
 /**
@@ -15,12 +19,19 @@ const ErrorResponse = require('../utils/errorResponse');
  *       properties:
  *         _id:
  *           type: string
+ *         event:
+ *           type: string # Event ID
  *         name:
  *           type: string
  *           example: "Spring Education Day Raffle"
  *         date:
  *           type: string
  *           format: date-time
+ *         entrantType:
+ *           type: string
+ *           enum: [class, team]
+ *           default: class
+ *           description: "'team' draws among the teams of classes instead of whole classes"
  *         eligibleClasses:
  *           type: array
  *           items:
@@ -32,6 +43,10 @@ const ErrorResponse = require('../utils/errorResponse');
  *             properties:
  *               class:
  *                 type: string # Class ID
+ *               team:
+ *                 type: string # Team ID, for team drawings
+ *               teamName:
+ *                 type: string
  *               prize:
  *                 type: string
  *                 example: "Grand Prize Pizza Party"
@@ -67,6 +82,10 @@ const ErrorResponse = require('../utils/errorResponse');
  *           type: string
  *           format: date-time
  *           description: "Date of the drawing, defaults to now if not provided"
+ *         entrantType:
+ *           type: string
+ *           enum: [class, team]
+ *           example: class
  *         weightingFactors:
  *           type: object
  *           properties:
@@ -104,7 +123,7 @@ const ErrorResponse = require('../utils/errorResponse');
  *   post:
  *     summary: Create a new drawing configuration
  *     tags: [Drawings]
- *     description: Admin creates a new drawing event.
+ *     description: Admin creates a new drawing for the selected hunt event (`?event=` or `X-Event-Id`, defaults to the current active event).
  *     requestBody:
  *       required: true
  *       content:
@@ -125,7 +144,9 @@ const ErrorResponse = require('../utils/errorResponse');
  */
 exports.createDrawing = asyncHandler(async (req, res, next) => {
   req.body.createdBy = req.user.id;
+  req.body.event = req.event._id;
   const drawing = await Drawing.create(req.body);
+  await auditService.record(req, 'drawing.create', { targetModel: 'Drawing', targetId: drawing._id, after: drawing });
   res.status(201).json({ success: true, data: drawing });
 });
 
@@ -135,7 +156,7 @@ exports.createDrawing = asyncHandler(async (req, res, next) => {
  *   get:
  *     summary: Get all drawing configurations
  *     tags: [Drawings]
- *     description: Admin retrieves a list of all drawing events.
+ *     description: Admin retrieves a list of all drawings for the selected hunt event.
  *     responses:
  *       200:
  *         description: A list of drawings.
@@ -149,7 +170,7 @@ exports.createDrawing = asyncHandler(async (req, res, next) => {
  *       - bearerAuth: []
  */
 exports.getDrawings = asyncHandler(async (req, res, next) => {
-  const drawings = await Drawing.find().populate('createdBy', 'name email').populate('winners.class', 'name school teacher.name');
+  const drawings = await Drawing.find({ event: req.event._id }).populate('createdBy', 'name email').populate(WINNER_CLASS_POPULATE);
   res.status(200).json({ success: true, count: drawings.length, data: drawings });
 });
 
@@ -179,13 +200,46 @@ exports.getDrawings = asyncHandler(async (req, res, next) => {
  *       - bearerAuth: []
  */
 exports.getDrawing = asyncHandler(async (req, res, next) => {
-  const drawing = await Drawing.findById(req.params.id).populate('createdBy', 'name email').populate('winners.class', 'name school teacher.name');
+  const drawing = await Drawing.findById(req.params.id).populate('createdBy', 'name email').populate(WINNER_CLASS_POPULATE);
   if (!drawing) {
     return next(new ErrorResponse(`Drawing not found with id of ${req.params.id}`, 404));
   }
   res.status(200).json({ success: true, data: drawing });
 });
 
+/**
+ * @swagger
+ * /drawings/{id}:
+ *   delete:
+ *     summary: Delete a drawing
+ *     tags: [Drawings]
+ *     description: Moves the drawing and its results to the trash, where an admin can restore it.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Drawing moved to the trash.
+ *       404:
+ *         description: Drawing not found.
+ *     security:
+ *       - bearerAuth: []
+ */
+exports.deleteDrawing = asyncHandler(async (req, res, next) => {
+  const drawing = await Drawing.findById(req.params.id);
+  if (!drawing) {
+    return next(new ErrorResponse(`Drawing not found with id of ${req.params.id}`, 404));
+  }
+
+  await drawing.softDelete(req.user.id);
+  await auditService.record(req, 'drawing.delete', { targetModel: 'Drawing', targetId: drawing._id });
+
+  res.status(200).json({ success: true, message: `Drawing ${drawing.name} moved to the trash`, data: {} });
+});
+
 /**
  * @swagger
  * /drawings/{id}/run:
@@ -236,28 +290,43 @@ exports.runDrawing = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('This drawing has already been completed.', 409));
   }
 
-  const allStations = await Station.find({ isActive: true });
-  const totalPossibleStations = allStations.length;
+  const huntStationIds = await huntService.getHuntStationIds(drawing.event);
+  const totalPossibleStations = huntStationIds.length;
 
   if (totalPossibleStations === 0) {
       return next(new ErrorResponse('No active stations found. Cannot determine eligibility.', 400));
   }
 
-  // Find all active classes
-  const activeClasses = await Class.find({ isActive: true }).populate('teacher', 'email name');
+  // Find all active classes registered for the drawing's event
+  const activeClasses = await Class.find({ event: drawing.event, isActive: true }).populate('teacher', 'email name');
+
+  // Entrants are whole classes, or each team of each class
+  const entrants = [];
+  for (const classObj of activeClasses) {
+    // Scans still waiting on a required quiz do not count
+    const classScans = await Scan.find({ classId: classObj._id, event: drawing.event, counted: { $ne: false } });
+    if (drawing.entrantType === 'team') {
+      (classObj.teams || []).forEach(team => {
+        entrants.push({ classObj, team, scans: classScans.filter(s => s.team && s.team.toString() === team._id.toString()) });
+      });
+    } else {
+      entrants.push({ classObj, team: null, scans: classScans });
+    }
+  }
 
   let eligibleEntries = [];
 
-  for (const classObj of activeClasses) {
-    const scans = await Scan.find({ class: classObj._id });
-    const uniqueStationsScanned = new Set(scans.map(s => s.station.toString()));
-    const stationsFoundCount = uniqueStationsScanned.size;
+  for (const { classObj, team, scans } of entrants) {
+    // Stations deactivated or deleted since they were found don't count
+    const stationsFoundCount = huntService.countStationsFound(scans.map(s => s.stationId), huntStationIds);
 
     // P0: Only classes that found ALL stations are eligible
     if (stationsFoundCount < totalPossibleStations) {
         continue; // Skip this class if they haven't found all stations
     }
-    drawing.eligibleClasses.push(classObj._id); // Add to eligible list in drawing doc
+    if (!drawing.eligibleClasses.some(id => id.toString() === classObj._id.toString())) {
+      drawing.eligibleClasses.push(classObj._id); // Add to eligible list in drawing doc
+    }
 
     let weight = 1; // Base weight
 
@@ -272,7 +341,7 @@ exports.runDrawing = asyncHandler(async (req, res, next) => {
         
         const lastScanByStation = {};
         sortedScans.forEach(scan => {
-            lastScanByStation[scan.station.toString()] = scan.scannedAt;
+            lastScanByStation[scan.stationId.toString()] = scan.scannedAt;
         });
         const endTime = Math.max(...Object.values(lastScanByStation).map(date => date.getTime()));
         
@@ -298,7 +367,15 @@ exports.runDrawing = asyncHandler(async (req, res, next) => {
     weight = Math.max(1, Math.round(weight)); 
 
     for (let i = 0; i < weight; i++) {
-      eligibleEntries.push({ classId: classObj._id, className: classObj.name, teacherEmail: classObj.teacher.email, teacherName: classObj.teacher.name });
+      eligibleEntries.push({
+        entrantId: (team ? team._id : classObj._id).toString(),
+        classId: classObj._id,
+        className: classObj.name,
+        teamId: team ? team._id : undefined,
+        teamName: team ? team.name : undefined,
+        teacherEmail: classObj.teacher.email,
+        teacherName: classObj.teacher.name
+      });
     }
   }
 
@@ -308,7 +385,7 @@ exports.runDrawing = asyncHandler(async (req, res, next) => {
 
   // Shuffle and pick winners
   const winners = [];
-  const pickedClassIds = new Set();
+  const pickedEntrantIds = new Set();
 
   // Shuffle the entries array
   for (let i = eligibleEntries.length - 1; i > 0; i--) {
@@ -317,13 +394,14 @@ exports.runDrawing = asyncHandler(async (req, res, next) => {
   }
   
   for (const entry of eligibleEntries) {
-    if (winners.length < numberOfWinners && !pickedClassIds.has(entry.classId)) {
+    if (winners.length < numberOfWinners && !pickedEntrantIds.has(entry.entrantId)) {
       winners.push({
         class: entry.classId,
+        ...(entry.teamId && { team: entry.teamId, teamName: entry.teamName }),
         prize: prizeDescription || "Scavenger Hunt Prize",
         notified: false // Will be set to true after email notification
       });
-      pickedClassIds.add(entry.classId);
+      pickedEntrantIds.add(entry.entrantId);
     }
     if (winners.length >= numberOfWinners) break;
   }
@@ -331,6 +409,34 @@ exports.runDrawing = asyncHandler(async (req, res, next) => {
   drawing.winners = winners;
   drawing.status = 'completed';
   await drawing.save();
+  await auditService.record(req, 'drawing.run', {
+    targetModel: 'Drawing',
+    targetId: drawing._id,
+    metadata: {
+      numberOfWinners,
+      prizeDescription,
+      entrants: entrants.length,
+      winners: winners.map(winner => ({ class: winner.class, team: winner.team }))
+    }
+  });
+
+  liveEventService.publish('drawing', {
+    event: drawing.event,
+    data: {
+      drawingId: drawing._id,
+      name: drawing.name,
+      winners: winners.map(winner => {
+        const classInfo = activeClasses.find(c => c._id.toString() === winner.class.toString());
+        return {
+          classId: winner.class,
+          className: classInfo ? classInfo.name : null,
+          teamName: winner.teamName || null,
+          school: classInfo ? classInfo.school : null,
+          prize: winner.prize
+        };
+      })
+    }
+  });
 
   // TODO P0: Email notification to winning teachers
   // for (const winner of winners) {
@@ -361,7 +467,14 @@ exports.runDrawing = asyncHandler(async (req, res, next) => {
  *   get:
  *     summary: Get all classes eligible for a drawing
  *     tags: [Drawings]
- *     description: Admin retrieves a list of classes that have completed the scavenger hunt (scanned all active stations).
+ *     description: Admin retrieves a list of classes in the selected hunt event that have completed the scavenger hunt (scanned all active stations). With `entrantType=team`, each eligible entry is a team and carries `team` details.
+ *     parameters:
+ *       - in: query
+ *         name: entrantType
+ *         schema:
+ *           type: string
+ *           enum: [class, team]
+ *           default: class
  *     responses:
  *       200:
  *         description: A list of eligible classes.
@@ -408,22 +521,43 @@ exports.runDrawing = asyncHandler(async (req, res, next) => {
  *       - bearerAuth: []
  */
 exports.getEligibleClassesForDrawing = asyncHandler(async (req, res, next) => {
-    const activeStations = await Station.find({ isActive: true });
-    const totalPossibleStations = activeStations.length;
+    const huntStationIds = await huntService.getHuntStationIds(req.event._id);
+    const totalPossibleStations = huntStationIds.length;
 
     if (totalPossibleStations === 0) {
         return next(new ErrorResponse('No active stations found. Cannot determine eligibility for drawing.', 400));
     }
 
-    const allClasses = await Class.find({ isActive: true })
+    const allClasses = await Class.find({ event: req.event._id, isActive: true })
         .populate('teacher', 'name email'); // Populate relevant teacher details
 
     const eligibleClassesOutput = [];
 
     for (const classObj of allClasses) {
-        const classScans = await Scan.find({ class: classObj._id });
-        const uniqueStationsScannedForClass = new Set(classScans.map(scan => scan.station.toString()));
-        const stationsFoundCount = uniqueStationsScannedForClass.size;
+        const classScans = await Scan.find({ classId: classObj._id, event: req.event._id, counted: { $ne: false } });
+
+        if (req.query.entrantType === 'team') {
+            (classObj.teams || []).forEach(team => {
+                const teamStationsFound = huntService.countStationsFound(classScans
+                    .filter(scan => scan.team && scan.team.toString() === team._id.toString())
+                    .map(scan => scan.stationId), huntStationIds);
+                if (teamStationsFound >= totalPossibleStations) {
+                    eligibleClassesOutput.push({
+                        _id: classObj._id,
+                        name: classObj.name,
+                        school: classObj.school,
+                        grade: classObj.grade,
+                        team: { _id: team._id, name: team.name },
+                        stationsFound: teamStationsFound,
+                        totalStations: totalPossibleStations,
+                        isEligible: true
+                    });
+                }
+            });
+            continue;
+        }
+
+        const stationsFoundCount = huntService.countStationsFound(classScans.map(scan => scan.stationId), huntStationIds);
 
         if (stationsFoundCount >= totalPossibleStations) { // Class is eligible
             eligibleClassesOutput.push({
@@ -453,6 +587,7 @@ module.exports = {
   createDrawing: exports.createDrawing,
   getDrawings: exports.getDrawings,
   getDrawing: exports.getDrawing,
+  deleteDrawing: exports.deleteDrawing,
   runDrawing: exports.runDrawing,
   getEligibleClassesForDrawing: exports.getEligibleClassesForDrawing // Add the new function here
 };
\ No newline at end of file
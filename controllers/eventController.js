@@ -0,0 +1,174 @@
+const Event = require('../models/Event');
+const Station = require('../models/Station');
+const Class = require('../models/Class');
+const Drawing = require('../models/Drawing');
+const asyncHandler = require('../middlewares/async');
+const ErrorResponse = require('../utils/errorResponse');
+const auditService = require('../services/auditService');
+
+// Settings are merged key by key, so they must be a plain object
+const isSettingsObject = (settings) =>
+  settings !== null && typeof settings === 'object' && !Array.isArray(settings);
+
+// @desc    Create a new event
+// @route   POST /api/events
+// @access  Private/Admin
+const createEvent = asyncHandler(async (req, res, next) => {
+  const { name, description, startDate, endDate, status, settings } = req.body;
+
+  if (settings !== undefined && !isSettingsObject(settings)) {
+    return next(new ErrorResponse('settings must be an object', 400));
+  }
+
+  const event = await Event.create({
+    name,
+    description,
+    startDate,
+    endDate,
+    status,
+    settings,
+    createdBy: req.user.id
+  });
+  await auditService.record(req, 'event.create', { targetModel: 'Event', targetId: event._id, after: event });
+
+  res.status(201).json({
+    success: true,
+    data: event
+  });
+});
+
+// @desc    Get all events
+// @route   GET /api/events
+// @access  Private
+const getEvents = asyncHandler(async (req, res, next) => {
+  const filter = {};
+  if (req.query.status) filter.status = req.query.status;
+
+  const events = await Event.find(filter).sort({ startDate: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: events.length,
+    data: events
+  });
+});
+
+// @desc    Get the current active event
+// @route   GET /api/events/current
+// @access  Private
+const getCurrentEvent = asyncHandler(async (req, res, next) => {
+  const event = await Event.findCurrent();
+
+  if (!event) {
+    return next(new ErrorResponse('No active event found', 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: event
+  });
+});
+
+// @desc    Get a single event with participation counts
+// @route   GET /api/events/:id
+// @access  Private
+const getEvent = asyncHandler(async (req, res, next) => {
+  const event = await Event.findById(req.params.id);
+
+  if (!event) {
+    return next(new ErrorResponse(`Event not found with id of ${req.params.id}`, 404));
+  }
+
+  const [stationCount, classCount, completedClassCount] = await Promise.all([
+    Station.countDocuments({ event: event._id, isActive: true }),
+    Class.countDocuments({ event: event._id, isActive: true }),
+    Class.countDocuments({ event: event._id, isActive: true, isCompleted: true })
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      event,
+      stats: {
+        stationCount,
+        classCount,
+        completedClassCount
+      }
+    }
+  });
+});
+
+// @desc    Update an event
+// @route   PUT /api/events/:id
+// @access  Private/Admin
+const updateEvent = asyncHandler(async (req, res, next) => {
+  const { name, description, startDate, endDate, status, settings } = req.body;
+
+  if (settings !== undefined && !isSettingsObject(settings)) {
+    return next(new ErrorResponse('settings must be an object', 400));
+  }
+
+  const event = await Event.findById(req.params.id);
+
+  if (!event) {
+    return next(new ErrorResponse(`Event not found with id of ${req.params.id}`, 404));
+  }
+
+  const before = auditService.toPlain(event);
+  if (name !== undefined) event.name = name;
+  if (description !== undefined) event.description = description;
+  if (startDate !== undefined) event.startDate = startDate;
+  if (endDate !== undefined) event.endDate = endDate;
+  if (status !== undefined) event.status = status;
+  if (settings !== undefined) {
+    // Merge so a partial settings update keeps the other settings
+    Object.keys(settings).forEach(key => event.set(`settings.${key}`, settings[key]));
+  }
+
+  // Saving (rather than findByIdAndUpdate) keeps the start/end date validation
+  await event.save();
+  await auditService.record(req, 'event.update', { targetModel: 'Event', targetId: event._id, before, after: event });
+
+  res.status(200).json({
+    success: true,
+    data: event
+  });
+});
+
+// @desc    Delete an event
+// @route   DELETE /api/events/:id
+// @access  Private/Admin
+const deleteEvent = asyncHandler(async (req, res, next) => {
+  const event = await Event.findById(req.params.id);
+
+  if (!event) {
+    return next(new ErrorResponse(`Event not found with id of ${req.params.id}`, 404));
+  }
+
+  // Events that already own hunt data, including data in the trash, should be archived instead of deleted
+  const [stationCount, classCount, drawingCount] = await Promise.all([
+    Station.countDocuments({ event: event._id }, { withDeleted: true }),
+    Class.countDocuments({ event: event._id }, { withDeleted: true }),
+    Drawing.countDocuments({ event: event._id }, { withDeleted: true })
+  ]);
+  if (stationCount + classCount + drawingCount > 0) {
+    return next(new ErrorResponse(`Event ${event.name} has stations, classes or drawings and cannot be deleted. Archive it instead.`, 400));
+  }
+
+  await event.deleteOne();
+  await auditService.record(req, 'event.delete', { targetModel: 'Event', targetId: event._id, before: event });
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
+
+module.exports = {
+  createEvent,
+  getEvents,
+  getCurrentEvent,
+  getEvent,
+  updateEvent,
+  deleteEvent
+};
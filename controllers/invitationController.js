@@ -0,0 +1,142 @@
+const Invitation = require('../models/Invitation');
+const User = require('../models/User');
+const asyncHandler = require('../middlewares/async');
+const ErrorResponse = require('../utils/errorResponse');
+const logger = require('../utils/logger');
+const { sendEmail } = require('../services/emailService');
+const auditService = require('../services/auditService');
+const { ROLES, SCHOOL_ROLES } = require('../config/permissions');
+
+const DEFAULT_EXPIRY_DAYS = 7;
+const MAX_EXPIRY_DAYS = 30;
+
+// Invitations as listed to admins, with their current status
+const describeInvitation = (invitation) => ({
+  ...(typeof invitation.toJSON === 'function' ? invitation.toJSON() : invitation),
+  status: invitation.getStatus()
+});
+
+// @desc    Invite someone to create an account with a role
+// @route   POST /api/admin/invitations
+// @access  Private/Admin (users:manage)
+const createInvitation = asyncHandler(async (req, res, next) => {
+  const { email, role, school, expiresInDays = DEFAULT_EXPIRY_DAYS } = req.body;
+
+  if (!email || !role) {
+    return next(new ErrorResponse('Please provide an email and a role', 400));
+  }
+  if (!ROLES.includes(role)) {
+    return next(new ErrorResponse(`Role must be one of: ${ROLES.join(', ')}`, 400));
+  }
+  if (SCHOOL_ROLES.includes(role) && !school) {
+    return next(new ErrorResponse(`School is required to invite a ${role}`, 400));
+  }
+
+  const days = Number(expiresInDays);
+  if (!Number.isFinite(days) || days <= 0 || days > MAX_EXPIRY_DAYS) {
+    return next(new ErrorResponse(`expiresInDays must be between 1 and ${MAX_EXPIRY_DAYS}`, 400));
+  }
+
+  const normalizedEmail = String(email).trim().toLowerCase();
+  const existingUser = await User.findOne({ email: normalizedEmail });
+  if (existingUser) {
+    return next(new ErrorResponse('A user already exists with this email', 409));
+  }
+
+  // A new invitation replaces any pending one for the same email
+  await Invitation.updateMany(
+    { email: normalizedEmail, acceptedAt: null, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+
+  const invitation = new Invitation({
+    email: normalizedEmail,
+    role,
+    school: SCHOOL_ROLES.includes(role) ? school : undefined,
+    invitedBy: req.user.id,
+    expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000)
+  });
+  const token = invitation.getInvitationToken();
+  await invitation.save();
+
+  const inviteUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/accept-invitation/${token}`;
+  try {
+    await sendEmail({
+      to: invitation.email,
+      subject: 'You are invited to the QR Scavenger Hunt',
+      text: `Hi,\n\n${req.user.name || 'An administrator'} invited you to join the QR Scavenger Hunt as ${role}. Create your account here:\n\n${inviteUrl}\n\nThe invitation expires on ${invitation.expiresAt.toDateString()}.`,
+      html: `<p>Hi,</p><p>${req.user.name || 'An administrator'} invited you to join the QR Scavenger Hunt as ${role}. <a href="${inviteUrl}">Create your account</a>.</p><p>The invitation expires on ${invitation.expiresAt.toDateString()}.</p>`
+    });
+  } catch (err) {
+    logger.error(`Invitation email to ${invitation.email} failed: ${err.message}`);
+    invitation.revokedAt = new Date();
+    await invitation.save();
+    return next(new ErrorResponse('Invitation email could not be sent', 500));
+  }
+
+  await auditService.record(req, 'invitation.create', {
+    targetModel: 'Invitation',
+    targetId: invitation._id,
+    metadata: { email: invitation.email, role, school: invitation.school }
+  });
+
+  res.status(201).json({
+    success: true,
+    data: describeInvitation(invitation)
+  });
+});
+
+// @desc    Get invitations, newest first
+// @route   GET /api/admin/invitations?status=pending
+// @access  Private/Admin (users:manage)
+const getInvitations = asyncHandler(async (req, res, next) => {
+  const invitations = await Invitation.find()
+    .populate('invitedBy', 'name email')
+    .sort({ createdAt: -1 });
+
+  let data = invitations.map(describeInvitation);
+  if (req.query.status) {
+    data = data.filter(invitation => invitation.status === req.query.status);
+  }
+
+  res.status(200).json({
+    success: true,
+    count: data.length,
+    data
+  });
+});
+
+// @desc    Revoke a pending invitation
+// @route   DELETE /api/admin/invitations/:id
+// @access  Private/Admin (users:manage)
+const revokeInvitation = asyncHandler(async (req, res, next) => {
+  const invitation = await Invitation.findById(req.params.id);
+
+  if (!invitation) {
+    return next(new ErrorResponse(`Invitation not found with id of ${req.params.id}`, 404));
+  }
+  if (invitation.acceptedAt) {
+    return next(new ErrorResponse('This invitation has already been accepted', 400));
+  }
+
+  if (!invitation.revokedAt) {
+    invitation.revokedAt = new Date();
+    await invitation.save();
+    await auditService.record(req, 'invitation.revoke', {
+      targetModel: 'Invitation',
+      targetId: invitation._id,
+      metadata: { email: invitation.email }
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: describeInvitation(invitation)
+  });
+});
+
+module.exports = {
+  createInvitation,
+  getInvitations,
+  revokeInvitation
+};
@@ -0,0 +1,48 @@
+const Class = require('../models/Class');
+const asyncHandler = require('../middlewares/async');
+const scoringService = require('../services/scoringService');
+const huntService = require('../services/huntService');
+
+// @desc    Get class standings for the selected event
+// @route   GET /api/leaderboard?event=&school=&grade=&limit=
+// @access  Private
+const getLeaderboard = asyncHandler(async (req, res, next) => {
+  const filter = { event: req.event._id, isActive: true };
+  if (req.query.school) filter.school = req.query.school;
+  if (req.query.grade) filter.grade = req.query.grade;
+
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+  const [classes, huntStationIds] = await Promise.all([
+    Class.find(filter).select('name school grade teacher.name stationsScanned isCompleted completedAt score'),
+    huntService.getHuntStationIds(req.event._id)
+  ]);
+
+  // Ties on points go to the class that finished fastest
+  const standings = classes
+    .sort(scoringService.compareStandings)
+    .slice(0, limit)
+    .map((classObj, index) => ({
+      rank: index + 1,
+      classId: classObj._id,
+      name: classObj.name,
+      school: classObj.school,
+      grade: classObj.grade,
+      teacherName: classObj.teacher ? classObj.teacher.name : null,
+      stationsFound: huntService.countStationsFound(classObj.stationsScanned, huntStationIds),
+      isCompleted: classObj.isCompleted,
+      completedAt: classObj.completedAt,
+      score: classObj.score
+    }));
+
+  res.status(200).json({
+    success: true,
+    event: { _id: req.event._id, name: req.event.name },
+    count: standings.length,
+    data: standings
+  });
+});
+
+module.exports = {
+  getLeaderboard
+};
@@ -1,9 +1,17 @@
+const mongoose = require('mongoose');
 const Scan = require('../models/Scan');
 const Station = require('../models/Station');
 const Class = require('../models/Class');
+const Event = require('../models/Event');
 const asyncHandler = require('../middlewares/async');
 const ErrorResponse = require('../utils/errorResponse');
 const logger = require('../utils/logger');
+const qrService = require('../services/qrService');
+const huntService = require('../services/huntService');
+const quizService = require('../services/quizService');
+const scoringService = require('../services/scoringService');
+const liveEventService = require('../services/liveEventService');
+const { canAccessClass } = require('../config/permissions');
 
 /**
  * @swagger
@@ -15,6 +23,10 @@ const logger = require('../utils/logger');
  *         _id:
  *           type: string
  *           example: "60c72b2f9b1d8c001c8e4d8e"
+ *         event:
+ *           type: string
+ *           description: ID of the hunt event the scan belongs to
+ *           example: "60c72b2f9b1d8c001c8e4d8a"
  *         classId:
  *           type: string
  *           description: ID of the class that scanned
@@ -39,6 +51,45 @@ const logger = require('../utils/logger');
  *             ip:
  *               type: string
  *               example: "192.168.1.1"
+ *     Clue:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         text:
+ *           type: string
+ *           example: "Where the water turns the wheel, your next stop you will feel."
+ *         imageUrl:
+ *           type: string
+ *           nullable: true
+ *         targetStation:
+ *           type: string
+ *           nullable: true
+ *           description: ID of the station the clue points to
+ *         hintCount:
+ *           type: integer
+ *           description: Number of hint tiers that can be unlocked for this clue
+ *           example: 2
+ *     NextStation:
+ *       type: object
+ *       nullable: true
+ *       description: The station to find next in a sequential hunt; null in free hunts or once every station is found.
+ *       properties:
+ *         number:
+ *           type: integer
+ *           description: The station's order number
+ *           example: 3
+ *         position:
+ *           type: integer
+ *           description: Position of the station in the hunt (1-based)
+ *           example: 3
+ *         totalStations:
+ *           type: integer
+ *           example: 8
+ *         clue:
+ *           type: string
+ *           description: Text of the station clue that points to this station, if any
+ *           example: "Look for the place where the river meets the old mill."
  *     ScanInput:
  *       type: object
  *       required:
@@ -51,8 +102,17 @@ const logger = require('../utils/logger');
  *           example: "60c72b2f9b1d8c001c8e4d8c"
  *         stationQRCode:
  *           type: string
- *           description: The unique QR code identifier of the station scanned.
- *           example: "a1b2c3d4e5f6a7b8"
+ *           description: The signed station token encoded in the scanned QR code (the last path segment of its URL). It references the station by its opaque qrCode, never by database id.
+ *           example: "eyJzIjoiNjBjNzJiMmY5YjFkOGMwMDFjOGU0ZDhkIiwiZSI6IjYwYzcyYjJmOWIxZDhjMDAxYzhlNGQ4YSIsImlhdCI6MTc0NjA4MDAwMH0.Q2hhbmdlTWU"
+ *         studentId:
+ *           type: string
+ *           description: Optional roster entry of the student whose device submitted the scan.
+ *         teamId:
+ *           type: string
+ *           description: Optional team of the class that scanned. Teams track their own progress.
+ *         teamCode:
+ *           type: string
+ *           description: Team join code, as an alternative to teamId.
  *         deviceInfo:
  *           type: object
  *           properties:
@@ -71,13 +131,215 @@ const logger = require('../utils/logger');
  *   description: QR Code Scan Management
  */
 
+/**
+ * Finds the station a scanned QR value refers to.
+ * Signed tokens are verified and resolved by the station's opaque `qrCode`;
+ * bare ObjectIds from codes printed before signing are only honoured in
+ * transition mode (QR_ACCEPT_LEGACY_IDS=true).
+ * @param {string} stationQRCode - Value read from the QR code.
+ * @param {Date} [scannedAt] - When the code was scanned, for checking expiry.
+ * @returns {Promise<{ station?: object, error?: ErrorResponse }>}
+ */
+const resolveScannedStation = async (stationQRCode, scannedAt = new Date()) => {
+  if (qrService.isLegacyStationId(stationQRCode)) {
+    const station = await Station.findById(stationQRCode);
+    if (!station) {
+      logger.warn(`Record scan: Station with legacy ID ${stationQRCode} not found.`);
+      return { error: new ErrorResponse('Station not found for this QR code', 404) };
+    }
+    logger.warn(`Record scan: Accepted legacy ObjectId QR code for station ${station.name} (ID: ${station._id}).`);
+    return { station };
+  }
+
+  const tokenPayload = qrService.decodeStationToken(stationQRCode);
+  if (!tokenPayload) {
+    logger.warn('Record scan: Malformed station QR code.');
+    return { error: new ErrorResponse('Invalid station QR code', 400) };
+  }
+
+  const station = await Station.findOne({ qrCode: tokenPayload.c }).select('+qrSecret');
+  if (!station) {
+    logger.warn(`Record scan: Station with QR code ${tokenPayload.c} not found.`);
+    return { error: new ErrorResponse('Station not found for this QR code', 404) };
+  }
+
+  const verification = qrService.verifyStationToken(stationQRCode, station, scannedAt);
+  if (!verification.valid) {
+    logger.warn(`Record scan: QR code for station ${station.name} (ID: ${station._id}) rejected (${verification.reason}).`);
+    const message = verification.reason === 'expired'
+      ? `This QR code for station ${station.name} has expired`
+      : `This QR code for station ${station.name} is invalid or has been replaced`;
+    return { error: new ErrorResponse(message, 400) };
+  }
+
+  return { station };
+};
+
+/**
+ * Finds the roster entry of the student submitting a scan.
+ * @param {object} classObj - Class document.
+ * @param {string} [studentId] - Roster entry id sent by the device.
+ * @returns {{ student?: object, error?: ErrorResponse }} Empty when no student was given.
+ */
+const findRosterStudent = (classObj, studentId) => {
+  if (!studentId) return {};
+  const student = classObj.students && typeof classObj.students.id === 'function'
+    ? classObj.students.id(studentId)
+    : null;
+  if (!student) {
+    return { error: new ErrorResponse(`Student ${studentId} is not on the roster of class ${classObj.name}`, 400) };
+  }
+  return { student };
+};
+
+/**
+ * Finds the team a scan is recorded for.
+ * @param {object} classObj - Class document.
+ * @param {object} identifier
+ * @param {string} [identifier.teamId] - Team subdocument id.
+ * @param {string} [identifier.teamCode] - Team join code.
+ * @returns {{ team?: object, error?: ErrorResponse }} Empty when no team was given.
+ */
+const findClassTeam = (classObj, { teamId, teamCode }) => {
+  if (!teamId && !teamCode) return {};
+  const teams = classObj.teams || [];
+  const team = teamId
+    ? teams.find(entry => entry._id.toString() === teamId.toString())
+    : teams.find(entry => entry.joinCode === String(teamCode).toUpperCase());
+  if (!team) {
+    return { error: new ErrorResponse(`Team ${teamId || teamCode} not found in class ${classObj.name}`, 400) };
+  }
+  return { team };
+};
+
+/**
+ * Restricts a scan to the class, and team, a student device joined.
+ * @param {object} [device] - `req.device` from protectDevice; unset for user logins.
+ * @param {object} fields - classId, teamId and teamCode sent with the scan.
+ * @returns {{ classId?: string, teamId?: string, teamCode?: string, error?: ErrorResponse }}
+ */
+const scopeToDevice = (device, { classId, teamId, teamCode }) => {
+  if (!device) return { classId, teamId, teamCode };
+  if (classId && classId.toString() !== device.classId.toString()) {
+    return { error: new ErrorResponse('This device can only record scans for the class it joined', 403) };
+  }
+  // Devices that joined as a team always scan for that team
+  return device.teamId
+    ? { classId: device.classId, teamId: device.teamId }
+    : { classId: device.classId, teamId, teamCode };
+};
+
+/**
+ * Counts a station toward a class's (and team's) progress, checks for hunt
+ * completion, updates the score and saves the class.
+ * @param {object} classObj - Class document.
+ * @param {object} station - Station document.
+ * @param {object} [event] - The class's event, loaded when not given.
+ * @param {object} [team] - Team subdocument that scanned the station.
+ */
+const creditStationToClass = async (classObj, station, event, team) => {
+  let wasClassModified = false;
+  const wasCompleted = classObj.isCompleted;
+  const teamWasCompleted = team ? team.isCompleted : false;
+
+  // Add station to stationsScanned if not already present
+  const stationIdStr = station._id.toString();
+  if (!classObj.stationsScanned.map(id => id.toString()).includes(stationIdStr)) {
+    classObj.stationsScanned.push(station._id);
+    logger.info(`Station ${station.name} (ID: ${station._id}) added to stationsScanned for class ${classObj.name}. New count: ${classObj.stationsScanned.length}`);
+    wasClassModified = true;
+  }
+
+  // Update lastScanAt timestamp
+  classObj.lastScanAt = new Date();
+  wasClassModified = true;
+
+  // Completion counts only the stations currently in the hunt
+  const huntStationIds = await huntService.getHuntStationIds(classObj.event);
+
+  // The team's own progress and completion
+  if (team) {
+    if (!team.stationsScanned.map(id => id.toString()).includes(stationIdStr)) {
+      team.stationsScanned.push(station._id);
+    }
+    team.lastScanAt = classObj.lastScanAt;
+
+    if (!team.isCompleted) {
+      if (huntService.hasFoundAllStations(team.stationsScanned, huntStationIds)) {
+        team.isCompleted = true;
+        team.completedAt = new Date();
+        logger.info(`Hunt COMPLETED for team ${team.name} of class ${classObj.name} (ID: ${classObj._id}) at ${team.completedAt}.`);
+      }
+    }
+  }
+
+  // Check for hunt completion if not already completed
+  if (!classObj.isCompleted) {
+    const totalActiveStations = huntStationIds.length;
+    logger.info(`Class ${classObj.name} (ID: ${classObj._id}): Checking hunt completion. Found: ${huntService.countStationsFound(classObj.stationsScanned, huntStationIds)}, Total Active: ${totalActiveStations}`);
+
+    if (huntService.hasFoundAllStations(classObj.stationsScanned, huntStationIds)) {
+      classObj.isCompleted = true;
+      classObj.completedAt = new Date();
+      logger.info(`Hunt COMPLETED for class ${classObj.name} (ID: ${classObj._id}) at ${classObj.completedAt}.`);
+      wasClassModified = true;
+    } else if (totalActiveStations === 0 && classObj.stationsScanned.length === 0) {
+      classObj.isCompleted = true;
+      classObj.completedAt = new Date();
+      logger.info(`Hunt marked completed for class ${classObj.name} (ID: ${classObj._id}) as there are no active stations.`);
+      wasClassModified = true;
+    }
+  }
+
+  if (wasClassModified) {
+    await scoringService.refreshClassScore(classObj, event);
+    logger.info(`Class ${classObj.name} (ID: ${classObj._id}) is being saved. isCompleted: ${classObj.isCompleted}, stationsScanned count: ${classObj.stationsScanned.length}, lastScanAt: ${classObj.lastScanAt}`);
+    try {
+      const updatedClass = await classObj.save();
+      logger.info(`Class ${classObj.name} (ID: ${classObj._id}) successfully saved. DB state - isCompleted: ${updatedClass.isCompleted}, stationsScanned count: ${updatedClass.stationsScanned.length}, lastScanAt: ${updatedClass.lastScanAt}`);
+    } catch (saveError) {
+      logger.error(`CRITICAL: Error saving class object for classId ${classObj._id} after scan processing: ${saveError.message}`, saveError);
+    }
+
+    if (classObj.isCompleted && !wasCompleted) {
+      liveEventService.publish('class-completed', {
+        event: classObj.event,
+        school: classObj.school,
+        data: {
+          classId: classObj._id,
+          className: classObj.name,
+          grade: classObj.grade,
+          completedAt: classObj.completedAt,
+          score: classObj.score
+        }
+      });
+    }
+
+    if (team && team.isCompleted && !teamWasCompleted) {
+      liveEventService.publish('team-completed', {
+        event: classObj.event,
+        school: classObj.school,
+        data: {
+          classId: classObj._id,
+          className: classObj.name,
+          teamId: team._id,
+          teamName: team.name,
+          completedAt: team.completedAt
+        }
+      });
+    }
+  } else {
+    logger.info(`Class ${classObj.name} (ID: ${classObj._id}) had no modifications needing save.`);
+  }
+};
+
 /**
  * @swagger
  * /scans:
  *   post:
  *     summary: Record a new QR code scan
  *     tags: [Scans]
- *     description: Records a scan event for a class at a specific station. Ensures a class can only scan a station once.
+ *     description: Records a scan event for a class at a specific station. The station token must carry a valid signature for the station's current QR secret. Ensures a class can only scan a station once, and only stations of the class's event while that event is open. Accepts the scan-only device tokens issued by /classes/join; those can only scan for the device's own class and team.
  *     requestBody:
  *       required: true
  *       content:
@@ -99,15 +361,53 @@ const logger = require('../utils/logger');
  *                   example: "Scan recorded successfully!"
  *                 stationData:
  *                   $ref: '#/components/schemas/Station'
+ *                 scanId:
+ *                   type: string
+ *                   description: Used to answer the station quiz via /scans/{scanId}/answer
+ *                 quiz:
+ *                   type: array
+ *                   description: The station's quiz questions, without answers
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       _id:
+ *                         type: string
+ *                       type:
+ *                         type: string
+ *                         enum: [multiple_choice, true_false, short_answer]
+ *                       prompt:
+ *                         type: string
+ *                       options:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                 quizRequired:
+ *                   type: boolean
+ *                   description: True when the station only counts once its quiz is answered correctly
+ *                 clues:
+ *                   type: array
+ *                   description: Clues held by the station, leading to other stations. Hints are unlocked via /classes/{id}/hints.
+ *                   items:
+ *                     $ref: '#/components/schemas/Clue'
+ *                 nextStation:
+ *                   $ref: '#/components/schemas/NextStation'
  *       400:
- *         description: Invalid input, class or station not found, or station already scanned by this class.
+ *         description: Invalid input, invalid/expired/replaced QR code, station belongs to another event, or the event is not open.
  *       401:
  *         description: Not authorized.
+ *       403:
+ *         description: Device token used for another class.
+ *       409:
+ *         description: Sequential hunt and the station was scanned out of order. `details.nextStation` describes the station to find first.
  *     security:
  *       - bearerAuth: []
  */
 exports.recordScan = asyncHandler(async (req, res, next) => {
-  const { classId, stationQRCode, deviceInfo } = req.body;
+  const { stationQRCode, deviceInfo, studentId } = req.body;
+  const { classId, teamId, teamCode, error: deviceError } = scopeToDevice(req.device, req.body);
+  if (deviceError) {
+    return next(deviceError);
+  }
 
   console.log('Received scan request:', { classId, stationQRCode });
 
@@ -116,14 +416,13 @@ exports.recordScan = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Please provide classId and stationQRCode', 400));
   }
 
-  // Find station by ID (stationQRCode should be the station ID)
-  const station = await Station.findById(stationQRCode);
-  if (!station) {
-    logger.warn(`Record scan: Station with ID ${stationQRCode} not found.`);
-    return next(new ErrorResponse(`Station with ID ${stationQRCode} not found`, 404));
+  const { station, error } = await resolveScannedStation(stationQRCode);
+  if (error) {
+    return next(error);
   }
+
   if (!station.isActive) {
-    logger.warn(`Record scan: Station ${station.name} (ID: ${stationQRCode}) is not active.`);
+    logger.warn(`Record scan: Station ${station.name} (ID: ${station._id}) is not active.`);
     return next(new ErrorResponse(`Station ${station.name} is not active`, 400));
   }
 
@@ -137,8 +436,29 @@ exports.recordScan = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse(`Class ${classObj.name} is not active`, 400));
   }
 
-  // Check for existing scan using the correct field names
-  const existingScan = await Scan.findOne({ classId: classId, stationId: station._id });
+  const { student, error: studentError } = findRosterStudent(classObj, studentId);
+  if (studentError) {
+    return next(studentError);
+  }
+
+  const { team, error: teamError } = findClassTeam(classObj, { teamId, teamCode });
+  if (teamError) {
+    return next(teamError);
+  }
+
+  // Stations and classes must belong to the same event, and that event must be running
+  if (!station.event || !classObj.event || station.event.toString() !== classObj.event.toString()) {
+    logger.warn(`Record scan: Station ${station.name} (ID: ${station._id}) is not part of the event of class ${classObj.name}.`);
+    return next(new ErrorResponse(`Station ${station.name} is not part of this class's event`, 400));
+  }
+  const event = await Event.findById(classObj.event);
+  if (!event || !event.isOpenAt(new Date())) {
+    logger.warn(`Record scan: Event ${classObj.event} is not open for scanning.`);
+    return next(new ErrorResponse(`Event ${event ? event.name : classObj.event} is not open for scanning`, 400));
+  }
+
+  // Check for existing scan using the correct field names; teams each scan every station
+  const existingScan = await Scan.findOne({ classId: classId, stationId: station._id, team: team ? team._id : null });
   if (existingScan) {
     logger.info(`Station ${station.name} (ID: ${station._id}) already scanned by class ${classObj.name}. Attempting to update lastScanAt.`);
     const oldLastScanAt = classObj.lastScanAt ? new Date(classObj.lastScanAt).getTime() : null;
@@ -155,9 +475,14 @@ exports.recordScan = asyncHandler(async (req, res, next) => {
         logger.info(`Class ${classObj.name} (ID: ${classId}) lastScanAt already current.`);
     }
 
+    const quizPending = existingScan.counted === false;
+
     return res.status(200).json({
       success: true,
-      message: `Station "${station.name}" has already been scanned by class ${classObj.name}.`,
+      message: quizPending
+        ? `Station "${station.name}" has already been scanned by ${team ? `team ${team.name} of ` : ''}class ${classObj.name}. Answer the quiz to count it.`
+        : `Station "${station.name}" has already been scanned by ${team ? `team ${team.name} of ` : ''}class ${classObj.name}.`,
+      scanId: existingScan._id,
       stationData: {
         _id: station._id,
         name: station.name,
@@ -172,70 +497,83 @@ exports.recordScan = asyncHandler(async (req, res, next) => {
         estimatedTime: station.estimatedTime,
         maxParticipants: station.maxParticipants
       },
+      ...(quizPending && { quiz: quizService.presentQuestions(station.quiz), quizRequired: true }),
       existing: true,
     });
   }
 
+  // Sequential hunts only accept the next station in order
+  let orderedStations = null;
+  if (huntService.isSequential(event)) {
+    orderedStations = await huntService.getOrderedStations(event._id);
+    const expected = huntService.getNextStation(orderedStations, (team || classObj).stationsScanned);
+    if (expected && expected.station._id.toString() !== station._id.toString()) {
+      const nextStation = huntService.describeNextStation(expected, orderedStations);
+      logger.info(`Record scan: Class ${classObj.name} (ID: ${classId}) scanned station ${station.name} out of order; expected station ${nextStation.number}.`);
+      return next(new ErrorResponse(
+        `Station ${station.name} is out of order. Find station ${nextStation.number} first!`,
+        409,
+        { nextStation }
+      ));
+    }
+  }
+
+  // With requireQuiz, the scan waits for a correct quiz answer before it counts
+  const quizRequired = quizService.isQuizRequired(event, station);
+
   // Record the new scan with correct field names
-  await Scan.create({
+  const scan = await Scan.create({
+    event: classObj.event,
     classId: classId,        // ✅ Fixed: use classId instead of class
     stationId: station._id,  // ✅ Fixed: use stationId instead of station
+    ...(team && { team: team._id }),
+    ...(student && { student: student._id }),
     deviceInfo: {
       type: deviceInfo?.type,
       browser: deviceInfo?.browser,
       ip: req.ip,
     },
+    counted: !quizRequired,
   });
   logger.info(`New scan recorded for class ${classObj.name} (ID: ${classId}) at station ${station.name} (ID: ${station._id}).`);
-
-  // --- Update Class document ---
-  let wasClassModified = false;
-
-  // Add station to stationsScanned if not already present
-  const stationIdStr = station._id.toString();
-  if (!classObj.stationsScanned.map(id => id.toString()).includes(stationIdStr)) {
-    classObj.stationsScanned.push(station._id);
-    logger.info(`Station ${station.name} (ID: ${station._id}) added to stationsScanned for class ${classObj.name}. New count: ${classObj.stationsScanned.length}`);
-    wasClassModified = true;
-  }
-
-  // Update lastScanAt timestamp
-  classObj.lastScanAt = new Date();
-  wasClassModified = true;
-
-  // Check for hunt completion if not already completed
-  if (!classObj.isCompleted) {
-    const totalActiveStations = await Station.countDocuments({ isActive: true });
-    logger.info(`Class ${classObj.name} (ID: ${classId}): Checking hunt completion. Scanned unique: ${classObj.stationsScanned.length}, Total Active: ${totalActiveStations}`);
-
-    if (classObj.stationsScanned.length >= totalActiveStations && totalActiveStations > 0) {
-      classObj.isCompleted = true;
-      classObj.completedAt = new Date();
-      logger.info(`Hunt COMPLETED for class ${classObj.name} (ID: ${classId}) at ${classObj.completedAt}.`);
-      wasClassModified = true;
-    } else if (totalActiveStations === 0 && classObj.stationsScanned.length === 0) {
-      classObj.isCompleted = true;
-      classObj.completedAt = new Date();
-      logger.info(`Hunt marked completed for class ${classObj.name} (ID: ${classId}) as there are no active stations.`);
-      wasClassModified = true;
+  liveEventService.publish('scan', {
+    event: classObj.event,
+    school: classObj.school,
+    data: {
+      scanId: scan._id,
+      classId: classObj._id,
+      className: classObj.name,
+      teamName: team ? team.name : null,
+      stationId: station._id,
+      stationName: station.name,
+      counted: !quizRequired,
+      scannedAt: scan.scannedAt
     }
-  }
+  });
 
-  if (wasClassModified) {
-    logger.info(`Class ${classObj.name} (ID: ${classId}) is being saved. isCompleted: ${classObj.isCompleted}, stationsScanned count: ${classObj.stationsScanned.length}, lastScanAt: ${classObj.lastScanAt}`);
+  if (quizRequired) {
+    // The station counts once its quiz is answered; only note the activity for now
+    classObj.lastScanAt = new Date();
     try {
-      const updatedClass = await classObj.save();
-      logger.info(`Class ${classObj.name} (ID: ${classId}) successfully saved. DB state - isCompleted: ${updatedClass.isCompleted}, stationsScanned count: ${updatedClass.stationsScanned.length}, lastScanAt: ${updatedClass.lastScanAt}`);
+      await classObj.save();
     } catch (saveError) {
-      logger.error(`CRITICAL: Error saving class object for classId ${classId} after scan processing: ${saveError.message}`, saveError);
+      logger.error(`Error updating lastScanAt for class ${classObj.name} (ID: ${classId}) pending quiz: ${saveError.message}`, saveError);
     }
   } else {
-    logger.info(`Class ${classObj.name} (ID: ${classId}) had no modifications needing save.`);
+    await creditStationToClass(classObj, station, event, team);
   }
 
+  // In sequential hunts, point the class to the station it should find next
+  const nextStation = orderedStations
+    ? huntService.describeNextStation(huntService.getNextStation(orderedStations, (team || classObj).stationsScanned), orderedStations)
+    : null;
+
   res.status(201).json({
     success: true,
-    message: `Scan recorded successfully for station: ${station.name}!`,
+    message: quizRequired
+      ? `Scan recorded for station: ${station.name}. Answer the quiz to count this station!`
+      : `Scan recorded successfully for station: ${station.name}!`,
+    scanId: scan._id,
     stationData: {
       _id: station._id,
       name: station.name,
@@ -250,10 +588,532 @@ exports.recordScan = asyncHandler(async (req, res, next) => {
       estimatedTime: station.estimatedTime,
       maxParticipants: station.maxParticipants
     },
+    clues: (station.clues || []).map(huntService.presentClue),
+    quiz: quizService.presentQuestions(station.quiz),
+    quizRequired,
+    team: team ? {
+      _id: team._id,
+      name: team.name,
+      stationsFound: team.stationsScanned.length,
+      isCompleted: team.isCompleted
+    } : null,
+    nextStation,
     existing: false,
   });
 });
 
+// Largest number of queued scans accepted in one sync request
+const MAX_BATCH_SIZE = 100;
+
+// Device clocks may run a little ahead of the server
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+/**
+ * Loads a class and its event once per sync request.
+ * @param {string} classId
+ * @param {Map} cache - classId -> { classObj, event } (null when the class is missing).
+ * @returns {Promise<{ classObj: object, event: object }|null>}
+ */
+const loadSyncClass = async (classId, cache) => {
+  if (!cache.has(classId)) {
+    const classObj = await Class.findById(classId);
+    const event = classObj ? await Event.findById(classObj.event) : null;
+    cache.set(classId, classObj ? { classObj, event } : null);
+  }
+  return cache.get(classId);
+};
+
+/**
+ * Records one scan from a device's offline queue.
+ * @param {object} item - Queued scan: classId, stationQRCode, scannedAt, idempotencyKey, deviceInfo.
+ * @param {Date} scannedAt - Parsed device timestamp.
+ * @param {object} context - Per-request state: class cache, touched class ids, request ip.
+ * @returns {Promise<{ status: string, scanId?: string, message?: string }>}
+ */
+const syncQueuedScan = async (item, scannedAt, context) => {
+  const { classId, stationQRCode, idempotencyKey, deviceInfo, studentId, teamId, teamCode } = item;
+  const reject = (message) => ({ status: 'rejected', message });
+
+  // A re-sent item that was already synced
+  const alreadySynced = await Scan.findOne({ classId, idempotencyKey });
+  if (alreadySynced) {
+    return { status: 'duplicate', scanId: alreadySynced._id, message: 'Scan was already synced' };
+  }
+
+  // Tokens are checked against the time of the scan, not the time of the sync
+  const { station, error } = await resolveScannedStation(stationQRCode, scannedAt);
+  if (error) return reject(error.message);
+  if (!station.isActive) return reject(`Station ${station.name} is not active`);
+
+  const entry = await loadSyncClass(classId, context.classes);
+  if (!entry) return reject(`Class with ID ${classId} not found`);
+  const { classObj, event } = entry;
+
+  if (!classObj.isActive) return reject(`Class ${classObj.name} is not active`);
+  const { student, error: studentError } = findRosterStudent(classObj, studentId);
+  if (studentError) return reject(studentError.message);
+  const { team, error: teamError } = findClassTeam(classObj, { teamId, teamCode });
+  if (teamError) return reject(teamError.message);
+  const scanner = team || classObj;
+  if (!station.event || !classObj.event || station.event.toString() !== classObj.event.toString()) {
+    return reject(`Station ${station.name} is not part of this class's event`);
+  }
+  if (!event || !event.isOpenAt(scannedAt)) {
+    return reject(`Scan time ${scannedAt.toISOString()} is outside the ${event ? event.name : classObj.event} event window`);
+  }
+
+  // Conflict with a scan recorded earlier: keep the time the class first found the station
+  const existingScan = await Scan.findOne({ classId, stationId: station._id, team: team ? team._id : null });
+  if (existingScan) {
+    if (scannedAt < existingScan.scannedAt) {
+      existingScan.scannedAt = scannedAt;
+      await existingScan.save();
+      context.touched.add(classId);
+      return { status: 'updated', scanId: existingScan._id, message: `Scan time moved back to the earlier offline scan` };
+    }
+    return { status: 'duplicate', scanId: existingScan._id, message: `Station ${station.name} was already scanned by ${team ? `team ${team.name}` : `class ${classObj.name}`}` };
+  }
+
+  if (huntService.isSequential(event)) {
+    if (!context.orderedStations.has(event._id.toString())) {
+      context.orderedStations.set(event._id.toString(), await huntService.getOrderedStations(event._id));
+    }
+    const orderedStations = context.orderedStations.get(event._id.toString());
+    const expected = huntService.getNextStation(orderedStations, scanner.stationsScanned);
+    if (expected && expected.station._id.toString() !== station._id.toString()) {
+      const nextStation = huntService.describeNextStation(expected, orderedStations);
+      return reject(`Station ${station.name} is out of order. Find station ${nextStation.number} first!`);
+    }
+  }
+
+  const quizRequired = quizService.isQuizRequired(event, station);
+  let scan;
+  try {
+    scan = await Scan.create({
+      event: classObj.event,
+      classId: classObj._id,
+      stationId: station._id,
+      scannedAt,
+      source: 'offline',
+      idempotencyKey,
+      ...(team && { team: team._id }),
+      ...(student && { student: student._id }),
+      syncedAt: new Date(),
+      deviceInfo: {
+        type: deviceInfo?.type,
+        browser: deviceInfo?.browser,
+        ip: context.ip,
+      },
+      counted: !quizRequired,
+    });
+  } catch (err) {
+    // Lost a race with a live scan or a parallel sync of the same queue
+    if (err.code === 11000) {
+      const winner = await Scan.findOne({ classId, stationId: station._id, team: team ? team._id : null });
+      return { status: 'duplicate', scanId: winner ? winner._id : undefined, message: `Station ${station.name} was already scanned by class ${classObj.name}` };
+    }
+    throw err;
+  }
+  logger.info(`Offline scan synced for class ${classObj.name} (ID: ${classId}) at station ${station.name} (ID: ${station._id}), scanned at ${scannedAt.toISOString()}.`);
+
+  // Later items in the batch see this station as found
+  if (!quizRequired) {
+    scanner.stationsScanned.push(station._id);
+  }
+  context.touched.add(classId);
+
+  liveEventService.publish('scan', {
+    event: classObj.event,
+    school: classObj.school,
+    data: {
+      scanId: scan._id,
+      classId: classObj._id,
+      className: classObj.name,
+      teamName: team ? team.name : null,
+      stationId: station._id,
+      stationName: station.name,
+      counted: !quizRequired,
+      scannedAt,
+      offline: true
+    }
+  });
+
+  return { status: 'created', scanId: scan._id, quizRequired };
+};
+
+/**
+ * Found stations, last scan time and completion time from scans sorted oldest first.
+ * @param {Array<object>} scans - Counted scans, oldest first.
+ * @param {Array<string>} huntStationIds - Stations needed to complete the hunt.
+ * @returns {{ stationsScanned: Array, lastScanAt: Date|null, completedAt: Date|null }}
+ */
+const progressFromScans = (scans, huntStationIds) => {
+  const found = new Map();
+  let completedAt = null;
+
+  scans.forEach(scan => {
+    found.set(scan.stationId.toString(), scan.stationId);
+    // Completed when every station of the hunt was found
+    if (!completedAt && huntService.hasFoundAllStations([...found.keys()], huntStationIds)) {
+      completedAt = scan.scannedAt;
+    }
+  });
+
+  return {
+    stationsScanned: [...found.values()],
+    lastScanAt: scans.length > 0 ? scans[scans.length - 1].scannedAt : null,
+    completedAt
+  };
+};
+
+/**
+ * Rebuilds a class's (and its teams') found stations, last scan and completion
+ * time from the stored scans, so synced offline scans count at their original times.
+ * @param {object} classObj - Class document.
+ * @param {object} event - The class's event.
+ */
+const rebuildClassProgress = async (classObj, event) => {
+  const wasCompleted = classObj.isCompleted;
+  const [scans, huntStationIds] = await Promise.all([
+    Scan.find({ classId: classObj._id, counted: { $ne: false } }).sort({ scannedAt: 1 }),
+    huntService.getHuntStationIds(classObj.event)
+  ]);
+
+  const applyProgress = (target, targetScans) => {
+    const progress = progressFromScans(targetScans, huntStationIds);
+    target.stationsScanned = progress.stationsScanned;
+    if (progress.lastScanAt && (!target.lastScanAt || progress.lastScanAt > target.lastScanAt)) {
+      target.lastScanAt = progress.lastScanAt;
+    }
+    if (progress.completedAt) {
+      target.isCompleted = true;
+      target.completedAt = progress.completedAt;
+    }
+  };
+
+  // The class counts stations found by any of its teams
+  applyProgress(classObj, scans);
+  (classObj.teams || []).forEach(team => {
+    applyProgress(team, scans.filter(scan => scan.team && scan.team.toString() === team._id.toString()));
+  });
+
+  await scoringService.refreshClassScore(classObj, event);
+  await classObj.save();
+  logger.info(`Class ${classObj.name} (ID: ${classObj._id}) progress rebuilt after offline sync. stationsScanned count: ${classObj.stationsScanned.length}, isCompleted: ${classObj.isCompleted}`);
+
+  if (classObj.isCompleted && !wasCompleted) {
+    liveEventService.publish('class-completed', {
+      event: classObj.event,
+      school: classObj.school,
+      data: {
+        classId: classObj._id,
+        className: classObj.name,
+        grade: classObj.grade,
+        completedAt: classObj.completedAt,
+        score: classObj.score
+      }
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /scans/batch:
+ *   post:
+ *     summary: Sync scans queued on a device while offline
+ *     tags: [Scans]
+ *     description: Records up to 100 queued scans using the device's timestamps. Each scan is checked like a live scan, but against the event window at the time it was taken. Items are replayed oldest first. Re-sent items (same class and idempotency key) and stations the class already found are reported as duplicates; when the queued scan is older than the recorded one, the recorded scan is moved back to the earlier time. Class progress and completion time are then rebuilt from the original timestamps.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - scans
+ *             properties:
+ *               scans:
+ *                 type: array
+ *                 maxItems: 100
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - classId
+ *                     - stationQRCode
+ *                     - scannedAt
+ *                     - idempotencyKey
+ *                   properties:
+ *                     classId:
+ *                       type: string
+ *                     stationQRCode:
+ *                       type: string
+ *                     scannedAt:
+ *                       type: string
+ *                       format: date-time
+ *                       description: Device time of the scan
+ *                     idempotencyKey:
+ *                       type: string
+ *                       description: Unique per queued scan on the device
+ *                     studentId:
+ *                       type: string
+ *                       description: Optional roster entry of the student whose device took the scan
+ *                     teamId:
+ *                       type: string
+ *                       description: Optional team of the class that took the scan
+ *                     deviceInfo:
+ *                       type: object
+ *     responses:
+ *       200:
+ *         description: Per-item results, in request order.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 summary:
+ *                   type: object
+ *                   properties:
+ *                     created:
+ *                       type: integer
+ *                     updated:
+ *                       type: integer
+ *                     duplicate:
+ *                       type: integer
+ *                     rejected:
+ *                       type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       index:
+ *                         type: integer
+ *                       idempotencyKey:
+ *                         type: string
+ *                       status:
+ *                         type: string
+ *                         enum: [created, updated, duplicate, rejected]
+ *                       scanId:
+ *                         type: string
+ *                       message:
+ *                         type: string
+ *       400:
+ *         description: Missing scans array or too many scans.
+ *       401:
+ *         description: Not authorized.
+ *     security:
+ *       - bearerAuth: []
+ */
+exports.recordScanBatch = asyncHandler(async (req, res, next) => {
+  const { scans } = req.body;
+
+  if (!Array.isArray(scans) || scans.length === 0) {
+    return next(new ErrorResponse('Please provide scans as a non-empty array', 400));
+  }
+  if (scans.length > MAX_BATCH_SIZE) {
+    return next(new ErrorResponse(`A batch can contain at most ${MAX_BATCH_SIZE} scans`, 400));
+  }
+
+  const results = new Array(scans.length);
+  const queue = [];
+  const latestAllowed = Date.now() + CLOCK_SKEW_MS;
+
+  scans.forEach((sent, index) => {
+    const base = { index, idempotencyKey: sent && sent.idempotencyKey };
+    const scoped = scopeToDevice(req.device, sent || {});
+    const item = sent && !scoped.error ? { ...sent, ...scoped } : sent;
+    const scannedAt = new Date(item && item.scannedAt);
+
+    if (scoped.error) {
+      results[index] = { ...base, status: 'rejected', message: scoped.error.message };
+    } else if (!item || !item.classId || !item.stationQRCode || !item.idempotencyKey || !item.scannedAt) {
+      results[index] = { ...base, status: 'rejected', message: 'Each scan needs classId, stationQRCode, scannedAt and idempotencyKey' };
+    } else if (!mongoose.Types.ObjectId.isValid(item.classId)) {
+      results[index] = { ...base, status: 'rejected', message: 'classId must be a valid id' };
+    } else if (typeof item.stationQRCode !== 'string' || typeof item.idempotencyKey !== 'string') {
+      results[index] = { ...base, status: 'rejected', message: 'stationQRCode and idempotencyKey must be strings' };
+    } else if (Number.isNaN(scannedAt.getTime())) {
+      results[index] = { ...base, status: 'rejected', message: 'scannedAt must be a valid date' };
+    } else if (scannedAt.getTime() > latestAllowed) {
+      results[index] = { ...base, status: 'rejected', message: 'scannedAt is in the future' };
+    } else {
+      queue.push({ item, index, scannedAt });
+    }
+  });
+
+  // Replay in the order the scans happened on the device
+  queue.sort((a, b) => a.scannedAt - b.scannedAt || a.index - b.index);
+
+  const context = { classes: new Map(), orderedStations: new Map(), touched: new Set(), ip: req.ip };
+  for (const { item, index, scannedAt } of queue) {
+    let result;
+    try {
+      result = await syncQueuedScan(item, scannedAt, context);
+    } catch (err) {
+      // One bad item must not abort the batch: scans synced before it still need their progress rebuilt
+      logger.error(`Offline scan sync: item ${index} for class ${item.classId} failed: ${err.message}`, err);
+      result = { status: 'rejected', message: 'Scan could not be synced; try again later' };
+    }
+    results[index] = { index, idempotencyKey: item.idempotencyKey, ...result };
+  }
+
+  for (const classId of context.touched) {
+    const { classObj, event } = context.classes.get(classId);
+    await rebuildClassProgress(classObj, event);
+  }
+
+  const summary = { created: 0, updated: 0, duplicate: 0, rejected: 0 };
+  results.forEach(result => { summary[result.status] += 1; });
+  logger.info(`Offline scan sync: ${JSON.stringify(summary)}`);
+
+  res.status(200).json({
+    success: true,
+    summary,
+    data: results
+  });
+});
+
+/**
+ * @swagger
+ * /scans/{scanId}/answer:
+ *   post:
+ *     summary: Answer the quiz of a scanned station
+ *     tags: [Scans]
+ *     description: Grades answers to the station's quiz and stores the attempt on the scan. When the event requires quizzes, a correct answer counts the station toward the class's progress and completion.
+ *     parameters:
+ *       - in: path
+ *         name: scanId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - answers
+ *             properties:
+ *               answers:
+ *                 type: array
+ *                 description: One answer per question, in order. Option index for multiple choice, boolean for true/false, text for short answer.
+ *                 items: {}
+ *                 example: [2, true, "photosynthesis"]
+ *     responses:
+ *       200:
+ *         description: Answers graded.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     correct:
+ *                       type: boolean
+ *                     results:
+ *                       type: array
+ *                       description: Whether each answer was right; only sent once the quiz is passed.
+ *                       items:
+ *                         type: boolean
+ *                     attempts:
+ *                       type: integer
+ *                     counted:
+ *                       type: boolean
+ *       400:
+ *         description: Missing answers, the station has no quiz, or the quiz was already answered correctly.
+ *       403:
+ *         description: User not authorized for this class, or a device answering for another class or team.
+ *       404:
+ *         description: Scan not found.
+ *     security:
+ *       - bearerAuth: []
+ */
+exports.submitQuizAnswer = asyncHandler(async (req, res, next) => {
+  const { answers } = req.body;
+
+  if (!Array.isArray(answers)) {
+    return next(new ErrorResponse('Please provide answers as an array', 400));
+  }
+
+  const scan = await Scan.findById(req.params.scanId);
+  if (!scan) {
+    return next(new ErrorResponse(`Scan not found with id of ${req.params.scanId}`, 404));
+  }
+
+  // Devices answer only for the scans of the class, and team, they joined
+  if (req.device && (
+    scan.classId.toString() !== req.device.classId.toString() ||
+    (req.device.teamId && (!scan.team || scan.team.toString() !== req.device.teamId.toString()))
+  )) {
+    return next(new ErrorResponse('This device can only answer quizzes for the scans of the class it joined', 403));
+  }
+
+  const classObj = await Class.findById(scan.classId);
+  if (!classObj) {
+    return next(new ErrorResponse(`Class with ID ${scan.classId} not found`, 404));
+  }
+
+  if (!req.device && !canAccessClass(req, classObj)) {
+    return next(new ErrorResponse(`User not authorized to answer quizzes for this class`, 403));
+  }
+
+  const station = await Station.findById(scan.stationId);
+  if (!quizService.hasQuiz(station)) {
+    return next(new ErrorResponse('This station has no quiz', 400));
+  }
+
+  if (scan.quizPassedAt) {
+    return next(new ErrorResponse(`Class ${classObj.name} already answered the quiz for station ${station.name} correctly`, 400));
+  }
+
+  const { correct, results } = quizService.gradeAnswers(station.quiz, answers);
+
+  scan.quizAttempts.push({ answers, results, correct, submittedAt: new Date(), submittedBy: req.user ? req.user.id : undefined });
+  if (correct) {
+    scan.quizPassedAt = new Date();
+  }
+  const creditStation = correct && !scan.counted;
+  if (creditStation) {
+    scan.counted = true;
+  }
+  await scan.save();
+  logger.info(`Quiz attempt ${scan.quizAttempts.length} for class ${classObj.name} (ID: ${classObj._id}) at station ${station.name} (ID: ${station._id}): ${correct ? 'correct' : 'incorrect'}.`);
+
+  if (creditStation) {
+    const team = scan.team && classObj.teams
+      ? classObj.teams.find(entry => entry._id.toString() === scan.team.toString())
+      : undefined;
+    await creditStationToClass(classObj, station, undefined, team);
+  } else if (correct) {
+    // Quiz bonus for a station that already counted
+    await scoringService.refreshClassScore(classObj);
+    await classObj.save();
+  }
+
+  res.status(200).json({
+    success: true,
+    message: correct
+      ? `Correct! Station ${station.name} quiz completed.`
+      : 'Not quite. Review the station and try again!',
+    data: {
+      correct,
+      // Per-question results before passing would let teams guess one answer at a time
+      ...(correct && { results }),
+      attempts: scan.quizAttempts.length,
+      counted: scan.counted,
+      isCompleted: classObj.isCompleted,
+      score: classObj.score
+    }
+  });
+});
+
 /**
  * @swagger
  * /scans/class/{classId}:
@@ -294,17 +1154,19 @@ exports.recordScan = asyncHandler(async (req, res, next) => {
 exports.getScansByClass = asyncHandler(async (req, res, next) => {
   const { classId } = req.params;
 
-  const classObj = await Class.findById(classId).populate('stationsScanned', 'name');
+  const classObj = await Class.findById(classId)
+    .populate({ path: 'stationsScanned', select: 'name', options: { withDeleted: true } });
   if (!classObj) {
     return next(new ErrorResponse(`Class not found with id of ${classId}`, 404));
   }
 
-  if (req.user.role !== 'admin' && (!classObj.teacher || !classObj.teacher._id || classObj.teacher._id.toString() !== req.user.id)) {
+  if (!canAccessClass(req, classObj)) {
     return next(new ErrorResponse(`User not authorized to view scans for this class`, 403));
   }
 
   // Use correct field names for querying
-  const scans = await Scan.find({ classId: classId }).populate('stationId', 'name educationalInfo isActive');
+  const scans = await Scan.find({ classId: classId })
+    .populate({ path: 'stationId', select: 'name educationalInfo isActive deletedAt', options: { withDeleted: true } });
 
   res.status(200).json({
     success: true,
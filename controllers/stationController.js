@@ -1,14 +1,30 @@
+const mongoose = require('mongoose');
 const Station = require('../models/Station');
 const asyncHandler = require('../middlewares/async');
 const ErrorResponse = require('../utils/errorResponse');
-const QRCode = require('qrcode');
 const logger = require('../utils/logger');
+const qrService = require('../services/qrService');
+const qrSheetService = require('../services/qrSheetService');
+const qrImageService = require('../services/qrImageService');
+const quizService = require('../services/quizService');
+const auditService = require('../services/auditService');
+const { hasPermission } = require('../config/permissions');
 
-// @desc    Create a new station
+// Stations created before signed QR codes have no secret yet; give them one
+const ensureQrSecret = async (station) => {
+  if (!station.qrSecret) {
+    station.rotateQrSecret();
+    await station.save();
+  }
+};
+
+// @desc    Create a new station in the selected event
 // @route   POST /api/stations
 // @access  Private (Admin only)
 exports.createStation = asyncHandler(async (req, res, next) => {
+  req.body.event = req.event._id;
   const station = await Station.create(req.body);
+  await auditService.record(req, 'station.create', { targetModel: 'Station', targetId: station._id, after: station });
 
   res.status(201).json({
     success: true,
@@ -16,16 +32,17 @@ exports.createStation = asyncHandler(async (req, res, next) => {
   });
 });
 
-// @desc    Get all stations
+// @desc    Get all stations for the selected event
 // @route   GET /api/stations
 // @access  Private
 exports.getStations = asyncHandler(async (req, res, next) => {
-  const stations = await Station.find();
+  const stations = await Station.find({ event: req.event._id });
 
   res.status(200).json({
     success: true,
     count: stations.length,
-    data: stations
+    // Only admins see quiz answers
+    data: hasPermission(req, 'stations:manage') ? stations : stations.map(quizService.hideAnswers)
   });
 });
 
@@ -41,7 +58,7 @@ exports.getStation = asyncHandler(async (req, res, next) => {
 
   res.status(200).json({
     success: true,
-    data: station
+    data: hasPermission(req, 'stations:manage') ? station : quizService.hideAnswers(station)
   });
 });
 
@@ -60,10 +77,17 @@ exports.updateStation = asyncHandler(async (req, res, next) => {
     delete req.body.qrCode;
   }
 
+  // Stations stay in the event they were created for so existing scans remain consistent
+  if (req.body.event) {
+    delete req.body.event;
+  }
+
+  const before = station;
   station = await Station.findByIdAndUpdate(req.params.id, req.body, {
     new: true,
     runValidators: true
   });
+  await auditService.record(req, 'station.update', { targetModel: 'Station', targetId: station._id, before, after: station });
 
   res.status(200).json({
     success: true,
@@ -71,7 +95,8 @@ exports.updateStation = asyncHandler(async (req, res, next) => {
   });
 });
 
-// @desc    Delete a station
+// @desc    Delete a station: moves it to the trash, where an admin can restore
+//          it; scans of the station are kept
 // @route   DELETE /api/stations/:id
 // @access  Private (Admin only)
 exports.deleteStation = asyncHandler(async (req, res, next) => {
@@ -81,47 +106,74 @@ exports.deleteStation = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse(`Station not found with id of ${req.params.id}`, 404));
   }
 
-  await station.deleteOne(); // or station.remove() for older mongoose versions
+  await station.softDelete(req.user.id);
+  await auditService.record(req, 'station.delete', { targetModel: 'Station', targetId: station._id });
 
   res.status(200).json({
     success: true,
-    data: {} // Or a message like { message: 'Station deleted successfully' }
+    message: `Station ${station.name} moved to the trash`,
+    data: {}
   });
 });
 
 
-// @desc    Get QR code for a station
-// @route   GET /api/stations/:stationId/qrcode
+// @desc    Get QR code for a station, as a JSON data URL or a direct image
+// @route   GET /api/stations/:stationId/qrcode?format=png|svg&size=&margin=&dark=&light=&logo=true&output=json|image&download=true&expiresAt=<ISO date>
 // @access  Private/Admin (assuming admin generates these)
 exports.getStationQRCode = asyncHandler(async (req, res, next) => {
     const { stationId } = req.params;
+    const { expiresAt, download } = req.query;
+    const output = req.query.output || 'json';
 
-    const station = await Station.findById(stationId);
+    let renderOptions;
+    try {
+        renderOptions = qrImageService.parseRenderOptions(req.query);
+    } catch (err) {
+        return next(new ErrorResponse(err.message, 400));
+    }
+    if (renderOptions.logo && !qrImageService.isLogoConfigured()) {
+        return next(new ErrorResponse('No organization logo is configured for QR codes', 400));
+    }
+    if (!['json', 'image'].includes(output)) {
+        return next(new ErrorResponse('output must be one of json, image', 400));
+    }
+
+    const station = await Station.findById(stationId).select('+qrSecret');
 
     if (!station) {
         return next(new ErrorResponse(`Station not found with id of ${stationId}`, 404));
     }
 
-    const frontendBaseUrl = process.env.FRONTEND_URL || 'http://localhost:5173'; 
-    const scanUrl = `${frontendBaseUrl}/scan-station/${stationId}`; 
+    if (expiresAt && isNaN(new Date(expiresAt).getTime())) {
+        return next(new ErrorResponse(`Invalid expiresAt date ${expiresAt}`, 400));
+    }
+
+    await ensureQrSecret(station);
+
+    const token = qrService.signStationToken(station, { expiresAt });
+    const scanUrl = qrService.buildScanUrl(token);
 
     try {
-        const qrCodeDataURL = await QRCode.toDataURL(scanUrl, {
-            errorCorrectionLevel: 'H', 
-            type: 'image/png',
-            margin: 2,
-            color: {
-                dark:"#000000",
-                light:"#FFFFFF" 
-            }
-        });
+        const image = await qrImageService.renderQRCode(scanUrl, renderOptions);
         
-        logger.info(`Generated QR code for station ${stationId} pointing to ${scanUrl}`);
+        logger.info(`Generated ${renderOptions.format} QR code for station ${stationId} pointing to ${scanUrl}`);
+
+        if (output === 'image') {
+            res.set('Content-Type', image.contentType);
+            if (download === 'true') {
+                res.set('Content-Disposition', `attachment; filename="station-${station.qrCode}.${renderOptions.format}"`);
+            }
+            return res.status(200).send(image.data);
+        }
+
         res.status(200).json({
             success: true,
             data: {
-                qrCodeDataURL: qrCodeDataURL,
-                scanUrl: scanUrl 
+                qrCodeDataURL: qrImageService.toDataURL(image),
+                format: renderOptions.format,
+                scanUrl: scanUrl,
+                token: token,
+                expiresAt: expiresAt ? new Date(expiresAt) : null
             }
         });
     } catch (err) {
@@ -130,11 +182,137 @@ exports.getStationQRCode = asyncHandler(async (req, res, next) => {
     }
 });
 
+// @desc    Download a printable PDF of QR codes for the selected event's stations
+// @route   GET /api/stations/qrcodes/print?ids=<id,id>&perPage=1|2|4|6&logo=true&expiresAt=<ISO date>
+// @access  Private (Admin only)
+exports.printStationQRCodes = asyncHandler(async (req, res, next) => {
+  const { ids, expiresAt } = req.query;
+  const perPage = req.query.perPage ? parseInt(req.query.perPage, 10) : 1;
+  const logo = req.query.logo === 'true';
+
+  if (logo && !qrImageService.isLogoConfigured()) {
+    return next(new ErrorResponse('No organization logo is configured for QR codes', 400));
+  }
+
+  if (!qrSheetService.SUPPORTED_PER_PAGE.includes(perPage)) {
+    return next(new ErrorResponse(`perPage must be one of ${qrSheetService.SUPPORTED_PER_PAGE.join(', ')}`, 400));
+  }
+  if (expiresAt && isNaN(new Date(expiresAt).getTime())) {
+    return next(new ErrorResponse(`Invalid expiresAt date ${expiresAt}`, 400));
+  }
+
+  // Print every active station, or exactly the selected ones
+  const filter = { event: req.event._id };
+  if (ids) {
+    // Accept ?ids=a,b as well as repeated ?ids=a&ids=b
+    const stationIds = [].concat(ids)
+      .flatMap(value => String(value).split(','))
+      .map(id => id.trim())
+      .filter(Boolean);
+    const invalidId = stationIds.find(id => !mongoose.Types.ObjectId.isValid(id));
+    if (invalidId) {
+      return next(new ErrorResponse(`Invalid station id ${invalidId}`, 400));
+    }
+    filter._id = { $in: stationIds };
+  } else {
+    filter.isActive = true;
+  }
+
+  const stations = await Station.find(filter).select('+qrSecret').sort({ order: 1, name: 1 });
+  if (stations.length === 0) {
+    return next(new ErrorResponse('No stations found to print', 404));
+  }
+
+  const entries = [];
+  for (const station of stations) {
+    await ensureQrSecret(station);
+    const token = qrService.signStationToken(station, { expiresAt });
+    entries.push({ station, scanUrl: qrService.buildScanUrl(token) });
+  }
+
+  let pdf;
+  try {
+    pdf = await qrSheetService.renderQRCodeSheet({
+      entries,
+      title: `${req.event.name} - Station QR Codes`,
+      perPage,
+      logo
+    });
+  } catch (err) {
+    logger.error(`Error generating QR code sheet for event ${req.event._id}: ${err.message}`);
+    return next(new ErrorResponse('Failed to generate QR code sheet', 500));
+  }
+
+  const fileName = `qr-codes-${req.event.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')}.pdf`;
+  logger.info(`Generated QR code sheet with ${stations.length} stations for event ${req.event._id}`);
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="${fileName}"`
+  });
+  res.status(200).send(pdf);
+});
+
+// @desc    Rotate a station's QR signing secret, invalidating all printed codes
+// @route   POST /api/stations/:id/rotate-qr-secret
+// @access  Private (Admin only)
+exports.rotateStationQrSecret = asyncHandler(async (req, res, next) => {
+  const station = await Station.findById(req.params.id).select('+qrSecret');
+
+  if (!station) {
+    return next(new ErrorResponse(`Station not found with id of ${req.params.id}`, 404));
+  }
+
+  station.rotateQrSecret();
+  await station.save();
+
+  logger.info(`Rotated QR signing secret for station ${station.name} (ID: ${station._id})`);
+  await auditService.record(req, 'station.rotate-qr-secret', { targetModel: 'Station', targetId: station._id });
+  res.status(200).json({
+    success: true,
+    message: `QR codes previously issued for station ${station.name} are no longer valid. Please reprint its QR code.`,
+    data: {
+      _id: station._id,
+      qrSecretRotatedAt: station.qrSecretRotatedAt
+    }
+  });
+});
+
+// @desc    Regenerate a station's opaque QR code identifier
+// @route   POST /api/stations/:id/regenerate-qr-code
+// @access  Private (Admin only)
+exports.regenerateStationQRCode = asyncHandler(async (req, res, next) => {
+  const station = await Station.findById(req.params.id);
+
+  if (!station) {
+    return next(new ErrorResponse(`Station not found with id of ${req.params.id}`, 404));
+  }
+
+  const previousQrCode = station.qrCode;
+  station.regenerateQrCode();
+  await station.save();
+
+  logger.info(`Regenerated QR code for station ${station.name} (ID: ${station._id}), replacing ${previousQrCode}`);
+  await auditService.record(req, 'station.regenerate-qr-code', {
+    targetModel: 'Station',
+    targetId: station._id,
+    before: { qrCode: previousQrCode },
+    after: { qrCode: station.qrCode }
+  });
+  res.status(200).json({
+    success: true,
+    message: `QR codes previously issued for station ${station.name} are no longer valid. Please reprint its QR code.`,
+    data: station
+  });
+});
+
 module.exports = {
   createStation: exports.createStation,
   getStations: exports.getStations,
   getStation: exports.getStation,
   updateStation: exports.updateStation,
   deleteStation: exports.deleteStation, // Now this should be defined
-  getStationQRCode: exports.getStationQRCode
+  getStationQRCode: exports.getStationQRCode,
+  printStationQRCodes: exports.printStationQRCodes,
+  rotateStationQrSecret: exports.rotateStationQrSecret,
+  regenerateStationQRCode: exports.regenerateStationQRCode
 };
\ No newline at end of file
@@ -0,0 +1,155 @@
+const Station = require('../models/Station');
+const Class = require('../models/Class');
+const Drawing = require('../models/Drawing');
+const Scan = require('../models/Scan');
+const asyncHandler = require('../middlewares/async');
+const ErrorResponse = require('../utils/errorResponse');
+const auditService = require('../services/auditService');
+const { hasPermission } = require('../config/permissions');
+
+const WITH_DELETED = { withDeleted: true };
+
+// What can be in the trash, who manages it, and what still refers to it.
+// Records that others refer to stay in the trash instead of being purged.
+const TRASH_TYPES = {
+  stations: {
+    model: Station,
+    name: 'Station',
+    permission: 'stations:manage',
+    getReferences: async (station) => ({
+      scanCount: await Scan.countDocuments({ stationId: station._id })
+    })
+  },
+  classes: {
+    model: Class,
+    name: 'Class',
+    permission: 'classes:manage',
+    getReferences: async (classObj) => ({
+      scanCount: await Scan.countDocuments({ classId: classObj._id }),
+      drawingWinCount: await Drawing.countDocuments({ 'winners.class': classObj._id }, WITH_DELETED)
+    })
+  },
+  drawings: {
+    model: Drawing,
+    name: 'Drawing',
+    permission: 'drawings:run',
+    getReferences: async (drawing) => ({
+      winnerCount: drawing.winners.length
+    })
+  }
+};
+
+// Resolve the trash type in the route and check the user manages it
+const getTrashType = (req, next) => {
+  const trashType = TRASH_TYPES[req.params.type];
+  if (!trashType) {
+    next(new ErrorResponse(`Trash type must be one of ${Object.keys(TRASH_TYPES).join(', ')}`, 400));
+    return null;
+  }
+  if (!hasPermission(req, trashType.permission)) {
+    next(new ErrorResponse(`Not authorized: requires the ${trashType.permission} permission`, 403));
+    return null;
+  }
+  return trashType;
+};
+
+const findInTrash = (trashType, id) =>
+  trashType.model.findOne({ _id: id, deletedAt: { $ne: null } });
+
+// @desc    Get the deleted stations, classes and drawings of the selected event
+//          that the user manages, most recently deleted first
+// @route   GET /api/admin/trash?type=stations|classes|drawings
+// @access  Private/Admin
+const getTrash = asyncHandler(async (req, res, next) => {
+  const { type } = req.query;
+  if (type && !TRASH_TYPES[type]) {
+    return next(new ErrorResponse(`Trash type must be one of ${Object.keys(TRASH_TYPES).join(', ')}`, 400));
+  }
+
+  const types = Object.keys(TRASH_TYPES)
+    .filter(key => !type || key === type)
+    .filter(key => hasPermission(req, TRASH_TYPES[key].permission));
+
+  const data = {};
+  let count = 0;
+  for (const key of types) {
+    data[key] = await TRASH_TYPES[key].model
+      .find({ event: req.event._id, deletedAt: { $ne: null } })
+      .populate('deletedBy', 'name email')
+      .sort({ deletedAt: -1 });
+    count += data[key].length;
+  }
+
+  res.status(200).json({
+    success: true,
+    count,
+    data
+  });
+});
+
+// @desc    Restore a station, class or drawing from the trash
+// @route   PUT /api/admin/trash/:type/:id/restore
+// @access  Private/Admin
+const restoreFromTrash = asyncHandler(async (req, res, next) => {
+  const trashType = getTrashType(req, next);
+  if (!trashType) return;
+
+  const item = await findInTrash(trashType, req.params.id);
+  if (!item) {
+    return next(new ErrorResponse(`${trashType.name} not found in the trash with id of ${req.params.id}`, 404));
+  }
+
+  await item.restore();
+  await auditService.record(req, `${trashType.name.toLowerCase()}.restore`, {
+    targetModel: trashType.name,
+    targetId: item._id
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `${trashType.name} ${item.name} restored`,
+    data: item
+  });
+});
+
+// @desc    Permanently delete a station, class or drawing from the trash.
+//          Refused while scans or drawing results refer to it.
+// @route   DELETE /api/admin/trash/:type/:id
+// @access  Private/Admin (trash:purge)
+const purgeFromTrash = asyncHandler(async (req, res, next) => {
+  const trashType = getTrashType(req, next);
+  if (!trashType) return;
+
+  const item = await findInTrash(trashType, req.params.id);
+  if (!item) {
+    return next(new ErrorResponse(`${trashType.name} not found in the trash with id of ${req.params.id}; delete it first`, 404));
+  }
+
+  const references = await trashType.getReferences(item);
+  if (Object.values(references).some(count => count > 0)) {
+    return next(new ErrorResponse(
+      `${trashType.name} ${item.name} is still referred to by scans or drawing results and can only stay in the trash`,
+      409,
+      references
+    ));
+  }
+
+  await item.deleteOne();
+  await auditService.record(req, `${trashType.name.toLowerCase()}.purge`, {
+    targetModel: trashType.name,
+    targetId: item._id,
+    before: item
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `${trashType.name} ${item.name} permanently deleted`,
+    data: {}
+  });
+});
+
+module.exports = {
+  getTrash,
+  restoreFromTrash,
+  purgeFromTrash
+};
@@ -0,0 +1,179 @@
+const User = require('../models/User');
+const asyncHandler = require('../middlewares/async');
+const ErrorResponse = require('../utils/errorResponse');
+const logger = require('../utils/logger');
+const totp = require('../services/totpService');
+const { renderQRCode, toDataURL } = require('../services/qrImageService');
+const { requiresTwoFactor } = require('../config/permissions');
+const auditService = require('../services/auditService');
+
+const SECRET_FIELDS = '+twoFactorSecret +twoFactorPendingSecret +twoFactorLastUsedStep +twoFactorRecoveryCodes';
+
+// Check a code from the authenticator app, or a recovery code
+const verifySecondFactor = (user, { code, recoveryCode }) => {
+  if (code) return user.verifyTwoFactorCode(code);
+  if (recoveryCode) return user.useRecoveryCode(recoveryCode);
+  return false;
+};
+
+// @desc    Get the two-factor authentication status of the logged in user
+// @route   GET /api/auth/2fa
+// @access  Private
+const getTwoFactorStatus = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id).select(SECRET_FIELDS);
+  if (!user) {
+    return next(new ErrorResponse('User not found', 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      enabled: Boolean(user.twoFactorEnabled),
+      enabledAt: user.twoFactorEnabledAt,
+      required: requiresTwoFactor(user),
+      recoveryCodesRemaining: user.twoFactorEnabled ? (user.twoFactorRecoveryCodes || []).length : 0
+    }
+  });
+});
+
+// @desc    Start setting up two-factor authentication: returns a new secret
+//          and its provisioning QR code for an authenticator app
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+const setupTwoFactor = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id);
+  if (!user) {
+    return next(new ErrorResponse('User not found', 404));
+  }
+  if (user.twoFactorEnabled) {
+    return next(new ErrorResponse('Two-factor authentication is already enabled; disable it first to use a new authenticator', 400));
+  }
+
+  const secret = totp.generateSecret();
+  user.twoFactorPendingSecret = secret;
+  await user.save({ validateBeforeSave: false });
+
+  const otpauthUrl = totp.getProvisioningUri(secret, user.email);
+  const qrCode = toDataURL(await renderQRCode(otpauthUrl, { format: 'png', size: 256 }));
+
+  res.status(200).json({
+    success: true,
+    data: {
+      secret,
+      otpauthUrl,
+      qrCode
+    }
+  });
+});
+
+// @desc    Confirm the setup with a code from the authenticator app; returns
+//          the recovery codes, which are shown only this once
+// @route   POST /api/auth/2fa/enable
+// @access  Private
+const enableTwoFactor = asyncHandler(async (req, res, next) => {
+  const { code } = req.body;
+
+  if (!code) {
+    return next(new ErrorResponse('Please provide a code from your authenticator app', 400));
+  }
+
+  const user = await User.findById(req.user.id).select(SECRET_FIELDS);
+  if (!user) {
+    return next(new ErrorResponse('User not found', 404));
+  }
+  if (user.twoFactorEnabled) {
+    return next(new ErrorResponse('Two-factor authentication is already enabled', 400));
+  }
+  if (!user.twoFactorPendingSecret) {
+    return next(new ErrorResponse('Start the setup first', 400));
+  }
+  if (!user.enableTwoFactor(code)) {
+    return next(new ErrorResponse('Invalid authentication code', 400));
+  }
+
+  const recoveryCodes = user.generateRecoveryCodes();
+  await user.save({ validateBeforeSave: false });
+  logger.info(`User ${user.email} enabled two-factor authentication`);
+  await auditService.record(req, 'auth.two-factor-enable', { targetModel: 'User', targetId: user._id });
+
+  res.status(200).json({
+    success: true,
+    message: 'Two-factor authentication enabled. Store the recovery codes somewhere safe; each works once.',
+    data: {
+      recoveryCodes
+    }
+  });
+});
+
+// @desc    Turn off two-factor authentication (password and a code required)
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+const disableTwoFactor = asyncHandler(async (req, res, next) => {
+  const { password } = req.body;
+
+  if (!password) {
+    return next(new ErrorResponse('Please provide your password and an authentication or recovery code', 400));
+  }
+
+  const user = await User.findById(req.user.id).select(`+password ${SECRET_FIELDS}`);
+  if (!user) {
+    return next(new ErrorResponse('User not found', 404));
+  }
+  if (!user.twoFactorEnabled) {
+    return next(new ErrorResponse('Two-factor authentication is not enabled', 400));
+  }
+  if (requiresTwoFactor(user)) {
+    return next(new ErrorResponse(`Two-factor authentication is required for the ${user.role} role`, 403));
+  }
+
+  const isMatch = await user.matchPassword(password);
+  if (!isMatch || !verifySecondFactor(user, req.body)) {
+    return next(new ErrorResponse('Invalid password or authentication code', 401));
+  }
+
+  user.disableTwoFactor();
+  await user.save({ validateBeforeSave: false });
+  logger.info(`User ${user.email} disabled two-factor authentication`);
+  await auditService.record(req, 'auth.two-factor-disable', { targetModel: 'User', targetId: user._id });
+
+  res.status(200).json({
+    success: true,
+    message: 'Two-factor authentication disabled'
+  });
+});
+
+// @desc    Replace the recovery codes (a current code required)
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+const regenerateRecoveryCodes = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id).select(SECRET_FIELDS);
+  if (!user) {
+    return next(new ErrorResponse('User not found', 404));
+  }
+  if (!user.twoFactorEnabled) {
+    return next(new ErrorResponse('Two-factor authentication is not enabled', 400));
+  }
+  if (!verifySecondFactor(user, req.body)) {
+    return next(new ErrorResponse('Invalid authentication code', 401));
+  }
+
+  const recoveryCodes = user.generateRecoveryCodes();
+  await user.save({ validateBeforeSave: false });
+  await auditService.record(req, 'auth.recovery-codes-regenerate', { targetModel: 'User', targetId: user._id });
+
+  res.status(200).json({
+    success: true,
+    message: 'New recovery codes generated; the old ones no longer work.',
+    data: {
+      recoveryCodes
+    }
+  });
+});
+
+module.exports = {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+};
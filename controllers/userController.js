@@ -0,0 +1,398 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Class = require('../models/Class');
+const Session = require('../models/Session');
+const ApiToken = require('../models/ApiToken');
+const asyncHandler = require('../middlewares/async');
+const ErrorResponse = require('../utils/errorResponse');
+const logger = require('../utils/logger');
+const { sendEmail } = require('../services/emailService');
+const auditService = require('../services/auditService');
+const { ROLES, SCHOOL_ROLES, getRolePermissions } = require('../config/permissions');
+
+// Fields admins may change with PUT /api/admin/users/:id
+const EDITABLE_FIELDS = ['name', 'email', 'school', 'phone', 'bio', 'role'];
+
+// A password nobody knows, for accounts whose owner must choose a new one
+const randomPassword = () => crypto.randomBytes(32).toString('hex');
+
+// Whether the user is the only active admin; they cannot lose the role
+const isLastAdmin = async (user) => {
+  if (user.role !== 'admin') return false;
+  const activeAdmins = await User.countDocuments({ role: 'admin', isActive: { $ne: false } });
+  return activeAdmins <= 1;
+};
+
+// Emails a link to choose a password. Failures are logged rather than thrown;
+// the user can still use forgot password.
+const sendSetPasswordEmail = async (user, reason) => {
+  try {
+    const resetToken = user.getResetPasswordToken();
+    await user.save({ validateBeforeSave: false });
+
+    const resetUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/reset-password/${resetToken}`;
+    const expiry = `${User.RESET_PASSWORD_EXPIRE_MINUTES} minutes`;
+    await sendEmail({
+      to: user.email,
+      subject: 'Choose your QR Scavenger Hunt password',
+      text: `Hi ${user.name},\n\n${reason} Open this link to choose a password:\n\n${resetUrl}\n\nThe link expires in ${expiry}; after that, use "Forgot password" on the login page.`,
+      html: `<p>Hi ${user.name},</p><p>${reason} <a href="${resetUrl}">Choose a password</a>.</p><p>The link expires in ${expiry}; after that, use "Forgot password" on the login page.</p>`
+    });
+    return true;
+  } catch (err) {
+    logger.error(`Set password email to ${user.email} failed: ${err.message}`);
+    return false;
+  }
+};
+
+// @desc    Get users, newest first
+// @route   GET /api/admin/users?role=&active=&school=&search=
+// @access  Private/Admin (users:manage)
+const getUsers = asyncHandler(async (req, res, next) => {
+  const filter = {};
+  if (req.query.role) filter.role = req.query.role;
+  if (req.query.school) filter.school = req.query.school;
+  if (req.query.active !== undefined) {
+    filter.isActive = req.query.active === 'true' ? { $ne: false } : false;
+  }
+  if (req.query.search) {
+    const pattern = new RegExp(String(req.query.search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    filter.$or = [{ name: pattern }, { email: pattern }];
+  }
+
+  const users = await User.find(filter).sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: users.length,
+    data: users
+  });
+});
+
+// @desc    Get a user with the number of classes they own
+// @route   GET /api/admin/users/:id
+// @access  Private/Admin (users:manage)
+const getUser = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return next(new ErrorResponse(`User not found with id of ${req.params.id}`, 404));
+  }
+
+  const classCount = await Class.countDocuments({ 'teacher._id': user._id });
+
+  res.status(200).json({
+    success: true,
+    data: user,
+    classCount
+  });
+});
+
+// @desc    Create a user. Without a password, the user is emailed a link to choose one.
+// @route   POST /api/admin/users
+// @access  Private/Admin (users:manage)
+const createUser = asyncHandler(async (req, res, next) => {
+  const { name, email, password, role = 'teacher', school, phone } = req.body;
+
+  if (!name || !email) {
+    return next(new ErrorResponse('Please provide a name and an email', 400));
+  }
+  if (!ROLES.includes(role)) {
+    return next(new ErrorResponse(`Role must be one of: ${ROLES.join(', ')}`, 400));
+  }
+  if (SCHOOL_ROLES.includes(role) && !school) {
+    return next(new ErrorResponse(`School is required for a ${role}`, 400));
+  }
+
+  const normalizedEmail = String(email).trim().toLowerCase();
+  const existingUser = await User.findOne({ email: normalizedEmail });
+  if (existingUser) {
+    return next(new ErrorResponse('A user already exists with this email', 409));
+  }
+
+  // An admin vouches for the address, as with invitations
+  const user = await User.create({
+    name,
+    email: normalizedEmail,
+    password: password || randomPassword(),
+    role,
+    school: SCHOOL_ROLES.includes(role) ? school : undefined,
+    phone,
+    isEmailVerified: true,
+    emailVerifiedAt: Date.now()
+  });
+  logger.info(`User ${req.user.email} created ${role} account ${user.email}`);
+  await auditService.record(req, 'user.create', { targetModel: 'User', targetId: user._id, after: user });
+
+  const emailSent = password
+    ? false
+    : await sendSetPasswordEmail(user, 'An administrator created a QR Scavenger Hunt account for you.');
+
+  res.status(201).json({
+    success: true,
+    data: user,
+    emailSent
+  });
+});
+
+// @desc    Edit a user's profile or role
+// @route   PUT /api/admin/users/:id
+// @access  Private/Admin (users:manage)
+const updateUser = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return next(new ErrorResponse(`User not found with id of ${req.params.id}`, 404));
+  }
+
+  const updates = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined) updates[field] = req.body[field];
+  });
+
+  if (updates.role !== undefined && updates.role !== user.role) {
+    if (!ROLES.includes(updates.role)) {
+      return next(new ErrorResponse(`Role must be one of: ${ROLES.join(', ')}`, 400));
+    }
+    if (user._id.toString() === req.user.id) {
+      return next(new ErrorResponse('You cannot change your own role', 400));
+    }
+    if (await isLastAdmin(user)) {
+      return next(new ErrorResponse('The last active admin cannot lose the admin role', 400));
+    }
+  }
+  const role = updates.role || user.role;
+  if (SCHOOL_ROLES.includes(role) && !(updates.school !== undefined ? updates.school : user.school)) {
+    return next(new ErrorResponse(`School is required for a ${role}`, 400));
+  }
+
+  if (updates.email !== undefined) {
+    updates.email = String(updates.email).trim().toLowerCase();
+    if (updates.email !== user.email) {
+      const existingUser = await User.findOne({ email: updates.email });
+      if (existingUser) {
+        return next(new ErrorResponse('A user already exists with this email', 409));
+      }
+    }
+  }
+
+  const before = auditService.toPlain(user);
+  Object.assign(user, updates);
+  await user.save();
+
+  const roleChanged = before.role !== user.role;
+  if (roleChanged) {
+    logger.info(`User ${req.user.email} changed the role of ${user.email} from ${before.role} to ${user.role}`);
+  }
+  await auditService.record(req, roleChanged ? 'user.role-change' : 'user.update', {
+    targetModel: 'User',
+    targetId: user._id,
+    before,
+    after: user
+  });
+
+  // Classes keep a copy of their teacher's name and email
+  if (updates.name !== undefined || updates.email !== undefined) {
+    await Class.updateMany(
+      { 'teacher._id': user._id },
+      { 'teacher.name': user.name, 'teacher.email': user.email }
+    );
+  }
+
+  res.status(200).json({
+    success: true,
+    data: user
+  });
+});
+
+// @desc    Deactivate a user: they are signed out everywhere and cannot log in,
+//          and their API tokens stop working
+// @route   PUT /api/admin/users/:id/deactivate
+// @access  Private/Admin (users:manage)
+const deactivateUser = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return next(new ErrorResponse(`User not found with id of ${req.params.id}`, 404));
+  }
+  if (user._id.toString() === req.user.id) {
+    return next(new ErrorResponse('You cannot deactivate your own account', 400));
+  }
+  if (await isLastAdmin(user)) {
+    return next(new ErrorResponse('The last active admin cannot be deactivated', 400));
+  }
+
+  if (user.isActive !== false) {
+    user.isActive = false;
+    user.deactivatedAt = Date.now();
+    await user.save({ validateBeforeSave: false });
+    await Session.revokeAllForUser(user._id, 'deactivated');
+    logger.info(`User ${req.user.email} deactivated ${user.email}`);
+    await auditService.record(req, 'user.deactivate', { targetModel: 'User', targetId: user._id });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: user
+  });
+});
+
+// @desc    Reactivate a deactivated user
+// @route   PUT /api/admin/users/:id/reactivate
+// @access  Private/Admin (users:manage)
+const reactivateUser = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return next(new ErrorResponse(`User not found with id of ${req.params.id}`, 404));
+  }
+
+  if (user.isActive === false) {
+    user.isActive = true;
+    user.deactivatedAt = undefined;
+    await user.save({ validateBeforeSave: false });
+    logger.info(`User ${req.user.email} reactivated ${user.email}`);
+    await auditService.record(req, 'user.reactivate', { targetModel: 'User', targetId: user._id });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: user
+  });
+});
+
+// @desc    Delete a user. Their classes must be transferred first.
+// @route   DELETE /api/admin/users/:id
+// @access  Private/Admin (users:manage)
+const deleteUser = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return next(new ErrorResponse(`User not found with id of ${req.params.id}`, 404));
+  }
+  if (user._id.toString() === req.user.id) {
+    return next(new ErrorResponse('You cannot delete your own account', 400));
+  }
+  if (await isLastAdmin(user)) {
+    return next(new ErrorResponse('The last active admin cannot be deleted', 400));
+  }
+
+  // Classes in the trash still belong to the user and can be restored
+  const classCount = await Class.countDocuments({ 'teacher._id': user._id }, { withDeleted: true });
+  if (classCount > 0) {
+    return next(new ErrorResponse(
+      `This user owns ${classCount} class(es); transfer them to another teacher first`,
+      409,
+      { classCount }
+    ));
+  }
+
+  await Session.deleteMany({ user: user._id });
+  await ApiToken.updateMany({ createdBy: user._id, revokedAt: null }, { revokedAt: new Date() });
+  await user.deleteOne();
+  logger.info(`User ${req.user.email} deleted ${user.email}`);
+  await auditService.record(req, 'user.delete', { targetModel: 'User', targetId: user._id, before: user });
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
+
+// @desc    Force a password reset: the current password stops working, every
+//          session is signed out and the user is emailed a link to choose a new one
+// @route   POST /api/admin/users/:id/force-password-reset
+// @access  Private/Admin (users:manage)
+const forcePasswordReset = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return next(new ErrorResponse(`User not found with id of ${req.params.id}`, 404));
+  }
+
+  user.password = randomPassword();
+  await user.save();
+  await Session.revokeAllForUser(user._id, 'password-change');
+  logger.info(`User ${req.user.email} forced a password reset for ${user.email}`);
+  await auditService.record(req, 'user.force-password-reset', { targetModel: 'User', targetId: user._id });
+
+  const emailSent = await sendSetPasswordEmail(user, 'An administrator reset your QR Scavenger Hunt password.');
+
+  res.status(200).json({
+    success: true,
+    message: emailSent
+      ? `Password reset; a link to choose a new one was sent to ${user.email}`
+      : 'Password reset, but the email could not be sent; the user can use forgot password',
+    emailSent
+  });
+});
+
+// @desc    Transfer a teacher's classes to another teacher (all, or the given classIds)
+// @route   POST /api/admin/users/:id/transfer-classes
+// @access  Private/Admin (users:manage)
+const transferClasses = asyncHandler(async (req, res, next) => {
+  const { toUserId, classIds } = req.body;
+
+  if (!toUserId) {
+    return next(new ErrorResponse('Please provide the user to transfer the classes to (toUserId)', 400));
+  }
+  if (!mongoose.Types.ObjectId.isValid(toUserId)) {
+    return next(new ErrorResponse('toUserId must be a valid user id', 400));
+  }
+  if (classIds !== undefined && !Array.isArray(classIds)) {
+    return next(new ErrorResponse('classIds must be an array', 400));
+  }
+  if (classIds && classIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+    return next(new ErrorResponse('classIds must be valid class ids', 400));
+  }
+  if (toUserId === req.params.id) {
+    return next(new ErrorResponse('Classes cannot be transferred to the same user', 400));
+  }
+
+  const fromUser = await User.findById(req.params.id);
+  if (!fromUser) {
+    return next(new ErrorResponse(`User not found with id of ${req.params.id}`, 404));
+  }
+  const toUser = await User.findById(toUserId);
+  if (!toUser) {
+    return next(new ErrorResponse(`User not found with id of ${toUserId}`, 404));
+  }
+  if (toUser.isActive === false || !getRolePermissions(toUser.role).includes('classes:write')) {
+    return next(new ErrorResponse('Classes can only be transferred to an active user who can manage classes', 400));
+  }
+
+  const filter = { 'teacher._id': fromUser._id };
+  if (classIds) filter._id = { $in: classIds };
+
+  const result = await Class.updateMany(filter, {
+    teacher: { _id: toUser._id, name: toUser.name, email: toUser.email }
+  });
+  logger.info(`User ${req.user.email} transferred ${result.modifiedCount} class(es) from ${fromUser.email} to ${toUser.email}`);
+  await auditService.record(req, 'user.transfer-classes', {
+    targetModel: 'User',
+    targetId: fromUser._id,
+    metadata: { to: toUser._id, classIds, transferred: result.modifiedCount }
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      from: fromUser._id,
+      to: toUser._id,
+      transferred: result.modifiedCount
+    }
+  });
+});
+
+module.exports = {
+  getUsers,
+  getUser,
+  createUser,
+  updateUser,
+  deactivateUser,
+  reactivateUser,
+  deleteUser,
+  forcePasswordReset,
+  transferClasses
+};
@@ -2,7 +2,11 @@ const jwt = require('jsonwebtoken');
 const asyncHandler = require('express-async-handler');
 const ErrorResponse = require('../utils/errorResponse');
 const User = require('../models/User');
+const Class = require('../models/Class');
+const ApiToken = require('../models/ApiToken');
+const Session = require('../models/Session');
 const logger = require('../utils/logger');
+const { getUserPermissions, requiresTwoFactor, DEVICE_PERMISSIONS, VERIFIED_EMAIL_PERMISSIONS } = require('../config/permissions');
 
 // Protect routes
 exports.protect = asyncHandler(async (req, res, next) => {
@@ -26,15 +30,63 @@ exports.protect = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Not authorized to access this route', 401));
   }
 
+  // Scoped API token: acts as its creator, limited to the token's permissions
+  if (token.startsWith(ApiToken.TOKEN_PREFIX)) {
+    const apiToken = await ApiToken.findActive(token);
+    if (!apiToken) {
+      logger.error('API token is unknown, expired or revoked');
+      return next(new ErrorResponse('Not authorized to access this route', 401));
+    }
+
+    req.user = await User.findById(apiToken.createdBy).select('-password');
+    if (!req.user || req.user.isActive === false) {
+      logger.error(`Creator ${apiToken.createdBy} of API token ${apiToken._id} no longer exists or is deactivated`);
+      return next(new ErrorResponse('Not authorized to access this route', 401));
+    }
+
+    // A token never grants more than its creator currently holds
+    const userPermissions = getUserPermissions(req.user);
+    req.permissions = apiToken.permissions.filter(permission => userPermissions.includes(permission));
+    req.apiToken = apiToken;
+    await ApiToken.updateOne({ _id: apiToken._id }, { lastUsedAt: new Date() });
+    return next();
+  }
+
   try {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.scope === Class.DEVICE_TOKEN_SCOPE) {
+      logger.warn(`Device token for class ${decoded.classId} used on ${req.method} ${req.originalUrl}`);
+      return next(new ErrorResponse('Device tokens can only record scans and read class progress', 403));
+    }
+    // Other scoped tokens are not logins; stream tickets only open the live stream
+    if (decoded.scope && !(req.streamTicket && decoded.scope === User.STREAM_TICKET_SCOPE)) {
+      logger.warn(`Token with scope ${decoded.scope} used on ${req.method} ${req.originalUrl}`);
+      return next(new ErrorResponse('Not authorized to access this route', 401));
+    }
     req.user = await User.findById(decoded.id).select('-password'); // Exclude password
 
     if (!req.user) {
       logger.error(`User not found with id: ${decoded.id}`);
       return next(new ErrorResponse('No user found with this id', 404));
     }
+    if (req.user.isActive === false) {
+      logger.error(`User ${decoded.id} is deactivated`);
+      return next(new ErrorResponse('This account has been deactivated', 401));
+    }
+    if (req.user.changedPasswordAfter(decoded.iat)) {
+      logger.error(`Token for user ${decoded.id} was issued before their password changed`);
+      return next(new ErrorResponse('Password was changed recently. Please log in again.', 401));
+    }
+
+    // Access tokens belong to a session, which logging out revokes
+    const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+    if (!session || !session.isActive() || session.user.toString() !== req.user._id.toString()) {
+      logger.error(`Session ${decoded.sid || '(none)'} of user ${decoded.id} is revoked, expired or unknown`);
+      return next(new ErrorResponse('Session has expired or was signed out. Please log in again.', 401));
+    }
+    req.authSession = session;
+    req.permissions = getUserPermissions(req.user);
     next();
   } catch (err) {
     logger.error(`Token verification failed: ${err.message}`);
@@ -42,7 +94,98 @@ exports.protect = asyncHandler(async (req, res, next) => {
   }
 });
 
-// Grant access to specific roles
+// Identify the user when the request has a valid access token, without
+// refusing requests that don't (e.g. logging out once the access token expired)
+exports.identify = (req, res, next) => {
+  if (!req.headers.authorization) return next();
+  return exports.protect(req, res, (err) => {
+    if (err) {
+      req.user = undefined;
+      req.authSession = undefined;
+      req.permissions = undefined;
+    }
+    next();
+  });
+};
+
+// Protect routes that student devices may also use: accepts the scan-only
+// device tokens issued by POST /api/classes/join as well as user tokens.
+// Device requests get `req.device` ({ classId, teamId }) instead of `req.user`.
+exports.protectDevice = asyncHandler(async (req, res, next) => {
+  const authorization = req.headers.authorization;
+  const token = authorization && authorization.startsWith('Bearer') ? authorization.split(' ')[1] : null;
+
+  let decoded = null;
+  try {
+    decoded = token ? jwt.verify(token, process.env.JWT_SECRET) : null;
+  } catch (err) {
+    // Invalid tokens are reported by protect
+  }
+  if (!decoded || decoded.scope !== Class.DEVICE_TOKEN_SCOPE) {
+    return exports.protect(req, res, next);
+  }
+
+  // Teachers revoke device tokens by bumping the class's token version
+  const classObj = await Class.findById(decoded.classId).select('isActive deviceTokenVersion');
+  if (!classObj || !classObj.isActive || (classObj.deviceTokenVersion || 0) !== decoded.version) {
+    logger.error(`Revoked or stale device token for class ${decoded.classId}`);
+    return next(new ErrorResponse('This device has been signed out of the class. Join again with the class code.', 401));
+  }
+
+  req.device = {
+    classId: decoded.classId,
+    teamId: decoded.teamId || null
+  };
+  req.permissions = DEVICE_PERMISSIONS;
+  next();
+});
+
+// Accept a stream ticket (POST /api/admin/live/ticket) as `?ticket=` for
+// Server-Sent Events streams, since the browser EventSource API cannot set an
+// Authorization header. Access tokens are never accepted in the query string.
+exports.acceptStreamTicket = (req, res, next) => {
+  if (req.headers.authorization || !req.query.ticket) return next();
+
+  let decoded = null;
+  try {
+    decoded = jwt.verify(String(req.query.ticket), process.env.JWT_SECRET);
+  } catch (err) {
+    // Reported below
+  }
+  if (!decoded || decoded.scope !== User.STREAM_TICKET_SCOPE) {
+    logger.error('Invalid or expired stream ticket');
+    return next(new ErrorResponse('Stream ticket is invalid or expired; request a new one from POST /api/admin/live/ticket', 401));
+  }
+
+  req.headers.authorization = `Bearer ${req.query.ticket}`;
+  req.streamTicket = true;
+  next();
+};
+
+// Grant access to requests holding all of the given permissions
+// (see config/permissions.js)
+exports.requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    const missing = permissions.filter(permission => !(req.permissions || []).includes(permission));
+
+    if (missing.length > 0) {
+      const who = req.device ? 'Device' : `User role ${req.user ? req.user.role : 'unknown'}`;
+      logger.error(`${who} lacks permission ${missing.join(', ')} for ${req.method} ${req.originalUrl}`);
+      if (req.user && requiresTwoFactor(req.user) && !req.user.twoFactorEnabled) {
+        return next(new ErrorResponse('Please set up two-factor authentication first', 403));
+      }
+      if (req.user && req.user.isEmailVerified === false && missing.every(permission => VERIFIED_EMAIL_PERMISSIONS.includes(permission))) {
+        return next(new ErrorResponse('Please verify your email address first', 403));
+      }
+      return next(
+        new ErrorResponse(`Not authorized: requires the ${missing.join(', ')} permission`, 403)
+      );
+    }
+    next();
+  };
+};
+
+// Grant access to specific roles. Prefer requirePermission for new routes.
 exports.authorize = (...rolesInput) => {
   return (req, res, next) => {
     if (!req.user || !req.user.role) {
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+const asyncHandler = require('./async');
+const ErrorResponse = require('../utils/errorResponse');
+const Event = require('../models/Event');
+
+// Resolve the hunt event a request is scoped to.
+// The event can be selected with `?event=<id>` or an `X-Event-Id` header;
+// otherwise the current active event is used.
+exports.selectEvent = asyncHandler(async (req, res, next) => {
+  const eventId = req.query.event || req.headers['x-event-id'];
+
+  let event;
+  if (eventId) {
+    if (!mongoose.Types.ObjectId.isValid(eventId)) {
+      return next(new ErrorResponse(`Invalid event id ${eventId}`, 400));
+    }
+    event = await Event.findById(eventId);
+    if (!event) {
+      return next(new ErrorResponse(`Event not found with id of ${eventId}`, 404));
+    }
+  } else {
+    event = await Event.findCurrent();
+    if (!event) {
+      return next(new ErrorResponse('No active event found. Please select an event.', 404));
+    }
+  }
+
+  req.event = event;
+  next();
+});
@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+const asyncHandler = require('./async');
+const ErrorResponse = require('../utils/errorResponse');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const logger = require('../utils/logger');
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+const MAX_KEY_LENGTH = 255;
+
+// How long stored responses are replayed for a repeated key
+const getTtlMs = () => (parseFloat(process.env.IDEMPOTENCY_TTL_HOURS) || 24) * 60 * 60 * 1000;
+
+// How long a request holds its key while processing, longer than any request should take
+const LOCK_MS = 60 * 1000;
+
+// Authorization failures are not stored, so a retry after being granted access runs the action
+const UNSTORED_STATUSES = [401, 403];
+
+// The query string counts: `?event=` selects what the request acts on
+const hashRequest = (req) => crypto
+  .createHash('sha256')
+  .update(JSON.stringify({ method: req.method, url: req.originalUrl, body: req.body || {} }))
+  .digest('hex');
+
+// Honour an `Idempotency-Key` header on mutating requests: the first response
+// is stored and replayed for retries with the same key, so a lost response
+// never runs the action twice. Keys are scoped to the user (or the class, for
+// device tokens); must run after protect or protectDevice.
+exports.idempotent = asyncHandler(async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (!key || SAFE_METHODS.includes(req.method)) {
+    return next();
+  }
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return next(new ErrorResponse(`Idempotency-Key cannot be more than ${MAX_KEY_LENGTH} characters`, 400));
+  }
+
+  const requestHash = hashRequest(req);
+  const scope = req.device ? { device: req.device.classId, key } : { user: req.user._id, key };
+
+  let record;
+  try {
+    record = await IdempotencyKey.create({
+      ...scope,
+      method: req.method,
+      path: req.baseUrl + req.path,
+      requestHash,
+      lockedUntil: new Date(Date.now() + LOCK_MS),
+      expiresAt: new Date(Date.now() + getTtlMs())
+    });
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+
+    const existing = await IdempotencyKey.findOne(scope);
+    if (!existing || existing.expiresAt <= new Date()) {
+      // Expired but not yet removed by the TTL monitor: start over
+      await IdempotencyKey.deleteOne(scope);
+      return exports.idempotent(req, res, next);
+    }
+
+    if (existing.requestHash !== requestHash) {
+      return next(new ErrorResponse('Idempotency-Key has already been used for a different request', 409));
+    }
+    if (existing.status !== 'completed') {
+      // The request holding the key never finished (the process died): take the key over
+      if (!existing.lockedUntil || existing.lockedUntil <= new Date()) {
+        record = await IdempotencyKey.findOneAndUpdate(
+          { _id: existing._id, status: 'processing', lockedUntil: existing.lockedUntil || null },
+          { lockedUntil: new Date(Date.now() + LOCK_MS) },
+          { new: true }
+        );
+      }
+      if (!record) {
+        return next(new ErrorResponse('A request with this Idempotency-Key is still being processed', 409));
+      }
+      logger.warn(`Taking over stale Idempotency-Key ${key} (${existing.method} ${existing.path})`);
+    } else {
+      logger.info(`Replaying stored response for Idempotency-Key ${key} (${existing.method} ${existing.path})`);
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.responseStatus).json(existing.responseBody);
+    }
+  }
+
+  let responseBody;
+  let stored = false;
+  let closed = false;
+
+  // Store the response once; server errors, authorization failures and
+  // non-JSON responses release the key instead, so the request can be retried
+  const storeResponse = () => {
+    if (stored) return;
+    stored = true;
+    const update = res.statusCode >= 500 || UNSTORED_STATUSES.includes(res.statusCode) || responseBody === undefined
+      ? IdempotencyKey.deleteOne({ _id: record._id })
+      : IdempotencyKey.updateOne(
+        { _id: record._id },
+        // Stored as plain JSON, exactly as the client received it
+        { status: 'completed', responseStatus: res.statusCode, responseBody: JSON.parse(JSON.stringify(responseBody)), lockedUntil: null }
+      );
+    update.catch(err => logger.error(`Failed to store response for Idempotency-Key ${key}: ${err.message}`));
+  };
+
+  // Capture the JSON response so it can be replayed
+  const originalJson = res.json.bind(res);
+  res.json = (body) => {
+    responseBody = body;
+    const result = originalJson(body);
+    // The client went away before the action finished; keep its outcome for the retry
+    if (closed) storeResponse();
+    return result;
+  };
+
+  res.on('finish', storeResponse);
+  res.on('close', () => {
+    closed = true;
+    // Still running: the response is stored when the handler sends it, and
+    // the lease frees the key if the process dies first
+    if (responseBody !== undefined) storeResponse();
+  });
+
+  next();
+});
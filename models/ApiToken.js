@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { PERMISSIONS } = require('../config/permissions');
+
+// Tells API tokens apart from JWTs in the Authorization header
+const TOKEN_PREFIX = 'qrh_';
+
+// Scoped, expiring token for kiosks and integrations. Only a hash of the
+// token is stored; the token itself is shown once when it is created.
+const ApiTokenSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please add a token name'],
+    trim: true,
+    maxlength: [100, 'Name cannot be more than 100 characters']
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  // First characters of the token, to recognise it in lists
+  preview: {
+    type: String
+  },
+  permissions: {
+    type: [{
+      type: String,
+      enum: Object.keys(PERMISSIONS)
+    }],
+    validate: {
+      validator: permissions => permissions.length > 0,
+      message: 'Please grant the token at least one permission'
+    }
+  },
+  // The token acts as this user, limited to its own permissions
+  createdBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Please add an expiry date']
+  },
+  lastUsedAt: {
+    type: Date
+  },
+  revokedAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Generate a new token; store only its hash
+ApiTokenSchema.statics.generateToken = function() {
+  return `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('hex')}`;
+};
+
+ApiTokenSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// The unrevoked, unexpired token document for a presented token
+ApiTokenSchema.statics.findActive = function(token) {
+  return this.findOne({
+    tokenHash: this.hashToken(token),
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+module.exports = mongoose.model('ApiToken', ApiTokenSchema);
+module.exports.TOKEN_PREFIX = TOKEN_PREFIX;
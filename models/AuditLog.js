@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// Who did what to which record. Entries are written by services/auditService.js
+// and never changed afterwards.
+const AuditLogSchema = new mongoose.Schema({
+  // e.g. 'station.update', 'drawing.run', 'auth.login-failed'
+  action: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // The user acting (for API tokens, the token's creator); empty for failed
+  // logins of unknown emails and for student devices
+  actor: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    index: true
+  },
+  // Kept so entries stay readable after the user is deleted
+  actorEmail: {
+    type: String
+  },
+  actorType: {
+    type: String,
+    enum: ['user', 'api-token', 'device', 'anonymous'],
+    default: 'user'
+  },
+  apiToken: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'ApiToken'
+  },
+  targetModel: {
+    type: String
+  },
+  targetId: {
+    type: mongoose.Schema.ObjectId
+  },
+  // Changed fields only: { before: { field: old }, after: { field: new } }
+  changes: {
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  },
+  // Anything else worth keeping, e.g. the email of a failed login
+  metadata: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  ip: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+AuditLogSchema.index({ createdAt: -1 });
+AuditLogSchema.index({ targetModel: 1, targetId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', AuditLogSchema);
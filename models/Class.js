@@ -1,11 +1,87 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
 const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Scope of tokens issued to student devices that join with the class code
+const DEVICE_TOKEN_SCOPE = 'scan';
+
+// Roster entries are kept minimal for student privacy: a first name or
+// nickname, an optional team and attendance. They can be deleted at any time.
+const StudentSchema = new mongoose.Schema({
+  displayName: {
+    type: String,
+    required: [true, 'Please add a name or nickname for the student'],
+    trim: true,
+    maxlength: [50, 'Student name cannot be more than 50 characters']
+  },
+  team: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Team name cannot be more than 50 characters']
+  },
+  present: {
+    type: Boolean,
+    default: false
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// A group within the class that hunts on its own, with its own progress.
+// The class counts every station any of its teams found.
+const TeamSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please add a team name'],
+    trim: true,
+    maxlength: [50, 'Team name cannot be more than 50 characters']
+  },
+  // Entered on a team device to join the team
+  joinCode: {
+    type: String
+  },
+  stationsScanned: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Station'
+  }],
+  isCompleted: {
+    type: Boolean,
+    default: false
+  },
+  lastScanAt: {
+    type: Date
+  },
+  completedAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Generate a join code for new teams
+TeamSchema.pre('save', function(next) {
+  if (!this.joinCode) {
+    this.joinCode = crypto.randomBytes(4).toString('hex').toUpperCase();
+  }
+  next();
+});
 
 const ClassSchema = new mongoose.Schema({
   name: {
     type: String,
     required: [true, 'Please add a class name']
   },
+  event: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Event',
+    required: [true, 'Please assign the class to an event'],
+    index: true
+  },
   teacher: {
     _id: {
       type: mongoose.Schema.ObjectId,
@@ -19,6 +95,11 @@ const ClassSchema = new mongoose.Schema({
     type: String,
     unique: true
   },
+  // Bumped to revoke every device token issued for the class
+  deviceTokenVersion: {
+    type: Number,
+    default: 0
+  },
   school: {
     type: String,
     required: [true, 'Please add a school name']
@@ -31,6 +112,14 @@ const ClassSchema = new mongoose.Schema({
     type: Number,
     required: [true, 'Please add the number of students']
   },
+  teams: [TeamSchema],
+  students: {
+    type: [StudentSchema],
+    validate: {
+      validator: students => students.length <= 200,
+      message: 'A class roster cannot have more than 200 students'
+    }
+  },
   classPicture: {
     type: String,
     default: null
@@ -61,8 +150,36 @@ const ClassSchema = new mongoose.Schema({
   },
   completedAt: {
     type: Date
-  }
+  },
   // --- End of added fields ---
+  // Clue hints the class has unlocked
+  hintsUsed: [{
+    _id: false,
+    station: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Station'
+    },
+    clue: {
+      type: mongoose.Schema.ObjectId
+    },
+    tier: {
+      type: Number
+    },
+    usedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Kept up to date by scoringService.refreshClassScore
+  score: {
+    total: { type: Number, default: 0 },
+    stationPoints: { type: Number, default: 0 },
+    quizBonus: { type: Number, default: 0 },
+    speedBonus: { type: Number, default: 0 },
+    hintPenalty: { type: Number, default: 0 },
+    completionMinutes: { type: Number, default: null },
+    updatedAt: Date
+  }
 });
 
 // Generate a unique class code before saving
@@ -74,4 +191,27 @@ ClassSchema.pre('save', function(next) {
   next();
 });
 
-module.exports = mongoose.model('Class', ClassSchema);
\ No newline at end of file
+// Sign a scan-only token for a student device, optionally bound to a team
+ClassSchema.methods.getSignedDeviceToken = function(team) {
+  return jwt.sign(
+    {
+      scope: DEVICE_TOKEN_SCOPE,
+      classId: this._id,
+      teamId: team ? team._id : undefined,
+      version: this.deviceTokenVersion || 0
+    },
+    process.env.JWT_SECRET,
+    {
+      expiresIn: process.env.DEVICE_TOKEN_EXPIRE || '12h'
+    }
+  );
+};
+
+ClassSchema.index({ event: 1, 'score.total': -1 });
+ClassSchema.index({ 'teams.joinCode': 1 }, { unique: true, sparse: true });
+
+// Deleting moves the class to the trash; see plugins/softDelete
+ClassSchema.plugin(softDelete);
+
+module.exports = mongoose.model('Class', ClassSchema);
+module.exports.DEVICE_TOKEN_SCOPE = DEVICE_TOKEN_SCOPE;
\ No newline at end of file
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
 
 const DrawingSchema = new mongoose.Schema({
   name: {
@@ -6,10 +7,22 @@ const DrawingSchema = new mongoose.Schema({
     required: [true, 'Please add a drawing name'],
     trim: true
   },
+  event: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Event',
+    required: [true, 'Please assign the drawing to an event'],
+    index: true
+  },
   date: {
     type: Date,
     default: Date.now
   },
+  // 'team' draws among the teams of classes instead of whole classes
+  entrantType: {
+    type: String,
+    enum: ['class', 'team'],
+    default: 'class'
+  },
   eligibleClasses: [{
     type: mongoose.Schema.ObjectId,
     ref: 'Class'
@@ -19,6 +32,13 @@ const DrawingSchema = new mongoose.Schema({
       type: mongoose.Schema.ObjectId,
       ref: 'Class'
     },
+    // Set when the drawing's entrants are teams
+    team: {
+      type: mongoose.Schema.ObjectId
+    },
+    teamName: {
+      type: String
+    },
     prize: {
       type: String
     },
@@ -48,4 +68,7 @@ const DrawingSchema = new mongoose.Schema({
   }
 });
 
+// Deleting moves the drawing to the trash; see plugins/softDelete
+DrawingSchema.plugin(softDelete);
+
 module.exports = mongoose.model('Drawing', DrawingSchema);
\ No newline at end of file
@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+const EventSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please add an event name'],
+    trim: true,
+    maxlength: [100, 'Name cannot be more than 100 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Description cannot be more than 500 characters']
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Please add a start date']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'Please add an end date'],
+    validate: {
+      validator: function(value) {
+        // `this` is the document on create/save; skip the check on query updates
+        return !(this instanceof mongoose.Document) || !this.startDate || value >= this.startDate;
+      },
+      message: 'End date must be after the start date'
+    }
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'active', 'completed', 'archived'],
+    default: 'draft'
+  },
+  settings: {
+    // 'sequential' hunts must visit stations in Station.order
+    huntMode: {
+      type: String,
+      enum: ['free', 'sequential'],
+      default: 'free'
+    },
+    // Minutes between hint tiers when a hint does not set its own delay
+    hintDelayMinutes: {
+      type: Number,
+      min: [0, 'Hint delay cannot be negative'],
+      default: 5
+    },
+    // Scans of stations with a quiz only count once the quiz is answered correctly
+    requireQuiz: {
+      type: Boolean,
+      default: false
+    },
+    // Unset values fall back to scoringService.DEFAULT_SCORING
+    scoring: {
+      stationPoints: { type: Number, min: 0 },
+      quizBonusPoints: { type: Number, min: 0 },
+      hintPenaltyPoints: { type: Number, min: 0 },
+      speedBonusPoints: { type: Number, min: 0 },
+      speedBonusWindowMinutes: { type: Number, min: 0 }
+    }
+  },
+  createdBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+EventSchema.index({ status: 1, startDate: -1 });
+
+// Update the updatedAt field before saving
+EventSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Whether scans can be recorded for this event at the given time
+EventSchema.methods.isOpenAt = function(date = new Date()) {
+  return this.status === 'active' && this.startDate <= date && date <= this.endDate;
+};
+
+// The event used when a request does not select one explicitly:
+// the most recently started active event
+EventSchema.statics.findCurrent = function() {
+  return this.findOne({ status: 'active' }).sort({ startDate: -1 });
+};
+
+module.exports = mongoose.model('Event', EventSchema);
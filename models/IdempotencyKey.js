@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// Stored outcome of a mutating request sent with an Idempotency-Key header
+const IdempotencyKeySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    maxlength: [255, 'Idempotency key cannot be more than 255 characters']
+  },
+  // Keys are scoped to the user, or to the class for student device tokens
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  device: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Class'
+  },
+  method: {
+    type: String,
+    required: true
+  },
+  path: {
+    type: String,
+    required: true
+  },
+  // Hash of method, URL (with query string) and body; a reused key must match it
+  requestHash: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing'
+  },
+  // While processing, how long the request holds the key. A retry after the
+  // lease runs out takes the key over, e.g. when the process died mid-request.
+  lockedUntil: {
+    type: Date
+  },
+  responseStatus: {
+    type: Number
+  },
+  responseBody: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Removed by MongoDB's TTL monitor once expired
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+IdempotencyKeySchema.index({ user: 1, device: 1, key: 1 }, { unique: true });
+IdempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('IdempotencyKey', IdempotencyKeySchema);
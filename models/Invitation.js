@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { ROLES } = require('../config/permissions');
+
+// An admin's invitation to create an account with a given role. Roles other
+// than teacher can only be obtained this way.
+const InvitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, 'Please add an email'],
+    lowercase: true,
+    trim: true,
+    match: [
+      /^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/,
+      'Please add a valid email'
+    ]
+  },
+  role: {
+    type: String,
+    enum: ROLES,
+    required: [true, 'Please add a role']
+  },
+  school: {
+    type: String
+  },
+  // SHA-256 hash of the emailed invitation token
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  invitedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  acceptedAt: {
+    type: Date
+  },
+  acceptedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  revokedAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+InvitationSchema.index({ email: 1, createdAt: -1 });
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Generate the invitation token; only its hash is stored
+InvitationSchema.methods.getInvitationToken = function() {
+  const token = crypto.randomBytes(20).toString('hex');
+  this.tokenHash = hashToken(token);
+  return token;
+};
+
+// 'pending', 'accepted', 'revoked' or 'expired'
+InvitationSchema.methods.getStatus = function(date = new Date()) {
+  if (this.acceptedAt) return 'accepted';
+  if (this.revokedAt) return 'revoked';
+  return this.expiresAt > date ? 'pending' : 'expired';
+};
+
+// The pending invitation for a presented token
+InvitationSchema.statics.findPending = function(token) {
+  return this.findOne({
+    tokenHash: hashToken(token),
+    acceptedAt: null,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+module.exports = mongoose.model('Invitation', InvitationSchema);
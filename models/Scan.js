@@ -1,6 +1,12 @@
 const mongoose = require('mongoose');
 
 const ScanSchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Event',
+    required: true,
+    index: true
+  },
   classId: {
     type: mongoose.Schema.ObjectId,
     ref: 'Class',
@@ -18,10 +24,59 @@ const ScanSchema = new mongoose.Schema({
   scannedBy: {
     type: mongoose.Schema.ObjectId,
     ref: 'User'
-  }
+  },
+  // Team (Class.teams) that scanned; unset for scans by the whole class
+  team: {
+    type: mongoose.Schema.ObjectId
+  },
+  // Roster entry (Class.students) of the student whose device submitted the scan
+  student: {
+    type: mongoose.Schema.ObjectId
+  },
+  // Scans queued on a device while offline keep the device's timestamp
+  source: {
+    type: String,
+    enum: ['live', 'offline'],
+    default: 'live'
+  },
+  // Client-generated key so a re-sent offline scan is only recorded once
+  idempotencyKey: {
+    type: String,
+    maxlength: [100, 'Idempotency key cannot be more than 100 characters']
+  },
+  syncedAt: {
+    type: Date
+  },
+  // False while the station's required quiz has not been answered correctly
+  counted: {
+    type: Boolean,
+    default: true
+  },
+  quizPassedAt: {
+    type: Date
+  },
+  quizAttempts: [{
+    _id: false,
+    answers: [mongoose.Schema.Types.Mixed],
+    results: [Boolean],
+    correct: Boolean,
+    submittedAt: {
+      type: Date,
+      default: Date.now
+    },
+    submittedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    }
+  }]
 });
 
-// Compound index to prevent duplicate scans
-ScanSchema.index({ classId: 1, stationId: 1 }, { unique: true });
+// Compound index to prevent duplicate scans: once per class, or once per team
+// when the class hunts in teams (scans without a team index `team` as null)
+ScanSchema.index({ classId: 1, team: 1, stationId: 1 }, { unique: true });
+ScanSchema.index(
+  { classId: 1, idempotencyKey: 1 },
+  { unique: true, partialFilterExpression: { idempotencyKey: { $type: 'string' } } }
+);
 
 module.exports = mongoose.model('Scan', ScanSchema);
\ No newline at end of file
@@ -0,0 +1,148 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// A login on one device. Access tokens name their session, so revoking it
+// signs the device out; the refresh token is rotated on every use.
+const SessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // SHA-256 hash of the current refresh token secret
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // Hash of the secret the last rotation replaced, still accepted as a
+  // concurrent refresh (not reuse) for REFRESH_GRACE_MS after `rotatedAt`
+  previousRefreshTokenHash: {
+    type: String,
+    select: false
+  },
+  rotatedAt: {
+    type: Date
+  },
+  userAgent: {
+    type: String
+  },
+  ip: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Fixed at login; refreshing does not extend it. Removed by MongoDB's TTL monitor.
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout-all', 'password-change', 'reuse-detected', 'deactivated']
+  }
+});
+
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const matchesHash = (hash, secret) => {
+  const expected = Buffer.from(hash || '', 'hex');
+  const actual = Buffer.from(hashSecret(secret), 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+// How long the secret a rotation replaced still counts as a concurrent refresh,
+// e.g. two tabs refreshing at once, rather than a stolen token being reused
+const REFRESH_GRACE_MS = 30 * 1000;
+
+// Days a login lasts before the user has to sign in again
+const getRefreshTokenExpireDays = () => parseFloat(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+
+// Set a new refresh token secret and return the token (`<sessionId>.<secret>`)
+SessionSchema.methods.rotateRefreshToken = function() {
+  const secret = crypto.randomBytes(32).toString('hex');
+  this.refreshTokenHash = hashSecret(secret);
+  return `${this._id}.${secret}`;
+};
+
+// Rotate the refresh token away from `secret` in one update, so two requests
+// presenting the same token cannot both rotate it. Returns the new token, or
+// null if the secret is no longer current or the session was revoked.
+SessionSchema.methods.rotateRefreshTokenFrom = async function(secret) {
+  const nextSecret = crypto.randomBytes(32).toString('hex');
+  const now = new Date();
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id, refreshTokenHash: hashSecret(secret), revokedAt: null },
+    {
+      refreshTokenHash: hashSecret(nextSecret),
+      previousRefreshTokenHash: hashSecret(secret),
+      rotatedAt: now,
+      lastUsedAt: now
+    }
+  );
+  return updated ? `${this._id}.${nextSecret}` : null;
+};
+
+// Whether a presented secret is the current one (needs +refreshTokenHash)
+SessionSchema.methods.matchesRefreshSecret = function(secret) {
+  return matchesHash(this.refreshTokenHash, secret);
+};
+
+// Whether a presented secret was replaced by a rotation moments ago
+// (needs +previousRefreshTokenHash)
+SessionSchema.methods.matchesPreviousRefreshSecret = function(secret, date = new Date()) {
+  return Boolean(this.rotatedAt) &&
+    date - this.rotatedAt <= REFRESH_GRACE_MS &&
+    matchesHash(this.previousRefreshTokenHash, secret);
+};
+
+SessionSchema.methods.isActive = function(date = new Date()) {
+  return !this.revokedAt && this.expiresAt > date;
+};
+
+SessionSchema.methods.revoke = function(reason) {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+};
+
+// Start a session for a login; returns it with its first refresh token
+SessionSchema.statics.start = async function(user, { userAgent, ip } = {}) {
+  const session = new this({
+    user: user._id,
+    userAgent,
+    ip,
+    expiresAt: new Date(Date.now() + getRefreshTokenExpireDays() * 24 * 60 * 60 * 1000)
+  });
+  const refreshToken = session.rotateRefreshToken();
+  await session.save();
+  return { session, refreshToken };
+};
+
+// Split a refresh token into its session id and secret; null if malformed
+SessionSchema.statics.parseRefreshToken = function(token) {
+  const [sessionId, secret] = String(token || '').split('.');
+  if (!secret || !mongoose.Types.ObjectId.isValid(sessionId)) return null;
+  return { sessionId, secret };
+};
+
+// Revoke every active session of a user
+SessionSchema.statics.revokeAllForUser = function(userId, reason) {
+  return this.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+module.exports = mongoose.model('Session', SessionSchema);
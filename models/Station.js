@@ -1,7 +1,94 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
 const crypto = require('crypto');
+const { generateStationSecret } = require('../services/qrService');
+const { QUESTION_TYPES } = require('../services/quizService');
+
+// Progressively harder-to-miss nudges for a clue
+const HintSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: [true, 'Please add the hint text'],
+    maxlength: [300, 'Hint cannot be more than 300 characters']
+  },
+  // Minutes after the clue is revealed before this hint can be unlocked;
+  // defaults to the event's hint delay times the hint tier
+  unlockAfterMinutes: {
+    type: Number,
+    min: [0, 'Hint delay cannot be negative']
+  }
+});
+
+// Revealed to a class after it scans the station, pointing to another station
+const ClueSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: [true, 'Please add the clue text'],
+    maxlength: [500, 'Clue cannot be more than 500 characters']
+  },
+  imageUrl: {
+    type: String,
+    trim: true
+  },
+  targetStation: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Station'
+  },
+  hints: [HintSchema]
+});
+
+// Checks the learning objectives; answers are hidden from non-admin users
+const QuizQuestionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: QUESTION_TYPES,
+    required: [true, 'Please add the question type']
+  },
+  prompt: {
+    type: String,
+    required: [true, 'Please add the question'],
+    maxlength: [300, 'Question cannot be more than 300 characters']
+  },
+  // multiple_choice: the choices and the index of the correct one
+  options: [{
+    type: String,
+    maxlength: [200, 'Option cannot be more than 200 characters']
+  }],
+  correctOption: {
+    type: Number,
+    min: [0, 'Correct option must be an option index']
+  },
+  // true_false
+  correctAnswer: {
+    type: Boolean
+  },
+  // short_answer: matched ignoring case and extra whitespace
+  acceptedAnswers: [{
+    type: String,
+    maxlength: [200, 'Accepted answer cannot be more than 200 characters']
+  }]
+});
+
+QuizQuestionSchema.pre('validate', function(next) {
+  if (this.type === 'multiple_choice' && (this.options.length < 2 || !(this.correctOption < this.options.length))) {
+    this.invalidate('correctOption', 'Multiple choice questions need at least two options and a valid correct option');
+  }
+  if (this.type === 'true_false' && typeof this.correctAnswer !== 'boolean') {
+    this.invalidate('correctAnswer', 'True/false questions need a correct answer');
+  }
+  if (this.type === 'short_answer' && this.acceptedAnswers.length === 0) {
+    this.invalidate('acceptedAnswers', 'Short answer questions need at least one accepted answer');
+  }
+  next();
+});
 
 const StationSchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Event',
+    required: [true, 'Please assign the station to an event'],
+    index: true
+  },
   name: {
     type: String,
     required: [true, 'Please add a station name'],
@@ -16,6 +103,14 @@ const StationSchema = new mongoose.Schema({
     type: String,
     unique: true
   },
+  // Per-station key for signing QR payloads; rotating it invalidates printed codes
+  qrSecret: {
+    type: String,
+    select: false
+  },
+  qrSecretRotatedAt: {
+    type: Date
+  },
   educationalInfo: {
     type: String,
     maxlength: [2000, 'Educational info cannot be more than 2000 characters']
@@ -82,6 +177,15 @@ const StationSchema = new mongoose.Schema({
   order: {
     type: Number
   },
+  // Base points for finding the station, weighted by difficulty; defaults to the event's station points
+  points: {
+    type: Number,
+    min: [0, 'Points cannot be negative']
+  },
+  // Clues revealed after a new scan of this station. In sequential hunts, the
+  // clue whose targetStation is the next station also leads teams to it.
+  clues: [ClueSchema],
+  quiz: [QuizQuestionSchema],
   isActive: {
     type: Boolean,
     default: true
@@ -102,9 +206,33 @@ StationSchema.pre('save', function(next) {
   
   if (this.isNew) {
     // Generate a unique identifier for this station
-    this.qrCode = crypto.randomBytes(8).toString('hex');
+    this.regenerateQrCode();
+    this.qrSecret = generateStationSecret();
+    this.qrSecretRotatedAt = Date.now();
   }
   next();
 });
 
+// Replace the opaque scan identifier; QR codes encoding the old value stop resolving
+StationSchema.methods.regenerateQrCode = function() {
+  this.qrCode = crypto.randomBytes(8).toString('hex');
+};
+
+// Replace the signing secret so previously issued QR codes stop verifying
+StationSchema.methods.rotateQrSecret = function() {
+  this.qrSecret = generateStationSecret();
+  this.qrSecretRotatedAt = Date.now();
+};
+
+// Never expose the signing secret in API responses
+StationSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret.qrSecret;
+    return ret;
+  }
+});
+
+// Deleting moves the station to the trash; see plugins/softDelete
+StationSchema.plugin(softDelete);
+
 module.exports = mongoose.model('Station', StationSchema);
\ No newline at end of file
@@ -1,12 +1,18 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
+const { ROLES } = require('../config/permissions');
+const totp = require('../services/totpService');
 
 const UserSchema = new mongoose.Schema({
   email: {
     type: String,
     required: [true, 'Please add an email'],
     unique: true,
+    // Stored lowercased so emails match case-insensitively
+    lowercase: true,
+    trim: true,
     match: [
       /^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/,
       'Please add a valid email'
@@ -22,9 +28,10 @@ const UserSchema = new mongoose.Schema({
     type: String,
     required: [true, 'Please add a name']
   },
+  // Roles map to permission sets in config/permissions.js
   role: {
     type: String,
-    enum: ['admin', 'teacher'],
+    enum: ROLES,
     default: 'teacher'
   },
   school: {
@@ -47,26 +54,132 @@ const UserSchema = new mongoose.Schema({
   },
   lastLogin: {
     type: Date
+  },
+  // Deactivated users cannot log in and their tokens are rejected
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  deactivatedAt: {
+    type: Date
+  },
+  // New accounts are limited until they confirm their email address
+  isEmailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date
+  },
+  // SHA-256 hash of the emailed verification token
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpire: {
+    type: Date,
+    select: false
+  },
+  // Tokens issued before this time are no longer accepted
+  passwordChangedAt: {
+    type: Date
+  },
+  // SHA-256 hash of the emailed reset token; the token itself is never stored
+  resetPasswordToken: {
+    type: String,
+    select: false
+  },
+  resetPasswordExpire: {
+    type: Date,
+    select: false
+  },
+  // Failed logins since the last success; see services/loginProtectionService.js
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastFailedLoginAt: {
+    type: Date
+  },
+  // Logins are refused until this time
+  lockUntil: {
+    type: Date
+  },
+  // SHA-256 hash of the emailed unlock token
+  unlockToken: {
+    type: String,
+    select: false
+  },
+  unlockTokenExpire: {
+    type: Date,
+    select: false
+  },
+  // Two-factor authentication with an authenticator app (TOTP)
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorEnabledAt: {
+    type: Date
+  },
+  // Base32 secret shared with the authenticator app
+  twoFactorSecret: {
+    type: String,
+    select: false
+  },
+  // Secret being set up; it replaces twoFactorSecret once a code confirms it
+  twoFactorPendingSecret: {
+    type: String,
+    select: false
+  },
+  // Time step of the last accepted code, so codes cannot be replayed
+  twoFactorLastUsedStep: {
+    type: Number,
+    select: false
+  },
+  // SHA-256 hashes of the unused recovery codes
+  twoFactorRecoveryCodes: {
+    type: [String],
+    select: false
   }
 });
 
+// Minutes a password reset link stays valid
+const RESET_PASSWORD_EXPIRE_MINUTES = 30;
+
+// Hours an email verification link stays valid
+const EMAIL_VERIFICATION_EXPIRE_HOURS = 24;
+
+// Scope of the token that carries a login from the password to the second step
+const TWO_FACTOR_CHALLENGE_SCOPE = 'two-factor-challenge';
+const TWO_FACTOR_CHALLENGE_EXPIRE = '5m';
+
+// Scope of the ticket that opens the live stream, whose URL may end up in logs
+const STREAM_TICKET_SCOPE = 'live';
+const STREAM_TICKET_EXPIRE_SECONDS = 60;
+
 // Encrypt password using bcrypt
 UserSchema.pre('save', async function(next) {
   if (!this.isModified('password')) {
-    next();
+    return next();
   }
 
   const salt = await bcrypt.genSalt(10);
   this.password = await bcrypt.hash(this.password, salt);
+
+  if (!this.isNew) {
+    // JWT iat is in whole seconds; back off so the token issued with this change stays valid
+    this.passwordChangedAt = Date.now() - 1000;
+  }
 });
 
-// Sign JWT and return
-UserSchema.methods.getSignedJwtToken = function() {
+// Sign a short-lived access token for a session and return it
+UserSchema.methods.getSignedJwtToken = function(sessionId) {
   return jwt.sign(
-    { id: this._id, role: this.role },
+    { id: this._id, role: this.role, sid: sessionId },
     process.env.JWT_SECRET,
     {
-      expiresIn: process.env.JWT_EXPIRE
+      expiresIn: process.env.JWT_EXPIRE || '15m'
     }
   );
 };
@@ -76,4 +189,123 @@ UserSchema.methods.matchPassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
-module.exports = mongoose.model('User', UserSchema);
\ No newline at end of file
+// Whether a JWT issued at `iat` (seconds) predates the last password change
+UserSchema.methods.changedPasswordAfter = function(iat) {
+  return Boolean(this.passwordChangedAt) && iat * 1000 < new Date(this.passwordChangedAt).getTime();
+};
+
+// Generate a password reset token; the hash and expiry are set on the user
+UserSchema.methods.getResetPasswordToken = function() {
+  const resetToken = crypto.randomBytes(20).toString('hex');
+
+  this.resetPasswordToken = crypto.createHash('sha256').update(resetToken).digest('hex');
+  this.resetPasswordExpire = Date.now() + RESET_PASSWORD_EXPIRE_MINUTES * 60 * 1000;
+
+  return resetToken;
+};
+
+// Generate an email verification token; the hash and expiry are set on the user
+UserSchema.methods.getEmailVerificationToken = function() {
+  const verificationToken = crypto.randomBytes(20).toString('hex');
+
+  this.emailVerificationToken = crypto.createHash('sha256').update(verificationToken).digest('hex');
+  this.emailVerificationExpire = Date.now() + EMAIL_VERIFICATION_EXPIRE_HOURS * 60 * 60 * 1000;
+
+  return verificationToken;
+};
+
+// Generate a token to unlock a locked account; it stops working when the lock ends
+UserSchema.methods.getUnlockToken = function() {
+  const unlockToken = crypto.randomBytes(20).toString('hex');
+
+  this.unlockToken = crypto.createHash('sha256').update(unlockToken).digest('hex');
+  this.unlockTokenExpire = this.lockUntil;
+
+  return unlockToken;
+};
+
+// Sign the short-lived token that lets the user finish logging in with a second factor
+UserSchema.methods.getTwoFactorChallengeToken = function() {
+  return jwt.sign(
+    { id: this._id, scope: TWO_FACTOR_CHALLENGE_SCOPE },
+    process.env.JWT_SECRET,
+    { expiresIn: TWO_FACTOR_CHALLENGE_EXPIRE }
+  );
+};
+
+// Sign the short-lived ticket that opens the live stream (GET /api/admin/live?ticket=)
+// for this session; EventSource cannot send the access token as a header
+UserSchema.methods.getSignedStreamTicket = function(sessionId) {
+  return jwt.sign(
+    { id: this._id, sid: sessionId, scope: STREAM_TICKET_SCOPE },
+    process.env.JWT_SECRET,
+    { expiresIn: STREAM_TICKET_EXPIRE_SECONDS }
+  );
+};
+
+// Check an authenticator code (needs +twoFactorSecret +twoFactorLastUsedStep); the caller saves
+UserSchema.methods.verifyTwoFactorCode = function(code) {
+  if (!this.twoFactorSecret) return false;
+
+  const step = totp.verifyCode(this.twoFactorSecret, code, { afterStep: this.twoFactorLastUsedStep });
+  if (step === null) return false;
+
+  this.twoFactorLastUsedStep = step;
+  return true;
+};
+
+// Use up a recovery code (needs +twoFactorRecoveryCodes); the caller saves
+UserSchema.methods.useRecoveryCode = function(code) {
+  const hash = totp.hashRecoveryCode(code);
+  const codes = this.twoFactorRecoveryCodes || [];
+  if (!codes.includes(hash)) return false;
+
+  this.twoFactorRecoveryCodes = codes.filter(stored => stored !== hash);
+  return true;
+};
+
+// Replace the recovery codes and return the new ones; only their hashes are stored
+UserSchema.methods.generateRecoveryCodes = function() {
+  const codes = totp.generateRecoveryCodes();
+  this.twoFactorRecoveryCodes = codes.map(totp.hashRecoveryCode);
+  return codes;
+};
+
+// Turn on two-factor authentication once a code confirms the pending secret
+// (needs +twoFactorPendingSecret); the caller saves
+UserSchema.methods.enableTwoFactor = function(code) {
+  if (!this.twoFactorPendingSecret) return false;
+
+  const step = totp.verifyCode(this.twoFactorPendingSecret, code);
+  if (step === null) return false;
+
+  this.twoFactorSecret = this.twoFactorPendingSecret;
+  this.twoFactorPendingSecret = undefined;
+  this.twoFactorLastUsedStep = step;
+  this.twoFactorEnabled = true;
+  this.twoFactorEnabledAt = Date.now();
+  return true;
+};
+
+UserSchema.methods.disableTwoFactor = function() {
+  this.twoFactorEnabled = false;
+  this.twoFactorEnabledAt = undefined;
+  this.twoFactorSecret = undefined;
+  this.twoFactorPendingSecret = undefined;
+  this.twoFactorLastUsedStep = undefined;
+  this.twoFactorRecoveryCodes = undefined;
+};
+
+// Mark the email address as verified and drop any pending token
+UserSchema.methods.markEmailVerified = function() {
+  this.isEmailVerified = true;
+  this.emailVerifiedAt = Date.now();
+  this.emailVerificationToken = undefined;
+  this.emailVerificationExpire = undefined;
+};
+
+module.exports = mongoose.model('User', UserSchema);
+module.exports.RESET_PASSWORD_EXPIRE_MINUTES = RESET_PASSWORD_EXPIRE_MINUTES;
+module.exports.EMAIL_VERIFICATION_EXPIRE_HOURS = EMAIL_VERIFICATION_EXPIRE_HOURS;
+module.exports.TWO_FACTOR_CHALLENGE_SCOPE = TWO_FACTOR_CHALLENGE_SCOPE;
+module.exports.STREAM_TICKET_SCOPE = STREAM_TICKET_SCOPE;
\ No newline at end of file
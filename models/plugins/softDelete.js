@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+/**
+ * Soft deletion for a schema.
+ *
+ * Deleting sets `deletedAt` and `deletedBy` instead of removing the
+ * document, so scans and drawing results that reference it stay intact.
+ * Reads and counts leave deleted documents out unless the query sets the
+ * `withDeleted` option or filters on `deletedAt` itself:
+ *
+ *   Station.find(filter, null, { withDeleted: true })
+ *   Class.findById(id).populate({ path: 'stationsScanned', options: { withDeleted: true } })
+ *   Class.find({ deletedAt: { $ne: null } }) // only the deleted ones
+ *
+ * Updates of many documents (e.g. renaming a teacher on their classes)
+ * still reach deleted documents, so they are current when restored.
+ */
+
+const FILTERED_QUERIES = ['find', 'findOne', 'findOneAndUpdate', 'countDocuments', 'distinct'];
+
+function excludeDeleted(next) {
+  if (!this.getOptions().withDeleted && this.getFilter().deletedAt === undefined) {
+    this.where({ deletedAt: null });
+  }
+  next();
+}
+
+module.exports = function softDelete(schema) {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null,
+      index: true
+    },
+    deletedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    }
+  });
+
+  schema.pre(FILTERED_QUERIES, excludeDeleted);
+
+  schema.pre('aggregate', function(next) {
+    if (!this.options.withDeleted) {
+      this.pipeline().unshift({ $match: { deletedAt: null } });
+    }
+    next();
+  });
+
+  // Move the document to the trash
+  schema.methods.softDelete = function(userId) {
+    this.deletedAt = Date.now();
+    this.deletedBy = userId;
+    return this.save({ validateBeforeSave: false });
+  };
+
+  // Take the document out of the trash
+  schema.methods.restore = function() {
+    this.deletedAt = null;
+    this.deletedBy = undefined;
+    return this.save({ validateBeforeSave: false });
+  };
+
+  schema.methods.isDeleted = function() {
+    return Boolean(this.deletedAt);
+  };
+};
@@ -1,20 +1,70 @@
 const express = require('express');
 const router = express.Router();
 // Corrected path to auth middleware
-const { protect, authorize } = require('../middlewares/auth'); 
-const { getAdminStats, getRecentAdminActivity, getAllTeachers, getAllClassesForAdmin, getCompletedHuntsList } = require('../controllers/adminController');
+const { protect, requirePermission, acceptStreamTicket } = require('../middlewares/auth'); 
+const { selectEvent } = require('../middlewares/event');
+const { createInvitation, getInvitations, revokeInvitation } = require('../controllers/invitationController');
+const {
+    getUsers,
+    getUser,
+    createUser,
+    updateUser,
+    deactivateUser,
+    reactivateUser,
+    deleteUser,
+    forcePasswordReset,
+    transferClasses
+} = require('../controllers/userController');
+const { getAuditLog } = require('../controllers/auditLogController');
+const { getTrash, restoreFromTrash, purgeFromTrash } = require('../controllers/trashController');
+const { getAdminStats, getRecentAdminActivity, getAllTeachers, getAllClassesForAdmin, getCompletedHuntsList, getLiveUpdates, getLiveTicket, verifyUser, getLockedAccounts, unlockUser, resetUserTwoFactor } = require('../controllers/adminController');
 
-// All routes in this file will be protected and require admin role
+// The live stream is opened with EventSource, which passes a short-lived
+// stream ticket in the query string instead of the access token
+router.get('/live', acceptStreamTicket);
+
+// All routes in this file will be protected and require the dashboard:read permission
 router.use(protect);
-router.use(authorize(['admin']));
+router.use(requirePermission('dashboard:read'));
 
-router.get('/stats', getAdminStats);
-router.get('/recent-activity', getRecentAdminActivity);
+router.get('/stats', selectEvent, getAdminStats);
+router.get('/recent-activity', selectEvent, getRecentAdminActivity);
+router.get('/live', selectEvent, getLiveUpdates); // Server-Sent Events stream
+router.post('/live/ticket', getLiveTicket); // Ticket for opening the stream, valid for 60 seconds
 
 // Add new list routes
 router.get('/teachers-list', getAllTeachers);
-router.get('/all-classes', getAllClassesForAdmin);
-router.get('/completed-hunts', getCompletedHuntsList);
+router.get('/all-classes', selectEvent, getAllClassesForAdmin);
+router.get('/completed-hunts', selectEvent, getCompletedHuntsList);
+
+// Account management
+router.route('/users')
+    .get(requirePermission('users:manage'), getUsers)
+    .post(requirePermission('users:manage'), createUser);
+router.route('/users/:id')
+    .get(requirePermission('users:manage'), getUser)
+    .put(requirePermission('users:manage'), updateUser)
+    .delete(requirePermission('users:manage'), deleteUser);
+router.put('/users/:id/deactivate', requirePermission('users:manage'), deactivateUser);
+router.put('/users/:id/reactivate', requirePermission('users:manage'), reactivateUser);
+router.post('/users/:id/force-password-reset', requirePermission('users:manage'), forcePasswordReset);
+router.post('/users/:id/transfer-classes', requirePermission('users:manage'), transferClasses);
+router.put('/users/:id/verify', requirePermission('users:manage'), verifyUser);
+router.put('/users/:id/unlock', requirePermission('users:manage'), unlockUser);
+router.put('/users/:id/reset-2fa', requirePermission('users:manage'), resetUserTwoFactor);
+router.get('/locked-accounts', requirePermission('users:manage'), getLockedAccounts);
+router.route('/invitations')
+    .get(requirePermission('users:manage'), getInvitations)
+    .post(requirePermission('users:manage'), createInvitation);
+router.delete('/invitations/:id', requirePermission('users:manage'), revokeInvitation);
+
+// Who did what, with filtering and pagination
+router.get('/audit-log', requirePermission('audit:read'), getAuditLog);
+
+// Deleted stations, classes and drawings; restoring needs the permission that manages them
+router.get('/trash', selectEvent, getTrash);
+router.put('/trash/:type/:id/restore', restoreFromTrash);
+router.delete('/trash/:type/:id', requirePermission('trash:purge'), purgeFromTrash);
 
 
 module.exports = router;
\ No newline at end of file
@@ -7,18 +7,19 @@ const {
   getHistoricalData
 } = require('../controllers/analyticsController');
 
-const { protect, authorize } = require('../middlewares/auth');
+const { protect, requirePermission } = require('../middlewares/auth');
+const { selectEvent } = require('../middlewares/event');
 
 const router = express.Router();
 
-// All routes require admin authentication
+// All routes require the analytics:read permission
 router.use(protect);
-router.use(authorize('admin'));
+router.use(requirePermission('analytics:read'));
 
-router.get('/overview', getAnalyticsOverview);
-router.get('/station-heatmap', getStationHeatmap);
-router.get('/time-patterns', getTimePatterns);
-router.get('/engagement', getEngagementMetrics);
-router.get('/historical', getHistoricalData);
+router.get('/overview', selectEvent, getAnalyticsOverview);
+router.get('/station-heatmap', selectEvent, getStationHeatmap);
+router.get('/time-patterns', selectEvent, getTimePatterns);
+router.get('/engagement', selectEvent, getEngagementMetrics);
+router.get('/historical', getHistoricalData); // Compares years across all events
 
 module.exports = router;
\ No newline at end of file
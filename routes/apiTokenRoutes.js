@@ -0,0 +1,24 @@
+const express = require('express');
+const {
+  createApiToken,
+  getApiTokens,
+  revokeApiToken
+} = require('../controllers/apiTokenController');
+
+const { protect, requirePermission } = require('../middlewares/auth');
+const { idempotent } = require('../middlewares/idempotency');
+
+const router = express.Router();
+
+// All routes require the tokens:manage permission
+router.use(protect);
+router.use(requirePermission('tokens:manage'));
+router.use(idempotent); // Replays responses for retried Idempotency-Key requests
+
+router.route('/')
+  .get(getApiTokens)
+  .post(createApiToken);
+
+router.delete('/:id', revokeApiToken);
+
+module.exports = router;
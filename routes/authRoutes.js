@@ -4,16 +4,52 @@ const {
   login, 
   getMe, 
   logout, 
-  updateProfile // Add this import
+  updateProfile, // Add this import
+  forgotPassword,
+  resetPassword,
+  changePassword,
+  verifyEmail,
+  resendVerification,
+  unlockAccount,
+  refresh,
+  logoutAll,
+  getInvitation,
+  acceptInvitation,
+  verifyTwoFactorLogin
 } = require('../controllers/authController');
-const { protect } = require('../middlewares/auth');
+const {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+} = require('../controllers/twoFactorController');
+const { protect, identify } = require('../middlewares/auth');
 
 const router = express.Router();
 
 router.post('/register', register);
 router.post('/login', login);
+router.post('/2fa/verify', verifyTwoFactorLogin); // Second step of a login with two-factor authentication
+router.get('/invitations/:token', getInvitation);
+router.post('/invitations/:token/accept', acceptInvitation);
 router.get('/me', protect, getMe);
-router.get('/logout', logout);
+router.post('/refresh', refresh);
+// Logging out also works with just the refresh token, once the access token expired
+router.post('/logout', identify, logout);
+router.get('/logout', identify, logout); // Older clients
+router.post('/logout-all', protect, logoutAll);
 router.put('/profile', protect, updateProfile); // Add this route
+router.post('/forgot-password', forgotPassword);
+router.put('/reset-password/:token', resetPassword);
+router.put('/change-password', protect, changePassword);
+router.put('/verify-email/:token', verifyEmail);
+router.post('/resend-verification', protect, resendVerification);
+router.put('/unlock/:token', unlockAccount);
+router.get('/2fa', protect, getTwoFactorStatus);
+router.post('/2fa/setup', protect, setupTwoFactor);
+router.post('/2fa/enable', protect, enableTwoFactor);
+router.post('/2fa/disable', protect, disableTwoFactor);
+router.post('/2fa/recovery-codes', protect, regenerateRecoveryCodes);
 
 module.exports = router;
\ No newline at end of file
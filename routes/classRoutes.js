@@ -3,31 +3,77 @@ const {
   getClasses,
   createClass,
   updateClass,
+  deleteClass,
   getClassDetails,
   getClassProgress,
+  getClassHints,
+  useClassHint,
+  getClassStudents,
+  addClassStudents,
+  updateClassStudent,
+  deleteClassStudents,
+  getClassTeams,
+  createClassTeams,
+  updateClassTeam,
+  deleteClassTeam,
+  joinTeam,
+  joinClass,
+  revokeClassDevices,
   getClass
 } = require('../controllers/classController');
 
-const { protect, authorize } = require('../middlewares/auth');
+const { protect, protectDevice, requirePermission } = require('../middlewares/auth');
+const { idempotent } = require('../middlewares/idempotency');
+const { selectEvent } = require('../middlewares/event');
 
 const router = express.Router();
 
-// All routes require authentication
+// Student devices join with the class code and use the returned token
+// to record scans and read their class's progress
+router.post('/join', joinClass);
+router.get('/:id/progress', protectDevice, getClassProgress);
+
+// All other routes require a user login
 router.use(protect);
+router.use(idempotent); // Replays responses for retried Idempotency-Key requests
 
 router.route('/')
-  .get(getClasses)
-  .post(createClass);
+  .get(selectEvent, getClasses)
+  .post(requirePermission('classes:write'), selectEvent, createClass);
 
 // Important: Put more specific routes BEFORE the generic /:id route
+router.post('/teams/join', joinTeam); // Team devices join with the team's code
 router.route('/:id/details')
   .get(getClassDetails);
 
-router.route('/:id/progress')
-  .get(getClassProgress);
+// Changing a class needs classes:write on top of access to the class, so
+// scoped API tokens without it (e.g. scan-only kiosks) cannot change it
+router.delete('/:id/devices', requirePermission('classes:write'), revokeClassDevices); // Signs out every device that joined with the class code
+
+router.route('/:id/hints')
+  .get(getClassHints)
+  .post(requirePermission('classes:write'), useClassHint);
+
+router.route('/:id/students')
+  .get(getClassStudents)
+  .post(requirePermission('classes:write'), addClassStudents)
+  .delete(requirePermission('classes:write'), deleteClassStudents);
+
+router.route('/:id/teams')
+  .get(getClassTeams)
+  .post(requirePermission('classes:write'), createClassTeams);
+
+router.route('/:id/teams/:teamId')
+  .put(requirePermission('classes:write'), updateClassTeam)
+  .delete(requirePermission('classes:write'), deleteClassTeam);
+
+router.route('/:id/students/:studentId')
+  .put(requirePermission('classes:write'), updateClassStudent)
+  .delete(requirePermission('classes:write'), deleteClassStudents);
 
 router.route('/:id')
   .get(getClass)
-  .put(updateClass);
+  .put(requirePermission('classes:write'), updateClass)
+  .delete(requirePermission('classes:write'), deleteClass); // Moves the class to the trash
 
 module.exports = router;
\ No newline at end of file
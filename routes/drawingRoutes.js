@@ -3,28 +3,33 @@ const {
   createDrawing,
   getDrawings,
   getDrawing,
+  deleteDrawing,
   runDrawing,
   getEligibleClassesForDrawing // Import the new function
 } = require('../controllers/drawingController');
-const { protect, authorize } = require('../middlewares/auth');
+const { protect, requirePermission } = require('../middlewares/auth');
+const { idempotent } = require('../middlewares/idempotency');
+const { selectEvent } = require('../middlewares/event');
 
 const router = express.Router();
 
-// All drawing routes are admin only
+// All drawing routes require the drawings:run permission
 router.use(protect);
-router.use(authorize('admin'));
+router.use(requirePermission('drawings:run'));
+router.use(idempotent); // Replays responses for retried Idempotency-Key requests
 
 // --- Specific string routes first ---
-router.get('/eligible-classes', getEligibleClassesForDrawing); // Add the new route HERE
+router.get('/eligible-classes', selectEvent, getEligibleClassesForDrawing); // Add the new route HERE
 
 // --- General routes for managing drawing "events" or configurations ---
 router.route('/')
-  .post(createDrawing)
-  .get(getDrawings);
+  .post(selectEvent, createDrawing)
+  .get(selectEvent, getDrawings);
 
 // --- Parameterized routes for specific drawing "events" or configurations ---
 router.route('/:id')
-  .get(getDrawing);
+  .get(getDrawing)
+  .delete(deleteDrawing); // Moves the drawing to the trash
 
 // Route to run a *specific, pre-existing* drawing event/configuration by its ID
 router.post('/:id/run', runDrawing);
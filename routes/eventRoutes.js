@@ -0,0 +1,33 @@
+const express = require('express');
+const {
+  createEvent,
+  getEvents,
+  getCurrentEvent,
+  getEvent,
+  updateEvent,
+  deleteEvent
+} = require('../controllers/eventController');
+
+const { protect, requirePermission } = require('../middlewares/auth');
+const { idempotent } = require('../middlewares/idempotency');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+// Idempotent replays responses for retried Idempotency-Key requests; it runs
+// after the permission check so refusals are never stored
+
+router.route('/')
+  .get(getEvents)
+  .post(requirePermission('events:manage'), idempotent, createEvent);
+
+// Specific string routes before the generic /:id route
+router.get('/current', getCurrentEvent);
+
+router.route('/:id')
+  .get(getEvent)
+  .put(requirePermission('events:manage'), idempotent, updateEvent)
+  .delete(requirePermission('events:manage'), idempotent, deleteEvent);
+
+module.exports = router;
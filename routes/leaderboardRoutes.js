@@ -0,0 +1,14 @@
+const express = require('express');
+const { getLeaderboard } = require('../controllers/leaderboardController');
+
+const { protect } = require('../middlewares/auth');
+const { selectEvent } = require('../middlewares/event');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+router.get('/', selectEvent, getLeaderboard);
+
+module.exports = router;
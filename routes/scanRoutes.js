@@ -1,18 +1,27 @@
 const express = require('express');
 const {
   recordScan,
+  recordScanBatch,
+  submitQuizAnswer,
   getScansByClass,
   getScansByStation
 } = require('../controllers/scanController');
-const { protect, authorize } = require('../middlewares/auth');
+const { protect, protectDevice, requirePermission } = require('../middlewares/auth');
+const { idempotent } = require('../middlewares/idempotency');
 
 const router = express.Router();
 
-// All scan routes should be protected
+// Recording scans and answering quizzes also accept the device tokens from POST /api/classes/join
+// Idempotent replays responses for retried Idempotency-Key requests
+router.post('/', protectDevice, requirePermission('scans:write'), idempotent, recordScan); // Teachers, volunteers, kiosks and class devices
+router.post('/batch', protectDevice, requirePermission('scans:write'), idempotent, recordScanBatch); // Offline queue sync from a class device
+router.post('/:scanId/answer', protectDevice, idempotent, submitQuizAnswer); // Class devices, the class's teacher, their school's coordinator, or Admin
+
+// All other scan routes require a user login
 router.use(protect);
+router.use(idempotent);
 
-router.post('/', recordScan); // Anyone authenticated can record a scan (e.g., a class device)
-router.get('/class/:classId', getScansByClass); // Teacher for their class, or Admin
-router.get('/station/:stationId', authorize('admin'), getScansByStation); // Admin only
+router.get('/class/:classId', getScansByClass); // Teacher for their class, their school's coordinator, or Admin
+router.get('/station/:stationId', requirePermission('scans:read'), getScansByStation); // Scans of every class
 
 module.exports = router;
\ No newline at end of file
@@ -5,7 +5,10 @@ const {
   getStation,
   updateStation,
   deleteStation,         // Add deleteStation to imports
-  getStationQRCode       // Change generateQRCode to getStationQRCode
+  getStationQRCode,      // Change generateQRCode to getStationQRCode
+  printStationQRCodes,
+  rotateStationQrSecret,
+  regenerateStationQRCode
 } = require('../controllers/stationController');
 
 // --- ADD THIS CONSOLE LOG FOR DEBUGGING ---
@@ -19,24 +22,33 @@ console.log('Imported getStationQRCode:', typeof getStationQRCode);
 console.log('-------------------------');
 // --- END DEBUGGING LOG ---
 
-const { protect, authorize } = require('../middlewares/auth');
+const { protect, requirePermission } = require('../middlewares/auth');
+const { idempotent } = require('../middlewares/idempotency');
+const { selectEvent } = require('../middlewares/event');
 
 const router = express.Router();
 
 // Protect all routes (or apply selectively as needed)
 router.use(protect);
+// Idempotent replays responses for retried Idempotency-Key requests; it runs
+// after the permission check so refusals are never stored
 
 router.route('/')
-  .get(getStations) // Assuming getStations might not need admin authorization, or add authorize('admin') if it does
-  .post(authorize('admin'), createStation);
+  .get(selectEvent, getStations) // Any authenticated user; quiz answers need stations:manage
+  .post(requirePermission('stations:manage'), idempotent, selectEvent, createStation);
 
-// Route for QR code generation - ensure 'admin' can access this
+// Printable PDF of all station QR codes - must come before the /:id routes
+router.get('/qrcodes/print', requirePermission('stations:manage'), selectEvent, printStationQRCodes);
+
+// Route for QR code generation - requires stations:manage
 // Using :stationId to match controller, and 'qrcode' to match controller's comment, adjust if frontend calls /qr
-router.get('/:stationId/qrcode', authorize('admin'), getStationQRCode); 
+router.get('/:stationId/qrcode', requirePermission('stations:manage'), getStationQRCode); 
+router.post('/:id/rotate-qr-secret', requirePermission('stations:manage'), idempotent, rotateStationQrSecret);
+router.post('/:id/regenerate-qr-code', requirePermission('stations:manage'), idempotent, regenerateStationQRCode);
 
 router.route('/:id')
   .get(getStation) // Assuming getStation might not need admin authorization
-  .put(authorize('admin'), updateStation)
-  .delete(authorize('admin'), deleteStation); // Add the delete route
+  .put(requirePermission('stations:manage'), idempotent, updateStation)
+  .delete(requirePermission('stations:manage'), idempotent, deleteStation); // Add the delete route
 
 module.exports = router;
\ No newline at end of file
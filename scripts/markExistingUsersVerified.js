@@ -0,0 +1,33 @@
+/**
+ * One-off migration for email verification
+ *
+ * New accounts start with an unverified email address and cannot register
+ * classes until they verify it. Accounts created before verification existed
+ * have no `isEmailVerified` field and would be read as unverified, so this
+ * script marks them verified.
+ *
+ * Usage: npm run migrate:verify-users
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const logger = require('../utils/logger');
+const User = require('../models/User');
+
+const migrate = async () => {
+  await connectDB();
+
+  const result = await User.updateMany(
+    { isEmailVerified: { $exists: false } },
+    { $set: { isEmailVerified: true, emailVerifiedAt: new Date() } }
+  );
+  logger.info(`Marked ${result.modifiedCount} existing users as verified`);
+};
+
+migrate()
+  .catch(err => {
+    logger.error(`User verification migration failed: ${err.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,30 @@
+/**
+ * One-off migration for device idempotency keys
+ *
+ * Idempotency keys used to be unique per user. Student devices that joined
+ * with a class code have no user, so their keys are scoped to the class and
+ * the unique index covers both. This script drops the old index and builds
+ * the new one.
+ *
+ * Usage: npm run migrate:device-keys
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const logger = require('../utils/logger');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+const migrate = async () => {
+  await connectDB();
+
+  const dropped = await IdempotencyKey.syncIndexes();
+  logger.info(`Synced ${IdempotencyKey.modelName} indexes${dropped.length ? `, dropped: ${dropped.join(', ')}` : ''}`);
+};
+
+migrate()
+  .catch(err => {
+    logger.error(`Device idempotency key migration failed: ${err.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,58 @@
+/**
+ * One-off migration for station clues
+ *
+ * Stations used to have a free-text `clue` leading teams to them in
+ * sequential hunts, next to the `clues` revealed after scanning a station.
+ * The next-station clue now comes from `clues`: the one whose targetStation
+ * is the next station. This script moves each old `clue` onto the station
+ * before it in hunt order, pointing to it. Clues of the first station have no
+ * station to move to; they are logged and left in place.
+ *
+ * Usage: npm run migrate:station-clues
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const logger = require('../utils/logger');
+const Station = require('../models/Station');
+const huntService = require('../services/huntService');
+
+const migrate = async () => {
+  await connectDB();
+
+  // `clue` is no longer in the schema, so read and update it with the driver
+  const stations = await Station.collection
+    .find({ clue: { $exists: true, $nin: [null, ''] }, deletedAt: null })
+    .toArray();
+  const orderedByEvent = new Map();
+  let moved = 0;
+
+  for (const station of stations) {
+    const eventKey = station.event.toString();
+    if (!orderedByEvent.has(eventKey)) {
+      orderedByEvent.set(eventKey, await huntService.getOrderedStations(station.event));
+    }
+    const ordered = orderedByEvent.get(eventKey);
+    const index = ordered.findIndex(entry => entry._id.equals(station._id));
+    if (index < 1) {
+      logger.warn(`Station ${station.name} (ID: ${station._id}) is first in its hunt or inactive; its clue was left in place`);
+      continue;
+    }
+
+    await Station.collection.updateOne(
+      { _id: ordered[index - 1]._id },
+      { $push: { clues: { _id: new mongoose.Types.ObjectId(), text: station.clue, targetStation: station._id, hints: [] } } }
+    );
+    await Station.collection.updateOne({ _id: station._id }, { $unset: { clue: '' } });
+    moved++;
+  }
+  logger.info(`Moved ${moved} of ${stations.length} station clues onto the station before them`);
+};
+
+migrate()
+  .catch(err => {
+    logger.error(`Station clue migration failed: ${err.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
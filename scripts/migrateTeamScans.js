@@ -0,0 +1,32 @@
+/**
+ * One-off migration for team scans
+ *
+ * Scans used to be unique per class and station. Teams within a class now
+ * scan each station separately, so the unique index covers the team too.
+ * This script drops the old index and builds the new one.
+ *
+ * Usage: npm run migrate:team-scans
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const logger = require('../utils/logger');
+const Scan = require('../models/Scan');
+const Class = require('../models/Class');
+
+const migrate = async () => {
+  await connectDB();
+
+  for (const Model of [Scan, Class]) {
+    const dropped = await Model.syncIndexes();
+    logger.info(`Synced ${Model.modelName} indexes${dropped.length ? `, dropped: ${dropped.join(', ')}` : ''}`);
+  }
+};
+
+migrate()
+  .catch(err => {
+    logger.error(`Team scan migration failed: ${err.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
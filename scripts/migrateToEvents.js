@@ -0,0 +1,54 @@
+/**
+ * One-off migration for multi-event support
+ *
+ * Stations, classes, scans and drawings created before events existed have
+ * no `event` reference. This script creates a single "Legacy Hunt" event
+ * spanning their dates and assigns every unscoped record to it.
+ *
+ * Usage: npm run migrate:events
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const logger = require('../utils/logger');
+const Event = require('../models/Event');
+const Station = require('../models/Station');
+const Class = require('../models/Class');
+const Scan = require('../models/Scan');
+const Drawing = require('../models/Drawing');
+
+const unscoped = { event: { $exists: false } };
+
+const migrate = async () => {
+  await connectDB();
+
+  const counts = await Promise.all([Station, Class, Scan, Drawing].map(Model => Model.countDocuments(unscoped)));
+  if (counts.every(count => count === 0)) {
+    logger.info('No unscoped records found. Nothing to migrate.');
+    return;
+  }
+
+  const firstClass = await Class.findOne(unscoped).sort({ registeredAt: 1 });
+  const lastScan = await Scan.findOne(unscoped).sort({ scannedAt: -1 });
+
+  const event = await Event.create({
+    name: 'Legacy Hunt',
+    description: 'Records created before multi-event support',
+    startDate: firstClass ? firstClass.registeredAt : new Date(),
+    endDate: lastScan ? lastScan.scannedAt : new Date(),
+    status: 'completed'
+  });
+
+  for (const Model of [Station, Class, Scan, Drawing]) {
+    const result = await Model.updateMany(unscoped, { $set: { event: event._id } });
+    logger.info(`Assigned ${result.modifiedCount} ${Model.modelName} records to event ${event.name} (ID: ${event._id})`);
+  }
+};
+
+migrate()
+  .catch(err => {
+    logger.error(`Event migration failed: ${err.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
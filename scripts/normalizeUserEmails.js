@@ -0,0 +1,42 @@
+/**
+ * One-off migration for case-insensitive emails
+ *
+ * Emails are now stored trimmed and lowercased, and login, registration and
+ * password resets look them up the same way. Accounts created before that may
+ * have uppercase letters in their email and could no longer log in, so this
+ * script lowercases them. Emails that would clash with another account are
+ * left as they are and logged, to be merged by hand.
+ *
+ * Usage: npm run migrate:user-emails
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const logger = require('../utils/logger');
+const User = require('../models/User');
+
+const migrate = async () => {
+  await connectDB();
+
+  const users = await User.find({ email: /[A-Z]|^\s|\s$/ }).select('email');
+  let updated = 0;
+  for (const user of users) {
+    const email = user.email.trim().toLowerCase();
+    const clash = await User.findOne({ _id: { $ne: user._id }, email });
+    if (clash) {
+      logger.warn(`Email of user ${user._id} (${user.email}) clashes with user ${clash._id}; left unchanged`);
+      continue;
+    }
+    await User.updateOne({ _id: user._id }, { $set: { email } });
+    updated++;
+  }
+  logger.info(`Lowercased the email of ${updated} of ${users.length} users`);
+};
+
+migrate()
+  .catch(err => {
+    logger.error(`User email migration failed: ${err.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,40 @@
+/**
+ * Recalculates the stored score of every class
+ *
+ * Classes that scanned stations before scoring existed, or whose event's
+ * scoring rules changed, keep a stale score until their next scan. This
+ * script brings all of them up to date.
+ *
+ * Usage: npm run scores:recalculate [-- <eventId>]
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const logger = require('../utils/logger');
+const Event = require('../models/Event');
+const Class = require('../models/Class');
+const scoringService = require('../services/scoringService');
+
+const recalculate = async () => {
+  await connectDB();
+
+  const eventId = process.argv[2];
+  const events = eventId ? await Event.find({ _id: eventId }) : await Event.find();
+
+  for (const event of events) {
+    const classes = await Class.find({ event: event._id });
+    for (const classObj of classes) {
+      await scoringService.refreshClassScore(classObj, event);
+      await classObj.save();
+    }
+    logger.info(`Recalculated scores of ${classes.length} classes in event ${event.name} (ID: ${event._id})`);
+  }
+};
+
+recalculate()
+  .catch(err => {
+    logger.error(`Score recalculation failed: ${err.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
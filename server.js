@@ -51,10 +51,33 @@ const authLimiter = rateLimit({
   standardHeaders: true,
   legacyHeaders: false,
   message: 'Too many authentication attempts from this IP, please try again after 5 minutes.',
+  // Refresh tokens cannot be guessed, and every signed-in client refreshes regularly
+  skip: (req) => req.path === '/refresh',
   // skipSuccessfulRequests: true, // Optional: if you don't want successful logins to count
 });
 
 
+// Class joins come from a whole class of devices, often behind one school IP,
+// so they get their own limits instead of sharing authLimiter with logins:
+// per IP, only wrong codes count (guessing); per class code, every join counts
+const classJoinLimiter = rateLimit({
+  windowMs: 5 * 60 * 1000, // 5 minutes
+  max: 20, // Limit each IP to 20 failed joins per `windowMs`
+  skipSuccessfulRequests: true,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: 'Too many failed class joins from this IP, please try again after 5 minutes.',
+});
+
+const classCodeLimiter = rateLimit({
+  windowMs: 5 * 60 * 1000, // 5 minutes
+  max: 100, // Room for every device in a class to join, with retries
+  keyGenerator: (req) => `class:${String((req.body && req.body.classCode) || '').trim().toUpperCase()}`,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: 'Too many joins with this class code, please try again after 5 minutes.',
+});
+
 // Middleware
 require('./config/middleware')(app); // This likely includes express.json(), etc.
 
@@ -79,7 +102,8 @@ const corsOptions = {
   },
   credentials: true, // If you need to handle cookies or authorization headers
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Event-Id', 'Idempotency-Key'],
+  exposedHeaders: ['Idempotent-Replayed']
 };
 
 app.use(cors(corsOptions));
@@ -111,11 +135,15 @@ app.use('/api/auth', authLimiter, require('./routes/authRoutes'));
 // Note: If a route file handles both GET and POST/PUT, applying a single limiter here is simpler.
 // Or, you can apply limiters inside the route files themselves for more granularity.
 
+app.use('/api/events', generalApiLimiter, require('./routes/eventRoutes')); // Hunt events; admin-managed
+app.use('/api/classes/join', classJoinLimiter, classCodeLimiter); // Class codes are short; limit guessing
 app.use('/api/classes', generalApiLimiter, require('./routes/classRoutes')); // Mostly GET, but has POST/PUT
 app.use('/api/stations', generalApiLimiter, require('./routes/stationRoutes')); // Mostly GET, but has POST/PUT/DELETE
 app.use('/api/scans', sensitiveActionsLimiter, require('./routes/scanRoutes')); // `recordScan` is a POST
 app.use('/api/drawings', sensitiveActionsLimiter, require('./routes/drawingRoutes')); // Admin actions, mostly POST
+app.use('/api/tokens', sensitiveActionsLimiter, require('./routes/apiTokenRoutes')); // Scoped API tokens for kiosks and integrations
 app.use('/api/analytics', generalApiLimiter, require('./routes/analyticsRoutes')); // Admin GET requests
+app.use('/api/leaderboard', generalApiLimiter, require('./routes/leaderboardRoutes')); // Class standings, polled by displays
 const adminRoutes = require('./routes/adminRoutes');
 app.use('/api/admin', generalApiLimiter, adminRoutes); // Admin GET requests
 
@@ -0,0 +1,143 @@
+const AuditLog = require('../models/AuditLog');
+const logger = require('../utils/logger');
+
+/**
+ * Audit trail of administrative and sensitive actions.
+ *
+ * Controllers call `record` after a change succeeds. Entries name the actor,
+ * the action, the target record and the fields that changed. A failure to
+ * write an entry is logged but never fails the request.
+ */
+
+// Secrets and hashes never copied into an entry; a change only shows as redacted
+const REDACTED_FIELDS = [
+  'password',
+  'qrSecret',
+  'tokenHash',
+  'refreshTokenHash',
+  'resetPasswordToken',
+  'emailVerificationToken',
+  'unlockToken',
+  'twoFactorSecret',
+  'twoFactorPendingSecret',
+  'twoFactorRecoveryCodes'
+];
+const REDACTED = '[redacted]';
+
+// Bookkeeping fields left out of diffs
+const IGNORED_FIELDS = ['__v', 'updatedAt'];
+
+/**
+ * A document or object as plain JSON. Use it to keep the state of a
+ * document before changing it in place.
+ * @param {object} doc - Mongoose document or plain object.
+ * @returns {object|null}
+ */
+const toPlain = (doc) => {
+  if (!doc) return null;
+  return JSON.parse(JSON.stringify(typeof doc.toObject === 'function' ? doc.toObject() : doc));
+};
+
+const redact = (values) => {
+  REDACTED_FIELDS.forEach(field => {
+    if (values[field] !== undefined) values[field] = REDACTED;
+  });
+  IGNORED_FIELDS.forEach(field => delete values[field]);
+  return values;
+};
+
+/**
+ * A document or object as plain JSON, without secrets.
+ * @param {object} doc - Mongoose document or plain object.
+ * @returns {object|null}
+ */
+const toSnapshot = (doc) => {
+  const plain = toPlain(doc);
+  return plain && redact(plain);
+};
+
+/**
+ * The top-level fields that differ between two versions of a record.
+ * @param {object} before
+ * @param {object} after
+ * @returns {{ before: object, after: object }|null} Null when nothing changed.
+ */
+const diff = (before, after) => {
+  const oldValues = toPlain(before) || {};
+  const newValues = toPlain(after) || {};
+  const changes = { before: {}, after: {} };
+
+  new Set([...Object.keys(oldValues), ...Object.keys(newValues)]).forEach(field => {
+    if (IGNORED_FIELDS.includes(field)) return;
+    if (JSON.stringify(oldValues[field]) !== JSON.stringify(newValues[field])) {
+      changes.before[field] = oldValues[field];
+      changes.after[field] = newValues[field];
+    }
+  });
+
+  if (Object.keys(changes.after).length === 0) return null;
+  return { before: redact(changes.before), after: redact(changes.after) };
+};
+
+// Who is acting: an explicit user (e.g. logging in), or the authenticated request
+const getActor = (req, actor) => {
+  if (actor) {
+    return { actor: actor._id, actorEmail: actor.email, actorType: 'user' };
+  }
+  if (req.apiToken && req.user) {
+    return { actor: req.user._id, actorEmail: req.user.email, actorType: 'api-token', apiToken: req.apiToken._id };
+  }
+  if (req.user) {
+    return { actor: req.user._id || req.user.id, actorEmail: req.user.email, actorType: 'user' };
+  }
+  if (req.device) {
+    return { actorType: 'device' };
+  }
+  return { actorType: 'anonymous' };
+};
+
+/**
+ * Records an action. Pass `before` and `after` for updates, only `after`
+ * for creations and only `before` for deletions.
+ * @param {object} req - Express request, for the actor, IP and user agent.
+ * @param {string} action - e.g. 'station.update'.
+ * @param {object} [details]
+ * @param {string} [details.targetModel] - e.g. 'Station'.
+ * @param {string} [details.targetId]
+ * @param {object} [details.before] - Document before the change.
+ * @param {object} [details.after] - Document after the change.
+ * @param {object} [details.actor] - User acting when the request is not authenticated (logins).
+ * @param {object} [details.metadata]
+ * @returns {Promise<void>}
+ */
+const record = async (req, action, { targetModel, targetId, before, after, actor, metadata } = {}) => {
+  try {
+    let changes;
+    if (before && after) {
+      changes = diff(before, after) || undefined;
+    } else if (before || after) {
+      changes = { before: toSnapshot(before) || undefined, after: toSnapshot(after) || undefined };
+    }
+
+    await AuditLog.create({
+      action,
+      ...getActor(req, actor),
+      targetModel,
+      targetId,
+      changes,
+      metadata,
+      ip: req.ip,
+      userAgent: req.headers && req.headers['user-agent']
+    });
+  } catch (err) {
+    logger.error(`Audit log entry ${action} could not be written: ${err.message}`);
+  }
+};
+
+module.exports = {
+  REDACTED_FIELDS,
+  toPlain,
+  toSnapshot,
+  diff,
+  record
+};
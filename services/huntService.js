@@ -0,0 +1,169 @@
+const Station = require('../models/Station');
+
+/**
+ * Hunt progression rules shared by scanning and progress reporting.
+ */
+
+/**
+ * Whether an event runs as a sequential hunt, where stations must be found
+ * in `Station.order`.
+ * @param {object} event - Event document.
+ * @returns {boolean}
+ */
+const isSequential = (event) => Boolean(event && event.settings && event.settings.huntMode === 'sequential');
+
+/**
+ * Loads the active stations of an event in hunt order: by `order`, with
+ * unnumbered stations last in the order they were created.
+ * @param {string|object} eventId - Event id.
+ * @returns {Promise<Array<object>>} Station documents.
+ */
+const getOrderedStations = async (eventId) => {
+  const stations = await Station.find({ event: eventId, isActive: true });
+  const orderOf = station => (typeof station.order === 'number' ? station.order : Infinity);
+
+  return stations.sort((a, b) => orderOf(a) - orderOf(b) || new Date(a.createdAt) - new Date(b.createdAt));
+};
+
+/**
+ * Ids of the stations a class must find to complete an event's hunt: its
+ * active stations. Stations deactivated or moved to the trash drop out.
+ * @param {string|object} eventId - Event id.
+ * @returns {Promise<Array<string>>}
+ */
+const getHuntStationIds = async (eventId) => {
+  const stations = await Station.find({ event: eventId, isActive: true }, '_id');
+  return stations.map(station => station._id.toString());
+};
+
+/**
+ * How many of the hunt's stations a class or team has found. Stations found
+ * before they were deactivated or deleted stay in `stationsScanned` but are
+ * not counted, so progress never passes 100%.
+ * @param {Array<object>} stationsScanned - Station ids the class or team scanned.
+ * @param {Array<string>} huntStationIds - Result of getHuntStationIds.
+ * @returns {number}
+ */
+const countStationsFound = (stationsScanned = [], huntStationIds = []) => {
+  const found = new Set(stationsScanned.map(id => id.toString()));
+  return huntStationIds.filter(id => found.has(id.toString())).length;
+};
+
+/**
+ * Whether a class or team has found every station of the hunt.
+ * @param {Array<object>} stationsScanned
+ * @param {Array<string>} huntStationIds - Result of getHuntStationIds.
+ * @returns {boolean} False when the hunt has no stations.
+ */
+const hasFoundAllStations = (stationsScanned, huntStationIds) =>
+  huntStationIds.length > 0 && countStationsFound(stationsScanned, huntStationIds) >= huntStationIds.length;
+
+/**
+ * Progress of a class or team as a whole percentage.
+ * @param {Array<object>} stationsScanned
+ * @param {Array<string>} huntStationIds - Result of getHuntStationIds.
+ * @returns {number}
+ */
+const getProgressPercentage = (stationsScanned, huntStationIds) => (huntStationIds.length > 0
+  ? Math.round((countStationsFound(stationsScanned, huntStationIds) / huntStationIds.length) * 100)
+  : 0);
+
+/**
+ * Finds the first station in hunt order that the class has not scanned yet.
+ * @param {Array<object>} orderedStations - Result of getOrderedStations.
+ * @param {Array<object>} stationsScanned - Station ids already scanned.
+ * @returns {{ station: object, position: number }|null} Position is 1-based; null when all are scanned.
+ */
+const getNextStation = (orderedStations, stationsScanned = []) => {
+  const scanned = new Set(stationsScanned.map(id => id.toString()));
+  const index = orderedStations.findIndex(station => !scanned.has(station._id.toString()));
+  return index === -1 ? null : { station: orderedStations[index], position: index + 1 };
+};
+
+/**
+ * What teams are told about the station they should look for next.
+ * Names and locations are left out so the clue does the guiding: the text of
+ * a station clue whose `targetStation` is the next station, preferably one on
+ * the station found just before it.
+ * @param {{ station: object, position: number }|null} next - Result of getNextStation.
+ * @param {Array<object>} orderedStations - Result of getOrderedStations.
+ * @returns {object|null}
+ */
+const describeNextStation = (next, orderedStations) => {
+  if (!next) return null;
+
+  const previous = orderedStations[next.position - 2];
+  const clue = (previous ? [previous, ...orderedStations] : orderedStations)
+    .flatMap(station => station.clues || [])
+    .find(entry => entry.targetStation && entry.targetStation.toString() === next.station._id.toString());
+
+  return {
+    number: typeof next.station.order === 'number' ? next.station.order : next.position,
+    position: next.position,
+    totalStations: orderedStations.length,
+    clue: clue ? clue.text : null
+  };
+};
+
+const DEFAULT_HINT_DELAY_MINUTES = 5;
+
+/**
+ * The parts of a station clue shown to a class; hint texts stay hidden
+ * until unlocked.
+ * @param {object} clue - Clue subdocument of a station.
+ * @returns {object}
+ */
+const presentClue = (clue) => ({
+  _id: clue._id,
+  text: clue.text,
+  imageUrl: clue.imageUrl || null,
+  targetStation: clue.targetStation || null,
+  hintCount: clue.hints ? clue.hints.length : 0
+});
+
+/**
+ * Works out when each hint tier of a clue unlocks and which ones a class
+ * has already used. Tier n unlocks `unlockAfterMinutes` (or n times the
+ * event's hint delay) after the clue was revealed.
+ * @param {object} clue - Clue subdocument of a station.
+ * @param {object} options
+ * @param {Date} options.revealedAt - When the class scanned the station holding the clue.
+ * @param {Array<object>} [options.hintsUsed] - The class's `hintsUsed` entries.
+ * @param {number} [options.delayMinutes] - The event's hint delay.
+ * @param {Date} [options.now]
+ * @returns {Array<{ tier: number, unlockAt: Date, available: boolean, used: boolean, text: string|null }>}
+ */
+const describeHints = (clue, { revealedAt, hintsUsed = [], delayMinutes = DEFAULT_HINT_DELAY_MINUTES, now = new Date() }) => {
+  const usedTiers = new Set(hintsUsed
+    .filter(usage => usage.clue && usage.clue.toString() === clue._id.toString())
+    .map(usage => usage.tier));
+
+  return (clue.hints || []).map((hint, index) => {
+    const tier = index + 1;
+    const minutes = typeof hint.unlockAfterMinutes === 'number' ? hint.unlockAfterMinutes : delayMinutes * tier;
+    const unlockAt = new Date(new Date(revealedAt).getTime() + minutes * 60 * 1000);
+    const used = usedTiers.has(tier);
+
+    return {
+      tier,
+      unlockAt,
+      available: now >= unlockAt,
+      used,
+      text: used ? hint.text : null
+    };
+  });
+};
+
+module.exports = {
+  DEFAULT_HINT_DELAY_MINUTES,
+  isSequential,
+  getOrderedStations,
+  getHuntStationIds,
+  countStationsFound,
+  hasFoundAllStations,
+  getProgressPercentage,
+  getNextStation,
+  describeNextStation,
+  presentClue,
+  describeHints
+};
@@ -0,0 +1,120 @@
+const { EventEmitter } = require('events');
+
+/**
+ * In-process publish/subscribe for live dashboard updates.
+ * Recent messages are kept so reconnecting Server-Sent Events clients can
+ * catch up from their `Last-Event-ID`.
+ */
+
+// Messages kept for reconnecting clients
+const HISTORY_LIMIT = 500;
+
+// Comment lines sent this often keep proxies from closing idle streams
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+// Reconnection delay suggested to EventSource clients
+const RETRY_MS = 5 * 1000;
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // One listener per open dashboard
+
+const history = [];
+let lastId = 0;
+
+// Prefixes the ids sent to clients. Ids restart at 1 with the process, so
+// a Last-Event-ID from before a restart must not be compared with them.
+const EPOCH = Date.now().toString(36);
+
+/**
+ * Publishes a message to all live subscribers.
+ * @param {string} type - Message type, e.g. 'scan', 'class-completed', 'drawing'.
+ * @param {object} options
+ * @param {string|object} options.event - Hunt event the message belongs to.
+ * @param {string} [options.school] - School the message concerns; unset for event-wide messages.
+ * @param {object} options.data - Message payload.
+ * @returns {object} The published message.
+ */
+const publish = (type, { event, school, data }) => {
+  lastId += 1;
+  const message = {
+    id: lastId,
+    type,
+    event: event ? event.toString() : null,
+    school: school || null,
+    data,
+    publishedAt: new Date()
+  };
+
+  history.push(message);
+  if (history.length > HISTORY_LIMIT) history.shift();
+
+  emitter.emit('message', message);
+  return message;
+};
+
+/**
+ * Registers a listener for new messages.
+ * @param {function(object)} listener
+ * @returns {function()} Removes the listener.
+ */
+const subscribe = (listener) => {
+  emitter.on('message', listener);
+  return () => emitter.off('message', listener);
+};
+
+/**
+ * Messages published after the given id that are still in the history.
+ * @param {number} id - Last message id the client received.
+ * @returns {Array<object>}
+ */
+const getMessagesSince = (id) => history.filter(message => message.id > id);
+
+/**
+ * Reads a client's `Last-Event-ID` header.
+ * @param {string} [value] - Header value, as sent by {@link formatMessage}.
+ * @returns {number|null} Id to replay from (0 replays the whole history when
+ *   the client's id predates a restart), or null when there is nothing to replay from.
+ */
+const parseLastEventId = (value) => {
+  const match = /^([0-9a-z]+)-(\d+)$/.exec(value || '');
+  if (!match) return null;
+
+  const id = parseInt(match[2], 10);
+  return match[1] === EPOCH && id <= lastId ? id : 0;
+};
+
+/**
+ * Whether a message should be delivered to a subscriber.
+ * Event-wide messages (no school) reach every subscriber of the event.
+ * @param {object} message
+ * @param {object} filter
+ * @param {string} filter.event - Hunt event id.
+ * @param {string} [filter.school]
+ * @returns {boolean}
+ */
+const matchesFilter = (message, { event, school }) => {
+  if (message.event !== event.toString()) return false;
+  return !school || !message.school || message.school === school;
+};
+
+/**
+ * Serializes a message in the Server-Sent Events wire format.
+ * @param {object} message
+ * @returns {string}
+ */
+const formatMessage = (message) => {
+  const payload = { ...message.data, school: message.school, publishedAt: message.publishedAt };
+  return `id: ${EPOCH}-${message.id}\nevent: ${message.type}\ndata: ${JSON.stringify(payload)}\n\n`;
+};
+
+module.exports = {
+  HEARTBEAT_INTERVAL_MS,
+  RETRY_MS,
+  EPOCH,
+  publish,
+  subscribe,
+  getMessagesSince,
+  parseLastEventId,
+  matchesFilter,
+  formatMessage
+};
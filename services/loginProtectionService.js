@@ -0,0 +1,107 @@
+const User = require('../models/User');
+
+/**
+ * Per-account protection against password guessing. Failed logins are
+ * counted on the user: after a few, each further attempt has to wait a
+ * little longer, and too many lock the account for a while. The per-IP
+ * authLimiter cannot stop guesses spread over many addresses.
+ */
+
+// Failed attempts allowed before attempts are slowed down
+const FREE_ATTEMPTS = 3;
+
+// Longest wait between attempts before the account locks
+const MAX_DELAY_SECONDS = 60;
+
+// Failed attempts that lock the account
+const LOCKOUT_ATTEMPTS = 10;
+
+const LOCKOUT_MINUTES = 30;
+
+/**
+ * Seconds to wait after the last failed attempt: doubles with every failure
+ * past the free attempts.
+ * @param {number} failedAttempts
+ * @returns {number}
+ */
+const getDelaySeconds = (failedAttempts) => {
+  if (!failedAttempts || failedAttempts < FREE_ATTEMPTS) return 0;
+  return Math.min(2 ** (failedAttempts - FREE_ATTEMPTS), MAX_DELAY_SECONDS);
+};
+
+/**
+ * Whether the account is locked.
+ * @param {object} user - User document.
+ * @param {Date} [date]
+ * @returns {boolean}
+ */
+const isLocked = (user, date = new Date()) => Boolean(user.lockUntil) && new Date(user.lockUntil) > date;
+
+/**
+ * When the account may next try to log in; null if it may try now.
+ * @param {object} user - User document.
+ * @param {Date} [date]
+ * @returns {Date|null}
+ */
+const getRetryAt = (user, date = new Date()) => {
+  if (isLocked(user, date)) return new Date(user.lockUntil);
+
+  const delaySeconds = getDelaySeconds(user.failedLoginAttempts);
+  if (!delaySeconds || !user.lastFailedLoginAt) return null;
+
+  const retryAt = new Date(new Date(user.lastFailedLoginAt).getTime() + delaySeconds * 1000);
+  return retryAt > date ? retryAt : null;
+};
+
+/**
+ * Counts a failed login, locking the account once there are too many.
+ * Updates are atomic so parallel guesses are all counted.
+ * @param {string} userId
+ * @returns {Promise<{ failedLoginAttempts: number, locked: boolean, lockUntil?: Date }|null>}
+ *   `locked` is true only for the attempt that locked the account; null if the user no longer exists.
+ */
+const recordFailedLogin = async (userId) => {
+  const now = new Date();
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { $inc: { failedLoginAttempts: 1 }, $set: { lastFailedLoginAt: now } },
+    { new: true }
+  );
+  if (!user) return null;
+
+  if (user.failedLoginAttempts < LOCKOUT_ATTEMPTS || isLocked(user, now)) {
+    return { failedLoginAttempts: user.failedLoginAttempts, locked: false };
+  }
+
+  // The count starts over once the lock is set, so it expires on its own
+  const lockUntil = new Date(now.getTime() + LOCKOUT_MINUTES * 60 * 1000);
+  const result = await User.updateOne(
+    { _id: userId, failedLoginAttempts: { $gte: LOCKOUT_ATTEMPTS } },
+    { $set: { lockUntil, failedLoginAttempts: 0 } }
+  );
+  return { failedLoginAttempts: user.failedLoginAttempts, locked: result.modifiedCount > 0, lockUntil };
+};
+
+/**
+ * Clears failed attempts and any lock on the user document. The caller saves it.
+ * @param {object} user - User document.
+ */
+const resetFailedLogins = (user) => {
+  user.failedLoginAttempts = 0;
+  user.lastFailedLoginAt = undefined;
+  user.lockUntil = undefined;
+  user.unlockToken = undefined;
+  user.unlockTokenExpire = undefined;
+};
+
+module.exports = {
+  FREE_ATTEMPTS,
+  MAX_DELAY_SECONDS,
+  LOCKOUT_ATTEMPTS,
+  LOCKOUT_MINUTES,
+  getDelaySeconds,
+  isLocked,
+  getRetryAt,
+  recordFailedLogin,
+  resetFailedLogins
+};
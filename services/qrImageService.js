@@ -0,0 +1,213 @@
+const fs = require('fs');
+const QRCode = require('qrcode');
+const { PNG } = require('pngjs');
+
+/**
+ * QR code image rendering (PNG or SVG) with configurable size, margin,
+ * colors and an optional organization logo in the center.
+ *
+ * Codes always use error-correction level H, which tolerates roughly 30% of
+ * the symbol being obscured; the logo covers well under that.
+ */
+
+const CONTENT_TYPES = {
+  png: 'image/png',
+  svg: 'image/svg+xml'
+};
+
+const DEFAULT_RENDER_OPTIONS = {
+  format: 'png',
+  size: 512,
+  margin: 2,
+  dark: '#000000',
+  light: '#FFFFFF',
+  logo: false
+};
+
+const MIN_SIZE = 64;
+const MAX_SIZE = 4096;
+const MAX_MARGIN = 16;
+
+// Logo width as a fraction of the code width, plus a light border around it
+const LOGO_SCALE = 0.22;
+const LOGO_PADDING = 0.1;
+
+const HEX_COLOR = /^#?([0-9a-f]{6}|[0-9a-f]{8})$/i;
+
+const parseColor = (value, name) => {
+  const color = String(value);
+  if (!HEX_COLOR.test(color)) {
+    throw new Error(`${name} must be a hex color such as 000000 or #000000`);
+  }
+  return color.startsWith('#') ? color : `#${color}`;
+};
+
+const parseInteger = (value, name, min, max) => {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new Error(`${name} must be a whole number between ${min} and ${max}`);
+  }
+  return number;
+};
+
+/**
+ * Builds render options from request query parameters.
+ * @param {object} [query] - `format`, `size`, `margin`, `dark`, `light`, `logo`.
+ * @returns {object} Render options with defaults applied.
+ * @throws {Error} If a parameter is invalid; the message is safe to show to clients.
+ */
+const parseRenderOptions = (query = {}) => {
+  const options = { ...DEFAULT_RENDER_OPTIONS };
+
+  if (query.format !== undefined) {
+    const format = String(query.format).toLowerCase();
+    if (!CONTENT_TYPES[format]) {
+      throw new Error(`format must be one of ${Object.keys(CONTENT_TYPES).join(', ')}`);
+    }
+    options.format = format;
+  }
+  if (query.size !== undefined) options.size = parseInteger(query.size, 'size', MIN_SIZE, MAX_SIZE);
+  if (query.margin !== undefined) options.margin = parseInteger(query.margin, 'margin', 0, MAX_MARGIN);
+  if (query.dark !== undefined) options.dark = parseColor(query.dark, 'dark');
+  if (query.light !== undefined) options.light = parseColor(query.light, 'light');
+  if (query.logo !== undefined) options.logo = query.logo === 'true' || query.logo === '1';
+
+  return options;
+};
+
+/**
+ * Whether an organization logo (PNG file at QR_LOGO_PATH) is configured.
+ * @returns {boolean}
+ */
+const isLogoConfigured = () => Boolean(process.env.QR_LOGO_PATH);
+
+let cachedLogo = null;
+
+const loadLogo = () => {
+  const logoPath = process.env.QR_LOGO_PATH;
+  if (!logoPath) {
+    throw new Error('No organization logo configured (QR_LOGO_PATH)');
+  }
+  if (!cachedLogo || cachedLogo.path !== logoPath) {
+    const buffer = fs.readFileSync(logoPath);
+    cachedLogo = {
+      path: logoPath,
+      png: PNG.sync.read(buffer),
+      dataURL: `data:image/png;base64,${buffer.toString('base64')}`
+    };
+  }
+  return cachedLogo;
+};
+
+const hexToRgb = (hex) => [1, 3, 5].map(offset => parseInt(hex.slice(offset, offset + 2), 16));
+
+// Draws the logo, scaled to fit and centered on a light square, into the QR PNG
+const overlayLogoOnPng = (qrBuffer, logo, lightColor) => {
+  const qr = PNG.sync.read(qrBuffer);
+  const logoSize = Math.round(qr.width * LOGO_SCALE);
+  const padding = Math.round(logoSize * LOGO_PADDING);
+  const boxSize = logoSize + padding * 2;
+  const boxX = Math.round((qr.width - boxSize) / 2);
+  const boxY = Math.round((qr.height - boxSize) / 2);
+  const [lightR, lightG, lightB] = hexToRgb(lightColor);
+
+  for (let y = boxY; y < boxY + boxSize; y++) {
+    for (let x = boxX; x < boxX + boxSize; x++) {
+      const idx = (qr.width * y + x) << 2;
+      qr.data[idx] = lightR;
+      qr.data[idx + 1] = lightG;
+      qr.data[idx + 2] = lightB;
+      qr.data[idx + 3] = 255;
+    }
+  }
+
+  // Nearest-neighbour scaling keeps the aspect ratio; alpha-blend onto the backing square
+  const scale = logoSize / Math.max(logo.width, logo.height);
+  const drawWidth = Math.max(1, Math.round(logo.width * scale));
+  const drawHeight = Math.max(1, Math.round(logo.height * scale));
+  const offsetX = boxX + padding + Math.floor((logoSize - drawWidth) / 2);
+  const offsetY = boxY + padding + Math.floor((logoSize - drawHeight) / 2);
+
+  for (let y = 0; y < drawHeight; y++) {
+    const sourceY = Math.min(logo.height - 1, Math.floor(y / scale));
+    for (let x = 0; x < drawWidth; x++) {
+      const sourceX = Math.min(logo.width - 1, Math.floor(x / scale));
+      const src = (logo.width * sourceY + sourceX) << 2;
+      const dst = (qr.width * (offsetY + y) + offsetX + x) << 2;
+      const alpha = logo.data[src + 3] / 255;
+      for (let channel = 0; channel < 3; channel++) {
+        qr.data[dst + channel] = Math.round(logo.data[src + channel] * alpha + qr.data[dst + channel] * (1 - alpha));
+      }
+    }
+  }
+
+  return PNG.sync.write(qr);
+};
+
+// Adds the logo as an embedded <image> centered in the SVG's module coordinate space
+const embedLogoInSvg = (svg, logo, lightColor) => {
+  const viewBox = svg.match(/viewBox="0 0 (\d+(?:\.\d+)?) (\d+(?:\.\d+)?)"/);
+  if (!viewBox) {
+    throw new Error('Unexpected SVG output from QR code renderer');
+  }
+  const modules = Number(viewBox[1]);
+  const logoSize = modules * LOGO_SCALE;
+  const padding = logoSize * LOGO_PADDING;
+  const boxSize = logoSize + padding * 2;
+  const boxOffset = (modules - boxSize) / 2;
+  const logoOffset = boxOffset + padding;
+
+  const overlay =
+    `<rect x="${boxOffset}" y="${boxOffset}" width="${boxSize}" height="${boxSize}" fill="${lightColor}"/>` +
+    `<image href="${logo.dataURL}" x="${logoOffset}" y="${logoOffset}" width="${logoSize}" height="${logoSize}" preserveAspectRatio="xMidYMid meet"/>`;
+
+  return svg.replace('</svg>', `${overlay}</svg>`);
+};
+
+/**
+ * Renders a QR code image.
+ * @param {string} text - Content to encode (typically a scan URL).
+ * @param {object} [options] - Render options, see parseRenderOptions.
+ * @returns {Promise<{ data: Buffer, contentType: string }>}
+ */
+const renderQRCode = async (text, options = DEFAULT_RENDER_OPTIONS) => {
+  const renderOptions = { ...DEFAULT_RENDER_OPTIONS, ...options };
+  const qrOptions = {
+    errorCorrectionLevel: 'H',
+    margin: renderOptions.margin,
+    width: renderOptions.size,
+    color: {
+      dark: renderOptions.dark,
+      light: renderOptions.light
+    }
+  };
+
+  if (renderOptions.format === 'svg') {
+    let svg = await QRCode.toString(text, { ...qrOptions, type: 'svg' });
+    if (renderOptions.logo) {
+      svg = embedLogoInSvg(svg, loadLogo(), renderOptions.light);
+    }
+    return { data: Buffer.from(svg), contentType: CONTENT_TYPES.svg };
+  }
+
+  let png = await QRCode.toBuffer(text, { ...qrOptions, type: 'png' });
+  if (renderOptions.logo) {
+    png = overlayLogoOnPng(png, loadLogo().png, renderOptions.light);
+  }
+  return { data: png, contentType: CONTENT_TYPES.png };
+};
+
+/**
+ * Converts a rendered image to a data URL for JSON responses.
+ * @param {{ data: Buffer, contentType: string }} image
+ * @returns {string}
+ */
+const toDataURL = ({ data, contentType }) => `data:${contentType};base64,${data.toString('base64')}`;
+
+module.exports = {
+  DEFAULT_RENDER_OPTIONS,
+  parseRenderOptions,
+  isLogoConfigured,
+  renderQRCode,
+  toDataURL
+};
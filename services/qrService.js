@@ -0,0 +1,131 @@
+const crypto = require('crypto');
+
+/**
+ * Signed station QR payloads.
+ *
+ * A station token has the form `<payload>.<signature>` where the payload is
+ * base64url-encoded JSON `{ c, e, iat, exp? }` (the station's opaque
+ * `qrCode`, event id, issue time and optional expiry, in seconds) and the
+ * signature is an HMAC-SHA256 of the encoded payload. The HMAC key is derived
+ * from the server-wide QR_SIGNING_SECRET and the station's own `qrSecret`, so
+ * rotating a station's secret, or regenerating its `qrCode`, invalidates
+ * every code printed for it. Database ids never appear in printed codes.
+ */
+
+/**
+ * Generates a new random per-station signing secret.
+ * @returns {string} 64-character hex secret.
+ */
+const generateStationSecret = () => crypto.randomBytes(32).toString('hex');
+
+const getSigningKey = (stationSecret) => {
+  const serverSecret = process.env.QR_SIGNING_SECRET || process.env.JWT_SECRET;
+  if (!serverSecret) {
+    throw new Error('QR_SIGNING_SECRET is not configured');
+  }
+  return crypto.createHmac('sha256', serverSecret).update(stationSecret).digest();
+};
+
+const sign = (encodedPayload, stationSecret) =>
+  crypto.createHmac('sha256', getSigningKey(stationSecret)).update(encodedPayload).digest('base64url');
+
+/**
+ * Creates a signed token for a station.
+ * @param {object} station - Station document, loaded with `+qrSecret`.
+ * @param {object} [options]
+ * @param {Date} [options.expiresAt] - Time after which the token is rejected.
+ * @returns {string} Signed token.
+ */
+const signStationToken = (station, { expiresAt } = {}) => {
+  if (!station.qrSecret) {
+    throw new Error(`Station ${station._id} has no QR signing secret`);
+  }
+
+  const payload = {
+    c: station.qrCode,
+    e: station.event.toString(),
+    iat: Math.floor(Date.now() / 1000)
+  };
+  if (expiresAt) {
+    payload.exp = Math.floor(new Date(expiresAt).getTime() / 1000);
+  }
+
+  const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${encodedPayload}.${sign(encodedPayload, station.qrSecret)}`;
+};
+
+/**
+ * Reads a token's payload WITHOUT verifying it, so the caller can load the
+ * station whose secret is needed for verification.
+ * @param {string} token - Token as scanned.
+ * @returns {object|null} Decoded payload, or null if the token is malformed.
+ */
+const decodeStationToken = (token) => {
+  if (typeof token !== 'string') return null;
+
+  const parts = token.split('.');
+  if (parts.length !== 2 || !parts[0] || !parts[1]) return null;
+
+  try {
+    const payload = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+    if (!payload || typeof payload.c !== 'string' || typeof payload.e !== 'string') return null;
+    return payload;
+  } catch (err) {
+    return null;
+  }
+};
+
+/**
+ * Verifies a token against the station it claims to belong to.
+ * @param {string} token - Token as scanned.
+ * @param {object} station - Station document, loaded with `+qrSecret`.
+ * @param {Date} [now] - Reference time for the expiry check.
+ * @returns {{ valid: boolean, reason?: string }} `reason` is one of
+ *   'malformed', 'signature', 'code', 'event' or 'expired'.
+ */
+const verifyStationToken = (token, station, now = new Date()) => {
+  const payload = decodeStationToken(token);
+  if (!payload) return { valid: false, reason: 'malformed' };
+  if (!station.qrSecret) return { valid: false, reason: 'signature' };
+
+  const [encodedPayload, signature] = token.split('.');
+  const expected = Buffer.from(sign(encodedPayload, station.qrSecret));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return { valid: false, reason: 'signature' };
+  }
+
+  if (payload.c !== station.qrCode) return { valid: false, reason: 'code' };
+  if (payload.e !== station.event.toString()) return { valid: false, reason: 'event' };
+  if (payload.exp && payload.exp * 1000 < now.getTime()) return { valid: false, reason: 'expired' };
+
+  return { valid: true, payload };
+};
+
+/**
+ * Whether a scanned value is a bare station ObjectId, as encoded in QR codes
+ * printed before signed tokens. Only accepted when QR_ACCEPT_LEGACY_IDS=true.
+ * @param {string} value - Value as scanned.
+ * @returns {boolean}
+ */
+const isLegacyStationId = (value) =>
+  process.env.QR_ACCEPT_LEGACY_IDS === 'true' && typeof value === 'string' && /^[a-f0-9]{24}$/i.test(value);
+
+/**
+ * Builds the URL that a station's QR code points to.
+ * @param {string} token - Signed station token.
+ * @returns {string} Frontend scan URL.
+ */
+const buildScanUrl = (token) => {
+  const frontendBaseUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+  return `${frontendBaseUrl}/scan-station/${token}`;
+};
+
+module.exports = {
+  generateStationSecret,
+  signStationToken,
+  decodeStationToken,
+  verifyStationToken,
+  isLegacyStationId,
+  buildScanUrl
+};
@@ -0,0 +1,140 @@
+const PDFDocument = require('pdfkit');
+const qrImageService = require('./qrImageService');
+
+// Grid used for each supported number of codes per page
+const LAYOUTS = {
+  1: { columns: 1, rows: 1 },
+  2: { columns: 1, rows: 2 },
+  4: { columns: 2, rows: 2 },
+  6: { columns: 2, rows: 3 }
+};
+
+const SUPPORTED_PER_PAGE = Object.keys(LAYOUTS).map(Number);
+
+const PAGE_MARGIN = 36;
+const FOOTER_HEIGHT = 18;
+const CELL_PADDING = 12;
+
+const DEFAULT_INSTRUCTIONS = 'Scan this code with your class device to check in at this station. Each station only counts once per class.';
+
+// Font sizes shrink as more codes share a page
+const fontSizesFor = (perPage) => {
+  if (perPage === 1) return { name: 28, detail: 14, instructions: 12 };
+  if (perPage === 2) return { name: 20, detail: 12, instructions: 10 };
+  return { name: 14, detail: 9, instructions: 8 };
+};
+
+const drawStationCell = (doc, { station, image }, box, { perPage, instructions }) => {
+  const sizes = fontSizesFor(perPage);
+  const innerX = box.x + CELL_PADDING;
+  const innerWidth = box.width - CELL_PADDING * 2;
+  let cursorY = box.y + CELL_PADDING;
+
+  // Dashed cut lines when several codes share a page
+  if (perPage > 1) {
+    doc.save()
+      .dash(4, { space: 4 })
+      .strokeColor('#999999')
+      .rect(box.x, box.y, box.width, box.height)
+      .stroke()
+      .restore();
+  }
+
+  if (station.order !== undefined && station.order !== null) {
+    doc.font('Helvetica').fontSize(sizes.detail).fillColor('#555555')
+      .text(`Station ${station.order}`, innerX, cursorY, { width: innerWidth, align: 'center' });
+    cursorY = doc.y;
+  }
+
+  doc.font('Helvetica-Bold').fontSize(sizes.name).fillColor('#000000')
+    .text(station.name, innerX, cursorY, { width: innerWidth, align: 'center' });
+  cursorY = doc.y;
+
+  if (station.location) {
+    doc.font('Helvetica').fontSize(sizes.detail).fillColor('#333333')
+      .text(station.location, innerX, cursorY, { width: innerWidth, align: 'center' });
+    cursorY = doc.y;
+  }
+  cursorY += CELL_PADDING / 2;
+
+  // Reserve room for the instructions below the code
+  doc.font('Helvetica').fontSize(sizes.instructions);
+  const instructionsHeight = doc.heightOfString(instructions, { width: innerWidth, align: 'center' });
+  const availableHeight = box.y + box.height - CELL_PADDING - instructionsHeight - CELL_PADDING / 2 - cursorY;
+  const qrSize = Math.max(0, Math.min(innerWidth, availableHeight));
+
+  doc.image(image, innerX + (innerWidth - qrSize) / 2, cursorY, { width: qrSize, height: qrSize });
+  cursorY += qrSize + CELL_PADDING / 2;
+
+  doc.font('Helvetica').fontSize(sizes.instructions).fillColor('#333333')
+    .text(instructions, innerX, cursorY, { width: innerWidth, align: 'center' });
+};
+
+const drawFooter = (doc, title, pageNumber) => {
+  const footerY = doc.page.height - PAGE_MARGIN - FOOTER_HEIGHT + 6;
+  doc.font('Helvetica').fontSize(8).fillColor('#777777')
+    .text(`${title} - page ${pageNumber}`, PAGE_MARGIN, footerY, {
+      width: doc.page.width - PAGE_MARGIN * 2,
+      align: 'center',
+      lineBreak: false
+    });
+};
+
+/**
+ * Renders a printable PDF sheet of station QR codes.
+ *
+ * @param {object} options
+ * @param {Array<{station: object, scanUrl: string}>} options.entries - Stations in print order with the URL to encode.
+ * @param {string} options.title - Document title, also printed in the page footer.
+ * @param {number} [options.perPage=1] - Codes per page, one of SUPPORTED_PER_PAGE.
+ * @param {string} [options.instructions] - Short instructions printed under each code.
+ * @param {boolean} [options.logo=false] - Center the organization logo in each code.
+ * @returns {Promise<Buffer>} The PDF file contents.
+ */
+const renderQRCodeSheet = async ({ entries, title, perPage = 1, instructions = DEFAULT_INSTRUCTIONS, logo = false }) => {
+  const layout = LAYOUTS[perPage];
+  if (!layout) {
+    throw new Error(`Unsupported number of QR codes per page: ${perPage}`);
+  }
+
+  // Render all codes up front so the PDF can be drawn synchronously
+  const images = await Promise.all(entries.map(async ({ scanUrl }) => {
+    const image = await qrImageService.renderQRCode(scanUrl, { format: 'png', size: 600, logo });
+    return image.data;
+  }));
+
+  const doc = new PDFDocument({ size: 'LETTER', margin: PAGE_MARGIN, info: { Title: title } });
+  const chunks = [];
+  const finished = new Promise((resolve, reject) => {
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  const cellWidth = (doc.page.width - PAGE_MARGIN * 2) / layout.columns;
+  const cellHeight = (doc.page.height - PAGE_MARGIN * 2 - FOOTER_HEIGHT) / layout.rows;
+
+  entries.forEach((entry, index) => {
+    const slot = index % perPage;
+    if (slot === 0) {
+      if (index > 0) doc.addPage();
+      drawFooter(doc, title, index / perPage + 1);
+    }
+
+    const box = {
+      x: PAGE_MARGIN + (slot % layout.columns) * cellWidth,
+      y: PAGE_MARGIN + Math.floor(slot / layout.columns) * cellHeight,
+      width: cellWidth,
+      height: cellHeight
+    };
+    drawStationCell(doc, { station: entry.station, image: images[index] }, box, { perPage, instructions });
+  });
+
+  doc.end();
+  return finished;
+};
+
+module.exports = {
+  SUPPORTED_PER_PAGE,
+  renderQRCodeSheet
+};
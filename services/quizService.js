@@ -0,0 +1,87 @@
+/**
+ * Station quiz helpers: hiding answers from teams and grading submissions.
+ */
+
+const QUESTION_TYPES = ['multiple_choice', 'true_false', 'short_answer'];
+
+/**
+ * Whether a station defines any quiz questions.
+ * @param {object} station - Station document.
+ * @returns {boolean}
+ */
+const hasQuiz = (station) => Boolean(station && station.quiz && station.quiz.length > 0);
+
+/**
+ * Whether a scan of the station only counts once its quiz is answered correctly.
+ * @param {object} event - Event document.
+ * @param {object} station - Station document.
+ * @returns {boolean}
+ */
+const isQuizRequired = (event, station) => Boolean(event && event.settings && event.settings.requireQuiz) && hasQuiz(station);
+
+/**
+ * Quiz questions as shown to teams, without the answers.
+ * @param {Array<object>} questions - Station quiz questions.
+ * @returns {Array<object>}
+ */
+const presentQuestions = (questions = []) => questions.map(question => ({
+  _id: question._id,
+  type: question.type,
+  prompt: question.prompt,
+  ...(question.type === 'multiple_choice' && { options: question.options })
+}));
+
+/**
+ * A station as shown to non-admin users: quiz answers are removed.
+ * @param {object} station - Station document.
+ * @returns {object}
+ */
+const hideAnswers = (station) => {
+  if (!hasQuiz(station)) return station;
+  const data = typeof station.toJSON === 'function' ? station.toJSON() : { ...station };
+  data.quiz = presentQuestions(station.quiz);
+  return data;
+};
+
+// Short answers match regardless of case, surrounding and repeated whitespace
+const normalize = (value) => String(value).trim().replace(/\s+/g, ' ').toLowerCase();
+
+const isCorrect = (question, answer) => {
+  // Blank answers are wrong, even though Number('') is option 0
+  if (answer === undefined || answer === null || (typeof answer === 'string' && !answer.trim())) return false;
+
+  switch (question.type) {
+    case 'multiple_choice':
+      return ['number', 'string'].includes(typeof answer) && Number(answer) === question.correctOption;
+    case 'true_false':
+      return String(answer).toLowerCase() === String(question.correctAnswer);
+    case 'short_answer':
+      return (question.acceptedAnswers || []).some(accepted => normalize(accepted) === normalize(answer));
+    default:
+      return false;
+  }
+};
+
+/**
+ * Grades answers given in question order.
+ * Multiple choice answers are option indexes, true/false answers booleans.
+ * @param {Array<object>} questions - Station quiz questions.
+ * @param {Array<*>} answers - One answer per question.
+ * @returns {{ correct: boolean, results: Array<boolean> }}
+ */
+const gradeAnswers = (questions, answers = []) => {
+  const results = questions.map((question, index) => isCorrect(question, answers[index]));
+  return {
+    correct: results.length > 0 && results.every(Boolean),
+    results
+  };
+};
+
+module.exports = {
+  QUESTION_TYPES,
+  hasQuiz,
+  isQuizRequired,
+  presentQuestions,
+  hideAnswers,
+  gradeAnswers
+};
@@ -0,0 +1,148 @@
+const Station = require('../models/Station');
+const Scan = require('../models/Scan');
+const Event = require('../models/Event');
+
+/**
+ * Points scoring for classes. Scores are recalculated from the class's
+ * scans, quiz results and hint usage whenever one of them changes, and
+ * stored on the class for the leaderboard.
+ */
+
+// Multiplier applied to a station's base points
+const DIFFICULTY_MULTIPLIERS = {
+  Easy: 1,
+  Medium: 1.5,
+  Hard: 2
+};
+
+const DEFAULT_SCORING = {
+  stationPoints: 10,
+  quizBonusPoints: 5,
+  hintPenaltyPoints: 2,
+  speedBonusPoints: 50,
+  speedBonusWindowMinutes: 120
+};
+
+/**
+ * Scoring rules of an event, with defaults for anything it does not set.
+ * @param {object} event - Event document.
+ * @returns {object}
+ */
+const getScoringRules = (event) => {
+  const configured = event && event.settings && event.settings.scoring;
+  const rules = { ...DEFAULT_SCORING };
+  if (configured) {
+    Object.keys(DEFAULT_SCORING).forEach(key => {
+      if (typeof configured[key] === 'number') rules[key] = configured[key];
+    });
+  }
+  return rules;
+};
+
+/**
+ * Points a station is worth: its own `points`, or the event's base station
+ * points, weighted by difficulty.
+ * @param {object} station - Station document.
+ * @param {object} [rules] - Result of getScoringRules.
+ * @returns {number}
+ */
+const getStationPoints = (station, rules = DEFAULT_SCORING) => {
+  const base = typeof station.points === 'number' ? station.points : rules.stationPoints;
+  const multiplier = DIFFICULTY_MULTIPLIERS[station.difficulty] || 1;
+  return Math.round(base * multiplier);
+};
+
+/**
+ * Calculates a class's score.
+ * @param {object} input
+ * @param {Array<object>} input.stations - Stations counted for the class.
+ * @param {number} input.quizzesPassed - Number of station quizzes answered correctly.
+ * @param {number} input.hintsUsed - Number of hints unlocked.
+ * @param {number|null} input.completionMinutes - Minutes from first scan to completion; null if not completed.
+ * @param {object} [input.rules] - Result of getScoringRules.
+ * @returns {{ total: number, stationPoints: number, quizBonus: number, speedBonus: number, hintPenalty: number, completionMinutes: number|null }}
+ */
+const calculateScore = ({ stations, quizzesPassed, hintsUsed, completionMinutes, rules = DEFAULT_SCORING }) => {
+  const stationPoints = stations.reduce((sum, station) => sum + getStationPoints(station, rules), 0);
+  const quizBonus = quizzesPassed * rules.quizBonusPoints;
+  const hintPenalty = hintsUsed * rules.hintPenaltyPoints;
+
+  // The speed bonus shrinks linearly to zero over the bonus window
+  let speedBonus = 0;
+  if (completionMinutes !== null && rules.speedBonusWindowMinutes > 0) {
+    const remaining = Math.max(0, 1 - completionMinutes / rules.speedBonusWindowMinutes);
+    speedBonus = Math.round(rules.speedBonusPoints * remaining);
+  }
+
+  return {
+    total: Math.max(0, stationPoints + quizBonus + speedBonus - hintPenalty),
+    stationPoints,
+    quizBonus,
+    speedBonus,
+    hintPenalty,
+    completionMinutes
+  };
+};
+
+/**
+ * Recalculates and sets `classObj.score` from the stored scans. The caller
+ * saves the class.
+ * @param {object} classObj - Class document.
+ * @param {object} [event] - The class's event, loaded when not given.
+ * @returns {Promise<object>} The new score.
+ */
+const refreshClassScore = async (classObj, event) => {
+  const classEvent = event || await Event.findById(classObj.event);
+  const rules = getScoringRules(classEvent);
+
+  const [stations, quizzesPassed, firstScan] = await Promise.all([
+    // Points already earned are kept when a station is moved to the trash
+    Station.find({ _id: { $in: classObj.stationsScanned } }, null, { withDeleted: true }),
+    Scan.countDocuments({ classId: classObj._id, quizPassedAt: { $exists: true } }),
+    Scan.findOne({ classId: classObj._id }).sort({ scannedAt: 1 })
+  ]);
+
+  let completionMinutes = null;
+  if (classObj.isCompleted && classObj.completedAt && firstScan) {
+    completionMinutes = Math.max(0, (new Date(classObj.completedAt) - new Date(firstScan.scannedAt)) / (1000 * 60));
+  }
+
+  const score = calculateScore({
+    stations,
+    quizzesPassed,
+    hintsUsed: (classObj.hintsUsed || []).length,
+    completionMinutes,
+    rules
+  });
+  classObj.score = { ...score, updatedAt: new Date() };
+  return score;
+};
+
+/**
+ * Orders leaderboard entries: highest score first, ties broken by
+ * completed classes first and then the fastest completion.
+ * @param {object} a - Class with a `score`.
+ * @param {object} b - Class with a `score`.
+ * @returns {number}
+ */
+const compareStandings = (a, b) => {
+  const scoreA = a.score || {};
+  const scoreB = b.score || {};
+  const totalDiff = (scoreB.total || 0) - (scoreA.total || 0);
+  if (totalDiff !== 0) return totalDiff;
+
+  const timeA = typeof scoreA.completionMinutes === 'number' ? scoreA.completionMinutes : Infinity;
+  const timeB = typeof scoreB.completionMinutes === 'number' ? scoreB.completionMinutes : Infinity;
+  if (timeA !== timeB) return timeA < timeB ? -1 : 1;
+  return 0;
+};
+
+module.exports = {
+  DIFFICULTY_MULTIPLIERS,
+  DEFAULT_SCORING,
+  getScoringRules,
+  getStationPoints,
+  calculateScore,
+  refreshClassScore,
+  compareStandings
+};
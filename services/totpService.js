@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+
+/**
+ * Time-based one-time passwords (RFC 6238) for two-factor authentication,
+ * compatible with authenticator apps: HMAC-SHA1, 6 digits, 30-second steps.
+ * Secrets are base32-encoded as in `otpauth://` provisioning URIs.
+ */
+
+const ISSUER = 'QR Scavenger Hunt';
+const DIGITS = 6;
+const STEP_SECONDS = 30;
+
+// Steps accepted either side of the current one, for clock drift
+const WINDOW = 1;
+
+const SECRET_BYTES = 20;
+const RECOVERY_CODE_COUNT = 10;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) {
+    bits += byte.toString(2).padStart(8, '0');
+  }
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (encoded) => {
+  const clean = String(encoded).toUpperCase().replace(/[\s=-]/g, '');
+  let bits = '';
+  for (const char of clean) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) {
+      throw new Error('Invalid base32 secret');
+    }
+    bits += value.toString(2).padStart(5, '0');
+  }
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generates a new random secret.
+ * @returns {string} Base32-encoded secret.
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(SECRET_BYTES));
+
+/**
+ * The time step a moment falls in.
+ * @param {Date} [date]
+ * @returns {number}
+ */
+const getTimeStep = (date = new Date()) => Math.floor(date.getTime() / 1000 / STEP_SECONDS);
+
+/**
+ * The code for a time step (RFC 4226 HOTP with the step as counter).
+ * @param {string} secret - Base32-encoded secret.
+ * @param {number} step
+ * @returns {string} Zero-padded code.
+ */
+const generateCode = (secret, step = getTimeStep()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+/**
+ * Checks a code against the steps around the current time.
+ * @param {string} secret - Base32-encoded secret.
+ * @param {string} code - Code as entered; spaces are ignored.
+ * @param {object} [options]
+ * @param {Date} [options.date]
+ * @param {number} [options.afterStep] - Last step already used; it and earlier steps are rejected so a code cannot be replayed.
+ * @returns {number|null} The matching step, or null.
+ */
+const verifyCode = (secret, code, { date = new Date(), afterStep } = {}) => {
+  const entered = String(code || '').replace(/\s/g, '');
+  if (!/^\d+$/.test(entered) || entered.length !== DIGITS) return null;
+
+  const currentStep = getTimeStep(date);
+  for (let step = currentStep - WINDOW; step <= currentStep + WINDOW; step++) {
+    if (afterStep !== undefined && afterStep !== null && step <= afterStep) continue;
+    const expected = generateCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(entered))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+/**
+ * The `otpauth://` URI authenticator apps import, usually from a QR code.
+ * @param {string} secret - Base32-encoded secret.
+ * @param {string} accountName - Shown in the app, e.g. the email address.
+ * @returns {string}
+ */
+const getProvisioningUri = (secret, accountName) => {
+  const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/**
+ * Generates single-use recovery codes for when the authenticator is lost.
+ * @returns {Array<string>} Codes such as `3f9a-c21e`.
+ */
+const generateRecoveryCodes = () => Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+  const hex = crypto.randomBytes(4).toString('hex');
+  return `${hex.slice(0, 4)}-${hex.slice(4)}`;
+});
+
+/**
+ * Hash of a recovery code as stored; case and dashes do not matter.
+ * @param {string} code
+ * @returns {string}
+ */
+const hashRecoveryCode = (code) => crypto
+  .createHash('sha256')
+  .update(String(code || '').toLowerCase().replace(/[^0-9a-f]/g, ''))
+  .digest('hex');
+
+module.exports = {
+  ISSUER,
+  DIGITS,
+  STEP_SECONDS,
+  RECOVERY_CODE_COUNT,
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  getTimeStep,
+  generateCode,
+  verifyCode,
+  getProvisioningUri,
+  generateRecoveryCodes,
+  hashRecoveryCode
+};
@@ -0,0 +1,76 @@
+const { getLiveUpdates } = require('../../controllers/adminController');
+const User = require('../../models/User');
+const Session = require('../../models/Session');
+const liveEventService = require('../../services/liveEventService');
+
+jest.mock('../../models/User');
+jest.mock('../../models/Class');
+jest.mock('../../models/Station');
+jest.mock('../../models/Session');
+jest.mock('../../models/ApiToken');
+jest.mock('../../models/AuditLog');
+
+describe('Admin Controller - Unit Tests', () => {
+  describe('getLiveUpdates', () => {
+    let mockRequest;
+    let mockResponse;
+    let onClose;
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+      mockRequest = {
+        query: {},
+        headers: {},
+        event: { _id: 'eventId1' },
+        user: { _id: 'adminUserId' },
+        authSession: { _id: 'sessionId1' },
+        on: jest.fn((name, listener) => { onClose = listener; })
+      };
+      mockResponse = {
+        set: jest.fn(),
+        flushHeaders: jest.fn(),
+        write: jest.fn(),
+        end: jest.fn()
+      };
+      User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue({ isActive: true }) });
+    });
+
+    afterEach(() => {
+      onClose();
+      jest.useRealTimers();
+      jest.clearAllMocks();
+    });
+
+    it('should keep the stream open while the session is active', async () => {
+      Session.findById.mockResolvedValue({ isActive: () => true });
+
+      getLiveUpdates(mockRequest, mockResponse);
+      await jest.advanceTimersByTimeAsync(liveEventService.HEARTBEAT_INTERVAL_MS);
+
+      expect(Session.findById).toHaveBeenCalledWith('sessionId1');
+      expect(mockResponse.write).toHaveBeenCalledWith(': heartbeat\n\n');
+      expect(mockResponse.end).not.toHaveBeenCalled();
+    });
+
+    it('should close the stream once the session is signed out', async () => {
+      Session.findById.mockResolvedValue({ isActive: () => false });
+
+      getLiveUpdates(mockRequest, mockResponse);
+      await jest.advanceTimersByTimeAsync(liveEventService.HEARTBEAT_INTERVAL_MS);
+      liveEventService.publish('scan', { event: 'eventId1', data: {} });
+
+      expect(mockResponse.end).toHaveBeenCalled();
+      expect(mockResponse.write).not.toHaveBeenCalledWith(': heartbeat\n\n');
+      expect(mockResponse.write).not.toHaveBeenCalledWith(expect.stringContaining('event: scan'));
+    });
+
+    it('should close the stream once the account is deactivated', async () => {
+      User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue({ isActive: false }) });
+
+      getLiveUpdates(mockRequest, mockResponse);
+      await jest.advanceTimersByTimeAsync(liveEventService.HEARTBEAT_INTERVAL_MS);
+
+      expect(mockResponse.end).toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,99 @@
+const apiTokenController = require('../../controllers/apiTokenController');
+const ApiToken = require('../../models/ApiToken');
+const ErrorResponse = require('../../utils/errorResponse');
+
+jest.mock('../../models/ApiToken');
+jest.mock('../../models/AuditLog');
+
+describe('API Token Controller - Unit Tests', () => {
+  let mockRequest;
+  let mockResponse;
+  let mockNext;
+
+  beforeEach(() => {
+    mockRequest = {
+      body: {},
+      user: { id: 'adminUserId', role: 'admin' },
+      params: {},
+      query: {}
+    };
+    mockResponse = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis()
+    };
+    mockNext = jest.fn();
+    ApiToken.TOKEN_PREFIX = 'qrh_';
+    ApiToken.generateToken.mockReturnValue('qrh_0123456789abcdef');
+    ApiToken.hashToken.mockReturnValue('hashed');
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('createApiToken', () => {
+    it('should store a hash of the token and return the token once', async () => {
+      mockRequest.body = { name: 'Station kiosk', permissions: ['scans:write', 'scans:write'], expiresInDays: 2 };
+      ApiToken.create.mockImplementation(async data => ({ _id: 'tokenId', ...data }));
+
+      await apiTokenController.createApiToken(mockRequest, mockResponse, mockNext);
+
+      const created = ApiToken.create.mock.calls[0][0];
+      expect(created).toEqual(expect.objectContaining({
+        name: 'Station kiosk',
+        tokenHash: 'hashed',
+        preview: 'qrh_012345',
+        permissions: ['scans:write'],
+        createdBy: 'adminUserId'
+      }));
+      expect(created.expiresAt.getTime()).toBeGreaterThan(Date.now() + 47 * 60 * 60 * 1000);
+      expect(mockResponse.status).toHaveBeenCalledWith(201);
+      expect(mockResponse.json.mock.calls[0][0].token).toBe('qrh_0123456789abcdef');
+    });
+
+    it('should not grant permissions the creator does not hold', async () => {
+      mockRequest.user = { id: 'teacherUserId', role: 'teacher' };
+      mockRequest.permissions = ['classes:write', 'scans:write', 'tokens:manage'];
+      mockRequest.body = { name: 'Integration', permissions: ['scans:write', 'analytics:read'] };
+
+      await apiTokenController.createApiToken(mockRequest, mockResponse, mockNext);
+
+      expect(ApiToken.create).not.toHaveBeenCalled();
+      expect(mockNext).toHaveBeenCalledWith(expect.any(ErrorResponse));
+      expect(mockNext.mock.calls[0][0].statusCode).toBe(403);
+      expect(mockNext.mock.calls[0][0].message).toContain('analytics:read');
+    });
+
+    it('should reject unknown permissions', async () => {
+      mockRequest.body = { name: 'Integration', permissions: ['everything'] };
+
+      await apiTokenController.createApiToken(mockRequest, mockResponse, mockNext);
+
+      expect(mockNext.mock.calls[0][0].statusCode).toBe(400);
+    });
+
+    it('should not let an API token create other tokens', async () => {
+      mockRequest.apiToken = { _id: 'tokenId' };
+      mockRequest.body = { name: 'Copy', permissions: ['scans:write'] };
+
+      await apiTokenController.createApiToken(mockRequest, mockResponse, mockNext);
+
+      expect(ApiToken.create).not.toHaveBeenCalled();
+      expect(mockNext.mock.calls[0][0].statusCode).toBe(403);
+    });
+  });
+
+  describe('revokeApiToken', () => {
+    it('should mark the token as revoked', async () => {
+      mockRequest.params.id = 'tokenId';
+      const mockToken = { _id: 'tokenId', save: jest.fn().mockResolvedValue(true) };
+      ApiToken.findById.mockResolvedValue(mockToken);
+
+      await apiTokenController.revokeApiToken(mockRequest, mockResponse, mockNext);
+
+      expect(mockToken.revokedAt).toBeInstanceOf(Date);
+      expect(mockToken.save).toHaveBeenCalled();
+      expect(mockResponse.status).toHaveBeenCalledWith(200);
+    });
+  });
+});
@@ -0,0 +1,94 @@
+const auditLogController = require('../../controllers/auditLogController');
+const AuditLog = require('../../models/AuditLog');
+const ErrorResponse = require('../../utils/errorResponse');
+
+jest.mock('../../models/AuditLog');
+
+describe('Audit Log Controller - Unit Tests', () => {
+  let mockRequest;
+  let mockResponse;
+  let mockNext;
+  let query;
+
+  beforeEach(() => {
+    mockRequest = {
+      query: {},
+      user: { id: 'adminUserId', role: 'admin' }
+    };
+    mockResponse = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis()
+    };
+    mockNext = jest.fn();
+
+    query = {
+      populate: jest.fn().mockReturnThis(),
+      sort: jest.fn().mockReturnThis(),
+      skip: jest.fn().mockReturnThis(),
+      limit: jest.fn().mockResolvedValue([{ action: 'station.update' }])
+    };
+    AuditLog.find.mockReturnValue(query);
+    AuditLog.countDocuments.mockResolvedValue(120);
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getAuditLog', () => {
+    it('should filter by action, target and date range and paginate', async () => {
+      mockRequest.query = {
+        action: 'station.update,drawing.*',
+        targetModel: 'Station',
+        from: '2025-05-01',
+        page: '2',
+        limit: '50'
+      };
+
+      await auditLogController.getAuditLog(mockRequest, mockResponse, mockNext);
+
+      const filter = AuditLog.find.mock.calls[0][0];
+      expect(filter.action.$in[0]).toBe('station.update');
+      expect(filter.action.$in[1]).toEqual(/^drawing\./);
+      expect(filter.targetModel).toBe('Station');
+      expect(filter.createdAt).toEqual({ $gte: new Date('2025-05-01') });
+      expect(query.sort).toHaveBeenCalledWith({ createdAt: -1 });
+      expect(query.skip).toHaveBeenCalledWith(50);
+      expect(query.limit).toHaveBeenCalledWith(50);
+      expect(mockResponse.status).toHaveBeenCalledWith(200);
+      expect(mockResponse.json).toHaveBeenCalledWith({
+        success: true,
+        count: 1,
+        total: 120,
+        pagination: { page: 2, limit: 50, pages: 3 },
+        data: [{ action: 'station.update' }]
+      });
+    });
+
+    it('should cap the page size', async () => {
+      mockRequest.query = { limit: '5000' };
+
+      await auditLogController.getAuditLog(mockRequest, mockResponse, mockNext);
+
+      expect(query.limit).toHaveBeenCalledWith(200);
+    });
+
+    it('should return 400 for an invalid actor id', async () => {
+      mockRequest.query = { actor: 'not-an-id' };
+
+      await auditLogController.getAuditLog(mockRequest, mockResponse, mockNext);
+
+      expect(mockNext).toHaveBeenCalledWith(expect.any(ErrorResponse));
+      expect(mockNext.mock.calls[0][0].statusCode).toBe(400);
+      expect(AuditLog.find).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 for an invalid date', async () => {
+      mockRequest.query = { to: 'yesterday' };
+
+      await auditLogController.getAuditLog(mockRequest, mockResponse, mockNext);
+
+      expect(mockNext.mock.calls[0][0].statusCode).toBe(400);
+    });
+  });
+});
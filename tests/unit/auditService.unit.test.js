@@ -0,0 +1,76 @@
+const auditService = require('../../services/auditService');
+const AuditLog = require('../../models/AuditLog');
+
+jest.mock('../../models/AuditLog');
+
+describe('Audit Service - Unit Tests', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('diff', () => {
+    it('should return only the fields that changed', () => {
+      const changes = auditService.diff(
+        { name: 'Library', hint: 'Books', order: 1, updatedAt: '2025-05-01' },
+        { name: 'Library', hint: 'Shelves', order: 1, updatedAt: '2025-05-02' }
+      );
+
+      expect(changes).toEqual({ before: { hint: 'Books' }, after: { hint: 'Shelves' } });
+    });
+
+    it('should redact secrets that changed', () => {
+      const changes = auditService.diff({ qrSecret: 'old' }, { qrSecret: 'new' });
+
+      expect(changes).toEqual({ before: { qrSecret: '[redacted]' }, after: { qrSecret: '[redacted]' } });
+    });
+
+    it('should return null when nothing changed', () => {
+      expect(auditService.diff({ name: 'Library' }, { name: 'Library' })).toBeNull();
+    });
+  });
+
+  describe('record', () => {
+    it('should record the authenticated user, the target and a redacted snapshot', async () => {
+      const req = {
+        user: { _id: 'adminUserId', email: 'admin@example.com' },
+        ip: '127.0.0.1',
+        headers: { 'user-agent': 'jest' }
+      };
+
+      await auditService.record(req, 'station.create', {
+        targetModel: 'Station',
+        targetId: 'stationId',
+        after: { name: 'Library', qrSecret: 'secret' }
+      });
+
+      expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'station.create',
+        actor: 'adminUserId',
+        actorEmail: 'admin@example.com',
+        actorType: 'user',
+        targetModel: 'Station',
+        targetId: 'stationId',
+        changes: { before: undefined, after: { name: 'Library', qrSecret: '[redacted]' } },
+        ip: '127.0.0.1',
+        userAgent: 'jest'
+      }));
+    });
+
+    it('should record the API token used for the request', async () => {
+      const req = { user: { _id: 'adminUserId', email: 'admin@example.com' }, apiToken: { _id: 'tokenId' } };
+
+      await auditService.record(req, 'event.update');
+
+      expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({
+        actorType: 'api-token',
+        apiToken: 'tokenId'
+      }));
+    });
+
+    it('should not throw when the entry cannot be written', async () => {
+      AuditLog.create.mockRejectedValue(new Error('connection lost'));
+
+      await expect(auditService.record({}, 'auth.logout')).resolves.toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,76 @@
+const jwt = require('jsonwebtoken');
+const { protect, acceptStreamTicket } = require('../../middlewares/auth');
+const User = require('../../models/User');
+const ErrorResponse = require('../../utils/errorResponse');
+
+jest.mock('../../models/User');
+jest.mock('../../models/Class');
+jest.mock('../../models/ApiToken');
+jest.mock('../../models/Session');
+
+describe('Auth Middleware - Unit Tests', () => {
+  const secret = 'test-secret';
+  const originalSecret = process.env.JWT_SECRET;
+  let mockNext;
+
+  const buildRequest = ({ authorization, query = {} } = {}) => ({
+    method: 'GET',
+    originalUrl: '/api/admin/live',
+    headers: authorization ? { authorization } : {},
+    query
+  });
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = secret;
+    User.STREAM_TICKET_SCOPE = 'live';
+  });
+
+  afterAll(() => {
+    if (originalSecret === undefined) delete process.env.JWT_SECRET;
+    else process.env.JWT_SECRET = originalSecret;
+  });
+
+  beforeEach(() => {
+    mockNext = jest.fn();
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('acceptStreamTicket', () => {
+    it('should accept a stream ticket from the query string', () => {
+      const ticket = jwt.sign({ id: 'userId', sid: 'sessionId', scope: 'live' }, secret, { expiresIn: 60 });
+      const req = buildRequest({ query: { ticket } });
+
+      acceptStreamTicket(req, {}, mockNext);
+
+      expect(req.headers.authorization).toBe(`Bearer ${ticket}`);
+      expect(req.streamTicket).toBe(true);
+      expect(mockNext).toHaveBeenCalledWith();
+    });
+
+    it('should reject an access token in the query string', () => {
+      const accessToken = jwt.sign({ id: 'userId', sid: 'sessionId' }, secret, { expiresIn: '15m' });
+      const req = buildRequest({ query: { ticket: accessToken } });
+
+      acceptStreamTicket(req, {}, mockNext);
+
+      expect(req.headers.authorization).toBeUndefined();
+      expect(mockNext).toHaveBeenCalledWith(expect.any(ErrorResponse));
+      expect(mockNext.mock.calls[0][0].statusCode).toBe(401);
+    });
+  });
+
+  describe('protect', () => {
+    it('should reject a stream ticket sent as a Bearer token', async () => {
+      const ticket = jwt.sign({ id: 'userId', sid: 'sessionId', scope: 'live' }, secret, { expiresIn: 60 });
+      const req = buildRequest({ authorization: `Bearer ${ticket}` });
+
+      await protect(req, {}, mockNext);
+
+      expect(User.findById).not.toHaveBeenCalled();
+      expect(mockNext.mock.calls[0][0].statusCode).toBe(401);
+    });
+  });
+});
@@ -1,9 +1,17 @@
 const authController = require('../../controllers/authController');
 const User = require('../../models/User');
+const Session = require('../../models/Session');
+const Invitation = require('../../models/Invitation');
 const ErrorResponse = require('../../utils/errorResponse');
+const emailService = require('../../services/emailService');
+const crypto = require('crypto');
 
 // Mock the User model
 jest.mock('../../models/User');
+jest.mock('../../models/Session');
+jest.mock('../../models/Invitation');
+jest.mock('../../models/AuditLog');
+jest.mock('../../services/emailService');
 // Mock ErrorResponse if its constructor or methods are complex, or if you want to assert it was called correctly
 // jest.mock('../../utils/errorResponse'); // Usually not needed if it's a simple class
 
@@ -20,9 +28,14 @@ describe('Auth Controller - Unit Tests', () => {
     mockResponse = {
       status: jest.fn().mockReturnThis(),
       json: jest.fn().mockReturnThis(),
+      set: jest.fn().mockReturnThis(),
       // cookie: jest.fn().mockReturnThis(), // If you were using cookies
     };
     mockNext = jest.fn();
+    Session.start.mockResolvedValue({
+      session: { _id: 'sessionId', expiresAt: new Date(Date.now() + 60 * 60 * 1000) },
+      refreshToken: 'sessionId.refreshSecret'
+    });
   });
 
   afterEach(() => {
@@ -62,11 +75,12 @@ describe('Auth Controller - Unit Tests', () => {
         school: 'Test School',
         role: 'teacher', // Default role
       });
-      expect(mockUserInstance.getSignedJwtToken).toHaveBeenCalled();
+      expect(mockUserInstance.getSignedJwtToken).toHaveBeenCalledWith('sessionId');
       expect(mockResponse.status).toHaveBeenCalledWith(201);
       expect(mockResponse.json).toHaveBeenCalledWith({
         success: true,
         token: 'mockToken123',
+        refreshToken: 'sessionId.refreshSecret',
         user: {
             id: 'mockUserId',
             name: 'Test User',
@@ -77,8 +91,38 @@ describe('Auth Controller - Unit Tests', () => {
       expect(mockNext).not.toHaveBeenCalled();
     });
 
+    it('should not let anyone register as admin', async () => {
+      mockRequest.body = { name: 'Mallory', email: 'mallory@example.com', password: 'password123', role: 'admin' };
+
+      await authController.register(mockRequest, mockResponse, mockNext);
+
+      expect(User.create).not.toHaveBeenCalled();
+      expect(mockNext).toHaveBeenCalledWith(expect.any(ErrorResponse));
+      expect(mockNext.mock.calls[0][0].statusCode).toBe(403);
+    });
+
+    it('should require a school even when no role is given', async () => {
+      mockRequest.body = { name: 'Test User', email: 'test@example.com', password: 'password123' };
+
+      await authController.register(mockRequest, mockResponse, mockNext);
+
+      expect(User.create).not.toHaveBeenCalled();
+      expect(mockNext.mock.calls[0][0].statusCode).toBe(400);
+    });
+
+    it('should match an existing email regardless of case', async () => {
+      mockRequest.body = { name: 'Test User', email: ' Test@Example.com ', password: 'password123', school: 'Test School' };
+      User.findOne.mockResolvedValueOnce({ _id: 'existingUserId', email: 'test@example.com' });
+
+      await authController.register(mockRequest, mockResponse, mockNext);
+
+      expect(User.findOne).toHaveBeenCalledWith({ email: 'test@example.com' });
+      expect(User.create).not.toHaveBeenCalled();
+      expect(mockNext.mock.calls[0][0].statusCode).toBe(409);
+    });
+
     it('should call next with an error if User.create fails', async () => {
-      mockRequest.body = { name: 'Test', email: 'fail@example.com', password: '123' };
+      mockRequest.body = { name: 'Test', email: 'fail@example.com', password: '123', school: 'Test School' };
       const mockError = new Error('Database error');
       User.create.mockRejectedValue(mockError);
 
@@ -153,5 +197,641 @@ describe('Auth Controller - Unit Tests', () => {
         expect(mockNext.mock.calls[0][0].statusCode).toBe(401);
         expect(mockNext.mock.calls[0][0].message).toBe('Invalid credentials');
     });
+
+    it('should refuse a deactivated account after the password is checked', async () => {
+        mockRequest.body = { email: 'test@example.com', password: 'password123' };
+        const mockUser = {
+            _id: 'userId123',
+            isActive: false,
+            matchPassword: jest.fn().mockResolvedValue(true),
+            getSignedJwtToken: jest.fn()
+        };
+        User.findOne = jest.fn().mockReturnValue({
+            select: jest.fn().mockResolvedValue(mockUser)
+        });
+
+        await authController.login(mockRequest, mockResponse, mockNext);
+
+        expect(mockNext.mock.calls[0][0].statusCode).toBe(403);
+        expect(mockUser.getSignedJwtToken).not.toHaveBeenCalled();
+        expect(Session.start).not.toHaveBeenCalled();
+    });
+
+    it('should refuse a locked account without checking the password', async () => {
+        mockRequest.body = { email: 'test@example.com', password: 'password123' };
+        const lockUntil = new Date(Date.now() + 10 * 60 * 1000);
+        const mockUser = {
+            _id: 'userId123',
+            lockUntil,
+            matchPassword: jest.fn().mockResolvedValue(true),
+        };
+        User.findOne = jest.fn().mockReturnValue({
+            select: jest.fn().mockResolvedValue(mockUser)
+        });
+
+        await authController.login(mockRequest, mockResponse, mockNext);
+
+        expect(mockUser.matchPassword).not.toHaveBeenCalled();
+        expect(mockNext.mock.calls[0][0].statusCode).toBe(423);
+        expect(mockNext.mock.calls[0][0].details).toEqual({ lockedUntil: lockUntil });
+        expect(mockResponse.set).toHaveBeenCalledWith('Retry-After', expect.any(String));
+    });
+
+    it('should ask the client to wait after repeated failures', async () => {
+        mockRequest.body = { email: 'test@example.com', password: 'password123' };
+        const mockUser = {
+            _id: 'userId123',
+            failedLoginAttempts: 5,
+            lastFailedLoginAt: new Date(),
+            matchPassword: jest.fn().mockResolvedValue(true),
+        };
+        User.findOne = jest.fn().mockReturnValue({
+            select: jest.fn().mockResolvedValue(mockUser)
+        });
+
+        await authController.login(mockRequest, mockResponse, mockNext);
+
+        expect(mockUser.matchPassword).not.toHaveBeenCalled();
+        expect(mockNext.mock.calls[0][0].statusCode).toBe(429);
+        expect(mockNext.mock.calls[0][0].details).toEqual({ retryAfterSeconds: 4 });
+        expect(mockResponse.set).toHaveBeenCalledWith('Retry-After', '4');
+    });
+
+    it('should lock the account and email an unlock link on the last allowed failure', async () => {
+        mockRequest.body = { email: 'test@example.com', password: 'wrongpassword' };
+        const mockUser = {
+            _id: 'userId123',
+            email: 'test@example.com',
+            name: 'Test User',
+            matchPassword: jest.fn().mockResolvedValue(false),
+            getUnlockToken: jest.fn().mockReturnValue('unlockToken123'),
+            save: jest.fn().mockResolvedValue(true)
+        };
+        User.findOne = jest.fn().mockReturnValue({
+            select: jest.fn().mockResolvedValue(mockUser)
+        });
+        User.findByIdAndUpdate.mockResolvedValue({ failedLoginAttempts: 10 });
+        User.updateOne.mockResolvedValue({ modifiedCount: 1 });
+
+        await authController.login(mockRequest, mockResponse, mockNext);
+
+        expect(User.findByIdAndUpdate).toHaveBeenCalledWith(
+            'userId123',
+            expect.objectContaining({ $inc: { failedLoginAttempts: 1 } }),
+            { new: true }
+        );
+        expect(mockUser.lockUntil).toEqual(expect.any(Date));
+        expect(emailService.sendEmail).toHaveBeenCalledWith(expect.objectContaining({
+            to: 'test@example.com',
+            text: expect.stringContaining('/unlock-account/unlockToken123')
+        }));
+        expect(mockNext.mock.calls[0][0].statusCode).toBe(401);
+    });
+
+    it('should clear earlier failures on a successful login', async () => {
+        mockRequest.body = { email: 'test@example.com', password: 'password123' };
+        const mockUser = {
+            _id: 'userId123',
+            role: 'teacher',
+            failedLoginAttempts: 2,
+            lastFailedLoginAt: new Date(),
+            matchPassword: jest.fn().mockResolvedValue(true),
+            getSignedJwtToken: jest.fn().mockReturnValue('mockToken'),
+            save: jest.fn().mockResolvedValue(true)
+        };
+        User.findOne = jest.fn().mockReturnValue({
+            select: jest.fn().mockResolvedValue(mockUser)
+        });
+
+        await authController.login(mockRequest, mockResponse, mockNext);
+
+        expect(mockUser.failedLoginAttempts).toBe(0);
+        expect(mockUser.lastFailedLoginAt).toBeUndefined();
+        expect(mockResponse.status).toHaveBeenCalledWith(200);
+    });
+  });
+
+  describe('unlockAccount', () => {
+    it('should clear the lock with a valid token', async () => {
+        mockRequest.params = { token: 'unlockToken123' };
+        const mockUser = {
+            lockUntil: new Date(Date.now() + 60 * 1000),
+            failedLoginAttempts: 0,
+            save: jest.fn().mockResolvedValue(true)
+        };
+        User.findOne = jest.fn().mockResolvedValue(mockUser);
+
+        await authController.unlockAccount(mockRequest, mockResponse, mockNext);
+
+        const unlockToken = crypto.createHash('sha256').update('unlockToken123').digest('hex');
+        expect(User.findOne).toHaveBeenCalledWith(expect.objectContaining({ unlockToken }));
+        expect(mockUser.lockUntil).toBeUndefined();
+        expect(mockUser.save).toHaveBeenCalled();
+        expect(mockResponse.status).toHaveBeenCalledWith(200);
+    });
+
+    it('should return 400 for an invalid or expired token', async () => {
+        mockRequest.params = { token: 'bad' };
+        User.findOne = jest.fn().mockResolvedValue(null);
+
+        await authController.unlockAccount(mockRequest, mockResponse, mockNext);
+
+        expect(mockNext.mock.calls[0][0].statusCode).toBe(400);
+    });
+  });
+
+  describe('two-factor login', () => {
+    const jwt = require('jsonwebtoken');
+    const challengeFor = (id) => jwt.sign({ id, scope: 'two-factor-challenge' }, 'test-secret', { expiresIn: '5m' });
+
+    beforeEach(() => {
+        process.env.JWT_SECRET = 'test-secret';
+        User.TWO_FACTOR_CHALLENGE_SCOPE = 'two-factor-challenge';
+    });
+
+    it('should answer a correct password with a challenge instead of tokens', async () => {
+        mockRequest.body = { email: 'admin@example.com', password: 'password123' };
+        const mockUser = {
+            _id: 'adminId',
+            twoFactorEnabled: true,
+            matchPassword: jest.fn().mockResolvedValue(true),
+            getTwoFactorChallengeToken: jest.fn().mockReturnValue('challenge123'),
+            getSignedJwtToken: jest.fn(),
+            save: jest.fn()
+        };
+        User.findOne = jest.fn().mockReturnValue({
+            select: jest.fn().mockResolvedValue(mockUser)
+        });
+
+        await authController.login(mockRequest, mockResponse, mockNext);
+
+        expect(mockResponse.json).toHaveBeenCalledWith({
+            success: true,
+            twoFactorRequired: true,
+            challengeToken: 'challenge123'
+        });
+        expect(Session.start).not.toHaveBeenCalled();
+        expect(mockUser.getSignedJwtToken).not.toHaveBeenCalled();
+    });
+
+    it('should finish the login with a valid authenticator code', async () => {
+        mockRequest.body = { challengeToken: challengeFor('adminId'), code: '123456' };
+        const mockUser = {
+            _id: 'adminId',
+            role: 'admin',
+            twoFactorEnabled: true,
+            verifyTwoFactorCode: jest.fn().mockReturnValue(true),
+            getSignedJwtToken: jest.fn().mockReturnValue('mockToken'),
+            save: jest.fn().mockResolvedValue(true)
+        };
+        User.findById = jest.fn().mockReturnValue({
+            select: jest.fn().mockResolvedValue(mockUser)
+        });
+
+        await authController.verifyTwoFactorLogin(mockRequest, mockResponse, mockNext);
+
+        expect(User.findById).toHaveBeenCalledWith('adminId');
+        expect(mockUser.verifyTwoFactorCode).toHaveBeenCalledWith('123456');
+        expect(mockUser.save).toHaveBeenCalled();
+        expect(mockResponse.json).toHaveBeenCalledWith(expect.objectContaining({ token: 'mockToken' }));
+    });
+
+    it('should count a wrong code as a failed login', async () => {
+        mockRequest.body = { challengeToken: challengeFor('adminId'), recoveryCode: 'aaaa-bbbb' };
+        const mockUser = {
+            _id: 'adminId',
+            twoFactorEnabled: true,
+            useRecoveryCode: jest.fn().mockReturnValue(false)
+        };
+        User.findById = jest.fn().mockReturnValue({
+            select: jest.fn().mockResolvedValue(mockUser)
+        });
+        User.findByIdAndUpdate.mockResolvedValue({ failedLoginAttempts: 1 });
+
+        await authController.verifyTwoFactorLogin(mockRequest, mockResponse, mockNext);
+
+        expect(mockUser.useRecoveryCode).toHaveBeenCalledWith('aaaa-bbbb');
+        expect(User.findByIdAndUpdate).toHaveBeenCalledWith('adminId', expect.anything(), { new: true });
+        expect(mockNext.mock.calls[0][0].statusCode).toBe(401);
+        expect(Session.start).not.toHaveBeenCalled();
+    });
+
+    it('should reject an access token used as the challenge', async () => {
+        mockRequest.body = {
+            challengeToken: jwt.sign({ id: 'adminId', sid: 'sessionId' }, 'test-secret'),
+            code: '123456'
+        };
+        User.findById = jest.fn();
+
+        await authController.verifyTwoFactorLogin(mockRequest, mockResponse, mockNext);
+
+        expect(mockNext.mock.calls[0][0].statusCode).toBe(401);
+        expect(User.findById).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('forgotPassword', () => {
+    it('should email a reset link without revealing the token in the response', async () => {
+      mockRequest.body = { email: 'test@example.com' };
+      const mockUser = {
+        name: 'Test User',
+        email: 'test@example.com',
+        getResetPasswordToken: jest.fn().mockReturnValue('rawResetToken'),
+        save: jest.fn().mockResolvedValue(true)
+      };
+      User.findOne.mockResolvedValue(mockUser);
+      emailService.sendEmail.mockResolvedValue({});
+
+      await authController.forgotPassword(mockRequest, mockResponse, mockNext);
+
+      expect(mockUser.save).toHaveBeenCalledWith({ validateBeforeSave: false });
+      expect(emailService.sendEmail).toHaveBeenCalledWith(expect.objectContaining({
+        to: 'test@example.com',
+        text: expect.stringContaining('/reset-password/rawResetToken')
+      }));
+      expect(mockResponse.status).toHaveBeenCalledWith(200);
+      expect(JSON.stringify(mockResponse.json.mock.calls[0][0])).not.toContain('rawResetToken');
+    });
+
+    it('should respond the same way for an unknown email', async () => {
+      mockRequest.body = { email: 'nobody@example.com' };
+      User.findOne.mockResolvedValue(null);
+
+      await authController.forgotPassword(mockRequest, mockResponse, mockNext);
+
+      expect(emailService.sendEmail).not.toHaveBeenCalled();
+      expect(mockResponse.status).toHaveBeenCalledWith(200);
+    });
+
+    it('should clear the reset token when the email cannot be sent', async () => {
+      mockRequest.body = { email: 'test@example.com' };
+      const mockUser = {
+        email: 'test@example.com',
+        getResetPasswordToken: jest.fn().mockReturnValue('rawResetToken'),
+        save: jest.fn().mockResolvedValue(true)
+      };
+      User.findOne.mockResolvedValue(mockUser);
+      emailService.sendEmail.mockRejectedValue(new Error('SMTP down'));
+
+      await authController.forgotPassword(mockRequest, mockResponse, mockNext);
+
+      expect(mockUser.resetPasswordToken).toBeUndefined();
+      expect(mockUser.save).toHaveBeenCalledTimes(2);
+      expect(mockNext.mock.calls[0][0].statusCode).toBe(500);
+    });
+  });
+
+  describe('resetPassword', () => {
+    it('should look up the hashed token and set the new password', async () => {
+      mockRequest.params = { token: 'rawResetToken' };
+      mockRequest.body = { password: 'newpassword123' };
+      const mockUser = {
+        _id: 'userId123',
+        name: 'Test User',
+        email: 'test@example.com',
+        role: 'teacher',
+        resetPasswordToken: 'hash',
+        save: jest.fn().mockResolvedValue(true),
+        getSignedJwtToken: jest.fn().mockReturnValue('newToken')
+      };
+      User.findOne.mockResolvedValue(mockUser);
+
+      await authController.resetPassword(mockRequest, mockResponse, mockNext);
+
+      const hashed = crypto.createHash('sha256').update('rawResetToken').digest('hex');
+      expect(User.findOne).toHaveBeenCalledWith({ resetPasswordToken: hashed, resetPasswordExpire: { $gt: expect.any(Number) } });
+      expect(mockUser.password).toBe('newpassword123');
+      expect(mockUser.resetPasswordToken).toBeUndefined();
+      expect(mockResponse.json).toHaveBeenCalledWith(expect.objectContaining({ token: 'newToken' }));
+    });
+
+    it('should ask for the second factor instead of signing in a user with 2FA', async () => {
+      mockRequest.params = { token: 'rawResetToken' };
+      mockRequest.body = { password: 'newpassword123' };
+      const mockUser = {
+        _id: 'userId123',
+        role: 'admin',
+        twoFactorEnabled: true,
+        save: jest.fn().mockResolvedValue(true),
+        getSignedJwtToken: jest.fn(),
+        getTwoFactorChallengeToken: jest.fn().mockReturnValue('challengeToken')
+      };
+      User.findOne.mockResolvedValue(mockUser);
+
+      await authController.resetPassword(mockRequest, mockResponse, mockNext);
+
+      expect(mockUser.password).toBe('newpassword123');
+      expect(Session.start).not.toHaveBeenCalled();
+      expect(mockUser.getSignedJwtToken).not.toHaveBeenCalled();
+      expect(mockResponse.json).toHaveBeenCalledWith({ success: true, twoFactorRequired: true, challengeToken: 'challengeToken' });
+    });
+
+    it('should return 400 for an invalid or expired token', async () => {
+      mockRequest.params = { token: 'stale' };
+      mockRequest.body = { password: 'newpassword123' };
+      User.findOne.mockResolvedValue(null);
+
+      await authController.resetPassword(mockRequest, mockResponse, mockNext);
+
+      expect(mockNext).toHaveBeenCalledWith(expect.any(ErrorResponse));
+      expect(mockNext.mock.calls[0][0].statusCode).toBe(400);
+    });
+  });
+
+  describe('updateProfile', () => {
+    it('should not let a school coordinator change their own school', async () => {
+      mockRequest.user = { id: 'userId123', role: 'school-coordinator', school: 'Eureka Elementary' };
+      mockRequest.body = { school: 'Arcata Elementary' };
+
+      await authController.updateProfile(mockRequest, mockResponse, mockNext);
+
+      expect(User.findByIdAndUpdate).not.toHaveBeenCalled();
+      expect(mockNext.mock.calls[0][0].statusCode).toBe(403);
+    });
+
+    it('should let a school coordinator update their name', async () => {
+      mockRequest.user = { id: 'userId123', role: 'school-coordinator', school: 'Eureka Elementary' };
+      mockRequest.body = { name: 'Pat Doe', school: 'Eureka Elementary' };
+      User.findByIdAndUpdate.mockResolvedValue({ _id: 'userId123', name: 'Pat Doe' });
+
+      await authController.updateProfile(mockRequest, mockResponse, mockNext);
+
+      expect(User.findByIdAndUpdate).toHaveBeenCalledWith(
+        'userId123',
+        { name: 'Pat Doe', school: 'Eureka Elementary' },
+        { new: true, runValidators: true }
+      );
+      expect(mockResponse.status).toHaveBeenCalledWith(200);
+    });
+  });
+
+  describe('changePassword', () => {
+    it('should return 401 if the current password is wrong', async () => {
+      mockRequest.user = { id: 'userId123' };
+      mockRequest.body = { currentPassword: 'wrong', newPassword: 'newpassword123' };
+      const mockUser = { matchPassword: jest.fn().mockResolvedValue(false), save: jest.fn() };
+      User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(mockUser) });
+
+      await authController.changePassword(mockRequest, mockResponse, mockNext);
+
+      expect(mockUser.save).not.toHaveBeenCalled();
+      expect(mockNext.mock.calls[0][0].statusCode).toBe(401);
+    });
+  });
+
+  describe('email verification', () => {
+    it('should email a verification link when registering', async () => {
+      mockRequest.body = { name: 'New Teacher', email: 'new@example.com', password: 'password123', school: 'Test School' };
+      const mockUserInstance = {
+        _id: 'newUserId',
+        name: 'New Teacher',
+        email: 'new@example.com',
+        role: 'teacher',
+        getEmailVerificationToken: jest.fn().mockReturnValue('rawVerifyToken'),
+        save: jest.fn().mockResolvedValue(true),
+        getSignedJwtToken: jest.fn().mockReturnValue('mockToken123')
+      };
+      User.create.mockResolvedValue(mockUserInstance);
+      emailService.sendEmail.mockResolvedValue({});
+
+      await authController.register(mockRequest, mockResponse, mockNext);
+
+      expect(emailService.sendEmail).toHaveBeenCalledWith(expect.objectContaining({
+        to: 'new@example.com',
+        text: expect.stringContaining('/verify-email/rawVerifyToken')
+      }));
+      expect(mockResponse.status).toHaveBeenCalledWith(201);
+    });
+
+    it('should still register the user when the verification email fails', async () => {
+      mockRequest.body = { name: 'New Teacher', email: 'new@example.com', password: 'password123', school: 'Test School' };
+      User.create.mockResolvedValue({
+        _id: 'newUserId',
+        getEmailVerificationToken: jest.fn().mockReturnValue('rawVerifyToken'),
+        save: jest.fn().mockResolvedValue(true),
+        getSignedJwtToken: jest.fn().mockReturnValue('mockToken123')
+      });
+      emailService.sendEmail.mockRejectedValue(new Error('SMTP down'));
+
+      await authController.register(mockRequest, mockResponse, mockNext);
+
+      expect(mockResponse.status).toHaveBeenCalledWith(201);
+      expect(mockNext).not.toHaveBeenCalled();
+    });
+
+    it('should verify the email address with a valid token', async () => {
+      mockRequest.params = { token: 'rawVerifyToken' };
+      const mockUser = { markEmailVerified: jest.fn(), save: jest.fn().mockResolvedValue(true) };
+      User.findOne.mockResolvedValue(mockUser);
+
+      await authController.verifyEmail(mockRequest, mockResponse, mockNext);
+
+      const hashed = crypto.createHash('sha256').update('rawVerifyToken').digest('hex');
+      expect(User.findOne).toHaveBeenCalledWith({ emailVerificationToken: hashed, emailVerificationExpire: { $gt: expect.any(Number) } });
+      expect(mockUser.markEmailVerified).toHaveBeenCalled();
+      expect(mockResponse.status).toHaveBeenCalledWith(200);
+    });
+
+    it('should not resend the email to a verified user', async () => {
+      mockRequest.user = { id: 'userId123' };
+      User.findById.mockResolvedValue({ isEmailVerified: true });
+
+      await authController.resendVerification(mockRequest, mockResponse, mockNext);
+
+      expect(emailService.sendEmail).not.toHaveBeenCalled();
+      expect(mockNext.mock.calls[0][0].statusCode).toBe(400);
+    });
+  });
+
+  describe('sessions', () => {
+    const mockUser = { _id: 'userId123', name: 'Test User', email: 'test@example.com', role: 'teacher', getSignedJwtToken: jest.fn().mockReturnValue('newAccessToken') };
+
+    beforeEach(() => {
+      mockResponse.cookie = jest.fn();
+      mockResponse.clearCookie = jest.fn();
+      Session.parseRefreshToken.mockImplementation(token => {
+        const [sessionId, secret] = token.split('.');
+        return { sessionId, secret };
+      });
+    });
+
+    it('should rotate the refresh token and issue a new access token', async () => {
+      mockRequest.body = { refreshToken: 'sessionId.currentSecret' };
+      const mockSession = {
+        _id: 'sessionId',
+        user: 'userId123',
+        isActive: jest.fn().mockReturnValue(true),
+        matchesRefreshSecret: jest.fn().mockReturnValue(true),
+        rotateRefreshTokenFrom: jest.fn().mockResolvedValue('sessionId.nextSecret')
+      };
+      Session.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(mockSession) });
+      User.findById.mockResolvedValue(mockUser);
+
+      await authController.refresh(mockRequest, mockResponse, mockNext);
+
+      expect(mockSession.matchesRefreshSecret).toHaveBeenCalledWith('currentSecret');
+      expect(mockSession.rotateRefreshTokenFrom).toHaveBeenCalledWith('currentSecret');
+      expect(mockResponse.json).toHaveBeenCalledWith(expect.objectContaining({
+        token: 'newAccessToken',
+        refreshToken: 'sessionId.nextSecret'
+      }));
+    });
+
+    it('should revoke the session when an old refresh token is reused', async () => {
+      mockRequest.body = { refreshToken: 'sessionId.oldSecret' };
+      const mockSession = {
+        _id: 'sessionId',
+        isActive: jest.fn().mockReturnValue(true),
+        matchesRefreshSecret: jest.fn().mockReturnValue(false),
+        matchesPreviousRefreshSecret: jest.fn().mockReturnValue(false),
+        revoke: jest.fn(),
+        save: jest.fn().mockResolvedValue(true)
+      };
+      Session.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(mockSession) });
+
+      await authController.refresh(mockRequest, mockResponse, mockNext);
+
+      expect(mockSession.revoke).toHaveBeenCalledWith('reuse-detected');
+      expect(mockNext.mock.calls[0][0].statusCode).toBe(401);
+    });
+
+    it('should not revoke the session for a token rotated moments ago by another request', async () => {
+      mockRequest.body = { refreshToken: 'sessionId.previousSecret' };
+      const mockSession = {
+        _id: 'sessionId',
+        isActive: jest.fn().mockReturnValue(true),
+        matchesRefreshSecret: jest.fn().mockReturnValue(false),
+        matchesPreviousRefreshSecret: jest.fn().mockReturnValue(true),
+        revoke: jest.fn()
+      };
+      Session.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(mockSession) });
+
+      await authController.refresh(mockRequest, mockResponse, mockNext);
+
+      expect(mockSession.revoke).not.toHaveBeenCalled();
+      expect(mockNext.mock.calls[0][0].statusCode).toBe(409);
+    });
+
+    it('should return 409 when a concurrent request rotates the token first', async () => {
+      mockRequest.body = { refreshToken: 'sessionId.currentSecret' };
+      const mockSession = {
+        _id: 'sessionId',
+        user: 'userId123',
+        isActive: jest.fn().mockReturnValue(true),
+        matchesRefreshSecret: jest.fn().mockReturnValue(true),
+        rotateRefreshTokenFrom: jest.fn().mockResolvedValue(null)
+      };
+      Session.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(mockSession) });
+      User.findById.mockResolvedValue(mockUser);
+
+      await authController.refresh(mockRequest, mockResponse, mockNext);
+
+      expect(mockResponse.json).not.toHaveBeenCalled();
+      expect(mockNext.mock.calls[0][0].statusCode).toBe(409);
+    });
+
+    it('should read the refresh token from the cookie', async () => {
+      mockRequest.headers = { cookie: 'theme=dark; refreshToken=sessionId.cookieSecret' };
+      Session.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(null) });
+
+      await authController.refresh(mockRequest, mockResponse, mockNext);
+
+      expect(Session.parseRefreshToken).toHaveBeenCalledWith('sessionId.cookieSecret');
+      expect(mockNext.mock.calls[0][0].statusCode).toBe(401);
+    });
+
+    it('should revoke the current session on logout', async () => {
+      mockRequest.user = { _id: 'userId123' };
+      mockRequest.authSession = { isActive: jest.fn().mockReturnValue(true), revoke: jest.fn(), save: jest.fn().mockResolvedValue(true) };
+
+      await authController.logout(mockRequest, mockResponse, mockNext);
+
+      expect(mockRequest.authSession.revoke).toHaveBeenCalledWith('logout');
+      expect(mockResponse.clearCookie).toHaveBeenCalledWith('refreshToken', expect.objectContaining({ httpOnly: true }));
+      expect(mockResponse.status).toHaveBeenCalledWith(200);
+    });
+
+    it('should revoke the session of the refresh token on logout without an access token', async () => {
+      mockRequest.body = { refreshToken: 'sessionId.currentSecret' };
+      const mockSession = {
+        _id: 'sessionId',
+        user: 'userId123',
+        isActive: jest.fn().mockReturnValue(true),
+        matchesRefreshSecret: jest.fn().mockReturnValue(true),
+        revoke: jest.fn(),
+        save: jest.fn().mockResolvedValue(true)
+      };
+      Session.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(mockSession) });
+
+      await authController.logout(mockRequest, mockResponse, mockNext);
+
+      expect(mockSession.matchesRefreshSecret).toHaveBeenCalledWith('currentSecret');
+      expect(mockSession.revoke).toHaveBeenCalledWith('logout');
+      expect(mockResponse.status).toHaveBeenCalledWith(200);
+    });
+
+    it('should not revoke a session for a refresh token that is not its current one', async () => {
+      mockRequest.body = { refreshToken: 'sessionId.guessedSecret' };
+      const mockSession = {
+        _id: 'sessionId',
+        isActive: jest.fn().mockReturnValue(true),
+        matchesRefreshSecret: jest.fn().mockReturnValue(false),
+        matchesPreviousRefreshSecret: jest.fn().mockReturnValue(false),
+        revoke: jest.fn()
+      };
+      Session.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(mockSession) });
+
+      await authController.logout(mockRequest, mockResponse, mockNext);
+
+      expect(mockSession.revoke).not.toHaveBeenCalled();
+      expect(mockResponse.clearCookie).toHaveBeenCalled();
+      expect(mockResponse.status).toHaveBeenCalledWith(200);
+    });
+
+    it('should revoke every session on logout from all devices', async () => {
+      mockRequest.user = { _id: 'userId123' };
+      Session.revokeAllForUser.mockResolvedValue({ modifiedCount: 3 });
+
+      await authController.logoutAll(mockRequest, mockResponse, mockNext);
+
+      expect(Session.revokeAllForUser).toHaveBeenCalledWith('userId123', 'logout-all');
+      expect(mockResponse.json).toHaveBeenCalledWith({ success: true, message: 'Logged out of 3 sessions' });
+    });
+  });
+
+  describe('acceptInvitation', () => {
+    it('should create the account with the invited email, role and school', async () => {
+      mockRequest.params = { token: 'rawInviteToken' };
+      mockRequest.body = { name: 'Casey Coordinator', password: 'password123', email: 'other@example.com', role: 'admin' };
+      const mockInvitation = { email: 'casey@example.com', role: 'school-coordinator', school: 'Eureka Elementary', save: jest.fn().mockResolvedValue(true) };
+      const mockUser = { _id: 'newUserId', name: 'Casey Coordinator', email: 'casey@example.com', role: 'school-coordinator', getSignedJwtToken: jest.fn().mockReturnValue('token') };
+      Invitation.findPending.mockResolvedValue(mockInvitation);
+      User.findOne.mockResolvedValue(null);
+      User.create.mockResolvedValue(mockUser);
+
+      await authController.acceptInvitation(mockRequest, mockResponse, mockNext);
+
+      expect(Invitation.findPending).toHaveBeenCalledWith('rawInviteToken');
+      expect(User.create).toHaveBeenCalledWith(expect.objectContaining({
+        email: 'casey@example.com',
+        role: 'school-coordinator',
+        school: 'Eureka Elementary',
+        isEmailVerified: true
+      }));
+      expect(mockInvitation.acceptedBy).toBe('newUserId');
+      expect(mockInvitation.save).toHaveBeenCalled();
+      expect(mockResponse.status).toHaveBeenCalledWith(201);
+    });
+
+    it('should return 404 for an invalid or used invitation', async () => {
+      mockRequest.params = { token: 'used' };
+      mockRequest.body = { name: 'Casey', password: 'password123' };
+      Invitation.findPending.mockResolvedValue(null);
+
+      await authController.acceptInvitation(mockRequest, mockResponse, mockNext);
+
+      expect(User.create).not.toHaveBeenCalled();
+      expect(mockNext.mock.calls[0][0].statusCode).toBe(404);
+    });
   });
-});
\ No newline at end of file
+});
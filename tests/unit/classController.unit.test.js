@@ -1,12 +1,18 @@
 const classController = require('../../controllers/classController');
+const jwt = require('jsonwebtoken');
 const Class = require('../../models/Class');
 const Scan = require('../../models/Scan');
 const Station = require('../../models/Station');
+const Event = require('../../models/Event');
 const ErrorResponse = require('../../utils/errorResponse');
+const scoringService = require('../../services/scoringService');
 
 jest.mock('../../models/Class');
 jest.mock('../../models/Scan');
 jest.mock('../../models/Station');
+jest.mock('../../models/Event');
+jest.mock('../../models/AuditLog');
+jest.mock('../../services/scoringService');
 
 describe('Class Controller - Unit Tests', () => {
   let mockRequest;
@@ -17,6 +23,7 @@ describe('Class Controller - Unit Tests', () => {
     mockRequest = {
       body: {},
       user: { id: 'teacherUserId', name: 'Test Teacher', email: 'teacher@test.com', role: 'teacher' },
+      event: { _id: 'eventId1', name: 'Spring Hunt', status: 'active' }, // Set by selectEvent
       params: {},
     };
     mockResponse = {
@@ -39,6 +46,7 @@ describe('Class Controller - Unit Tests', () => {
       await classController.createClass(mockRequest, mockResponse, mockNext);
 
       expect(Class.create).toHaveBeenCalledWith(expect.objectContaining({
+        event: 'eventId1',
         name: 'New Class',
         teacher: { _id: 'teacherUserId', name: 'Test Teacher', email: 'teacher@test.com' }
       }));
@@ -139,6 +147,31 @@ describe('Class Controller - Unit Tests', () => {
     });
   });
 
+  describe('deleteClass', () => {
+    it('should move the class to the trash if user is owner', async () => {
+      mockRequest.params.id = 'classId123';
+      const mockClass = { _id: 'classId123', name: 'Class A', teacher: { _id: 'teacherUserId' }, softDelete: jest.fn().mockResolvedValue(true) };
+      Class.findById.mockResolvedValue(mockClass);
+
+      await classController.deleteClass(mockRequest, mockResponse, mockNext);
+
+      expect(mockClass.softDelete).toHaveBeenCalledWith('teacherUserId');
+      expect(mockResponse.status).toHaveBeenCalledWith(200);
+    });
+
+    it('should not let a teacher delete another teacher\'s class', async () => {
+      mockRequest.params.id = 'classId123';
+      const mockClass = { _id: 'classId123', name: 'Class A', teacher: { _id: 'otherTeacherId' }, softDelete: jest.fn() };
+      Class.findById.mockResolvedValue(mockClass);
+
+      await classController.deleteClass(mockRequest, mockResponse, mockNext);
+
+      expect(mockNext).toHaveBeenCalledWith(expect.any(ErrorResponse));
+      expect(mockNext.mock.calls[0][0].statusCode).toBe(403);
+      expect(mockClass.softDelete).not.toHaveBeenCalled();
+    });
+  });
+
   describe('getClassProgress', () => {
     it('should get class progress correctly', async () => {
         mockRequest.params.id = 'classId123';
@@ -206,4 +239,250 @@ describe('Class Controller - Unit Tests', () => {
         }));
     });
   });
-});
\ No newline at end of file
+
+  describe('useClassHint', () => {
+    const stationId = '64b0000000000000000000a1';
+    const clueId = '64b0000000000000000000c1';
+    const clue = {
+      _id: clueId,
+      text: 'Where the water turns the wheel.',
+      hints: [{ text: 'Listen for the river.' }, { text: 'Behind the old mill.' }]
+    };
+
+    beforeEach(() => {
+      mockRequest.params.id = 'classId123';
+      mockRequest.body = { stationId, clueId };
+      Station.findById.mockResolvedValue({ _id: stationId, clues: { id: jest.fn().mockReturnValue(clue) } });
+      Event.findById.mockResolvedValue({ _id: 'eventId1', settings: { hintDelayMinutes: 5 } });
+    });
+
+    it('should unlock and record the next hint tier', async () => {
+      const mockClassObj = {
+        _id: 'classId123',
+        event: 'eventId1',
+        teacher: { _id: 'teacherUserId' },
+        hintsUsed: [],
+        save: jest.fn().mockResolvedValue(true)
+      };
+      Class.findById.mockResolvedValue(mockClassObj);
+      Scan.findOne.mockResolvedValue({ scannedAt: new Date(Date.now() - 6 * 60 * 1000) });
+
+      await classController.useClassHint(mockRequest, mockResponse, mockNext);
+
+      expect(mockClassObj.hintsUsed).toEqual([expect.objectContaining({ station: stationId, clue: clueId, tier: 1 })]);
+      expect(scoringService.refreshClassScore).toHaveBeenCalledWith(mockClassObj, expect.objectContaining({ _id: 'eventId1' }));
+      expect(mockClassObj.save).toHaveBeenCalled();
+      expect(mockResponse.status).toHaveBeenCalledWith(201);
+      expect(mockResponse.json).toHaveBeenCalledWith({
+        success: true,
+        data: { stationId, clueId, tier: 1, text: 'Listen for the river.', remainingHints: 1 }
+      });
+    });
+
+    it('should return 400 if the next hint is still locked', async () => {
+      Class.findById.mockResolvedValue({
+        _id: 'classId123',
+        event: 'eventId1',
+        teacher: { _id: 'teacherUserId' },
+        hintsUsed: [],
+        save: jest.fn()
+      });
+      Scan.findOne.mockResolvedValue({ scannedAt: new Date() });
+
+      await classController.useClassHint(mockRequest, mockResponse, mockNext);
+
+      expect(mockNext).toHaveBeenCalledWith(expect.any(ErrorResponse));
+      expect(mockNext.mock.calls[0][0].statusCode).toBe(400);
+      expect(mockNext.mock.calls[0][0].details).toEqual(expect.objectContaining({ tier: 1 }));
+    });
+
+    it('should return 400 for an invalid station id', async () => {
+      mockRequest.body = { stationId: 'not-an-id', clueId };
+
+      await classController.useClassHint(mockRequest, mockResponse, mockNext);
+
+      expect(Class.findById).not.toHaveBeenCalled();
+      expect(mockNext.mock.calls[0][0].statusCode).toBe(400);
+    });
+  });
+
+  describe('class roster', () => {
+    const buildRoster = (entries) => {
+      const roster = [...entries];
+      roster.id = jest.fn(id => roster.find(entry => entry._id === id) || null);
+      roster.pull = jest.fn(id => roster.splice(roster.findIndex(entry => entry._id === id), 1));
+      return roster;
+    };
+
+    beforeEach(() => {
+      mockRequest.params.id = 'classId123';
+    });
+
+    it('should add students keeping only name and team', async () => {
+      mockRequest.body = { students: [{ displayName: 'River Fox', team: 'Blue', email: 'kid@example.com' }] };
+      const mockClassObj = { _id: 'classId123', teacher: { _id: 'teacherUserId' }, students: [], save: jest.fn().mockResolvedValue(true) };
+      Class.findById.mockResolvedValue(mockClassObj);
+
+      await classController.addClassStudents(mockRequest, mockResponse, mockNext);
+
+      expect(mockClassObj.students).toEqual([{ displayName: 'River Fox', team: 'Blue' }]);
+      expect(mockClassObj.save).toHaveBeenCalled();
+      expect(mockResponse.status).toHaveBeenCalledWith(201);
+    });
+
+    it('should return 400 for a student entry that is not an object', async () => {
+      mockRequest.body = { students: [{ displayName: 'River Fox' }, null] };
+
+      await classController.addClassStudents(mockRequest, mockResponse, mockNext);
+
+      expect(Class.findById).not.toHaveBeenCalled();
+      expect(mockNext.mock.calls[0][0].statusCode).toBe(400);
+    });
+
+    it('should report participation from submitted scans', async () => {
+      const mockClassObj = {
+        _id: 'classId123',
+        teacher: { _id: 'teacherUserId' },
+        students: [
+          { _id: 'student1', displayName: 'River Fox', team: 'Blue', present: false },
+          { _id: 'student2', displayName: 'Stone Owl', present: false }
+        ]
+      };
+      Class.findById.mockResolvedValue(mockClassObj);
+      Scan.find.mockReturnValue({ select: jest.fn().mockResolvedValue([{ student: 'student1' }, { student: 'student1' }]) });
+
+      await classController.getClassStudents(mockRequest, mockResponse, mockNext);
+
+      expect(mockResponse.json).toHaveBeenCalledWith({
+        success: true,
+        count: 2,
+        data: [
+          { _id: 'student1', displayName: 'River Fox', team: 'Blue', present: true, scanCount: 2 },
+          { _id: 'student2', displayName: 'Stone Owl', team: null, present: false, scanCount: 0 }
+        ]
+      });
+    });
+
+    it('should delete a student and unlink their scans', async () => {
+      mockRequest.params.studentId = 'student1';
+      const mockClassObj = {
+        _id: 'classId123',
+        teacher: { _id: 'teacherUserId' },
+        students: buildRoster([{ _id: 'student1', displayName: 'River Fox' }]),
+        save: jest.fn().mockResolvedValue(true)
+      };
+      Class.findById.mockResolvedValue(mockClassObj);
+      Scan.updateMany.mockResolvedValue({});
+
+      await classController.deleteClassStudents(mockRequest, mockResponse, mockNext);
+
+      expect(mockClassObj.students).toHaveLength(0);
+      expect(Scan.updateMany).toHaveBeenCalledWith({ classId: 'classId123', student: 'student1' }, { $unset: { student: 1 } });
+      expect(mockResponse.status).toHaveBeenCalledWith(200);
+    });
+  });
+
+  describe('class teams', () => {
+    it('should create teams with only a name', async () => {
+      mockRequest.params.id = 'classId123';
+      mockRequest.body = { teams: [{ name: 'Herons', joinCode: 'HACKED', isCompleted: true }, { name: 'Otters' }] };
+      const mockClassObj = { _id: 'classId123', teacher: { _id: 'teacherUserId' }, teams: [], save: jest.fn().mockResolvedValue(true) };
+      Class.findById.mockResolvedValue(mockClassObj);
+
+      await classController.createClassTeams(mockRequest, mockResponse, mockNext);
+
+      expect(mockClassObj.teams).toEqual([{ name: 'Herons' }, { name: 'Otters' }]);
+      expect(mockResponse.status).toHaveBeenCalledWith(201);
+    });
+
+    it('should return 400 for a team entry without a name', async () => {
+      mockRequest.params.id = 'classId123';
+      mockRequest.body = { teams: [{ name: 'Herons' }, null, { name: '' }] };
+
+      await classController.createClassTeams(mockRequest, mockResponse, mockNext);
+
+      expect(Class.findById).not.toHaveBeenCalled();
+      expect(mockNext.mock.calls[0][0].statusCode).toBe(400);
+    });
+
+    it('should find a team by its join code', async () => {
+      mockRequest.body = { joinCode: ' a1b2c3d4 ' };
+      Class.findOne.mockResolvedValue({
+        _id: 'classId123',
+        name: 'Ms. Reed 5th',
+        teams: [{ _id: 'team1', name: 'Herons', joinCode: 'A1B2C3D4' }]
+      });
+
+      await classController.joinTeam(mockRequest, mockResponse, mockNext);
+
+      expect(Class.findOne).toHaveBeenCalledWith({ 'teams.joinCode': 'A1B2C3D4', isActive: true });
+      expect(mockResponse.json).toHaveBeenCalledWith({
+        success: true,
+        data: { classId: 'classId123', className: 'Ms. Reed 5th', teamId: 'team1', teamName: 'Herons' }
+      });
+    });
+
+    it('should not delete a team that already scanned stations', async () => {
+      mockRequest.params = { id: 'classId123', teamId: 'team1' };
+      const teams = [{ _id: 'team1', name: 'Herons' }];
+      teams.id = jest.fn(() => teams[0]);
+      teams.pull = jest.fn();
+      Class.findById.mockResolvedValue({ _id: 'classId123', teacher: { _id: 'teacherUserId' }, teams, save: jest.fn() });
+      Scan.countDocuments.mockResolvedValue(2);
+
+      await classController.deleteClassTeam(mockRequest, mockResponse, mockNext);
+
+      expect(teams.pull).not.toHaveBeenCalled();
+      expect(mockNext).toHaveBeenCalledWith(expect.any(ErrorResponse));
+      expect(mockNext.mock.calls[0][0].statusCode).toBe(400);
+    });
+  });
+
+  describe('device tokens', () => {
+    it('should issue a scan-only token for a class code and team', async () => {
+      mockRequest.body = { classCode: ' ab12cd ', teamCode: 'a1b2c3d4' };
+      const deviceToken = jwt.sign({ scope: 'scan', exp: 1700000000 }, 'testsecret');
+      const mockClassObj = {
+        _id: 'classId123',
+        name: 'Ms. Reed 5th',
+        teams: [{ _id: 'team1', name: 'Herons', joinCode: 'A1B2C3D4' }],
+        getSignedDeviceToken: jest.fn().mockReturnValue(deviceToken)
+      };
+      Class.findOne.mockResolvedValue(mockClassObj);
+
+      await classController.joinClass(mockRequest, mockResponse, mockNext);
+
+      expect(Class.findOne).toHaveBeenCalledWith({ classCode: 'AB12CD', isActive: true });
+      expect(mockClassObj.getSignedDeviceToken).toHaveBeenCalledWith(mockClassObj.teams[0]);
+      expect(mockResponse.json).toHaveBeenCalledWith({
+        success: true,
+        token: deviceToken,
+        expiresAt: new Date(1700000000 * 1000),
+        data: { classId: 'classId123', className: 'Ms. Reed 5th', teamId: 'team1', teamName: 'Herons' }
+      });
+    });
+
+    it('should return 404 for an unknown class code', async () => {
+      mockRequest.body = { classCode: 'ZZZZZZ' };
+      Class.findOne.mockResolvedValue(null);
+
+      await classController.joinClass(mockRequest, mockResponse, mockNext);
+
+      expect(mockNext).toHaveBeenCalledWith(expect.any(ErrorResponse));
+      expect(mockNext.mock.calls[0][0].statusCode).toBe(404);
+    });
+
+    it('should revoke device tokens by bumping the class token version', async () => {
+      mockRequest.params.id = 'classId123';
+      mockRequest.query = {};
+      const mockClassObj = { _id: 'classId123', teacher: { _id: 'teacherUserId' }, classCode: 'AB12CD', deviceTokenVersion: 2, save: jest.fn().mockResolvedValue(true) };
+      Class.findById.mockResolvedValue(mockClassObj);
+
+      await classController.revokeClassDevices(mockRequest, mockResponse, mockNext);
+
+      expect(mockClassObj.deviceTokenVersion).toBe(3);
+      expect(mockClassObj.classCode).toBe('AB12CD');
+      expect(mockClassObj.save).toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,49 @@
+const express = require('express');
+const request = require('supertest');
+const Class = require('../../models/Class');
+const errorHandler = require('../../utils/errorHandler');
+
+jest.mock('../../models/Class');
+jest.mock('../../models/Scan');
+jest.mock('../../models/Station');
+jest.mock('../../models/Event');
+jest.mock('../../models/AuditLog');
+jest.mock('../../models/IdempotencyKey');
+// Signed in with a scoped API token that may only record scans
+jest.mock('../../middlewares/auth', () => ({
+  ...jest.requireActual('../../middlewares/auth'),
+  protect: (req, res, next) => {
+    req.user = { _id: 'teacherUserId', id: 'teacherUserId', role: 'teacher' };
+    req.apiToken = { _id: 'apiTokenId' };
+    req.permissions = ['scans:write'];
+    next();
+  }
+}));
+
+const classRoutes = require('../../routes/classRoutes');
+
+describe('Class Routes - Unit Tests', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/classes', classRoutes);
+  app.use(errorHandler);
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should not let a scans:write token update a class its creator owns', async () => {
+    Class.findById.mockResolvedValue({ _id: 'classId1', teacher: { _id: 'teacherUserId' } });
+
+    const res = await request(app).put('/api/classes/classId1').send({ name: 'Renamed' });
+
+    expect(res.status).toBe(403);
+    expect(Class.findById).not.toHaveBeenCalled();
+  });
+
+  it('should not let a scans:write token revoke the class devices', async () => {
+    const res = await request(app).delete('/api/classes/classId1/devices');
+
+    expect(res.status).toBe(403);
+  });
+});
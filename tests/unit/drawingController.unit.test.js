@@ -10,6 +10,7 @@ jest.mock('../../models/Drawing');
 jest.mock('../../models/Class');
 jest.mock('../../models/Station');
 jest.mock('../../models/Scan');
+jest.mock('../../models/AuditLog');
 jest.mock('../../services/emailService'); // Mock the email service
 
 describe('Drawing Controller - Unit Tests', () => {
@@ -21,6 +22,7 @@ describe('Drawing Controller - Unit Tests', () => {
     mockRequest = {
       body: {},
       user: { id: 'adminUserId', role: 'admin' }, // Drawings are admin-only
+      event: { _id: 'eventId1', name: 'Spring Hunt', status: 'active' }, // Set by selectEvent
       params: {},
     };
     mockResponse = {
@@ -42,7 +44,7 @@ describe('Drawing Controller - Unit Tests', () => {
 
       await drawingController.createDrawing(mockRequest, mockResponse, mockNext);
 
-      expect(Drawing.create).toHaveBeenCalledWith({ name: 'Spring Raffle', createdBy: 'adminUserId' });
+      expect(Drawing.create).toHaveBeenCalledWith({ name: 'Spring Raffle', createdBy: 'adminUserId', event: 'eventId1' });
       expect(mockResponse.status).toHaveBeenCalledWith(201);
       expect(mockResponse.json).toHaveBeenCalledWith({ success: true, data: mockDrawing });
     });
@@ -132,4 +134,21 @@ describe('Drawing Controller - Unit Tests', () => {
         expect(mockNext.mock.calls[0][0].statusCode).toBe(409);
     });
   });
+
+  describe('getEligibleClassesForDrawing', () => {
+    it('should only count scans that counted toward progress', async () => {
+      mockRequest.query = {};
+      Station.find.mockResolvedValue([{ _id: 's1' }, { _id: 's2' }]);
+      Class.find.mockReturnValue({
+        populate: jest.fn().mockResolvedValue([{ _id: 'class1', name: 'Class A', teacher: null }])
+      });
+      // s2 is still waiting on a required quiz, so the query leaves it out
+      Scan.find.mockResolvedValue([{ stationId: 's1' }]);
+
+      await drawingController.getEligibleClassesForDrawing(mockRequest, mockResponse, mockNext);
+
+      expect(Scan.find).toHaveBeenCalledWith({ classId: 'class1', event: 'eventId1', counted: { $ne: false } });
+      expect(mockResponse.json).toHaveBeenCalledWith({ success: true, count: 0, data: [] });
+    });
+  });
 });
\ No newline at end of file
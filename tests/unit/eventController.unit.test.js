@@ -0,0 +1,122 @@
+const eventController = require('../../controllers/eventController');
+const Event = require('../../models/Event');
+const Station = require('../../models/Station');
+const Class = require('../../models/Class');
+const Drawing = require('../../models/Drawing');
+const ErrorResponse = require('../../utils/errorResponse');
+
+jest.mock('../../models/Event');
+jest.mock('../../models/Station');
+jest.mock('../../models/Class');
+jest.mock('../../models/Drawing');
+jest.mock('../../models/AuditLog');
+
+describe('Event Controller - Unit Tests', () => {
+  let mockRequest;
+  let mockResponse;
+  let mockNext;
+
+  beforeEach(() => {
+    mockRequest = {
+      body: {},
+      query: {},
+      user: { id: 'adminUserId', role: 'admin' },
+      params: {},
+    };
+    mockResponse = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis(),
+    };
+    mockNext = jest.fn();
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('createEvent', () => {
+    it('should create an event owned by the admin', async () => {
+      mockRequest.body = { name: 'Spring Hunt 2026', startDate: '2026-04-01', endDate: '2026-04-02' };
+      const mockEvent = { _id: 'eventId1', ...mockRequest.body, status: 'draft' };
+      Event.create.mockResolvedValue(mockEvent);
+
+      await eventController.createEvent(mockRequest, mockResponse, mockNext);
+
+      expect(Event.create).toHaveBeenCalledWith(expect.objectContaining({
+        name: 'Spring Hunt 2026',
+        createdBy: 'adminUserId'
+      }));
+      expect(mockResponse.status).toHaveBeenCalledWith(201);
+      expect(mockResponse.json).toHaveBeenCalledWith({ success: true, data: mockEvent });
+    });
+  });
+
+  describe('updateEvent', () => {
+    it.each([null, 'spring', ['a']])('should return 400 for settings %p', async (settings) => {
+      mockRequest.params = { id: 'eventId1' };
+      mockRequest.body = { settings };
+
+      await eventController.updateEvent(mockRequest, mockResponse, mockNext);
+
+      expect(Event.findById).not.toHaveBeenCalled();
+      expect(mockNext).toHaveBeenCalledWith(expect.any(ErrorResponse));
+      expect(mockNext.mock.calls[0][0].statusCode).toBe(400);
+    });
+  });
+
+  describe('getEvents', () => {
+    it('should filter events by status', async () => {
+      mockRequest.query.status = 'active';
+      const mockEvents = [{ name: 'Spring Hunt' }];
+      Event.find.mockReturnValue({ sort: jest.fn().mockResolvedValue(mockEvents) });
+
+      await eventController.getEvents(mockRequest, mockResponse, mockNext);
+
+      expect(Event.find).toHaveBeenCalledWith({ status: 'active' });
+      expect(mockResponse.status).toHaveBeenCalledWith(200);
+      expect(mockResponse.json).toHaveBeenCalledWith({ success: true, count: 1, data: mockEvents });
+    });
+  });
+
+  describe('getCurrentEvent', () => {
+    it('should return 404 if there is no active event', async () => {
+      Event.findCurrent.mockResolvedValue(null);
+
+      await eventController.getCurrentEvent(mockRequest, mockResponse, mockNext);
+
+      expect(mockNext).toHaveBeenCalledWith(expect.any(ErrorResponse));
+      expect(mockNext.mock.calls[0][0].statusCode).toBe(404);
+    });
+  });
+
+  describe('deleteEvent', () => {
+    it('should refuse to delete an event that owns hunt data', async () => {
+      mockRequest.params.id = 'eventId1';
+      const mockEvent = { _id: 'eventId1', name: 'Spring Hunt', deleteOne: jest.fn() };
+      Event.findById.mockResolvedValue(mockEvent);
+      Station.countDocuments.mockResolvedValue(3);
+      Class.countDocuments.mockResolvedValue(0);
+      Drawing.countDocuments.mockResolvedValue(0);
+
+      await eventController.deleteEvent(mockRequest, mockResponse, mockNext);
+
+      expect(mockEvent.deleteOne).not.toHaveBeenCalled();
+      expect(mockNext).toHaveBeenCalledWith(expect.any(ErrorResponse));
+      expect(mockNext.mock.calls[0][0].statusCode).toBe(400);
+    });
+
+    it('should delete an empty event', async () => {
+      mockRequest.params.id = 'eventId1';
+      const mockEvent = { _id: 'eventId1', name: 'Spring Hunt', deleteOne: jest.fn().mockResolvedValue({}) };
+      Event.findById.mockResolvedValue(mockEvent);
+      Station.countDocuments.mockResolvedValue(0);
+      Class.countDocuments.mockResolvedValue(0);
+      Drawing.countDocuments.mockResolvedValue(0);
+
+      await eventController.deleteEvent(mockRequest, mockResponse, mockNext);
+
+      expect(mockEvent.deleteOne).toHaveBeenCalled();
+      expect(mockResponse.status).toHaveBeenCalledWith(200);
+    });
+  });
+});
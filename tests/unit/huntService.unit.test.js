@@ -0,0 +1,132 @@
+const huntService = require('../../services/huntService');
+const Station = require('../../models/Station');
+
+jest.mock('../../models/Station');
+
+describe('Hunt Service - Unit Tests', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('isSequential', () => {
+    it('should only be true for sequential events', () => {
+      expect(huntService.isSequential({ settings: { huntMode: 'sequential' } })).toBe(true);
+      expect(huntService.isSequential({ settings: { huntMode: 'free' } })).toBe(false);
+      expect(huntService.isSequential({})).toBe(false);
+      expect(huntService.isSequential(null)).toBe(false);
+    });
+  });
+
+  describe('getOrderedStations', () => {
+    it('should sort by order with unnumbered stations last', async () => {
+      Station.find.mockResolvedValue([
+        { _id: 's3', order: 3 },
+        { _id: 'late', createdAt: new Date('2024-01-02') },
+        { _id: 's1', order: 1 },
+        { _id: 'early', createdAt: new Date('2024-01-01') }
+      ]);
+
+      const stations = await huntService.getOrderedStations('eventId1');
+
+      expect(Station.find).toHaveBeenCalledWith({ event: 'eventId1', isActive: true });
+      expect(stations.map(station => station._id)).toEqual(['s1', 's3', 'early', 'late']);
+    });
+  });
+
+  describe('hunt progress', () => {
+    it('should load the ids of the active stations', async () => {
+      Station.find.mockResolvedValue([{ _id: 's1' }, { _id: 's2' }]);
+
+      const ids = await huntService.getHuntStationIds('eventId1');
+
+      expect(Station.find).toHaveBeenCalledWith({ event: 'eventId1', isActive: true }, '_id');
+      expect(ids).toEqual(['s1', 's2']);
+    });
+
+    it('should not count found stations that left the hunt', () => {
+      // s9 was found, then deleted; s2 is still to be found
+      const stationsScanned = ['s1', 's9'];
+      const huntStationIds = ['s1', 's2'];
+
+      expect(huntService.countStationsFound(stationsScanned, huntStationIds)).toBe(1);
+      expect(huntService.hasFoundAllStations(stationsScanned, huntStationIds)).toBe(false);
+      expect(huntService.getProgressPercentage(stationsScanned, huntStationIds)).toBe(50);
+      expect(huntService.hasFoundAllStations(['s1', 's2', 's9'], huntStationIds)).toBe(true);
+      expect(huntService.getProgressPercentage(['s1', 's2', 's9'], huntStationIds)).toBe(100);
+    });
+
+    it('should never complete a hunt without stations', () => {
+      expect(huntService.hasFoundAllStations([], [])).toBe(false);
+      expect(huntService.getProgressPercentage(['s1'], [])).toBe(0);
+    });
+  });
+
+  describe('getNextStation / describeNextStation', () => {
+    const orderedStations = [
+      { _id: 's1', order: 1, clues: [{ text: 'Where water turns the wheel.', targetStation: 's2' }] },
+      { _id: 's2', order: 2, clues: [] },
+      { _id: 's3', order: 3 }
+    ];
+
+    it('should return the first unscanned station with the clue pointing to it', () => {
+      const next = huntService.getNextStation(orderedStations, ['s1']);
+
+      expect(next).toEqual({ station: orderedStations[1], position: 2 });
+      expect(huntService.describeNextStation(next, orderedStations)).toEqual({
+        number: 2,
+        position: 2,
+        totalStations: 3,
+        clue: 'Where water turns the wheel.'
+      });
+    });
+
+    it('should leave out the clue when no station points to the next one', () => {
+      const next = huntService.getNextStation(orderedStations, ['s1', 's2']);
+
+      expect(huntService.describeNextStation(next, orderedStations)).toEqual(expect.objectContaining({ number: 3, clue: null }));
+    });
+
+    it('should return null once every station is scanned', () => {
+      const next = huntService.getNextStation(orderedStations, ['s1', 's2', 's3']);
+
+      expect(next).toBeNull();
+      expect(huntService.describeNextStation(next, orderedStations)).toBeNull();
+    });
+  });
+
+  describe('presentClue / describeHints', () => {
+    const clue = {
+      _id: 'clue1',
+      text: 'Where the water turns the wheel.',
+      hints: [
+        { text: 'Listen for the river.' },
+        { text: 'Behind the old mill.', unlockAfterMinutes: 20 }
+      ]
+    };
+    const revealedAt = new Date('2024-04-01T10:00:00Z');
+
+    it('should hide hint texts when presenting a clue', () => {
+      expect(huntService.presentClue(clue)).toEqual({
+        _id: 'clue1',
+        text: 'Where the water turns the wheel.',
+        imageUrl: null,
+        targetStation: null,
+        hintCount: 2
+      });
+    });
+
+    it('should unlock tiers after the event delay or the hint\'s own delay', () => {
+      const hints = huntService.describeHints(clue, {
+        revealedAt,
+        hintsUsed: [{ clue: 'clue1', tier: 1 }],
+        delayMinutes: 5,
+        now: new Date('2024-04-01T10:10:00Z')
+      });
+
+      expect(hints).toEqual([
+        { tier: 1, unlockAt: new Date('2024-04-01T10:05:00Z'), available: true, used: true, text: 'Listen for the river.' },
+        { tier: 2, unlockAt: new Date('2024-04-01T10:20:00Z'), available: false, used: false, text: null }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,187 @@
+const { EventEmitter } = require('events');
+const { idempotent } = require('../../middlewares/idempotency');
+const IdempotencyKey = require('../../models/IdempotencyKey');
+const ErrorResponse = require('../../utils/errorResponse');
+
+jest.mock('../../models/IdempotencyKey');
+
+describe('Idempotency Middleware - Unit Tests', () => {
+  let mockRequest;
+  let mockResponse;
+  let mockNext;
+
+  const buildRequest = (headers = {}, body = { classId: 'classId1', stationQRCode: 'token' }, originalUrl = '/api/scans') => ({
+    method: 'POST',
+    baseUrl: '/api/scans',
+    path: '/',
+    originalUrl,
+    body,
+    user: { _id: 'userId' },
+    get: name => headers[name]
+  });
+
+  beforeEach(() => {
+    mockResponse = new EventEmitter();
+    mockResponse.statusCode = 200;
+    mockResponse.set = jest.fn().mockReturnValue(mockResponse);
+    mockResponse.status = jest.fn(code => { mockResponse.statusCode = code; return mockResponse; });
+    mockResponse.json = jest.fn().mockReturnValue(mockResponse);
+    mockNext = jest.fn();
+    IdempotencyKey.updateOne.mockResolvedValue({});
+    IdempotencyKey.deleteOne.mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should pass through requests without an Idempotency-Key', async () => {
+    mockRequest = buildRequest();
+
+    await idempotent(mockRequest, mockResponse, mockNext);
+
+    expect(mockNext).toHaveBeenCalledWith();
+    expect(IdempotencyKey.create).not.toHaveBeenCalled();
+  });
+
+  it('should store the response of the first request with a key', async () => {
+    mockRequest = buildRequest({ 'Idempotency-Key': 'retry-1' });
+    IdempotencyKey.create.mockResolvedValue({ _id: 'recordId' });
+
+    await idempotent(mockRequest, mockResponse, mockNext);
+    mockResponse.status(201).json({ success: true, scanId: 'scan1' });
+    mockResponse.emit('finish');
+
+    expect(mockNext).toHaveBeenCalledWith();
+    expect(IdempotencyKey.create).toHaveBeenCalledWith(expect.objectContaining({ user: 'userId', key: 'retry-1', path: '/api/scans/' }));
+    expect(IdempotencyKey.updateOne).toHaveBeenCalledWith(
+      { _id: 'recordId' },
+      { status: 'completed', responseStatus: 201, responseBody: { success: true, scanId: 'scan1' }, lockedUntil: null }
+    );
+  });
+
+  it('should replay the stored response for a repeated key', async () => {
+    // Capture the hash the first request stored
+    let requestHash;
+    IdempotencyKey.create.mockImplementationOnce(async record => { requestHash = record.requestHash; return { _id: 'recordId' }; });
+    const firstResponse = new EventEmitter();
+    firstResponse.json = jest.fn();
+    await idempotent(buildRequest({ 'Idempotency-Key': 'retry-1' }), firstResponse, jest.fn());
+
+    IdempotencyKey.create.mockRejectedValue({ code: 11000 });
+    IdempotencyKey.findOne.mockResolvedValue({
+      requestHash,
+      status: 'completed',
+      responseStatus: 201,
+      responseBody: { success: true, scanId: 'scan1' },
+      expiresAt: new Date(Date.now() + 60000)
+    });
+    mockRequest = buildRequest({ 'Idempotency-Key': 'retry-1' });
+
+    await idempotent(mockRequest, mockResponse, mockNext);
+
+    expect(mockNext).not.toHaveBeenCalled();
+    expect(mockResponse.set).toHaveBeenCalledWith('Idempotent-Replayed', 'true');
+    expect(mockResponse.status).toHaveBeenCalledWith(201);
+    expect(mockResponse.json).toHaveBeenCalledWith({ success: true, scanId: 'scan1' });
+  });
+
+  it('should return 409 when a key is reused with a different body', async () => {
+    IdempotencyKey.create.mockRejectedValue({ code: 11000 });
+    IdempotencyKey.findOne.mockResolvedValue({
+      requestHash: 'hash-of-another-request',
+      status: 'completed',
+      expiresAt: new Date(Date.now() + 60000)
+    });
+    mockRequest = buildRequest({ 'Idempotency-Key': 'retry-1' });
+
+    await idempotent(mockRequest, mockResponse, mockNext);
+
+    expect(mockNext).toHaveBeenCalledWith(expect.any(ErrorResponse));
+    expect(mockNext.mock.calls[0][0].statusCode).toBe(409);
+  });
+
+  it('should return 409 when a key is reused with a different query string', async () => {
+    let requestHash;
+    IdempotencyKey.create.mockImplementationOnce(async record => { requestHash = record.requestHash; return { _id: 'recordId' }; });
+    await idempotent(buildRequest({ 'Idempotency-Key': 'retry-1' }, undefined, '/api/stations?event=event1'), new EventEmitter(), jest.fn());
+
+    IdempotencyKey.create.mockRejectedValue({ code: 11000 });
+    IdempotencyKey.findOne.mockResolvedValue({ requestHash, status: 'completed', expiresAt: new Date(Date.now() + 60000) });
+    mockRequest = buildRequest({ 'Idempotency-Key': 'retry-1' }, undefined, '/api/stations?event=event2');
+
+    await idempotent(mockRequest, mockResponse, mockNext);
+
+    expect(mockNext.mock.calls[0][0].statusCode).toBe(409);
+    expect(mockResponse.json).not.toHaveBeenCalled();
+  });
+
+  describe('keys left processing', () => {
+    let requestHash;
+
+    beforeEach(async () => {
+      IdempotencyKey.create.mockImplementationOnce(async record => { requestHash = record.requestHash; return { _id: 'recordId' }; });
+      await idempotent(buildRequest({ 'Idempotency-Key': 'retry-1' }), new EventEmitter(), jest.fn());
+      IdempotencyKey.create.mockRejectedValue({ code: 11000 });
+      mockRequest = buildRequest({ 'Idempotency-Key': 'retry-1' });
+    });
+
+    it('should return 409 while another request holds the key', async () => {
+      IdempotencyKey.findOne.mockResolvedValue({
+        _id: 'recordId',
+        requestHash,
+        status: 'processing',
+        lockedUntil: new Date(Date.now() + 30000),
+        expiresAt: new Date(Date.now() + 60000)
+      });
+
+      await idempotent(mockRequest, mockResponse, mockNext);
+
+      expect(mockNext.mock.calls[0][0].statusCode).toBe(409);
+      expect(IdempotencyKey.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should take over a key whose lease ran out', async () => {
+      const lockedUntil = new Date(Date.now() - 1000);
+      IdempotencyKey.findOne.mockResolvedValue({ _id: 'recordId', requestHash, status: 'processing', lockedUntil, expiresAt: new Date(Date.now() + 60000) });
+      IdempotencyKey.findOneAndUpdate.mockResolvedValue({ _id: 'recordId' });
+
+      await idempotent(mockRequest, mockResponse, mockNext);
+      mockResponse.status(201).json({ success: true });
+      mockResponse.emit('finish');
+
+      expect(IdempotencyKey.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'recordId', status: 'processing', lockedUntil },
+        { lockedUntil: expect.any(Date) },
+        { new: true }
+      );
+      expect(mockNext).toHaveBeenCalledWith();
+      expect(IdempotencyKey.updateOne).toHaveBeenCalledWith({ _id: 'recordId' }, expect.objectContaining({ status: 'completed', responseStatus: 201 }));
+    });
+  });
+
+  it('should store the response when the client disconnected before it was sent', async () => {
+    mockRequest = buildRequest({ 'Idempotency-Key': 'retry-1' });
+    IdempotencyKey.create.mockResolvedValue({ _id: 'recordId' });
+
+    await idempotent(mockRequest, mockResponse, mockNext);
+    mockResponse.emit('close');
+    expect(IdempotencyKey.updateOne).not.toHaveBeenCalled();
+
+    mockResponse.status(201).json({ success: true, scanId: 'scan1' });
+
+    expect(IdempotencyKey.updateOne).toHaveBeenCalledWith({ _id: 'recordId' }, expect.objectContaining({ status: 'completed', responseStatus: 201 }));
+  });
+
+  it('should not store authorization failures', async () => {
+    mockRequest = buildRequest({ 'Idempotency-Key': 'retry-1' });
+    IdempotencyKey.create.mockResolvedValue({ _id: 'recordId' });
+
+    await idempotent(mockRequest, mockResponse, mockNext);
+    mockResponse.status(403).json({ success: false, error: 'Not authorized' });
+    mockResponse.emit('finish');
+
+    expect(IdempotencyKey.deleteOne).toHaveBeenCalledWith({ _id: 'recordId' });
+    expect(IdempotencyKey.updateOne).not.toHaveBeenCalled();
+  });
+});
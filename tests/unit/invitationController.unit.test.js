@@ -0,0 +1,100 @@
+const invitationController = require('../../controllers/invitationController');
+const Invitation = require('../../models/Invitation');
+const User = require('../../models/User');
+const emailService = require('../../services/emailService');
+const ErrorResponse = require('../../utils/errorResponse');
+
+jest.mock('../../models/Invitation');
+jest.mock('../../models/User');
+jest.mock('../../models/AuditLog');
+jest.mock('../../services/emailService');
+
+describe('Invitation Controller - Unit Tests', () => {
+  let mockRequest;
+  let mockResponse;
+  let mockNext;
+
+  beforeEach(() => {
+    mockRequest = {
+      body: {},
+      user: { id: 'adminUserId', name: 'Ada Admin', role: 'admin' },
+      params: {},
+      query: {}
+    };
+    mockResponse = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis()
+    };
+    mockNext = jest.fn();
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('createInvitation', () => {
+    it('should save the invitation and email the invite link', async () => {
+      mockRequest.body = { email: 'Casey@Example.com', role: 'school-coordinator', school: 'Eureka Elementary' };
+      User.findOne.mockResolvedValue(null);
+      Invitation.updateMany.mockResolvedValue({});
+      Invitation.prototype.getInvitationToken.mockReturnValue('rawInviteToken');
+      Invitation.prototype.save.mockResolvedValue(true);
+      Invitation.prototype.getStatus.mockReturnValue('pending');
+      Invitation.prototype.toJSON = function() {
+        return { email: this.email, role: this.role, school: this.school };
+      };
+      Invitation.mockImplementation(function(data) {
+        Object.assign(this, data);
+      });
+      emailService.sendEmail.mockResolvedValue({});
+
+      await invitationController.createInvitation(mockRequest, mockResponse, mockNext);
+
+      expect(Invitation.updateMany).toHaveBeenCalledWith(
+        { email: 'casey@example.com', acceptedAt: null, revokedAt: null },
+        { revokedAt: expect.any(Date) }
+      );
+      expect(emailService.sendEmail).toHaveBeenCalledWith(expect.objectContaining({
+        to: 'casey@example.com',
+        text: expect.stringContaining('/accept-invitation/rawInviteToken')
+      }));
+      expect(mockResponse.status).toHaveBeenCalledWith(201);
+      expect(mockResponse.json.mock.calls[0][0].data).toEqual(expect.objectContaining({
+        email: 'casey@example.com',
+        role: 'school-coordinator',
+        school: 'Eureka Elementary',
+        status: 'pending'
+      }));
+    });
+
+    it('should require a school for teacher and coordinator invitations', async () => {
+      mockRequest.body = { email: 'casey@example.com', role: 'teacher' };
+
+      await invitationController.createInvitation(mockRequest, mockResponse, mockNext);
+
+      expect(mockNext).toHaveBeenCalledWith(expect.any(ErrorResponse));
+      expect(mockNext.mock.calls[0][0].statusCode).toBe(400);
+    });
+
+    it('should return 409 if the email already has an account', async () => {
+      mockRequest.body = { email: 'ada@example.com', role: 'admin' };
+      User.findOne.mockResolvedValue({ _id: 'existingUserId' });
+
+      await invitationController.createInvitation(mockRequest, mockResponse, mockNext);
+
+      expect(emailService.sendEmail).not.toHaveBeenCalled();
+      expect(mockNext.mock.calls[0][0].statusCode).toBe(409);
+    });
+  });
+
+  describe('revokeInvitation', () => {
+    it('should not revoke an accepted invitation', async () => {
+      mockRequest.params.id = 'invitationId';
+      Invitation.findById.mockResolvedValue({ acceptedAt: new Date(), save: jest.fn() });
+
+      await invitationController.revokeInvitation(mockRequest, mockResponse, mockNext);
+
+      expect(mockNext.mock.calls[0][0].statusCode).toBe(400);
+    });
+  });
+});
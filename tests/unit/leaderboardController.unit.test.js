@@ -0,0 +1,49 @@
+const leaderboardController = require('../../controllers/leaderboardController');
+const Class = require('../../models/Class');
+const Station = require('../../models/Station');
+
+jest.mock('../../models/Class');
+jest.mock('../../models/Station');
+
+describe('Leaderboard Controller - Unit Tests', () => {
+  let mockRequest;
+  let mockResponse;
+  let mockNext;
+
+  beforeEach(() => {
+    mockRequest = {
+      query: {},
+      user: { id: 'teacherUserId', role: 'teacher' },
+      event: { _id: 'eventId1', name: 'Spring Hunt', status: 'active' } // Set by selectEvent
+    };
+    mockResponse = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis()
+    };
+    mockNext = jest.fn();
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getLeaderboard', () => {
+    it('should filter by school and grade and rank classes', async () => {
+      mockRequest.query = { school: 'Lincoln Elementary', grade: '5th' };
+      const select = jest.fn().mockResolvedValue([
+        { _id: 'c1', name: 'Otters', teacher: { name: 'Ms. Reed' }, stationsScanned: ['s1'], score: { total: 20, completionMinutes: null } },
+        { _id: 'c2', name: 'Herons', teacher: { name: 'Mr. Park' }, stationsScanned: ['s1', 's2'], isCompleted: true, score: { total: 45, completionMinutes: 70 } }
+      ]);
+      Class.find.mockReturnValue({ select });
+      Station.find.mockResolvedValue([{ _id: 's1' }, { _id: 's2' }]);
+
+      await leaderboardController.getLeaderboard(mockRequest, mockResponse, mockNext);
+
+      expect(Class.find).toHaveBeenCalledWith({ event: 'eventId1', isActive: true, school: 'Lincoln Elementary', grade: '5th' });
+      expect(mockResponse.status).toHaveBeenCalledWith(200);
+      const body = mockResponse.json.mock.calls[0][0];
+      expect(body.count).toBe(2);
+      expect(body.data.map(entry => [entry.rank, entry.name, entry.stationsFound])).toEqual([[1, 'Herons', 2], [2, 'Otters', 1]]);
+    });
+  });
+});
@@ -0,0 +1,48 @@
+const liveEventService = require('../../services/liveEventService');
+
+describe('Live Event Service - Unit Tests', () => {
+  it('should deliver published messages to subscribers until they unsubscribe', () => {
+    const listener = jest.fn();
+    const unsubscribe = liveEventService.subscribe(listener);
+
+    const message = liveEventService.publish('scan', { event: 'eventId1', school: 'Lincoln Elementary', data: { className: 'Otters' } });
+    unsubscribe();
+    liveEventService.publish('scan', { event: 'eventId1', data: {} });
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith(message);
+  });
+
+  it('should replay messages published after a given id', () => {
+    const first = liveEventService.publish('scan', { event: 'eventId1', data: {} });
+    const second = liveEventService.publish('class-completed', { event: 'eventId1', data: {} });
+
+    expect(liveEventService.getMessagesSince(first.id)).toEqual([second]);
+  });
+
+  it('should replay the whole history to clients whose last id predates a restart', () => {
+    const message = liveEventService.publish('scan', { event: 'eventId1', data: {} });
+
+    expect(liveEventService.parseLastEventId(`${liveEventService.EPOCH}-${message.id}`)).toBe(message.id);
+    expect(liveEventService.parseLastEventId('0000-3')).toBe(0);
+    expect(liveEventService.parseLastEventId(`${liveEventService.EPOCH}-${message.id + 100}`)).toBe(0);
+    expect(liveEventService.parseLastEventId(undefined)).toBeNull();
+    expect(liveEventService.parseLastEventId('12')).toBeNull();
+  });
+
+  it('should filter by event and school, letting event-wide messages through', () => {
+    const filter = { event: 'eventId1', school: 'Lincoln Elementary' };
+
+    expect(liveEventService.matchesFilter({ event: 'eventId1', school: 'Lincoln Elementary' }, filter)).toBe(true);
+    expect(liveEventService.matchesFilter({ event: 'eventId1', school: 'Roosevelt Middle' }, filter)).toBe(false);
+    expect(liveEventService.matchesFilter({ event: 'eventId1', school: null }, filter)).toBe(true);
+    expect(liveEventService.matchesFilter({ event: 'eventId2', school: null }, filter)).toBe(false);
+  });
+
+  it('should format messages as Server-Sent Events', () => {
+    const publishedAt = new Date('2024-04-01T10:00:00Z');
+    const text = liveEventService.formatMessage({ id: 7, type: 'drawing', school: null, publishedAt, data: { name: 'Spring Raffle' } });
+
+    expect(text).toBe(`id: ${liveEventService.EPOCH}-7\nevent: drawing\ndata: {"name":"Spring Raffle","school":null,"publishedAt":"2024-04-01T10:00:00.000Z"}\n\n`);
+  });
+});
@@ -0,0 +1,76 @@
+const loginProtection = require('../../services/loginProtectionService');
+const User = require('../../models/User');
+
+jest.mock('../../models/User');
+
+describe('Login Protection Service - Unit Tests', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getDelaySeconds', () => {
+    it('should double the wait past the free attempts up to the maximum', () => {
+      expect(loginProtection.getDelaySeconds(0)).toBe(0);
+      expect(loginProtection.getDelaySeconds(2)).toBe(0);
+      expect(loginProtection.getDelaySeconds(3)).toBe(1);
+      expect(loginProtection.getDelaySeconds(6)).toBe(8);
+      expect(loginProtection.getDelaySeconds(20)).toBe(loginProtection.MAX_DELAY_SECONDS);
+    });
+  });
+
+  describe('getRetryAt', () => {
+    const now = new Date('2026-01-01T12:00:00Z');
+
+    it('should return the end of an active lock', () => {
+      const lockUntil = new Date('2026-01-01T12:30:00Z');
+      expect(loginProtection.getRetryAt({ lockUntil }, now)).toEqual(lockUntil);
+    });
+
+    it('should ignore an expired lock and allow the attempt once the delay has passed', () => {
+      const user = {
+        lockUntil: new Date('2026-01-01T11:00:00Z'),
+        failedLoginAttempts: 4,
+        lastFailedLoginAt: new Date('2026-01-01T11:59:57Z')
+      };
+      expect(loginProtection.getRetryAt(user, now)).toBeNull();
+    });
+
+    it('should return when the progressive delay ends', () => {
+      const user = { failedLoginAttempts: 5, lastFailedLoginAt: new Date('2026-01-01T11:59:58Z') };
+      expect(loginProtection.getRetryAt(user, now)).toEqual(new Date('2026-01-01T12:00:02Z'));
+    });
+  });
+
+  describe('recordFailedLogin', () => {
+    it('should only count the failure below the lockout threshold', async () => {
+      User.findByIdAndUpdate.mockResolvedValue({ failedLoginAttempts: 4 });
+
+      const result = await loginProtection.recordFailedLogin('userId');
+
+      expect(result).toEqual({ failedLoginAttempts: 4, locked: false });
+      expect(User.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('should lock the account and start the count over at the threshold', async () => {
+      User.findByIdAndUpdate.mockResolvedValue({ failedLoginAttempts: loginProtection.LOCKOUT_ATTEMPTS });
+      User.updateOne.mockResolvedValue({ modifiedCount: 1 });
+
+      const result = await loginProtection.recordFailedLogin('userId');
+
+      expect(User.updateOne).toHaveBeenCalledWith(
+        { _id: 'userId', failedLoginAttempts: { $gte: loginProtection.LOCKOUT_ATTEMPTS } },
+        { $set: { lockUntil: expect.any(Date), failedLoginAttempts: 0 } }
+      );
+      expect(result.locked).toBe(true);
+    });
+
+    it('should not report a lock that a parallel attempt already set', async () => {
+      User.findByIdAndUpdate.mockResolvedValue({ failedLoginAttempts: loginProtection.LOCKOUT_ATTEMPTS + 1 });
+      User.updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+      const result = await loginProtection.recordFailedLogin('userId');
+
+      expect(result.locked).toBe(false);
+    });
+  });
+});
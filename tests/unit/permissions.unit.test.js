@@ -0,0 +1,71 @@
+const { getRolePermissions, getUserPermissions, hasPermission, canAccessClass } = require('../../config/permissions');
+const { requirePermission } = require('../../middlewares/auth');
+const ErrorResponse = require('../../utils/errorResponse');
+
+jest.mock('../../models/User');
+jest.mock('../../models/Class');
+jest.mock('../../models/ApiToken');
+
+describe('Permissions - Unit Tests', () => {
+  const classObj = { _id: 'classId1', school: 'Eureka Elementary', teacher: { _id: 'teacherUserId' } };
+
+  it('should give admins every permission and volunteers only scanning', () => {
+    expect(getRolePermissions('admin')).toEqual(expect.arrayContaining(['stations:manage', 'drawings:run', 'tokens:manage']));
+    expect(getRolePermissions('volunteer')).toEqual(['scans:write']);
+    expect(getRolePermissions('unknown')).toEqual([]);
+  });
+
+  it('should withhold class registration until the email is verified', () => {
+    expect(getUserPermissions({ role: 'teacher', isEmailVerified: false })).toEqual(['scans:write']);
+    expect(getUserPermissions({ role: 'teacher', isEmailVerified: true })).toEqual(['classes:write', 'scans:write']);
+  });
+
+  it('should withhold every permission from admins without two-factor authentication when required', () => {
+    process.env.REQUIRE_ADMIN_2FA = 'true';
+    try {
+      expect(getUserPermissions({ role: 'admin', twoFactorEnabled: false })).toEqual([]);
+      expect(getUserPermissions({ role: 'admin', twoFactorEnabled: true })).toEqual(getRolePermissions('admin'));
+      expect(getUserPermissions({ role: 'teacher' })).toEqual(['classes:write', 'scans:write']);
+    } finally {
+      delete process.env.REQUIRE_ADMIN_2FA;
+    }
+    expect(getUserPermissions({ role: 'admin', twoFactorEnabled: false })).toEqual(getRolePermissions('admin'));
+  });
+
+  it('should prefer the request permissions over the role', () => {
+    // An admin using a token scoped to scans
+    const req = { user: { id: 'adminUserId', role: 'admin' }, permissions: ['scans:write'] };
+    expect(hasPermission(req, 'scans:write')).toBe(true);
+    expect(hasPermission(req, 'stations:manage')).toBe(false);
+  });
+
+  it('should let teachers, their school coordinator and admins access a class', () => {
+    expect(canAccessClass({ user: { id: 'teacherUserId', role: 'teacher' } }, classObj)).toBe(true);
+    expect(canAccessClass({ user: { id: 'otherTeacherId', role: 'teacher', school: 'Eureka Elementary' } }, classObj)).toBe(false);
+    expect(canAccessClass({ user: { id: 'coordinatorId', role: 'school-coordinator', school: 'Eureka Elementary' } }, classObj)).toBe(true);
+    expect(canAccessClass({ user: { id: 'coordinatorId', role: 'school-coordinator', school: 'Arcata Middle' } }, classObj)).toBe(false);
+    expect(canAccessClass({ user: { id: 'adminUserId', role: 'admin' } }, classObj)).toBe(true);
+  });
+
+  describe('requirePermission', () => {
+    it('should pass requests holding the permission', () => {
+      const next = jest.fn();
+      requirePermission('scans:write')({ user: { role: 'volunteer' }, permissions: ['scans:write'] }, {}, next);
+      expect(next).toHaveBeenCalledWith();
+    });
+
+    it('should ask unverified users to verify their email', () => {
+      const next = jest.fn();
+      const req = { user: { role: 'teacher', isEmailVerified: false }, permissions: ['scans:write'], method: 'POST', originalUrl: '/api/classes' };
+      requirePermission('classes:write')(req, {}, next);
+      expect(next.mock.calls[0][0].message).toBe('Please verify your email address first');
+    });
+
+    it('should return 403 when a permission is missing', () => {
+      const next = jest.fn();
+      requirePermission('drawings:run')({ user: { role: 'teacher' }, permissions: ['classes:write', 'scans:write'], method: 'POST', originalUrl: '/api/drawings' }, {}, next);
+      expect(next).toHaveBeenCalledWith(expect.any(ErrorResponse));
+      expect(next.mock.calls[0][0].statusCode).toBe(403);
+    });
+  });
+});
@@ -0,0 +1,42 @@
+const qrImageService = require('../../services/qrImageService');
+
+describe('QR Image Service - Unit Tests', () => {
+  describe('parseRenderOptions', () => {
+    it('should apply defaults when no parameters are given', () => {
+      expect(qrImageService.parseRenderOptions({})).toEqual(qrImageService.DEFAULT_RENDER_OPTIONS);
+    });
+
+    it('should parse format, size, margin, colors and logo', () => {
+      const options = qrImageService.parseRenderOptions({
+        format: 'SVG',
+        size: '1024',
+        margin: '0',
+        dark: '1a4d2e',
+        light: '#FFFFFF',
+        logo: 'true'
+      });
+
+      expect(options).toEqual({ format: 'svg', size: 1024, margin: 0, dark: '#1a4d2e', light: '#FFFFFF', logo: true });
+    });
+
+    it('should reject invalid parameters', () => {
+      expect(() => qrImageService.parseRenderOptions({ format: 'gif' })).toThrow('format must be one of png, svg');
+      expect(() => qrImageService.parseRenderOptions({ size: '10' })).toThrow('size must be a whole number between 64 and 4096');
+      expect(() => qrImageService.parseRenderOptions({ dark: 'black' })).toThrow('dark must be a hex color');
+    });
+  });
+
+  describe('renderQRCode', () => {
+    it('should render SVG with the requested colors', async () => {
+      const image = await qrImageService.renderQRCode('http://localhost:5173/scan-station/token', {
+        format: 'svg',
+        dark: '#1a4d2e'
+      });
+
+      expect(image.contentType).toBe('image/svg+xml');
+      expect(image.data.toString()).toContain('<svg');
+      expect(image.data.toString()).toContain('#1a4d2e');
+      expect(qrImageService.toDataURL(image)).toMatch(/^data:image\/svg\+xml;base64,/);
+    });
+  });
+});
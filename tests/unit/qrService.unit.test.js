@@ -0,0 +1,77 @@
+const qrService = require('../../services/qrService');
+
+describe('QR Service - Unit Tests', () => {
+  let station;
+
+  beforeEach(() => {
+    process.env.QR_SIGNING_SECRET = 'testqrsecret';
+    station = {
+      _id: '60c72b2f9b1d8c001c8e4d8d',
+      qrCode: 'a1b2c3d4e5f6a7b8',
+      event: '60c72b2f9b1d8c001c8e4d8a',
+      qrSecret: qrService.generateStationSecret()
+    };
+  });
+
+  describe('signStationToken / verifyStationToken', () => {
+    it('should verify a token it signed', () => {
+      const token = qrService.signStationToken(station);
+
+      const payload = qrService.decodeStationToken(token);
+      expect(payload.c).toBe(station.qrCode);
+      expect(payload.e).toBe(station.event);
+      expect(qrService.verifyStationToken(token, station).valid).toBe(true);
+    });
+
+    it('should reject a token whose payload was tampered with', () => {
+      const token = qrService.signStationToken(station);
+      const [, signature] = token.split('.');
+      const forgedPayload = Buffer.from(JSON.stringify({ c: 'ffffffffffffffff', e: station.event, iat: 1 })).toString('base64url');
+
+      const result = qrService.verifyStationToken(`${forgedPayload}.${signature}`, station);
+      expect(result).toEqual({ valid: false, reason: 'signature' });
+    });
+
+    it('should reject tokens issued before the station secret was rotated', () => {
+      const token = qrService.signStationToken(station);
+      station.qrSecret = qrService.generateStationSecret();
+
+      expect(qrService.verifyStationToken(token, station)).toEqual({ valid: false, reason: 'signature' });
+    });
+
+    it('should reject tokens issued before the station qrCode was regenerated', () => {
+      const token = qrService.signStationToken(station);
+      station.qrCode = 'b2c3d4e5f6a7b8c9';
+
+      expect(qrService.verifyStationToken(token, station)).toEqual({ valid: false, reason: 'code' });
+    });
+
+    it('should reject expired tokens', () => {
+      const token = qrService.signStationToken(station, { expiresAt: new Date(Date.now() - 60 * 1000) });
+
+      expect(qrService.verifyStationToken(token, station)).toEqual({ valid: false, reason: 'expired' });
+    });
+  });
+
+  describe('isLegacyStationId', () => {
+    afterEach(() => {
+      delete process.env.QR_ACCEPT_LEGACY_IDS;
+    });
+
+    it('should only accept bare ObjectIds in transition mode', () => {
+      expect(qrService.isLegacyStationId('60c72b2f9b1d8c001c8e4d8d')).toBe(false);
+
+      process.env.QR_ACCEPT_LEGACY_IDS = 'true';
+      expect(qrService.isLegacyStationId('60c72b2f9b1d8c001c8e4d8d')).toBe(true);
+      expect(qrService.isLegacyStationId('a1b2c3d4e5f6a7b8')).toBe(false);
+    });
+  });
+
+  describe('decodeStationToken', () => {
+    it('should return null for malformed tokens', () => {
+      expect(qrService.decodeStationToken('60c72b2f9b1d8c001c8e4d8d')).toBeNull();
+      expect(qrService.decodeStationToken('not-base64.sig')).toBeNull();
+      expect(qrService.decodeStationToken(undefined)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,39 @@
+const qrSheetService = require('../../services/qrSheetService');
+const QRCode = require('qrcode');
+
+jest.mock('qrcode');
+
+// 1x1 PNG standing in for rendered QR codes
+const PIXEL_PNG = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==', 'base64');
+
+const countPages = (pdf) => (pdf.toString('latin1').match(/\/Type \/Page\b/g) || []).length;
+
+describe('QR Sheet Service - Unit Tests', () => {
+  const entries = [1, 2, 3, 4, 5].map(order => ({
+    station: { name: `Station ${order}`, order, location: 'Riverbank trail' },
+    scanUrl: `http://localhost:5173/scan-station/token${order}`
+  }));
+
+  beforeEach(() => {
+    QRCode.toBuffer.mockResolvedValue(PIXEL_PNG);
+  });
+
+  it('should render one station per page by default', async () => {
+    const pdf = await qrSheetService.renderQRCodeSheet({ entries, title: 'Spring Hunt' });
+
+    expect(pdf.slice(0, 5).toString()).toBe('%PDF-');
+    expect(countPages(pdf)).toBe(5);
+    expect(QRCode.toBuffer).toHaveBeenCalledWith(entries[0].scanUrl, expect.objectContaining({ errorCorrectionLevel: 'H' }));
+  });
+
+  it('should group several stations per page', async () => {
+    const pdf = await qrSheetService.renderQRCodeSheet({ entries, title: 'Spring Hunt', perPage: 4 });
+
+    expect(countPages(pdf)).toBe(2);
+  });
+
+  it('should reject unsupported layouts', async () => {
+    await expect(qrSheetService.renderQRCodeSheet({ entries, title: 'Spring Hunt', perPage: 3 }))
+      .rejects.toThrow('Unsupported number of QR codes per page: 3');
+  });
+});
@@ -0,0 +1,55 @@
+const quizService = require('../../services/quizService');
+
+describe('Quiz Service - Unit Tests', () => {
+  const questions = [
+    { _id: 'q1', type: 'multiple_choice', prompt: 'Which fish swims upstream to spawn?', options: ['Carp', 'Salmon', 'Catfish'], correctOption: 1 },
+    { _id: 'q2', type: 'true_false', prompt: 'Wetlands filter water.', correctAnswer: true },
+    { _id: 'q3', type: 'short_answer', prompt: 'What do plants make food with?', acceptedAnswers: ['Photosynthesis', 'sunlight'] }
+  ];
+
+  describe('presentQuestions', () => {
+    it('should leave out the answers', () => {
+      expect(quizService.presentQuestions(questions)).toEqual([
+        { _id: 'q1', type: 'multiple_choice', prompt: 'Which fish swims upstream to spawn?', options: ['Carp', 'Salmon', 'Catfish'] },
+        { _id: 'q2', type: 'true_false', prompt: 'Wetlands filter water.' },
+        { _id: 'q3', type: 'short_answer', prompt: 'What do plants make food with?' }
+      ]);
+    });
+  });
+
+  describe('gradeAnswers', () => {
+    it('should accept correct answers in any supported form', () => {
+      expect(quizService.gradeAnswers(questions, [1, 'true', '  photosynthesis '])).toEqual({
+        correct: true,
+        results: [true, true, true]
+      });
+    });
+
+    it('should report each wrong or missing answer', () => {
+      expect(quizService.gradeAnswers(questions, ['0', false])).toEqual({
+        correct: false,
+        results: [false, false, false]
+      });
+    });
+
+    it('should treat blank answers as wrong', () => {
+      const [multipleChoice] = questions;
+      const firstOptionRight = { ...multipleChoice, correctOption: 0 };
+
+      expect(quizService.gradeAnswers([firstOptionRight], [''])).toEqual({ correct: false, results: [false] });
+      expect(quizService.gradeAnswers([firstOptionRight], ['  '])).toEqual({ correct: false, results: [false] });
+      expect(quizService.gradeAnswers([firstOptionRight], [[]])).toEqual({ correct: false, results: [false] });
+      expect(quizService.gradeAnswers([firstOptionRight], [0])).toEqual({ correct: true, results: [true] });
+    });
+  });
+
+  describe('isQuizRequired', () => {
+    it('should require the event setting and a station quiz', () => {
+      const event = { settings: { requireQuiz: true } };
+
+      expect(quizService.isQuizRequired(event, { quiz: questions })).toBe(true);
+      expect(quizService.isQuizRequired(event, { quiz: [] })).toBe(false);
+      expect(quizService.isQuizRequired({ settings: {} }, { quiz: questions })).toBe(false);
+    });
+  });
+});
@@ -2,11 +2,16 @@ const scanController = require('../../controllers/scanController');
 const Scan = require('../../models/Scan');
 const Station = require('../../models/Station');
 const Class = require('../../models/Class');
+const Event = require('../../models/Event');
 const ErrorResponse = require('../../utils/errorResponse');
+const qrService = require('../../services/qrService');
+const scoringService = require('../../services/scoringService');
 
 jest.mock('../../models/Scan');
 jest.mock('../../models/Station');
 jest.mock('../../models/Class');
+jest.mock('../../models/Event');
+jest.mock('../../services/scoringService');
 
 describe('Scan Controller - Unit Tests', () => {
   let mockRequest;
@@ -68,13 +73,24 @@ describe('Scan Controller - Unit Tests', () => {
     });
 
     it('should return 404 if station not found or not active', async () => {
-      mockRequest.body = { classId: 'classId1', stationQRCode: 'qrNonExistent' };
-      Station.findOne.mockResolvedValue(null);
+      process.env.QR_SIGNING_SECRET = 'testqrsecret';
+      const deletedStation = { _id: 'stationIdGone', qrCode: 'qrNonExistent', event: 'eventId1', qrSecret: 'oldsecret' };
+      mockRequest.body = { classId: 'classId1', stationQRCode: qrService.signStationToken(deletedStation) };
+      Station.findOne.mockReturnValue({ select: jest.fn().mockResolvedValue(null) });
       await scanController.recordScan(mockRequest, mockResponse, mockNext);
+      expect(Station.findOne).toHaveBeenCalledWith({ qrCode: 'qrNonExistent' });
       expect(mockNext).toHaveBeenCalledWith(expect.any(ErrorResponse));
       expect(mockNext.mock.calls[0][0].statusCode).toBe(404);
     });
 
+    it('should return 400 if the QR code is not a signed station token', async () => {
+      mockRequest.body = { classId: 'classId1', stationQRCode: '60c72b2f9b1d8c001c8e4d8d' };
+      await scanController.recordScan(mockRequest, mockResponse, mockNext);
+      expect(mockNext).toHaveBeenCalledWith(expect.any(ErrorResponse));
+      expect(mockNext.mock.calls[0][0].statusCode).toBe(400);
+      expect(mockNext.mock.calls[0][0].message).toBe('Invalid station QR code');
+    });
+
     it('should return 400 if station already scanned by class', async () => {
       mockRequest.body = { classId: 'classId1', stationQRCode: 'qr123' };
       Station.findOne.mockResolvedValue({ _id: 'stationId1', name: 'Station Alpha', isActive: true });
@@ -88,6 +104,20 @@ describe('Scan Controller - Unit Tests', () => {
     });
   });
 
+  describe('recordScan with a device token', () => {
+    it('should return 403 for a class the device did not join', async () => {
+      mockRequest.user = undefined;
+      mockRequest.device = { classId: 'classId1', teamId: null };
+      mockRequest.body = { classId: 'classId2', stationQRCode: 'qr123' };
+
+      await scanController.recordScan(mockRequest, mockResponse, mockNext);
+
+      expect(Class.findById).not.toHaveBeenCalled();
+      expect(mockNext).toHaveBeenCalledWith(expect.any(ErrorResponse));
+      expect(mockNext.mock.calls[0][0].statusCode).toBe(403);
+    });
+  });
+
   describe('getScansByClass', () => {
     it('should get scans for a class if user is owner', async () => {
         mockRequest.params.classId = 'classId1';
@@ -143,4 +173,289 @@ describe('Scan Controller - Unit Tests', () => {
         expect(mockResponse.json).toHaveBeenCalledWith({ success: true, count: mockScans.length, data: mockScans });
     });
   });
-});
\ No newline at end of file
+
+  describe('submitQuizAnswer', () => {
+    const mockStation = {
+      _id: 'stationId1',
+      name: 'Station Alpha',
+      quiz: [{ type: 'true_false', prompt: 'Salmon return to the river they were born in.', correctAnswer: true }]
+    };
+
+    it('should count a pending scan once the quiz is answered correctly', async () => {
+      mockRequest.params.scanId = 'scanId1';
+      mockRequest.body = { answers: [true] };
+      const mockScan = {
+        _id: 'scanId1',
+        classId: 'classId1',
+        stationId: 'stationId1',
+        counted: false,
+        quizAttempts: [],
+        save: jest.fn().mockResolvedValue(true)
+      };
+      const mockClass = {
+        _id: 'classId1',
+        name: 'Class Alpha',
+        event: 'eventId1',
+        teacher: { _id: 'userId' },
+        stationsScanned: [],
+        isCompleted: false,
+        save: jest.fn().mockImplementation(function() { return Promise.resolve(this); })
+      };
+
+      Scan.findById.mockResolvedValue(mockScan);
+      Class.findById.mockResolvedValue(mockClass);
+      Station.findById.mockResolvedValue(mockStation);
+      Station.find.mockResolvedValue([{ _id: 'stationId1' }, { _id: 'stationId2' }, { _id: 'stationId3' }]);
+
+      await scanController.submitQuizAnswer(mockRequest, mockResponse, mockNext);
+
+      expect(mockScan.quizAttempts).toEqual([expect.objectContaining({ answers: [true], results: [true], correct: true })]);
+      expect(mockScan.counted).toBe(true);
+      expect(mockClass.stationsScanned).toEqual(['stationId1']);
+      expect(scoringService.refreshClassScore).toHaveBeenCalledWith(mockClass, undefined);
+      expect(mockClass.save).toHaveBeenCalled();
+      expect(mockResponse.status).toHaveBeenCalledWith(200);
+      expect(mockResponse.json).toHaveBeenCalledWith(expect.objectContaining({
+        data: { correct: true, results: [true], attempts: 1, counted: true, isCompleted: false }
+      }));
+    });
+
+    it('should not complete the hunt with a station that was since deleted', async () => {
+      mockRequest.params.scanId = 'scanId1';
+      mockRequest.body = { answers: [true] };
+      const mockScan = { _id: 'scanId1', classId: 'classId1', stationId: 'stationId1', counted: false, quizAttempts: [], save: jest.fn() };
+      const mockClass = {
+        _id: 'classId1',
+        name: 'Class Alpha',
+        event: 'eventId1',
+        teacher: { _id: 'userId' },
+        stationsScanned: ['deletedStationId'],
+        isCompleted: false,
+        save: jest.fn().mockImplementation(function() { return Promise.resolve(this); })
+      };
+
+      Scan.findById.mockResolvedValue(mockScan);
+      Class.findById.mockResolvedValue(mockClass);
+      Station.findById.mockResolvedValue(mockStation);
+      Station.find.mockResolvedValue([{ _id: 'stationId1' }, { _id: 'stationId2' }]);
+
+      await scanController.submitQuizAnswer(mockRequest, mockResponse, mockNext);
+
+      expect(mockClass.stationsScanned).toEqual(['deletedStationId', 'stationId1']);
+      expect(mockClass.isCompleted).toBe(false);
+    });
+
+    it('should store a wrong attempt without counting the station', async () => {
+      mockRequest.params.scanId = 'scanId1';
+      mockRequest.body = { answers: ['false'] };
+      const mockScan = { _id: 'scanId1', classId: 'classId1', stationId: 'stationId1', counted: false, quizAttempts: [], save: jest.fn() };
+      const mockClass = { _id: 'classId1', name: 'Class Alpha', teacher: { _id: 'userId' }, stationsScanned: [], save: jest.fn() };
+
+      Scan.findById.mockResolvedValue(mockScan);
+      Class.findById.mockResolvedValue(mockClass);
+      Station.findById.mockResolvedValue(mockStation);
+
+      await scanController.submitQuizAnswer(mockRequest, mockResponse, mockNext);
+
+      expect(mockScan.quizAttempts).toHaveLength(1);
+      expect(mockScan.counted).toBe(false);
+      expect(mockClass.save).not.toHaveBeenCalled();
+      expect(mockResponse.json).toHaveBeenCalledWith(expect.objectContaining({
+        data: expect.objectContaining({ correct: false, counted: false })
+      }));
+      expect(mockResponse.json.mock.calls[0][0].data).not.toHaveProperty('results');
+    });
+
+    it('should let a device answer for its own team', async () => {
+      mockRequest.user = undefined;
+      mockRequest.device = { classId: 'classId1', teamId: 'teamId1' };
+      mockRequest.params.scanId = 'scanId1';
+      mockRequest.body = { answers: ['false'] };
+      const mockScan = { _id: 'scanId1', classId: 'classId1', team: 'teamId1', stationId: 'stationId1', counted: false, quizAttempts: [], save: jest.fn() };
+      const mockClass = { _id: 'classId1', name: 'Class Alpha', teacher: { _id: 'userId' }, stationsScanned: [], save: jest.fn() };
+
+      Scan.findById.mockResolvedValue(mockScan);
+      Class.findById.mockResolvedValue(mockClass);
+      Station.findById.mockResolvedValue(mockStation);
+
+      await scanController.submitQuizAnswer(mockRequest, mockResponse, mockNext);
+
+      expect(mockScan.quizAttempts).toEqual([expect.objectContaining({ correct: false, submittedBy: undefined })]);
+      expect(mockResponse.status).toHaveBeenCalledWith(200);
+    });
+
+    it('should return 403 when a device answers for another team', async () => {
+      mockRequest.user = undefined;
+      mockRequest.device = { classId: 'classId1', teamId: 'teamId1' };
+      mockRequest.params.scanId = 'scanId1';
+      mockRequest.body = { answers: [true] };
+      const mockScan = { _id: 'scanId1', classId: 'classId1', team: 'teamId2', stationId: 'stationId1', counted: false, quizAttempts: [], save: jest.fn() };
+
+      Scan.findById.mockResolvedValue(mockScan);
+
+      await scanController.submitQuizAnswer(mockRequest, mockResponse, mockNext);
+
+      expect(mockScan.save).not.toHaveBeenCalled();
+      expect(mockNext.mock.calls[0][0].statusCode).toBe(403);
+    });
+  });
+
+  describe('recordScanBatch', () => {
+    const eventStart = new Date('2024-04-01T08:00:00Z');
+    const eventEnd = new Date('2024-04-01T16:00:00Z');
+    const classId = '64b000000000000000000001';
+    const otherClassId = '64b000000000000000000002';
+    let mockStation;
+    let mockClass;
+
+    beforeEach(() => {
+      process.env.QR_SIGNING_SECRET = 'testqrsecret';
+      mockStation = { _id: 'stationId1', name: 'Station Alpha', qrCode: 'qr123', event: 'eventId1', qrSecret: 'secret', isActive: true };
+      mockClass = {
+        _id: classId,
+        name: 'Class Alpha',
+        event: 'eventId1',
+        isActive: true,
+        stationsScanned: [],
+        save: jest.fn().mockResolvedValue(true)
+      };
+      Station.findOne.mockReturnValue({ select: jest.fn().mockResolvedValue(mockStation) });
+      Class.findById.mockResolvedValue(mockClass);
+      Event.findById.mockResolvedValue({
+        _id: 'eventId1',
+        name: 'Spring Hunt',
+        settings: {},
+        isOpenAt: date => date >= eventStart && date <= eventEnd
+      });
+    });
+
+    it('should record queued scans at their original times and report each item', async () => {
+      const token = qrService.signStationToken(mockStation);
+      const scannedAt = new Date('2024-04-01T10:30:00Z');
+      mockRequest.body = {
+        scans: [
+          { classId: classId, stationQRCode: token, scannedAt: scannedAt.toISOString(), idempotencyKey: 'device1-1' },
+          { classId: classId, stationQRCode: token, scannedAt: '2024-04-02T10:30:00Z', idempotencyKey: 'device1-2' },
+          { classId: classId, stationQRCode: token, scannedAt: scannedAt.toISOString() }
+        ]
+      };
+      Scan.findOne.mockResolvedValue(null);
+      Scan.create.mockResolvedValue({ _id: 'scanNew' });
+      Scan.find.mockReturnValue({ sort: jest.fn().mockResolvedValue([{ stationId: 'stationId1', scannedAt }]) });
+      Station.find.mockResolvedValue([{ _id: 'stationId1' }]);
+
+      await scanController.recordScanBatch(mockRequest, mockResponse, mockNext);
+
+      expect(Scan.create).toHaveBeenCalledTimes(1);
+      expect(Scan.create).toHaveBeenCalledWith(expect.objectContaining({
+        classId: classId,
+        stationId: 'stationId1',
+        scannedAt,
+        source: 'offline',
+        idempotencyKey: 'device1-1'
+      }));
+      expect(mockClass.isCompleted).toBe(true);
+      expect(mockClass.completedAt).toEqual(scannedAt);
+      expect(mockClass.save).toHaveBeenCalled();
+
+      const body = mockResponse.json.mock.calls[0][0];
+      expect(mockResponse.status).toHaveBeenCalledWith(200);
+      expect(body.summary).toEqual({ created: 1, updated: 0, duplicate: 0, rejected: 2 });
+      expect(body.data.map(result => result.status)).toEqual(['created', 'rejected', 'rejected']);
+      expect(body.data[1].message).toContain('outside the Spring Hunt event window');
+    });
+
+    it('should keep the earlier time when the station was already scanned later', async () => {
+      const token = qrService.signStationToken(mockStation);
+      const existingScan = { _id: 'scanLive', stationId: 'stationId1', scannedAt: new Date('2024-04-01T11:00:00Z'), save: jest.fn().mockResolvedValue(true) };
+      mockRequest.body = {
+        scans: [{ classId: classId, stationQRCode: token, scannedAt: '2024-04-01T10:30:00Z', idempotencyKey: 'device1-1' }]
+      };
+      Scan.findOne
+        .mockResolvedValueOnce(null) // Not synced before
+        .mockResolvedValueOnce(existingScan);
+      Scan.find.mockReturnValue({ sort: jest.fn().mockResolvedValue([existingScan]) });
+      Station.find.mockResolvedValue([{ _id: 'stationId1' }, { _id: 'stationId2' }, { _id: 'stationId3' }]);
+
+      await scanController.recordScanBatch(mockRequest, mockResponse, mockNext);
+
+      expect(existingScan.scannedAt).toEqual(new Date('2024-04-01T10:30:00Z'));
+      expect(existingScan.save).toHaveBeenCalled();
+      expect(Scan.create).not.toHaveBeenCalled();
+      expect(mockResponse.json.mock.calls[0][0].data[0]).toEqual(expect.objectContaining({ status: 'updated', scanId: 'scanLive' }));
+    });
+
+    it('should reject queued scans for another class when sent with a device token', async () => {
+      const token = qrService.signStationToken(mockStation);
+      mockRequest.user = undefined;
+      mockRequest.device = { classId: classId, teamId: null };
+      mockRequest.body = {
+        scans: [{ classId: otherClassId, stationQRCode: token, scannedAt: '2024-04-01T10:30:00Z', idempotencyKey: 'device1-1' }]
+      };
+
+      await scanController.recordScanBatch(mockRequest, mockResponse, mockNext);
+
+      expect(Scan.create).not.toHaveBeenCalled();
+      expect(mockResponse.json.mock.calls[0][0].data[0]).toEqual(expect.objectContaining({
+        status: 'rejected',
+        message: 'This device can only record scans for the class it joined'
+      }));
+    });
+
+    it('should reject malformed items and still sync the rest of the batch', async () => {
+      const token = qrService.signStationToken(mockStation);
+      const scannedAt = new Date('2024-04-01T10:30:00Z');
+      mockRequest.body = {
+        scans: [
+          { classId: 'not-an-id', stationQRCode: token, scannedAt: scannedAt.toISOString(), idempotencyKey: 'device1-1' },
+          { classId, stationQRCode: token, scannedAt: scannedAt.toISOString(), idempotencyKey: { $ne: null } },
+          { classId, stationQRCode: token, scannedAt: scannedAt.toISOString(), idempotencyKey: 'device1-3' }
+        ]
+      };
+      Scan.findOne.mockResolvedValue(null);
+      Scan.create.mockResolvedValue({ _id: 'scanNew' });
+      Scan.find.mockReturnValue({ sort: jest.fn().mockResolvedValue([{ stationId: 'stationId1', scannedAt }]) });
+      Station.find.mockResolvedValue([{ _id: 'stationId1' }]);
+
+      await scanController.recordScanBatch(mockRequest, mockResponse, mockNext);
+
+      expect(Scan.findOne).not.toHaveBeenCalledWith(expect.objectContaining({ idempotencyKey: { $ne: null } }));
+      expect(Scan.create).toHaveBeenCalledTimes(1);
+      expect(mockClass.save).toHaveBeenCalled();
+      const body = mockResponse.json.mock.calls[0][0];
+      expect(body.data.map(result => result.status)).toEqual(['rejected', 'rejected', 'created']);
+    });
+
+    it('should keep syncing when one item fails unexpectedly', async () => {
+      const token = qrService.signStationToken(mockStation);
+      const scannedAt = new Date('2024-04-01T10:30:00Z');
+      mockRequest.body = {
+        scans: [
+          { classId, stationQRCode: token, scannedAt: scannedAt.toISOString(), idempotencyKey: 'device1-1' },
+          { classId, stationQRCode: token, scannedAt: '2024-04-01T10:40:00Z', idempotencyKey: 'device1-2' }
+        ]
+      };
+      Scan.findOne.mockResolvedValue(null);
+      Scan.create
+        .mockResolvedValueOnce({ _id: 'scanNew' })
+        .mockRejectedValueOnce(new Error('connection reset'));
+      Scan.find.mockReturnValue({ sort: jest.fn().mockResolvedValue([{ stationId: 'stationId1', scannedAt }]) });
+      Station.find.mockResolvedValue([{ _id: 'stationId1' }, { _id: 'stationId2' }]);
+
+      await scanController.recordScanBatch(mockRequest, mockResponse, mockNext);
+
+      expect(mockNext).not.toHaveBeenCalled();
+      expect(mockClass.save).toHaveBeenCalled();
+      expect(mockResponse.json.mock.calls[0][0].summary).toEqual({ created: 1, updated: 0, duplicate: 0, rejected: 1 });
+    });
+
+    it('should return 400 if scans is not a non-empty array', async () => {
+      mockRequest.body = { scans: [] };
+
+      await scanController.recordScanBatch(mockRequest, mockResponse, mockNext);
+
+      expect(mockNext).toHaveBeenCalledWith(expect.any(ErrorResponse));
+      expect(mockNext.mock.calls[0][0].statusCode).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,59 @@
+const scoringService = require('../../services/scoringService');
+
+describe('Scoring Service - Unit Tests', () => {
+  describe('getScoringRules', () => {
+    it('should fill in defaults for unset event rules', () => {
+      const rules = scoringService.getScoringRules({ settings: { scoring: { hintPenaltyPoints: 5 } } });
+
+      expect(rules).toEqual({ ...scoringService.DEFAULT_SCORING, hintPenaltyPoints: 5 });
+    });
+  });
+
+  describe('getStationPoints', () => {
+    it('should weight base points by difficulty', () => {
+      expect(scoringService.getStationPoints({ difficulty: 'Easy' })).toBe(10);
+      expect(scoringService.getStationPoints({ difficulty: 'Medium' })).toBe(15);
+      expect(scoringService.getStationPoints({ difficulty: 'Hard', points: 25 })).toBe(50);
+    });
+  });
+
+  describe('calculateScore', () => {
+    it('should add quiz and speed bonuses and subtract hint penalties', () => {
+      const score = scoringService.calculateScore({
+        stations: [{ difficulty: 'Easy' }, { difficulty: 'Hard' }],
+        quizzesPassed: 2,
+        hintsUsed: 3,
+        completionMinutes: 60
+      });
+
+      expect(score).toEqual({
+        total: 30 + 10 + 25 - 6,
+        stationPoints: 30,
+        quizBonus: 10,
+        speedBonus: 25,
+        hintPenalty: 6,
+        completionMinutes: 60
+      });
+    });
+
+    it('should not give a speed bonus before completion or go below zero', () => {
+      const score = scoringService.calculateScore({ stations: [], quizzesPassed: 0, hintsUsed: 4, completionMinutes: null });
+
+      expect(score.speedBonus).toBe(0);
+      expect(score.total).toBe(0);
+    });
+  });
+
+  describe('compareStandings', () => {
+    it('should rank by points, then by fastest completion', () => {
+      const classes = [
+        { name: 'Unfinished', score: { total: 40, completionMinutes: null } },
+        { name: 'Slow', score: { total: 40, completionMinutes: 90 } },
+        { name: 'Top', score: { total: 55, completionMinutes: 100 } },
+        { name: 'Fast', score: { total: 40, completionMinutes: 45 } }
+      ];
+
+      expect(classes.sort(scoringService.compareStandings).map(c => c.name)).toEqual(['Top', 'Fast', 'Slow', 'Unfinished']);
+    });
+  });
+});
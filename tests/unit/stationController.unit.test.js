@@ -4,6 +4,7 @@ const QRCode = require('qrcode');
 const ErrorResponse = require('../../utils/errorResponse');
 
 jest.mock('../../models/Station');
+jest.mock('../../models/AuditLog');
 jest.mock('qrcode');
 
 describe('Station Controller - Unit Tests', () => {
@@ -15,6 +16,7 @@ describe('Station Controller - Unit Tests', () => {
     mockRequest = {
       body: {},
       user: { id: 'adminUserId', role: 'admin' }, // Assume admin for creation/update
+      event: { _id: 'eventId1', name: 'Spring Hunt', status: 'active' }, // Set by selectEvent
       params: {},
     };
     mockResponse = {
@@ -50,7 +52,7 @@ describe('Station Controller - Unit Tests', () => {
 
       await stationController.getStations(mockRequest, mockResponse, mockNext);
 
-      expect(Station.find).toHaveBeenCalled();
+      expect(Station.find).toHaveBeenCalledWith({ event: 'eventId1' });
       expect(mockResponse.status).toHaveBeenCalledWith(200);
       expect(mockResponse.json).toHaveBeenCalledWith({ success: true, count: mockStations.length, data: mockStations });
     });
@@ -107,6 +109,25 @@ describe('Station Controller - Unit Tests', () => {
     });
   });
 
+  describe('deleteStation', () => {
+    it('should move the station to the trash instead of removing it', async () => {
+      mockRequest.params.id = 'stationIdToDelete';
+      const mockStation = {
+        _id: 'stationIdToDelete',
+        name: 'Library',
+        softDelete: jest.fn().mockResolvedValue(true),
+        deleteOne: jest.fn()
+      };
+      Station.findById.mockResolvedValue(mockStation);
+
+      await stationController.deleteStation(mockRequest, mockResponse, mockNext);
+
+      expect(mockStation.softDelete).toHaveBeenCalledWith('adminUserId');
+      expect(mockStation.deleteOne).not.toHaveBeenCalled();
+      expect(mockResponse.status).toHaveBeenCalledWith(200);
+    });
+  });
+
   describe('generateQRCode', () => {
     it('should generate a QR code data URL for a station', async () => {
         mockRequest.params.id = 'stationIdForQR';
@@ -132,4 +153,28 @@ describe('Station Controller - Unit Tests', () => {
         });
     });
   });
+
+  describe('printStationQRCodes', () => {
+    it('should accept ids repeated in the query string', async () => {
+      mockRequest.query = { ids: ['64b000000000000000000001,64b000000000000000000002', '64b000000000000000000003'] };
+      Station.find.mockReturnValue({ select: jest.fn().mockReturnValue({ sort: jest.fn().mockResolvedValue([]) }) });
+
+      await stationController.printStationQRCodes(mockRequest, mockResponse, mockNext);
+
+      expect(Station.find).toHaveBeenCalledWith({
+        event: 'eventId1',
+        _id: { $in: ['64b000000000000000000001', '64b000000000000000000002', '64b000000000000000000003'] }
+      });
+    });
+
+    it('should return 400 for an invalid station id', async () => {
+      mockRequest.query = { ids: ['64b000000000000000000001', 'not-an-id'] };
+
+      await stationController.printStationQRCodes(mockRequest, mockResponse, mockNext);
+
+      expect(Station.find).not.toHaveBeenCalled();
+      expect(mockNext).toHaveBeenCalledWith(expect.any(ErrorResponse));
+      expect(mockNext.mock.calls[0][0].statusCode).toBe(400);
+    });
+  });
 });
\ No newline at end of file
@@ -0,0 +1,63 @@
+const totp = require('../../services/totpService');
+
+// RFC 6238 test secret: the ASCII string "12345678901234567890"
+const RFC_SECRET = totp.base32Encode(Buffer.from('12345678901234567890'));
+
+describe('TOTP Service - Unit Tests', () => {
+  describe('base32', () => {
+    it('should round-trip secrets', () => {
+      expect(RFC_SECRET).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+      expect(totp.base32Decode(RFC_SECRET).toString()).toBe('12345678901234567890');
+      expect(totp.base32Decode(totp.generateSecret())).toHaveLength(20);
+    });
+  });
+
+  describe('generateCode', () => {
+    it('should match the RFC 6238 SHA-1 test vectors', () => {
+      expect(totp.generateCode(RFC_SECRET, totp.getTimeStep(new Date(59 * 1000)))).toBe('287082');
+      expect(totp.generateCode(RFC_SECRET, totp.getTimeStep(new Date(1111111109 * 1000)))).toBe('081804');
+      expect(totp.generateCode(RFC_SECRET, totp.getTimeStep(new Date(2000000000 * 1000)))).toBe('279037');
+    });
+  });
+
+  describe('verifyCode', () => {
+    const date = new Date(1111111109 * 1000);
+    const step = totp.getTimeStep(date);
+
+    it('should accept codes from the adjacent steps and return the matching step', () => {
+      expect(totp.verifyCode(RFC_SECRET, '081804', { date })).toBe(step);
+      expect(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step - 1), { date })).toBe(step - 1);
+      expect(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step - 2), { date })).toBeNull();
+    });
+
+    it('should reject a code from an already used step', () => {
+      expect(totp.verifyCode(RFC_SECRET, '081804', { date, afterStep: step })).toBeNull();
+    });
+
+    it('should reject malformed codes', () => {
+      expect(totp.verifyCode(RFC_SECRET, '81804', { date })).toBeNull();
+      expect(totp.verifyCode(RFC_SECRET, 'abcdef', { date })).toBeNull();
+      expect(totp.verifyCode(RFC_SECRET, undefined, { date })).toBeNull();
+    });
+  });
+
+  describe('getProvisioningUri', () => {
+    it('should build an otpauth URI with the issuer and account', () => {
+      const uri = totp.getProvisioningUri(RFC_SECRET, 'admin@example.com');
+
+      expect(uri.startsWith('otpauth://totp/QR%20Scavenger%20Hunt%3Aadmin%40example.com?')).toBe(true);
+      expect(uri).toContain(`secret=${RFC_SECRET}`);
+      expect(uri).toContain('digits=6');
+    });
+  });
+
+  describe('recovery codes', () => {
+    it('should generate distinct codes whose hash ignores case and dashes', () => {
+      const codes = totp.generateRecoveryCodes();
+
+      expect(codes).toHaveLength(totp.RECOVERY_CODE_COUNT);
+      expect(new Set(codes).size).toBe(codes.length);
+      expect(totp.hashRecoveryCode(codes[0].toUpperCase().replace('-', ''))).toBe(totp.hashRecoveryCode(codes[0]));
+    });
+  });
+});
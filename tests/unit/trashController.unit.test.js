@@ -0,0 +1,131 @@
+const trashController = require('../../controllers/trashController');
+const Station = require('../../models/Station');
+const Class = require('../../models/Class');
+const Drawing = require('../../models/Drawing');
+const Scan = require('../../models/Scan');
+const ErrorResponse = require('../../utils/errorResponse');
+
+jest.mock('../../models/Station');
+jest.mock('../../models/Class');
+jest.mock('../../models/Drawing');
+jest.mock('../../models/Scan');
+jest.mock('../../models/AuditLog');
+
+describe('Trash Controller - Unit Tests', () => {
+  let mockRequest;
+  let mockResponse;
+  let mockNext;
+
+  const mockStation = (fields = {}) => ({
+    _id: 'stationId1',
+    name: 'Library',
+    deletedAt: new Date(),
+    restore: jest.fn().mockResolvedValue(true),
+    deleteOne: jest.fn().mockResolvedValue(true),
+    ...fields
+  });
+
+  beforeEach(() => {
+    mockRequest = {
+      query: {},
+      params: { type: 'stations', id: 'stationId1' },
+      user: { id: 'adminUserId', role: 'admin' },
+      event: { _id: 'eventId1', name: 'Spring Hunt' }
+    };
+    mockResponse = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis()
+    };
+    mockNext = jest.fn();
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getTrash', () => {
+    it('should list the deleted records of the selected event', async () => {
+      mockRequest.query = { type: 'stations' };
+      const deleted = [mockStation()];
+      const query = {
+        populate: jest.fn().mockReturnThis(),
+        sort: jest.fn().mockResolvedValue(deleted)
+      };
+      Station.find.mockReturnValue(query);
+
+      await trashController.getTrash(mockRequest, mockResponse, mockNext);
+
+      expect(Station.find).toHaveBeenCalledWith({ event: 'eventId1', deletedAt: { $ne: null } });
+      expect(Class.find).not.toHaveBeenCalled();
+      expect(mockResponse.json).toHaveBeenCalledWith({ success: true, count: 1, data: { stations: deleted } });
+    });
+
+    it('should return 400 for an unknown type', async () => {
+      mockRequest.query = { type: 'events' };
+
+      await trashController.getTrash(mockRequest, mockResponse, mockNext);
+
+      expect(mockNext).toHaveBeenCalledWith(expect.any(ErrorResponse));
+      expect(mockNext.mock.calls[0][0].statusCode).toBe(400);
+    });
+  });
+
+  describe('restoreFromTrash', () => {
+    it('should restore a deleted station', async () => {
+      const station = mockStation();
+      Station.findOne.mockResolvedValue(station);
+
+      await trashController.restoreFromTrash(mockRequest, mockResponse, mockNext);
+
+      expect(Station.findOne).toHaveBeenCalledWith({ _id: 'stationId1', deletedAt: { $ne: null } });
+      expect(station.restore).toHaveBeenCalled();
+      expect(mockResponse.status).toHaveBeenCalledWith(200);
+    });
+
+    it('should return 404 if the record is not in the trash', async () => {
+      Station.findOne.mockResolvedValue(null);
+
+      await trashController.restoreFromTrash(mockRequest, mockResponse, mockNext);
+
+      expect(mockNext.mock.calls[0][0].statusCode).toBe(404);
+    });
+
+    it('should require the permission that manages the record', async () => {
+      mockRequest.user = { id: 'teacherUserId', role: 'teacher' };
+      mockRequest.params.type = 'classes';
+
+      await trashController.restoreFromTrash(mockRequest, mockResponse, mockNext);
+
+      expect(mockNext.mock.calls[0][0].statusCode).toBe(403);
+      expect(Class.findOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('purgeFromTrash', () => {
+    it('should refuse while scans refer to the station', async () => {
+      const station = mockStation();
+      Station.findOne.mockResolvedValue(station);
+      Scan.countDocuments.mockResolvedValue(12);
+
+      await trashController.purgeFromTrash(mockRequest, mockResponse, mockNext);
+
+      expect(mockNext.mock.calls[0][0].statusCode).toBe(409);
+      expect(mockNext.mock.calls[0][0].details).toEqual({ scanCount: 12 });
+      expect(station.deleteOne).not.toHaveBeenCalled();
+    });
+
+    it('should permanently delete a class nothing refers to', async () => {
+      mockRequest.params = { type: 'classes', id: 'classId1' };
+      const classObj = { _id: 'classId1', name: 'Class A', deleteOne: jest.fn().mockResolvedValue(true) };
+      Class.findOne.mockResolvedValue(classObj);
+      Scan.countDocuments.mockResolvedValue(0);
+      Drawing.countDocuments.mockResolvedValue(0);
+
+      await trashController.purgeFromTrash(mockRequest, mockResponse, mockNext);
+
+      expect(Drawing.countDocuments).toHaveBeenCalledWith({ 'winners.class': 'classId1' }, { withDeleted: true });
+      expect(classObj.deleteOne).toHaveBeenCalled();
+      expect(mockResponse.status).toHaveBeenCalledWith(200);
+    });
+  });
+});
@@ -0,0 +1,147 @@
+const twoFactorController = require('../../controllers/twoFactorController');
+const User = require('../../models/User');
+const ErrorResponse = require('../../utils/errorResponse');
+
+jest.mock('../../models/User');
+jest.mock('../../models/AuditLog');
+
+describe('Two-Factor Controller - Unit Tests', () => {
+  let mockRequest;
+  let mockResponse;
+  let mockNext;
+
+  const findUser = (user) => {
+    User.findById.mockReturnValue({
+      select: jest.fn().mockResolvedValue(user)
+    });
+  };
+
+  beforeEach(() => {
+    mockRequest = {
+      body: {},
+      user: { id: 'userId', role: 'admin' },
+      params: {},
+      query: {}
+    };
+    mockResponse = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis()
+    };
+    mockNext = jest.fn();
+  });
+
+  afterEach(() => {
+    delete process.env.REQUIRE_ADMIN_2FA;
+    jest.clearAllMocks();
+  });
+
+  describe('setupTwoFactor', () => {
+    it('should store a pending secret and return it with a provisioning QR code', async () => {
+      const user = { email: 'admin@example.com', twoFactorEnabled: false, save: jest.fn().mockResolvedValue(true) };
+      User.findById.mockResolvedValue(user);
+
+      await twoFactorController.setupTwoFactor(mockRequest, mockResponse, mockNext);
+
+      const { data } = mockResponse.json.mock.calls[0][0];
+      expect(user.twoFactorPendingSecret).toBe(data.secret);
+      expect(data.otpauthUrl).toContain(`secret=${data.secret}`);
+      expect(data.qrCode.startsWith('data:image/png;base64,')).toBe(true);
+      expect(user.save).toHaveBeenCalled();
+    });
+
+    it('should refuse while two-factor authentication is enabled', async () => {
+      User.findById.mockResolvedValue({ twoFactorEnabled: true, save: jest.fn() });
+
+      await twoFactorController.setupTwoFactor(mockRequest, mockResponse, mockNext);
+
+      expect(mockNext).toHaveBeenCalledWith(expect.any(ErrorResponse));
+      expect(mockNext.mock.calls[0][0].statusCode).toBe(400);
+    });
+  });
+
+  describe('enableTwoFactor', () => {
+    it('should enable it with a valid code and return the recovery codes once', async () => {
+      mockRequest.body = { code: '123456' };
+      const user = {
+        email: 'admin@example.com',
+        twoFactorEnabled: false,
+        twoFactorPendingSecret: 'SECRET',
+        enableTwoFactor: jest.fn().mockReturnValue(true),
+        generateRecoveryCodes: jest.fn().mockReturnValue(['aaaa-bbbb']),
+        save: jest.fn().mockResolvedValue(true)
+      };
+      findUser(user);
+
+      await twoFactorController.enableTwoFactor(mockRequest, mockResponse, mockNext);
+
+      expect(user.enableTwoFactor).toHaveBeenCalledWith('123456');
+      expect(user.save).toHaveBeenCalled();
+      expect(mockResponse.json).toHaveBeenCalledWith(expect.objectContaining({
+        data: { recoveryCodes: ['aaaa-bbbb'] }
+      }));
+    });
+
+    it('should return 400 for a wrong code', async () => {
+      mockRequest.body = { code: '000000' };
+      const user = {
+        twoFactorEnabled: false,
+        twoFactorPendingSecret: 'SECRET',
+        enableTwoFactor: jest.fn().mockReturnValue(false),
+        save: jest.fn()
+      };
+      findUser(user);
+
+      await twoFactorController.enableTwoFactor(mockRequest, mockResponse, mockNext);
+
+      expect(mockNext.mock.calls[0][0].statusCode).toBe(400);
+      expect(user.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('disableTwoFactor', () => {
+    const enabledUser = () => ({
+      role: 'admin',
+      twoFactorEnabled: true,
+      matchPassword: jest.fn().mockResolvedValue(true),
+      verifyTwoFactorCode: jest.fn().mockReturnValue(true),
+      disableTwoFactor: jest.fn(),
+      save: jest.fn().mockResolvedValue(true)
+    });
+
+    it('should disable it with the password and a code', async () => {
+      mockRequest.body = { password: 'password123', code: '123456' };
+      const user = enabledUser();
+      findUser(user);
+
+      await twoFactorController.disableTwoFactor(mockRequest, mockResponse, mockNext);
+
+      expect(user.verifyTwoFactorCode).toHaveBeenCalledWith('123456');
+      expect(user.disableTwoFactor).toHaveBeenCalled();
+      expect(mockResponse.status).toHaveBeenCalledWith(200);
+    });
+
+    it('should refuse when policy requires two-factor authentication for the role', async () => {
+      process.env.REQUIRE_ADMIN_2FA = 'true';
+      mockRequest.body = { password: 'password123', code: '123456' };
+      const user = enabledUser();
+      findUser(user);
+
+      await twoFactorController.disableTwoFactor(mockRequest, mockResponse, mockNext);
+
+      expect(mockNext.mock.calls[0][0].statusCode).toBe(403);
+      expect(user.disableTwoFactor).not.toHaveBeenCalled();
+    });
+
+    it('should return 401 for a wrong code', async () => {
+      mockRequest.body = { password: 'password123', code: '000000' };
+      const user = enabledUser();
+      user.verifyTwoFactorCode.mockReturnValue(false);
+      findUser(user);
+
+      await twoFactorController.disableTwoFactor(mockRequest, mockResponse, mockNext);
+
+      expect(mockNext.mock.calls[0][0].statusCode).toBe(401);
+      expect(user.disableTwoFactor).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,248 @@
+const userController = require('../../controllers/userController');
+const User = require('../../models/User');
+const Class = require('../../models/Class');
+const Session = require('../../models/Session');
+const ApiToken = require('../../models/ApiToken');
+const emailService = require('../../services/emailService');
+const ErrorResponse = require('../../utils/errorResponse');
+
+jest.mock('../../models/User');
+jest.mock('../../models/Class');
+jest.mock('../../models/Session');
+jest.mock('../../models/ApiToken');
+jest.mock('../../models/AuditLog');
+jest.mock('../../services/emailService');
+
+describe('User Controller - Unit Tests', () => {
+  let mockRequest;
+  let mockResponse;
+  let mockNext;
+
+  const mockUser = (fields = {}) => ({
+    _id: 'teacherUserId',
+    name: 'Test Teacher',
+    email: 'teacher@example.com',
+    role: 'teacher',
+    school: 'Eureka Elementary',
+    save: jest.fn().mockResolvedValue(true),
+    deleteOne: jest.fn().mockResolvedValue(true),
+    getResetPasswordToken: jest.fn().mockReturnValue('resetToken123'),
+    ...fields
+  });
+
+  beforeEach(() => {
+    mockRequest = {
+      body: {},
+      user: { id: 'adminUserId', email: 'admin@example.com', role: 'admin' },
+      params: { id: 'teacherUserId' },
+      query: {}
+    };
+    mockResponse = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis()
+    };
+    mockNext = jest.fn();
+    User.RESET_PASSWORD_EXPIRE_MINUTES = 30;
+    emailService.sendEmail.mockResolvedValue(true);
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('createUser', () => {
+    it('should create a verified user and email a link to choose a password', async () => {
+      mockRequest.body = { name: 'New Teacher', email: 'New@Example.com', school: 'Eureka Elementary' };
+      User.findOne.mockResolvedValue(null);
+      const created = mockUser({ email: 'new@example.com' });
+      User.create.mockResolvedValue(created);
+
+      await userController.createUser(mockRequest, mockResponse, mockNext);
+
+      expect(User.create).toHaveBeenCalledWith(expect.objectContaining({
+        email: 'new@example.com',
+        role: 'teacher',
+        password: expect.any(String),
+        isEmailVerified: true
+      }));
+      expect(emailService.sendEmail).toHaveBeenCalledWith(expect.objectContaining({
+        to: 'new@example.com',
+        text: expect.stringContaining('/reset-password/resetToken123')
+      }));
+      expect(mockResponse.status).toHaveBeenCalledWith(201);
+      expect(mockResponse.json).toHaveBeenCalledWith(expect.objectContaining({ emailSent: true }));
+    });
+
+    it('should return 409 if the email is taken', async () => {
+      mockRequest.body = { name: 'New Teacher', email: 'teacher@example.com', school: 'Eureka Elementary' };
+      User.findOne.mockResolvedValue(mockUser());
+
+      await userController.createUser(mockRequest, mockResponse, mockNext);
+
+      expect(mockNext).toHaveBeenCalledWith(expect.any(ErrorResponse));
+      expect(mockNext.mock.calls[0][0].statusCode).toBe(409);
+      expect(User.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updateUser', () => {
+    it('should change the role and refresh the teacher copy on classes', async () => {
+      mockRequest.body = { role: 'school-coordinator', name: 'Renamed Teacher' };
+      const user = mockUser();
+      User.findById.mockResolvedValue(user);
+
+      await userController.updateUser(mockRequest, mockResponse, mockNext);
+
+      expect(user.role).toBe('school-coordinator');
+      expect(user.save).toHaveBeenCalled();
+      expect(Class.updateMany).toHaveBeenCalledWith(
+        { 'teacher._id': 'teacherUserId' },
+        { 'teacher.name': 'Renamed Teacher', 'teacher.email': 'teacher@example.com' }
+      );
+      expect(mockResponse.status).toHaveBeenCalledWith(200);
+    });
+
+    it('should not let admins change their own role', async () => {
+      mockRequest.params.id = 'adminUserId';
+      mockRequest.body = { role: 'teacher', school: 'Eureka Elementary' };
+      User.findById.mockResolvedValue(mockUser({ _id: 'adminUserId', role: 'admin' }));
+
+      await userController.updateUser(mockRequest, mockResponse, mockNext);
+
+      expect(mockNext.mock.calls[0][0].statusCode).toBe(400);
+    });
+
+    it('should not demote the last active admin', async () => {
+      mockRequest.params.id = 'otherAdminId';
+      mockRequest.body = { role: 'volunteer' };
+      User.findById.mockResolvedValue(mockUser({ _id: 'otherAdminId', role: 'admin' }));
+      User.countDocuments.mockResolvedValue(1);
+
+      await userController.updateUser(mockRequest, mockResponse, mockNext);
+
+      expect(mockNext.mock.calls[0][0].statusCode).toBe(400);
+    });
+  });
+
+  describe('deactivateUser', () => {
+    it('should deactivate the user and sign them out everywhere', async () => {
+      const user = mockUser();
+      User.findById.mockResolvedValue(user);
+
+      await userController.deactivateUser(mockRequest, mockResponse, mockNext);
+
+      expect(user.isActive).toBe(false);
+      expect(user.deactivatedAt).toBeDefined();
+      expect(Session.revokeAllForUser).toHaveBeenCalledWith('teacherUserId', 'deactivated');
+      expect(mockResponse.status).toHaveBeenCalledWith(200);
+    });
+
+    it('should not let admins deactivate themselves', async () => {
+      mockRequest.params.id = 'adminUserId';
+      User.findById.mockResolvedValue(mockUser({ _id: 'adminUserId', role: 'admin' }));
+
+      await userController.deactivateUser(mockRequest, mockResponse, mockNext);
+
+      expect(mockNext.mock.calls[0][0].statusCode).toBe(400);
+      expect(Session.revokeAllForUser).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('deleteUser', () => {
+    it('should refuse while the user still owns classes', async () => {
+      const user = mockUser();
+      User.findById.mockResolvedValue(user);
+      Class.countDocuments.mockResolvedValue(2);
+
+      await userController.deleteUser(mockRequest, mockResponse, mockNext);
+
+      expect(Class.countDocuments).toHaveBeenCalledWith({ 'teacher._id': 'teacherUserId' }, { withDeleted: true });
+      expect(mockNext.mock.calls[0][0].statusCode).toBe(409);
+      expect(mockNext.mock.calls[0][0].details).toEqual({ classCount: 2 });
+      expect(user.deleteOne).not.toHaveBeenCalled();
+    });
+
+    it('should delete the user with their sessions and API tokens', async () => {
+      const user = mockUser();
+      User.findById.mockResolvedValue(user);
+      Class.countDocuments.mockResolvedValue(0);
+
+      await userController.deleteUser(mockRequest, mockResponse, mockNext);
+
+      expect(Session.deleteMany).toHaveBeenCalledWith({ user: 'teacherUserId' });
+      expect(ApiToken.updateMany).toHaveBeenCalledWith(
+        { createdBy: 'teacherUserId', revokedAt: null },
+        { revokedAt: expect.any(Date) }
+      );
+      expect(user.deleteOne).toHaveBeenCalled();
+    });
+  });
+
+  describe('forcePasswordReset', () => {
+    it('should replace the password, sign the user out and email a reset link', async () => {
+      const user = mockUser({ password: 'old' });
+      User.findById.mockResolvedValue(user);
+
+      await userController.forcePasswordReset(mockRequest, mockResponse, mockNext);
+
+      expect(user.password).not.toBe('old');
+      expect(Session.revokeAllForUser).toHaveBeenCalledWith('teacherUserId', 'password-change');
+      expect(emailService.sendEmail).toHaveBeenCalledWith(expect.objectContaining({ to: 'teacher@example.com' }));
+      expect(mockResponse.json).toHaveBeenCalledWith(expect.objectContaining({ emailSent: true }));
+    });
+  });
+
+  describe('transferClasses', () => {
+    const otherTeacherId = '64b0000000000000000000b2';
+    const volunteerId = '64b0000000000000000000b3';
+
+    it('should move the classes to the other teacher', async () => {
+      mockRequest.body = { toUserId: otherTeacherId };
+      User.findById
+        .mockResolvedValueOnce(mockUser())
+        .mockResolvedValueOnce(mockUser({ _id: otherTeacherId, name: 'Other Teacher', email: 'other@example.com' }));
+      Class.updateMany.mockResolvedValue({ modifiedCount: 3 });
+
+      await userController.transferClasses(mockRequest, mockResponse, mockNext);
+
+      expect(Class.updateMany).toHaveBeenCalledWith(
+        { 'teacher._id': 'teacherUserId' },
+        { teacher: { _id: otherTeacherId, name: 'Other Teacher', email: 'other@example.com' } }
+      );
+      expect(mockResponse.json).toHaveBeenCalledWith({
+        success: true,
+        data: { from: 'teacherUserId', to: otherTeacherId, transferred: 3 }
+      });
+    });
+
+    it('should refuse a target who cannot manage classes', async () => {
+      mockRequest.body = { toUserId: volunteerId };
+      User.findById
+        .mockResolvedValueOnce(mockUser())
+        .mockResolvedValueOnce(mockUser({ _id: volunteerId, role: 'volunteer' }));
+
+      await userController.transferClasses(mockRequest, mockResponse, mockNext);
+
+      expect(mockNext.mock.calls[0][0].statusCode).toBe(400);
+      expect(Class.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 for an invalid target user id', async () => {
+      mockRequest.body = { toUserId: 'not-an-id' };
+
+      await userController.transferClasses(mockRequest, mockResponse, mockNext);
+
+      expect(User.findById).not.toHaveBeenCalled();
+      expect(mockNext.mock.calls[0][0].statusCode).toBe(400);
+    });
+
+    it('should return 400 for an invalid class id', async () => {
+      mockRequest.body = { toUserId: otherTeacherId, classIds: ['64b000000000000000000001', 'not-an-id'] };
+
+      await userController.transferClasses(mockRequest, mockResponse, mockNext);
+
+      expect(User.findById).not.toHaveBeenCalled();
+      expect(mockNext.mock.calls[0][0].statusCode).toBe(400);
+    });
+  });
+});
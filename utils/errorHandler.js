@@ -39,7 +39,8 @@ const errorHandler = (err, req, res, next) => {
   // Default server error
   res.status(err.statusCode || 500).json({
     success: false,
-    error: err.message || 'Server Error'
+    error: err.message || 'Server Error',
+    ...(err.details && { details: err.details })
   });
 };
 
@@ -1,7 +1,9 @@
 class ErrorResponse extends Error {
-    constructor(message, statusCode) {
+    constructor(message, statusCode, details) {
       super(message);
       this.statusCode = statusCode;
+      // Optional extra data returned to the client alongside the error message
+      this.details = details;
     }
   }
   